@@ -0,0 +1,60 @@
+/**
+ * Request Coalescing
+ *
+ * Deduplicates concurrent work for the same cache key: the first caller starts
+ * the upstream fetch and everyone arriving while it is in flight awaits the
+ * same promise instead of firing their own requests.
+ */
+
+// Promises currently in flight, keyed like the server cache
+const inFlight = new Map();
+
+const stats = {
+  started: 0,   // upstream fetches actually started
+  coalesced: 0, // callers that joined an in-flight fetch instead
+  waiting: 0    // callers currently waiting on someone else's fetch
+};
+
+/**
+ * Run `work` once per key at a time, sharing its result with concurrent callers
+ * @param {string} key - Cache key identifying the work
+ * @param {Function} work - Async function producing the result
+ * @returns {Promise<*>} - Result of the (shared) work
+ */
+async function coalesce(key, work) {
+  const pending = inFlight.get(key);
+
+  if (pending) {
+    stats.coalesced++;
+    stats.waiting++;
+    try {
+      return await pending;
+    } finally {
+      stats.waiting--;
+    }
+  }
+
+  stats.started++;
+  const promise = Promise.resolve()
+    .then(work)
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Get request coalescing counters
+ * @returns {Object} - Stats including the number of in-flight keys
+ */
+function getCoalescingStats() {
+  return {
+    ...stats,
+    inFlight: inFlight.size
+  };
+}
+
+module.exports = {
+  coalesce,
+  getCoalescingStats
+};
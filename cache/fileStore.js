@@ -0,0 +1,145 @@
+/**
+ * File-backed cache store
+ *
+ * Persists each entry as a JSON file so cached upstream data (notably the
+ * expensive paginated Google Weather responses) survives restarts and deploys.
+ * A small in-memory LRU sits in front of the disk to avoid re-reading hot keys.
+ * The keys on disk are listed once at startup and then tracked in memory, so
+ * one process should own the directory.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore, DEFAULT_MAX_ENTRIES } = require('./memoryStore');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('cache');
+
+const ENTRY_EXTENSION = '.json';
+
+/**
+ * Map a cache key to a safe file name
+ */
+function keyToFileName(key) {
+  return `${encodeURIComponent(key)}${ENTRY_EXTENSION}`;
+}
+
+/**
+ * Map a file name back to its cache key
+ */
+function fileNameToKey(fileName) {
+  return decodeURIComponent(fileName.slice(0, -ENTRY_EXTENSION.length));
+}
+
+/**
+ * Create a file-backed store
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory the entries are written to
+ * @param {number} options.maxEntries - Maximum number of entries kept on disk
+ * @param {number} options.memoryEntries - Size of the in-memory LRU in front of the disk
+ * @param {Function} options.onEvict - Called with the key of every entry removed from disk for space
+ * @returns {Object} - Store with get/set/delete/keys/clear
+ */
+function createFileStore({ directory, maxEntries = DEFAULT_MAX_ENTRIES, memoryEntries = 100, onEvict = () => {} } = {}) {
+  if (!directory) {
+    throw new Error('File cache store requires a directory');
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+  const hot = createMemoryStore({ maxEntries: memoryEntries });
+
+  const listFiles = () => fs.readdirSync(directory).filter(name => name.endsWith(ENTRY_EXTENSION));
+
+  // Keys on disk, oldest write first; read from the directory once here rather than on every write
+  const onDisk = new Map(
+    listFiles()
+      .map(name => {
+        try {
+          return [fileNameToKey(name), fs.statSync(path.join(directory, name)).mtimeMs];
+        } catch (error) {
+          return null; // Removed by another process in the meantime
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a[1] - b[1])
+  );
+
+  /**
+   * Remove the oldest files once the directory holds more than maxEntries
+   */
+  function enforceLimit() {
+    while (onDisk.size > maxEntries) {
+      const oldestKey = onDisk.keys().next().value;
+      onDisk.delete(oldestKey);
+      hot.delete(oldestKey);
+      fs.rmSync(path.join(directory, keyToFileName(oldestKey)), { force: true });
+      onEvict(oldestKey);
+    }
+  }
+
+  return {
+    name: 'file',
+
+    get(key) {
+      const cached = hot.get(key);
+      if (cached !== undefined) return cached;
+
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(directory, keyToFileName(key)), 'utf8'));
+        hot.set(key, entry);
+        return entry;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Ignoring unreadable cache entry ${key}`, { error });
+        }
+        return undefined;
+      }
+    },
+
+    set(key, entry) {
+      hot.set(key, entry);
+
+      try {
+        // Write to a temp file first so readers never see a partial entry
+        const filePath = path.join(directory, keyToFileName(key));
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(entry));
+        fs.renameSync(tempPath, filePath);
+
+        // Rewritten entries move to the end, so the oldest write is evicted first
+        onDisk.delete(key);
+        onDisk.set(key, Date.now());
+        enforceLimit();
+      } catch (error) {
+        logger.error(`Error writing cache entry ${key}`, { error });
+      }
+    },
+
+    delete(key) {
+      const inMemory = hot.delete(key);
+      const filePath = path.join(directory, keyToFileName(key));
+      const wasOnDisk = onDisk.delete(key);
+      fs.rmSync(filePath, { force: true });
+      return inMemory || wasOnDisk;
+    },
+
+    keys() {
+      return [...onDisk.keys()];
+    },
+
+    clear() {
+      hot.clear();
+      onDisk.clear();
+      for (const name of listFiles()) {
+        fs.rmSync(path.join(directory, name), { force: true });
+      }
+    },
+
+    get size() {
+      return onDisk.size;
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,208 @@
+/**
+ * Server Cache
+ *
+ * Timestamp-based cache for upstream weather data and API responses, backed by
+ * a pluggable store. The store is chosen from the environment:
+ * - SERVER_CACHE_STORE: 'memory' (default, LRU) or 'file' (survives restarts)
+ * - SERVER_CACHE_MAX_ENTRIES: size bound for the store (default 500)
+ * - SERVER_CACHE_DIR: directory used by the file store
+ *
+ * Any object implementing get/set/delete/keys/clear/size can be installed with
+ * setServerCacheStore().
+ *
+ * Lookups and evictions are counted in the server metrics (GET /metrics).
+ */
+const path = require('path');
+const { createMemoryStore, DEFAULT_MAX_ENTRIES } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const metrics = require('../metrics');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('cache');
+
+// Default cache duration (15 minutes)
+const CACHE_DURATION = 15 * 60 * 1000;
+
+// Expired entries are swept after this many writes
+const PRUNE_INTERVAL = 50;
+
+let store = createStoreFromEnv();
+let writesSincePrune = 0;
+
+metrics.createGauge('server_cache_entries', 'Entries currently held in the server cache', () => store.size);
+
+/**
+ * Count an entry evicted because the store was full
+ */
+function countCapacityEviction() {
+  metrics.cacheEvictions.inc({ reason: 'capacity' });
+}
+
+/**
+ * Create the store configured through the environment
+ * @returns {Object} - Cache store
+ */
+function createStoreFromEnv() {
+  const maxEntries = parseInt(process.env.SERVER_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES;
+  const storeType = (process.env.SERVER_CACHE_STORE || 'memory').toLowerCase();
+
+  if (storeType === 'file') {
+    try {
+      return createFileStore({
+        directory: process.env.SERVER_CACHE_DIR || path.join(__dirname, '..', '.cache', 'server'),
+        maxEntries,
+        onEvict: countCapacityEviction
+      });
+    } catch (error) {
+      logger.error('Unable to initialize file cache store, falling back to memory', { error });
+    }
+  } else if (storeType !== 'memory') {
+    logger.warn(`Unknown SERVER_CACHE_STORE '${storeType}', using memory`);
+  }
+
+  return createMemoryStore({ maxEntries, onEvict: countCapacityEviction });
+}
+
+/**
+ * Replace the cache store
+ * @param {Object} newStore - Store implementing get/set/delete/keys/clear/size
+ */
+function setServerCacheStore(newStore) {
+  store = newStore;
+  writesSincePrune = 0;
+}
+
+/**
+ * Get the active cache store
+ * @returns {Object} - Cache store
+ */
+function getServerCacheStore() {
+  return store;
+}
+
+/**
+ * Check whether an entry is past its maximum age plus any stale allowance
+ */
+function isBeyondStaleWindow(cached, age) {
+  return age > cached.maxAge + (cached.staleTtl || 0);
+}
+
+/**
+ * Remove every expired entry from the store
+ * @returns {number} - Number of entries removed
+ */
+function pruneServerCache() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const key of store.keys()) {
+    const cached = store.get(key);
+    if (cached && isBeyondStaleWindow(cached, now - cached.timestamp)) {
+      store.delete(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    metrics.cacheEvictions.inc({ reason: 'expired' }, removed);
+  }
+
+  return removed;
+}
+
+/**
+ * Get a cache entry along with its age, including entries that have expired
+ * but are still inside the stale window they were saved with
+ * @param {string} key - Cache key
+ * @param {number} maxAge - Maximum age in milliseconds before the entry counts as stale
+ * @returns {Object|null} - { data, age, isStale }, or null if missing or past the stale window
+ */
+function getServerCacheEntry(key, maxAge = CACHE_DURATION) {
+  const cached = store.get(key);
+  if (!cached) {
+    metrics.cacheRequests.inc({ result: 'miss' });
+    return null;
+  }
+
+  const age = Date.now() - cached.timestamp;
+  if (age > maxAge && isBeyondStaleWindow({ ...cached, maxAge }, age)) {
+    store.delete(key);
+    metrics.cacheRequests.inc({ result: 'miss' });
+    metrics.cacheEvictions.inc({ reason: 'expired' });
+    return null;
+  }
+
+  metrics.cacheRequests.inc({ result: age > maxAge ? 'stale' : 'hit' });
+  return {
+    data: cached.data,
+    age,
+    isStale: age > maxAge
+  };
+}
+
+/**
+ * Get data from server cache
+ * @param {string} key - Cache key
+ * @param {number} maxAge - Maximum age in milliseconds
+ * @returns {*} - Cached data, or null if missing or expired
+ */
+function getFromServerCache(key, maxAge = CACHE_DURATION) {
+  const entry = getServerCacheEntry(key, maxAge);
+  return entry && !entry.isStale ? entry.data : null;
+}
+
+/**
+ * Save data to server cache
+ * @param {string} key - Cache key
+ * @param {*} data - Data to cache (must be JSON serializable for the file store)
+ * @param {number} maxAge - How long the entry stays valid in milliseconds
+ * @param {Object} options - Cache options
+ * @param {number} options.staleTtl - How long past maxAge the entry may still be served as stale
+ */
+function saveToServerCache(key, data, maxAge = CACHE_DURATION, { staleTtl = 0 } = {}) {
+  store.set(key, {
+    data,
+    timestamp: Date.now(),
+    maxAge,
+    staleTtl
+  });
+  
+  // Clean up expired entries periodically
+  writesSincePrune++;
+  if (writesSincePrune >= PRUNE_INTERVAL) {
+    writesSincePrune = 0;
+    pruneServerCache();
+  }
+}
+
+/**
+ * Delete every entry whose key matches a predicate
+ * @param {Function} predicate - Called with each cache key
+ * @returns {number} - Number of entries removed
+ */
+function deleteServerCacheEntries(predicate) {
+  let removed = 0;
+
+  for (const key of store.keys()) {
+    if (predicate(key) && store.delete(key)) {
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    metrics.cacheEvictions.inc({ reason: 'invalidated' }, removed);
+  }
+
+  return removed;
+}
+
+module.exports = {
+  CACHE_DURATION,
+  getFromServerCache,
+  getServerCacheEntry,
+  saveToServerCache,
+  deleteServerCacheEntries,
+  pruneServerCache,
+  setServerCacheStore,
+  getServerCacheStore
+};
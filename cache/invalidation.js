@@ -0,0 +1,67 @@
+/**
+ * Server Cache Invalidation
+ *
+ * Scoped eviction of server cache entries for the admin cache endpoint.
+ * Every function returns the number of evicted entries.
+ */
+const { deleteServerCacheEntries, getServerCacheStore } = require('./index');
+const { isZipCodeKey, isSourceKey, isIpLocationKey } = require('./keys');
+const providerRegistry = require('../providers');
+
+/**
+ * Evict every cache entry
+ */
+function clearAll() {
+  return deleteServerCacheEntries(() => true);
+}
+
+/**
+ * Evict the responses cached for one ZIP code (or normalized location query),
+ * along with the raw provider data fetched for its coordinates
+ */
+function clearZipCode(zipCode) {
+  const store = getServerCacheStore();
+  const providerKeys = new Set();
+
+  // Cached responses carry the resolved location, which gives us the provider keys
+  for (const key of store.keys().filter(key => isZipCodeKey(key, zipCode))) {
+    const entry = store.get(key);
+    const responses = entry ? [].concat(entry.data) : [];
+
+    for (const response of responses) {
+      if (!response || !response.location || !response.location.coordinates) continue;
+
+      for (const provider of providerRegistry.getProviders()) {
+        providerKeys.add(provider.getCacheKey(response.location));
+      }
+    }
+  }
+
+  return deleteServerCacheEntries(key => isZipCodeKey(key, zipCode) || providerKeys.has(key));
+}
+
+/**
+ * Evict a provider's raw data plus every response that includes it
+ * (its single-source responses and all triple responses)
+ */
+function clearProvider(provider) {
+  return deleteServerCacheEntries(key =>
+    key.startsWith(provider.cacheKeyPrefix) ||
+    isSourceKey(key, provider.id) ||
+    isSourceKey(key, 'triple')
+  );
+}
+
+/**
+ * Evict all IP geolocation results
+ */
+function clearIpLocations() {
+  return deleteServerCacheEntries(isIpLocationKey);
+}
+
+module.exports = {
+  clearAll,
+  clearZipCode,
+  clearProvider,
+  clearIpLocations
+};
@@ -0,0 +1,61 @@
+/**
+ * Server Cache Keys
+ *
+ * Key builders for the route-level cache entries. Provider adapters build their
+ * own keys from `cacheKeyPrefix` (see providers/index.js).
+ */
+
+const WEATHER_KEY_PREFIX = 'weather_';
+const LOCATION_KEY_PREFIX = 'weather_location_';
+const IP_LOCATION_KEY_PREFIX = 'ip_location_';
+
+/**
+ * Generate cache key for weather data
+ */
+function getCacheKey(zipCode, source = null) {
+  return source ? `${WEATHER_KEY_PREFIX}${zipCode}_${source}` : `${WEATHER_KEY_PREFIX}${zipCode}`;
+}
+
+/**
+ * Generate cache key for coordinate-based weather data
+ */
+function getLocationCacheKey(latitude, longitude, source) {
+  return `${LOCATION_KEY_PREFIX}${latitude}_${longitude}_${source}`;
+}
+
+/**
+ * Generate cache key for IP geolocation results
+ */
+function getIpLocationCacheKey(ipAddress) {
+  return `${IP_LOCATION_KEY_PREFIX}${ipAddress}`;
+}
+
+/**
+ * Check whether a key holds a ZIP code response (single source or triple)
+ */
+function isZipCodeKey(key, zipCode) {
+  return key === getCacheKey(zipCode) || key.startsWith(`${WEATHER_KEY_PREFIX}${zipCode}_`);
+}
+
+/**
+ * Check whether a key holds a route response for the given source ('triple' included)
+ */
+function isSourceKey(key, source) {
+  return key.startsWith(WEATHER_KEY_PREFIX) && key.endsWith(`_${source}`);
+}
+
+/**
+ * Check whether a key holds an IP geolocation result
+ */
+function isIpLocationKey(key) {
+  return key.startsWith(IP_LOCATION_KEY_PREFIX);
+}
+
+module.exports = {
+  getCacheKey,
+  getLocationCacheKey,
+  getIpLocationCacheKey,
+  isZipCodeKey,
+  isSourceKey,
+  isIpLocationKey
+};
@@ -0,0 +1,67 @@
+/**
+ * In-memory LRU cache store
+ *
+ * Entries are kept in a Map, whose insertion order doubles as recency order:
+ * reading an entry moves it to the end, and the oldest entry is evicted once
+ * the store grows past maxEntries.
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Create an in-memory LRU store
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum number of entries kept before evicting
+ * @param {Function} options.onEvict - Called with the key of every entry evicted for space
+ * @returns {Object} - Store with get/set/delete/keys/clear
+ */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES, onEvict = () => {} } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      const entry = entries.get(key);
+      if (entry === undefined) return undefined;
+
+      // Mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      // Evict least recently used entries beyond the size bound
+      while (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+        onEvict(oldestKey);
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    keys() {
+      return [...entries.keys()];
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  DEFAULT_MAX_ENTRIES
+};
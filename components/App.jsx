@@ -5,30 +5,21 @@ const { useState, useEffect, useCallback, useMemo, memo } = React;
 // Type definitions (simulating TypeScript)
 /**
  * @typedef {Object} ZipCodeValidation
- * @property {boolean} isValid - Whether the ZIP code is valid
+ * @property {boolean} isValid - Whether the location is valid
  * @property {string|null} error - Error message if invalid
  */
 
 /**
- * Validates a US ZIP code
- * @param {string} zipCode - The ZIP code to validate
+ * Validates a location: US ZIP (or ZIP+4), Canadian/UK postcode, place name or "lat,lon"
+ * @param {string} zipCode - The location to validate
  * @returns {ZipCodeValidation} - Validation result
  */
 const validateZipCode = (zipCode) => {
-  if (!zipCode || zipCode.trim() === '') {
-    return { isValid: false, error: 'ZIP code is required' };
-  }
-  
-  const zipRegex = /^\d{5}$/;
-  if (!zipRegex.test(zipCode)) {
-    return { isValid: false, error: 'ZIP code must be 5 digits' };
-  }
-  
-  return { isValid: true, error: null };
+  return window.locationQuery.validateLocationQuery(zipCode);
 };
 
 // ZipCodeInput Component - Memoized for performance
-const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [] }) => {
+const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [], locationCandidates = [] }) => {
   const [zipCode, setZipCode] = useState('');
   const [validation, setValidation] = useState({ isValid: true, error: null });
   const [showRecent, setShowRecent] = useState(false);
@@ -65,15 +56,20 @@ const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [] }) => {
     setShowRecent(false);
   };
   
+  const handleCandidateClick = (candidate) => {
+    onSubmit(candidate.query);
+    setZipCode(candidate.name);
+  };
+  
   const toggleRecentZipCodes = () => {
     setShowRecent(!showRecent);
   };
   
   return (
-    <div className="card" role="region" aria-label="ZIP code input">
+    <div className="card" role="region" aria-label="Location input">
       <form onSubmit={handleSubmit} className="header-form">
         <div className="form-group">
-          <label htmlFor="zipCode" className="form-label">Enter ZIP Code</label>
+          <label htmlFor="zipCode" className="form-label">Enter Location</label>
           <div className="input-with-dropdown">
             <input
               id="zipCode"
@@ -81,8 +77,8 @@ const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [] }) => {
               className="form-input"
               value={zipCode}
               onChange={handleInputChange}
-              placeholder="e.g., 10001"
-              maxLength={5}
+              placeholder="ZIP, postcode, city or lat,lon"
+              maxLength={100}
               aria-required="true"
               aria-invalid={validation.error ? "true" : "false"}
               aria-describedby={validation.error ? "zipcode-error" : undefined}
@@ -92,7 +88,7 @@ const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [] }) => {
                 type="button"
                 className="recent-toggle"
                 onClick={toggleRecentZipCodes}
-                aria-label="Show recent ZIP codes"
+                aria-label="Show recent locations"
               >
                 ▼
               </button>
@@ -103,7 +99,7 @@ const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [] }) => {
           )}
           {showRecent && recentZipCodes.length > 0 && (
             <div className="recent-zip-codes">
-              <h4>Recent ZIP Codes</h4>
+              <h4>Recent Locations</h4>
               <ul>
                 {recentZipCodes.map((zip, index) => (
                   <li key={index}>
@@ -118,6 +114,23 @@ const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [] }) => {
               </ul>
             </div>
           )}
+          {locationCandidates.length > 0 && (
+            <div className="recent-zip-codes location-candidates" role="listbox" aria-label="Matching places">
+              <h4>Did you mean</h4>
+              <ul>
+                {locationCandidates.map((candidate) => (
+                  <li key={candidate.query}>
+                    <button
+                      type="button"
+                      onClick={() => handleCandidateClick(candidate)}
+                    >
+                      {candidate.name}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
         <button type="submit" className="btn">Get Weather</button>
       </form>
@@ -128,8 +141,68 @@ const ZipCodeInput = memo(({ onSubmit, recentZipCodes = [] }) => {
 // Set display name for debugging
 ZipCodeInput.displayName = 'ZipCodeInput';
 
+// Labels for where the current location came from (see useWeather locationSource)
+const LOCATION_SOURCE_LABELS = {
+  gps: 'GPS',
+  ip: 'IP',
+  cloudflare: 'Cloudflare',
+  manual: 'Manual',
+  default: 'Default (NYC)'
+};
+
+// LocationSourceControl Component - shows the location source and toggles device location
+const LocationSourceControl = memo(({
+  locationSource,
+  locationPreference,
+  locationNotice,
+  isLocating,
+  onEnableDeviceLocation,
+  onDisableDeviceLocation
+}) => {
+  const isGeolocationSupported = typeof navigator !== 'undefined' && !!navigator.geolocation;
+  
+  return (
+    <div className="location-source" role="region" aria-label="Location source">
+      {isLocating ? (
+        <span className="location-source-label" role="status" aria-live="polite">
+          Waiting for your device location…
+        </span>
+      ) : locationSource && (
+        <span className="location-source-label">
+          Location: <strong>{LOCATION_SOURCE_LABELS[locationSource] || locationSource}</strong>
+        </span>
+      )}
+      {isGeolocationSupported && (locationPreference === 'gps' ? (
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={onDisableDeviceLocation}
+          disabled={isLocating}
+        >
+          Stop using my location
+        </button>
+      ) : (
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={onEnableDeviceLocation}
+          disabled={isLocating}
+        >
+          <span aria-hidden="true">📍</span> Use my location
+        </button>
+      ))}
+      {locationNotice && (
+        <div className="location-notice" role="alert">{locationNotice}</div>
+      )}
+    </div>
+  );
+});
+
+// Set display name for debugging
+LocationSourceControl.displayName = 'LocationSourceControl';
+
 // WeatherDisplay Component - Memoized for performance
-const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
+const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error, units = window.units.DEFAULT_UNITS }) => {
   if (isLoading) {
     return <SkeletonLoader type="weather" />;
   }
@@ -150,7 +223,7 @@ const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
     return (
       <div className="weather-display card" role="region" aria-label="Weather information placeholder">
         <div className="weather-placeholder">
-          <p>Weather will load automatically using your location, or enter a ZIP code above</p>
+          <p>Weather will load automatically using your location, or enter a ZIP code, postcode or city above</p>
         </div>
       </div>
     );
@@ -163,7 +236,7 @@ const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
     return (
       <div className="weather-display card" role="region" aria-label="Weather information placeholder">
         <div className="weather-placeholder">
-          <p>Weather will load automatically using your location, or enter a ZIP code above</p>
+          <p>Weather will load automatically using your location, or enter a ZIP code, postcode or city above</p>
         </div>
       </div>
     );
@@ -173,7 +246,7 @@ const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
   return (
     <div className="weather-display card" role="region" aria-label={`Weather information for ${displayData.location.city}`}>
       <div>
-        <h2>Weather for {displayData.location.city}, {displayData.location.state} {displayData.location.zipCode && displayData.location.zipCode !== 'Auto-detected' ? `(${displayData.location.zipCode})` : ''}</h2>
+        <h2>Weather for {displayData.location.displayName || `${displayData.location.city}, ${displayData.location.state}`} {displayData.location.zipCode && displayData.location.zipCode !== 'Auto-detected' ? `(${displayData.location.zipCode})` : ''}</h2>
         
         <div className="weather-info">
           <div className="current-weather">
@@ -181,22 +254,22 @@ const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
             <p className="temperature">
               {displayData.hourly && displayData.hourly[0] && displayData.hourly[0].temperature ?
                 (window.helpers && typeof window.helpers.formatTemperature === 'function'
-                  ? window.helpers.formatTemperature(displayData.hourly[0].temperature.value)
+                  ? window.helpers.formatTemperature(displayData.hourly[0].temperature.value, units.temperature)
                   : `${displayData.hourly[0].temperature.value}°F`)
                 : (displayData.current && displayData.current.temperature ?
                     (window.helpers && typeof window.helpers.formatTemperature === 'function'
-                      ? window.helpers.formatTemperature(displayData.current.temperature)
+                      ? window.helpers.formatTemperature(displayData.current.temperature, units.temperature)
                       : `${displayData.current.temperature}°F`)
                     : 'N/A')}
             </p>
             <p className="description">{displayData.current ? (displayData.current.shortPhrase || displayData.current.iconPhrase || 'N/A') : 'N/A'}</p>
             <p>Feels like: {displayData.hourly && displayData.hourly[0] && displayData.hourly[0].realFeelTemperature ?
                 (window.helpers && typeof window.helpers.formatTemperature === 'function'
-                  ? window.helpers.formatTemperature(displayData.hourly[0].realFeelTemperature.value)
+                  ? window.helpers.formatTemperature(displayData.hourly[0].realFeelTemperature.value, units.temperature)
                   : `${displayData.hourly[0].realFeelTemperature.value}°F`)
                 : (displayData.current && displayData.current.feelsLike ?
                     (window.helpers && typeof window.helpers.formatTemperature === 'function'
-                      ? window.helpers.formatTemperature(displayData.current.feelsLike)
+                      ? window.helpers.formatTemperature(displayData.current.feelsLike, units.temperature)
                       : `${displayData.current.feelsLike}°F`)
                     : 'N/A')}</p>
             <p>Humidity: {displayData.hourly && displayData.hourly[0] && displayData.hourly[0].relativeHumidity ?
@@ -206,11 +279,11 @@ const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
                     : 'N/A')}</p>
             <p>Wind: {displayData.current && displayData.current.wind && displayData.current.wind.speed ?
                 (window.helpers && typeof window.helpers.formatWindSpeed === 'function'
-                  ? window.helpers.formatWindSpeed(displayData.current.wind.speed.value)
+                  ? window.helpers.formatWindSpeed(displayData.current.wind.speed.value, units.windSpeed)
                   : `${displayData.current.wind.speed.value} ${displayData.current.wind.speed.unit}`)
                 : (displayData.current && displayData.current.windSpeed ?
                     (window.helpers && typeof window.helpers.formatWindSpeed === 'function'
-                      ? window.helpers.formatWindSpeed(displayData.current.windSpeed)
+                      ? window.helpers.formatWindSpeed(displayData.current.windSpeed, units.windSpeed)
                       : `${displayData.current.windSpeed} mph`)
                     : 'N/A')}</p>
             <p>Precipitation: {displayData.current && displayData.current.precipitationProbability !== undefined ?
@@ -222,6 +295,9 @@ const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
                       ? window.helpers.formatProbability(displayData.hourly[0].precipitationProbability)
                       : `${displayData.hourly[0].precipitationProbability}%`)
                     : 'N/A')}</p>
+            {displayData.current && typeof displayData.current.pressure === 'number' && (
+              <p>Pressure: {window.helpers.formatPressure(displayData.current.pressure, units.pressure)}</p>
+            )}
           </div>
           <div className="source-info">
             <p>Source: {displayData.source}</p>
@@ -241,9 +317,14 @@ const WeatherDisplay = memo(({ zipCode, weatherData, isLoading, error }) => {
 WeatherDisplay.displayName = 'WeatherDisplay';
 
 // RefreshButton Component
-const RefreshButton = memo(({ onRefresh, isLoading }) => {
+const RefreshButton = memo(({ onRefresh, isLoading, isRefreshing }) => {
   return (
     <div className="refresh-controls" role="region" aria-label="Data refresh controls">
+      {isRefreshing && (
+        <span className="refreshing-indicator" role="status" aria-live="polite">
+          Showing saved data, refreshing…
+        </span>
+      )}
       <button
         className="btn btn-secondary"
         onClick={onRefresh}
@@ -265,14 +346,50 @@ const App = () => {
   const {
     data: weatherData,
     isLoading,
+    isRefreshing,
     error,
     zipCode,
     recentZipCodes,
+    locationCandidates,
+    locationSource,
+    locationPreference,
+    locationNotice,
+    isLocating,
+    units,
+    setUnits,
     setZipCode,
     fetchTripleCheck,
+    enableDeviceLocation,
+    disableDeviceLocation,
     refreshData
   } = window.useWeather();
   
+  // Named favorite locations for the header switcher
+  const {
+    favorites,
+    favoritesError,
+    addFavorite,
+    removeFavorite,
+    renameFavorite,
+    togglePinnedFavorite,
+    moveFavorite
+  } = window.useFavorites();
+  
+  // Location query and name of the forecast being shown, used to save it as a favorite
+  const currentLocation = useMemo(() => {
+    const displayData = Array.isArray(weatherData) ? weatherData[0] : weatherData;
+    const location = displayData && !displayData.isError ? displayData.location : null;
+    if (!location) {
+      return { query: zipCode || null, name: null };
+    }
+    
+    const coordinates = location.coordinates;
+    const query = location.query || zipCode ||
+      (coordinates ? window.locationQuery.formatCoordinateQuery(coordinates.latitude, coordinates.longitude) : null);
+    
+    return { query, name: location.displayName || location.city || null };
+  }, [weatherData, zipCode]);
+  
   // Memoized handler for ZIP code submission
   const handleZipCodeSubmit = useCallback((newZipCode) => {
     setZipCode(newZipCode);
@@ -284,11 +401,27 @@ const App = () => {
     window.history.pushState({}, '', url);
   }, [setZipCode, fetchTripleCheck]);
   
+  // Memoized handler for opting in to device location
+  const handleEnableDeviceLocation = useCallback(() => {
+    enableDeviceLocation();
+    
+    // The forecast no longer follows the ZIP code in the URL
+    const url = new URL(window.location);
+    url.searchParams.delete('zip');
+    window.history.pushState({}, '', url);
+  }, [enableDeviceLocation]);
+  
   // Memoized handler for refreshing data
   const handleRefresh = useCallback(() => {
     refreshData();
   }, [refreshData]);
   
+  // Whether the multi-location comparison is shown
+  const [showLocationComparison, setShowLocationComparison] = useState(false);
+  
+  // Whether the app settings (units, export/import, ...) are shown
+  const [showSettings, setShowSettings] = useState(false);
+  
   // Check if we're in demo mode - now handled by the server
   const [isDemoMode, setIsDemoMode] = useState(false);
   
@@ -319,6 +452,27 @@ const App = () => {
             <ZipCodeInput
               onSubmit={handleZipCodeSubmit}
               recentZipCodes={recentZipCodes}
+              locationCandidates={locationCandidates}
+            />
+            <FavoritesSwitcher
+              favorites={favorites}
+              currentQuery={currentLocation.query}
+              currentName={currentLocation.name}
+              error={favoritesError}
+              onSelect={handleZipCodeSubmit}
+              onAdd={addFavorite}
+              onRemove={removeFavorite}
+              onRename={renameFavorite}
+              onTogglePin={togglePinnedFavorite}
+              onMove={moveFavorite}
+            />
+            <LocationSourceControl
+              locationSource={locationSource}
+              locationPreference={locationPreference}
+              locationNotice={locationNotice}
+              isLocating={isLocating}
+              onEnableDeviceLocation={handleEnableDeviceLocation}
+              onDisableDeviceLocation={disableDeviceLocation}
             />
           </div>
           
@@ -326,6 +480,7 @@ const App = () => {
             <RefreshButton
               onRefresh={handleRefresh}
               isLoading={isLoading}
+              isRefreshing={isRefreshing}
             />
           </div>
           
@@ -345,15 +500,54 @@ const App = () => {
                 weatherData={weatherData}
                 isLoading={isLoading}
                 error={error}
+                units={units}
               />
               
               <ComparisonView
                 weatherData={weatherData}
                 isLoading={isLoading}
                 error={error}
+                units={units}
               />
               
-              {/* Settings and Help Container removed */}
+              <div className="location-comparison-toggle">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setShowLocationComparison(!showLocationComparison)}
+                  aria-expanded={showLocationComparison ? "true" : "false"}
+                >
+                  {showLocationComparison ? 'Hide Location Comparison' : 'Compare Locations'}
+                </button>
+              </div>
+              
+              {showLocationComparison && (
+                <LocationComparison
+                  initialQuery={currentLocation.query}
+                  favorites={favorites}
+                  recentZipCodes={recentZipCodes}
+                  units={units}
+                />
+              )}
+              
+              <div className="app-settings-toggle">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setShowSettings(!showSettings)}
+                  aria-expanded={showSettings ? "true" : "false"}
+                >
+                  {showSettings ? 'Hide Settings' : 'Settings'}
+                </button>
+              </div>
+              
+              {showSettings && (
+                <AppSettings
+                  zipCode={zipCode}
+                  units={units}
+                  onUnitsChange={setUnits}
+                />
+              )}
               
             </div>
           </div>
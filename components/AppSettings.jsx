@@ -5,16 +5,42 @@
  * - Notification preferences
  * - "Add to Home Screen" functionality
  * - Offline mode settings
+ * - Units values are shown in (°F/°C, mph/km/h/m/s, in/mm, inHg/hPa)
+ * - Export/import of settings (favorites, ...) as a JSON file
  */
 
 // Simulate React hooks
 const { useState, useEffect, useCallback } = React;
 
+// Labels of the unit choices, per quantity of utils/units.js
+const UNIT_SETTING_LABELS = {
+  temperature: 'Temperature',
+  windSpeed: 'Wind speed',
+  precipitation: 'Precipitation',
+  pressure: 'Pressure'
+};
+
+const UNIT_LABELS = {
+  F: '°F',
+  C: '°C',
+  mph: 'mph',
+  'km/h': 'km/h',
+  'm/s': 'm/s',
+  in: 'in',
+  mm: 'mm',
+  inHg: 'inHg',
+  hPa: 'hPa'
+};
+
 /**
  * App Settings component
+ * @param {Object} props - Component props
+ * @param {string} props.zipCode - Current location, for test notifications
+ * @param {Object} props.units - Current unit preferences (from useWeather)
+ * @param {Function} props.onUnitsChange - Called with the new unit preferences
  * @returns {JSX.Element} - Rendered component
  */
-const AppSettings = memo(({ zipCode }) => {
+const AppSettings = memo(({ zipCode, units, onUnitsChange }) => {
   // State for notification permission
   const [notificationPermission, setNotificationPermission] = useState('default');
   
@@ -33,6 +59,9 @@ const AppSettings = memo(({ zipCode }) => {
     heat: true
   });
   
+  // Result message of the last settings import
+  const [importStatus, setImportStatus] = useState(null);
+  
   // Check notification permission on mount
   useEffect(() => {
     if (window.notificationManager && window.notificationManager.isNotificationSupported()) {
@@ -147,6 +176,27 @@ const AppSettings = memo(({ zipCode }) => {
     window.notificationManager.sendMockWeatherAlert(zipCode, randomType);
   }, [zipCode, notificationPreferences]);
   
+  // Change the unit of one quantity
+  const changeUnit = useCallback((quantity, unit) => {
+    onUnitsChange({ ...units, [quantity]: unit });
+  }, [units, onUnitsChange]);
+  
+  // Download all settings as a JSON file
+  const exportSettings = useCallback(() => {
+    if (!window.settingsManager) return;
+    window.settingsManager.downloadSettingsFile();
+  }, []);
+  
+  // Restore settings from a previously exported file
+  const importSettings = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file || !window.settingsManager) return;
+    
+    setImportStatus(await window.settingsManager.importSettingsFile(file));
+    // Allow importing the same file again
+    e.target.value = '';
+  }, []);
+  
   return (
     <div className="app-settings card" role="region" aria-labelledby="settings-heading">
       <h2 id="settings-heading">App Settings</h2>
@@ -265,6 +315,28 @@ const AppSettings = memo(({ zipCode }) => {
         )}
       </div>
       
+      {/* Units Section */}
+      {units && onUnitsChange && (
+        <div className="settings-section">
+          <h3>Units</h3>
+          <div className="unit-settings">
+            {Object.entries(window.units.UNIT_OPTIONS).map(([quantity, options]) => (
+              <label key={quantity} className="unit-setting">
+                {UNIT_SETTING_LABELS[quantity]}
+                <select
+                  value={units[quantity]}
+                  onChange={(e) => changeUnit(quantity, e.target.value)}
+                >
+                  {options.map(unit => (
+                    <option key={unit} value={unit}>{UNIT_LABELS[unit]}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+      
       {/* Offline Settings Section */}
       <div className="settings-section">
         <h3>Offline Access</h3>
@@ -275,6 +347,34 @@ const AppSettings = memo(({ zipCode }) => {
         
         {/* Removed cache controls section */}
       </div>
+      
+      {/* Export/Import Settings Section */}
+      {window.settingsManager && (
+        <div className="settings-section">
+          <h3>Export &amp; Import</h3>
+          <p>Save your favorites and preferences to a file, or restore them on another device.</p>
+          <button
+            className="btn btn-secondary"
+            onClick={exportSettings}
+            aria-label="Export settings to a file"
+          >
+            Export Settings
+          </button>
+          <label className="btn btn-secondary settings-import-label">
+            Import Settings
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={importSettings}
+              className="sr-only"
+              aria-label="Import settings from a file"
+            />
+          </label>
+          {importStatus && (
+            <p className="settings-import-status" role="status">{importStatus}</p>
+          )}
+        </div>
+      )}
     </div>
   );
 });
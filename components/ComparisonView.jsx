@@ -23,9 +23,10 @@ const { useState, useCallback, useMemo, memo, useEffect } = React;
  * @param {Array} props.weatherData - Array of weather data from different sources
  * @param {boolean} props.isLoading - Whether data is loading
  * @param {string} props.error - Error message if any
+ * @param {Object} props.units - Unit preferences values are shown in
  * @returns {JSX.Element} - Rendered component
  */
-const ComparisonView = memo(({ weatherData, isLoading, error }) => {
+const ComparisonView = memo(({ weatherData, isLoading, error, units }) => {
   // All state hooks must be called unconditionally and in the same order on every render
   const [activeTab, setActiveTab] = useState('current');
   const [displayMode, setDisplayMode] = useState('full'); // 'full', 'simplified', 'rain-focused'
@@ -64,6 +65,10 @@ const ComparisonView = memo(({ weatherData, isLoading, error }) => {
   // FIXED: Don't filter out services with errors or rate-limited services - we want to show all three services
   const validData = weatherData && Array.isArray(weatherData) ? weatherData : [];
   
+  // The consensus entry is derived from the providers, so it does not count as another
+  // source when deciding whether the sources agree or predict rain
+  const providerData = validData.filter(data => !data.isConsensus);
+  
   // Log rate-limited services for debugging
   validData.forEach(data => {
     if (data.rateLimited) {
@@ -78,9 +83,9 @@ const ComparisonView = memo(({ weatherData, isLoading, error }) => {
   
   // Memoized function to determine if any source predicts rain
   const hasRainPrediction = useCallback(() => {
-    if (validData.length === 0) return false;
+    if (providerData.length === 0) return false;
     
-    return validData.some(data => {
+    return providerData.some(data => {
       // Add safety checks for undefined properties
       if (!data ||
           (activeTab === 'current' && (!data.current || !data.current.precipitation)) ||
@@ -93,13 +98,13 @@ const ComparisonView = memo(({ weatherData, isLoading, error }) => {
         : (data.daily[0].precipitation.probability || 0);
       return precip >= 35; // Consider 35% or higher as a rain prediction
     });
-  }, [validData, activeTab]);
+  }, [providerData, activeTab]);
   
   // Memoized function to determine if there's agreement between sources
   const determineAgreement = useCallback((property, threshold = 5) => {
-    if (validData.length < 2) return { agrees: true, difference: 0, agreementLevel: 'high' };
+    if (providerData.length < 2) return { agrees: true, difference: 0, agreementLevel: 'high' };
     
-    const values = validData.map(data => {
+    const values = providerData.map(data => {
       // Add safety checks for undefined properties
       if (!data ||
           (activeTab === 'current' && (!data.current || data.current[property] === undefined)) ||
@@ -132,13 +137,13 @@ const ComparisonView = memo(({ weatherData, isLoading, error }) => {
       difference: difference,
       agreementLevel: agreementLevel
     };
-  }, [activeTab, validData]);
+  }, [activeTab, providerData]);
 
   // Memoized function to determine precipitation agreement
   const determinePrecipAgreement = useCallback((threshold = 20) => {
-    if (validData.length < 2) return { agrees: true, difference: 0, agreementLevel: 'high' };
+    if (providerData.length < 2) return { agrees: true, difference: 0, agreementLevel: 'high' };
     
-    const values = validData.map(data => {
+    const values = providerData.map(data => {
       // Add safety checks for undefined properties
       if (!data ||
           (activeTab === 'current' && (!data.current || !data.current.precipitation)) ||
@@ -171,7 +176,7 @@ const ComparisonView = memo(({ weatherData, isLoading, error }) => {
       difference: difference,
       agreementLevel: agreementLevel
     };
-  }, [activeTab, validData]);
+  }, [activeTab, providerData]);
 
   // Memoized function to get precipitation category
   const getPrecipCategory = useCallback((probability) => {
@@ -249,6 +254,7 @@ const ComparisonView = memo(({ weatherData, isLoading, error }) => {
     // Pass the error message to HourlyComparisonGrid
     return <HourlyComparisonGrid
       weatherData={weatherData}
+      units={units}
       error="Unable to fetch weather data from any source. Please try again."
     />;
   }
@@ -265,6 +271,7 @@ const ComparisonView = memo(({ weatherData, isLoading, error }) => {
       weatherData={weatherData}
       isLoading={isLoading}
       error={error}
+      units={units}
     />
   );
 });
@@ -0,0 +1,224 @@
+/**
+ * FavoritesSwitcher Component
+ *
+ * Header switcher for named favorite locations. Picking a favorite loads its
+ * forecast; the manage panel saves the current location, pins, reorders,
+ * renames or removes favorites, and exports or imports them as a settings file.
+ */
+
+// Simulate React hooks
+const { useState, useCallback, memo } = React;
+
+/**
+ * A favorite in the manage panel, with inline rename
+ */
+const FavoriteItem = memo(({ favorite, isFirst, isLast, onRename, onTogglePin, onMove, onRemove }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(favorite.name);
+  
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    onRename(favorite.id, name);
+    setIsEditing(false);
+  };
+  
+  const startEditing = () => {
+    setName(favorite.name);
+    setIsEditing(true);
+  };
+  
+  return (
+    <li className={`favorite-item ${favorite.pinned ? 'pinned' : ''}`}>
+      {isEditing ? (
+        <form onSubmit={handleRenameSubmit} className="favorite-rename-form">
+          <input
+            type="text"
+            className="form-input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={window.favoritesManager.MAX_FAVORITE_NAME_LENGTH}
+            aria-label={`New name for ${favorite.name}`}
+            autoFocus
+          />
+          <button type="submit">Save</button>
+          <button type="button" onClick={() => setIsEditing(false)}>Cancel</button>
+        </form>
+      ) : (
+        <span className="favorite-name" title={favorite.query}>{favorite.name}</span>
+      )}
+      {!isEditing && (
+        <span className="favorite-actions">
+          <button
+            type="button"
+            onClick={() => onTogglePin(favorite.id)}
+            aria-pressed={favorite.pinned ? 'true' : 'false'}
+            aria-label={favorite.pinned ? `Unpin ${favorite.name}` : `Pin ${favorite.name}`}
+            title={favorite.pinned ? 'Unpin' : 'Pin'}
+          >
+            📌
+          </button>
+          <button type="button" onClick={() => onMove(favorite.id, -1)} disabled={isFirst} aria-label={`Move ${favorite.name} up`}>↑</button>
+          <button type="button" onClick={() => onMove(favorite.id, 1)} disabled={isLast} aria-label={`Move ${favorite.name} down`}>↓</button>
+          <button type="button" onClick={startEditing} aria-label={`Rename ${favorite.name}`}>Rename</button>
+          <button type="button" onClick={() => onRemove(favorite.id)} aria-label={`Remove ${favorite.name}`}>✕</button>
+        </span>
+      )}
+    </li>
+  );
+});
+
+// Set display name for debugging
+FavoriteItem.displayName = 'FavoriteItem';
+
+/**
+ * Favorites switcher component
+ * @param {Object} props - Component props
+ * @param {Array} props.favorites - Favorites, pinned first
+ * @param {string|null} props.currentQuery - Location query of the forecast being shown
+ * @param {string|null} props.currentName - Display name of the forecast being shown
+ * @param {string|null} props.error - Error from the last favorites change
+ * @param {Function} props.onSelect - Called with a favorite's query to load it
+ * @returns {JSX.Element} - Rendered component
+ */
+const FavoritesSwitcher = memo(({
+  favorites = [],
+  currentQuery,
+  currentName,
+  error,
+  onSelect,
+  onAdd,
+  onRemove,
+  onRename,
+  onTogglePin,
+  onMove
+}) => {
+  const [showManage, setShowManage] = useState(false);
+  const [newName, setNewName] = useState('');
+  // Result message of the last settings import
+  const [importStatus, setImportStatus] = useState(null);
+  
+  const currentFavorite = favorites.find(favorite =>
+    currentQuery && favorite.query.toLowerCase() === currentQuery.toLowerCase());
+  
+  const handleSelectChange = useCallback((e) => {
+    const favorite = favorites.find(item => item.id === e.target.value);
+    if (favorite) {
+      onSelect(favorite.query);
+    }
+  }, [favorites, onSelect]);
+  
+  const handleAddSubmit = (e) => {
+    e.preventDefault();
+    onAdd(newName || currentName || currentQuery, currentQuery);
+    setNewName('');
+  };
+  
+  // Restore favorites (and the other settings) from an exported file
+  const handleImportChange = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    
+    setImportStatus(await window.settingsManager.importSettingsFile(file));
+    // Allow importing the same file again
+    e.target.value = '';
+  }, []);
+  
+  return (
+    <div className="favorites-switcher" role="region" aria-label="Favorite locations">
+      {favorites.length > 0 && (
+        <select
+          className="favorites-select"
+          value={currentFavorite ? currentFavorite.id : ''}
+          onChange={handleSelectChange}
+          aria-label="Switch to a favorite location"
+        >
+          <option value="" disabled>★ Favorites</option>
+          {favorites.map(favorite => (
+            <option key={favorite.id} value={favorite.id}>
+              {favorite.pinned ? '📌 ' : ''}{favorite.name}
+            </option>
+          ))}
+        </select>
+      )}
+      <button
+        type="button"
+        className="btn btn-secondary"
+        onClick={() => setShowManage(!showManage)}
+        aria-expanded={showManage ? 'true' : 'false'}
+      >
+        {favorites.length > 0 ? 'Manage' : '☆ Favorites'}
+      </button>
+      
+      {showManage && (
+        <div className="recent-zip-codes favorites-panel">
+          {currentQuery && !currentFavorite && (
+            <form onSubmit={handleAddSubmit} className="favorite-add-form">
+              <h4>Save current location</h4>
+              <input
+                type="text"
+                className="form-input"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder={currentName || 'Name, e.g. Home'}
+                maxLength={window.favoritesManager.MAX_FAVORITE_NAME_LENGTH}
+                aria-label="Favorite name"
+              />
+              <button type="submit">☆ Save</button>
+            </form>
+          )}
+          {error && <div className="form-error" role="alert">{error}</div>}
+          <h4>Favorites</h4>
+          {favorites.length === 0 ? (
+            <p className="favorites-empty">No favorites yet.</p>
+          ) : (
+            <ul>
+              {favorites.map((favorite, index) => (
+                <FavoriteItem
+                  key={favorite.id}
+                  favorite={favorite}
+                  isFirst={index === 0 || favorites[index - 1].pinned !== favorite.pinned}
+                  isLast={index === favorites.length - 1 || favorites[index + 1].pinned !== favorite.pinned}
+                  onRename={onRename}
+                  onTogglePin={onTogglePin}
+                  onMove={onMove}
+                  onRemove={onRemove}
+                />
+              ))}
+            </ul>
+          )}
+          {window.settingsManager && (
+            <div className="favorites-transfer">
+              <button
+                type="button"
+                onClick={window.settingsManager.downloadSettingsFile}
+                disabled={favorites.length === 0}
+                aria-label="Export favorites and settings to a file"
+              >
+                Export
+              </button>
+              <label className="settings-import-label">
+                Import
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportChange}
+                  className="sr-only"
+                  aria-label="Import favorites and settings from a file"
+                />
+              </label>
+              {importStatus && (
+                <p className="settings-import-status" role="status">{importStatus}</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Set display name for debugging
+FavoritesSwitcher.displayName = 'FavoritesSwitcher';
+
+// Export the component
+window.FavoritesSwitcher = FavoritesSwitcher;
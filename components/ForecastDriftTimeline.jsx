@@ -0,0 +1,100 @@
+/**
+ * ForecastDriftTimeline Component
+ *
+ * Shows, for one hour of the grid, what each provider forecast for it at every
+ * refresh: one line per distinct forecast with the time it was first and last
+ * seen, so a rain bar that moved or vanished can be traced back.
+ */
+
+// Simulate React hooks
+const { memo } = React;
+
+/**
+ * Format a refresh time as "Sat 3:15 PM"
+ */
+function formatRefreshTime(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Describe one forecast of the timeline in the preferred units
+ */
+function describeForecast(entry, units) {
+  const parts = [
+    typeof entry.precipitation === 'number' ?
+      `${window.helpers.formatPrecipitation(entry.precipitation, units.precipitation)} ${units.precipitation}` :
+      'no amount',
+    typeof entry.probability === 'number' ? `${entry.probability}%` : null,
+    window.helpers.formatTemperature(entry.temperature, units.temperature)
+  ];
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Forecast drift timeline component
+ * @param {Object} props - Component props
+ * @param {Object} props.drift - Drift summary from the verification API
+ * @param {number} props.timestamp - Start of the hour to show
+ * @param {Function} props.onClose - Called to close the timeline
+ * @param {Object} props.units - Unit preferences values are shown in
+ * @returns {JSX.Element} - Rendered component
+ */
+const ForecastDriftTimeline = memo(({ drift, timestamp, onClose, units = window.units.DEFAULT_UNITS }) => {
+  const hourLabel = new Date(timestamp).toLocaleString('en-US', { weekday: 'long', hour: 'numeric' });
+  
+  const providers = Object.entries(drift.providers)
+    .map(([source, provider]) => ({ source, hour: provider.hours[timestamp] }))
+    .filter(({ hour }) => hour);
+  
+  return (
+    <div className="forecast-drift-timeline" role="region" aria-label={`Forecast history for ${hourLabel}`}>
+      <div className="forecast-drift-header">
+        <h4>Forecast history for {hourLabel}</h4>
+        <button type="button" className="forecast-drift-close" onClick={onClose} aria-label="Close forecast history">
+          ✕
+        </button>
+      </div>
+      
+      {providers.length === 0 ? (
+        <p className="forecast-drift-empty">No refreshes have been recorded for this hour yet.</p>
+      ) : (
+        <ul className="forecast-drift-providers">
+          {providers.map(({ source, hour }) => (
+            <li key={source} className="forecast-drift-provider">
+              <strong>
+                {window.serviceNameMapper ? window.serviceNameMapper.getServiceDisplayName(source) : source}
+              </strong>
+              {hour.flips > 0 && (
+                <span className="forecast-drift-flips">
+                  {' '}rain call changed {hour.flips} time{hour.flips === 1 ? '' : 's'}
+                </span>
+              )}
+              <ol className="forecast-drift-entries">
+                {hour.timeline.map(entry => {
+                  const isWet = typeof entry.precipitation === 'number' &&
+                    entry.precipitation >= window.consensus.WET_HOUR_THRESHOLD_MM;
+                  
+                  return (
+                    <li key={entry.from} className={`forecast-drift-entry ${isWet ? 'wet' : 'dry'}`}>
+                      <span className="forecast-drift-time">
+                        {formatRefreshTime(entry.from)}
+                        {entry.lastSeen !== entry.from && ` – ${formatRefreshTime(entry.lastSeen)}`}
+                      </span>
+                      <span className="forecast-drift-value">{describeForecast(entry, units)}</span>
+                    </li>
+                  );
+                })}
+              </ol>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+// Set display name for debugging
+ForecastDriftTimeline.displayName = 'ForecastDriftTimeline';
+
+// Export the component
+window.ForecastDriftTimeline = ForecastDriftTimeline;
@@ -28,6 +28,11 @@
  * - Tooltip system for detailed precipitation information
  * - Smart Display Logic for dry vs. rainy days
  * - Service indicators for each weather source
+ * - Optional agreement strip per day showing hour-by-hour provider disagreement and the outlier
+ * - Forecast history of any hour (click a segment) and a flip-flop indicator for providers
+ *   whose forecast keeps changing between refreshes
+ * - Temperatures and amounts shown in the user's preferred units
+ * - Warning indicator for sources whose data does not match the forecast schema (dataQuality)
  * - Responsive design for all device sizes
  * - Borderless design with consistent spacing
  */
@@ -35,15 +40,408 @@
 // Simulate React hooks
 const { useState, useCallback, useMemo, memo, useEffect } = React;
 
+/**
+ * Pick a source's hourly entries for one calendar day (local time), indexed by hour
+ * @param {Array} hourly - Hourly forecast of one source
+ * @param {Date|string|number} date - Any time on the wanted day
+ * @returns {Object} - { hourly: 24 entries (null where the source has no data), hoursAvailable }
+ */
+function getHoursForDate(hourly, date) {
+  // Get the selected day's date at midnight
+  const selectedDate = new Date(date);
+  selectedDate.setHours(0, 0, 0, 0);
+  
+  const hourlyData = Array(24).fill(null);
+  let hoursAvailable = 0;
+  
+  (hourly || []).forEach(hour => {
+    if (!hour || !hour.timestamp) return;
+    
+    const hourDate = new Date(hour.timestamp);
+    const hourDay = new Date(hourDate);
+    hourDay.setHours(0, 0, 0, 0);
+    
+    if (hourDay.getTime() === selectedDate.getTime()) {
+      hourlyData[hourDate.getHours()] = hour;
+      hoursAvailable++;
+    }
+  });
+  
+  return { hourly: hourlyData, hoursAvailable };
+}
+
+/**
+ * Summarize the agreement of the consensus source over one day
+ * @param {Array} hourly - 24 consensus hour entries (null for hours without data)
+ * @returns {Object|null} - { confidence, confidenceLevel, temperatureSpread }, or null without data
+ */
+function getConsensusSummary(hourly) {
+  const hours = hourly.filter(hour => hour && typeof hour.confidence === 'number');
+  if (hours.length === 0) {
+    return null;
+  }
+  
+  const confidence = Math.round(hours.reduce((sum, hour) => sum + hour.confidence, 0) / hours.length);
+  const temperatureSpreads = hours
+    .map(hour => hour.spread?.temperature)
+    .filter(spread => typeof spread === 'number');
+  
+  return {
+    confidence,
+    confidenceLevel: window.consensus ? window.consensus.getConfidenceLevel(confidence) : null,
+    temperatureSpread: temperatureSpreads.length > 0 ? Math.max(...temperatureSpreads) : null
+  };
+}
+
+/**
+ * Segmented precipitation bar for one source and one day: 24 hour segments
+ * colored by precipitation amount, with rounded ends on each rainy stretch
+ * @param {Object} props - Component props
+ * @param {Array} props.hourly - 24 hour entries (null for hours without data)
+ * @param {string} props.label - Label used in debug logging
+ * @param {Function} props.onHourClick - Optional, called with the hour (0-23) of a clicked segment
+ * @param {Object} props.units - Unit preferences; amounts in tooltips use the precipitation unit
+ * @returns {JSX.Element} - Rendered bar
+ */
+const PrecipitationBar = memo(({ hourly, label, onHourClick, units = window.units.DEFAULT_UNITS }) => {
+  // Debug: Log what we're trying to render
+  const precipData = hourly?.map(h => {
+    if (!h) return null;
+    // Handle nested precipitation object
+    if (h.precipitation && typeof h.precipitation === 'object') {
+      return h.precipitation.amount;
+    }
+    return h.precipitation;
+  }) || [];
+  console.log(`[DEBUG] Rendering precipitation for ${label}:`, JSON.stringify({
+    hasHourly: !!hourly,
+    hourCount: hourly?.length || 0,
+    precipitationArray: precipData,
+    nonNullCount: precipData.filter(p => p !== null).length,
+    hasAnyPrecip: precipData.some(p => p > 0),
+    maxPrecip: Math.max(...precipData.filter(p => p !== null && p !== undefined)),
+    hoursLength: hourly?.length,
+    isArray: Array.isArray(hourly),
+    firstHour: hourly?.[0],
+    firstHourPrecip: hourly?.[0]?.precipitation
+  }, null, 2));
+  
+  // Check if we have valid hours data
+  if (!hourly || !Array.isArray(hourly) || hourly.length < 24) {
+    console.log(`[DEBUG] No valid hours data for ${label}`);
+    return <div className="precipitation-bar-container"><div className="no-data">—</div></div>;
+  }
+  
+  // Check if precipitationVisualizer is available
+  if (!window.precipitationVisualizer || !window.precipitationVisualizer.getPrecipitationColor) {
+    return <div className="no-data">Loading...</div>;
+  }
+  
+  // Render precipitation bars inline using JSX
+  return (
+    <div className="precipitation-bar-container segmented" style={{
+      display: 'flex',
+      width: '100%',
+      height: '20px',
+      alignItems: 'center',
+      position: 'relative',
+      minWidth: '100%'
+    }}>
+      {Array.from({ length: 24 }, (_, hourIndex) => {
+        const hour = hourly[hourIndex];
+        
+        // Handle missing hour data
+        if (!hour) {
+          return (
+            <div
+              key={`hour-segment-${hourIndex}`}
+              className="precipitation-hour-segment no-data"
+              data-hour={hourIndex}
+              style={{
+                backgroundColor: '#f0f0f0',
+                flex: '1',
+                height: '16px',
+                opacity: 0.3
+              }}
+              aria-label={`Hour ${hourIndex}: No data available`}
+            />
+          );
+        }
+        
+        // Extract precipitation data with proper null checks
+        const precipAmount = hour.precipitation?.amount;
+        const precipUnit = hour.precipitation?.unit || 'mm';
+        const weatherCondition = hour.weatherCondition;
+        
+        // Convert to mm for consistent threshold checking
+        let amountInMm = precipAmount;
+        if (precipUnit === 'inches' && precipAmount !== null && precipAmount !== undefined) {
+          amountInMm = precipAmount * 25.4;
+        }
+        const hasPrecipitation = precipAmount !== null && precipAmount !== undefined && amountInMm >= 0.1;
+        
+        // Get the background color for this hour based on precipitation amount
+        const backgroundColor = hasPrecipitation ?
+          window.precipitationVisualizer.getPrecipitationColor(precipAmount, precipUnit) :
+          'transparent';
+        
+        // Check for thunderstorms for special styling
+        const hasThunderstorm = weatherCondition && weatherCondition.toLowerCase().includes('thunder');
+        
+        // Determine border radius based on neighboring hours
+        const prevHour = hourIndex > 0 ? hourly[hourIndex - 1] : null;
+        const nextHour = hourIndex < 23 ? hourly[hourIndex + 1] : null;
+        
+        // Proper checking of previous hour precipitation with unit conversion
+        let prevHasPrecip = false;
+        if (prevHour?.precipitation?.amount !== null && prevHour?.precipitation?.amount !== undefined) {
+          let prevAmountInMm = prevHour.precipitation.amount;
+          if (prevHour.precipitation.unit === 'inches') {
+            prevAmountInMm = prevHour.precipitation.amount * 25.4;
+          }
+          prevHasPrecip = prevAmountInMm >= 0.1;
+        }
+        
+        // Proper checking of next hour precipitation with unit conversion
+        let nextHasPrecip = false;
+        if (nextHour?.precipitation?.amount !== null && nextHour?.precipitation?.amount !== undefined) {
+          let nextAmountInMm = nextHour.precipitation.amount;
+          if (nextHour.precipitation.unit === 'inches') {
+            nextAmountInMm = nextHour.precipitation.amount * 25.4;
+          }
+          nextHasPrecip = nextAmountInMm >= 0.1;
+        }
+        
+        // Apply border radius based on precipitation pattern
+        let borderRadius = {};
+        if (hasPrecipitation) {
+          if (!prevHasPrecip && nextHasPrecip) {
+            // First hour with precipitation
+            borderRadius = {
+              borderTopLeftRadius: '8px',
+              borderBottomLeftRadius: '8px'
+            };
+          } else if (prevHasPrecip && !nextHasPrecip) {
+            // Last hour with precipitation
+            borderRadius = {
+              borderTopRightRadius: '8px',
+              borderBottomRightRadius: '8px'
+            };
+          } else if (!prevHasPrecip && !nextHasPrecip) {
+            // Isolated hour with precipitation
+            borderRadius = {
+              borderRadius: '8px'
+            };
+          }
+        }
+        
+        // Generate tooltip content with detailed precipitation information
+        const tooltipContent = window.precipitationVisualizer.generatePrecipitationTooltip(hour, hourIndex, units.precipitation);
+        
+        // Check if this hour should have a tooltip
+        const visualInfo = window.precipitationVisualizer.getPrecipitationVisualization(
+          precipAmount, 
+          hour?.weatherCondition || '', 
+          precipUnit
+        );
+        const shouldShowTooltip = hasPrecipitation || visualInfo.showVisualization;
+        
+        // DEBUG: Log tooltip decision for 0.0mm cases
+        if (precipAmount === 0 || (precipAmount !== null && precipAmount !== undefined && amountInMm < 0.1)) {
+          console.log(`DEBUG Tooltip Decision - Hour ${hourIndex}:`, {
+            precipAmount,
+            amountInMm,
+            hasPrecipitation,
+            showVisualization: visualInfo.showVisualization,
+            shouldShowTooltip,
+            tooltipContent: tooltipContent.substring(0, 50) + '...'
+          });
+        }
+        
+        // Properly structured hour segment with consistent styling and conditional tooltip
+        return (
+          <div
+            key={`hour-segment-${hourIndex}`}
+            className="precipitation-hour-segment"
+            data-hour={hourIndex}
+            data-precipitation={precipAmount || 0}
+            data-has-precipitation={hasPrecipitation}
+            aria-label={`Hour ${hourIndex}: ${hasPrecipitation ? `${window.helpers.formatPrecipitation(amountInMm, units.precipitation)} ${units.precipitation} precipitation` : 'No precipitation'}`}
+            {...(shouldShowTooltip ? { 'data-tooltip': tooltipContent } : {})}
+            {...(onHourClick ? {
+              role: 'button',
+              tabIndex: 0,
+              onClick: () => onHourClick(hourIndex),
+              onKeyDown: (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  onHourClick(hourIndex);
+                }
+              }
+            } : {})}
+            style={{
+              backgroundColor: backgroundColor,
+              flex: '1 1 auto',
+              height: '20px',
+              border: hasThunderstorm ? '2px solid #ffcc00' : '1px solid rgba(0, 0, 0, 0.3)',
+              boxSizing: 'border-box',
+              minWidth: 'calc(100% / 24)',
+              ...borderRadius
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+});
+
+// Set display name for debugging
+PrecipitationBar.displayName = 'PrecipitationBar';
+
+// Labels of the disagreement levels from utils/consensus.js
+const DISAGREEMENT_LABELS = {
+  none: 'Sources agree',
+  low: 'Slight disagreement',
+  medium: 'Sources disagree',
+  high: 'Strong disagreement'
+};
+
+/**
+ * Format an hour of the day as "3 pm"
+ */
+function formatHourLabel(hourIndex) {
+  const hour = hourIndex % 12 === 0 ? 12 : hourIndex % 12;
+  return `${hour} ${hourIndex < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * Tooltip text for one hour of the agreement strip
+ * @param {number} hourIndex - Hour of the day (0-23)
+ * @param {Object} disagreement - Result of consensus.getHourDisagreement
+ * @param {Object} units - Unit preferences values are shown in
+ * @returns {string} - Multi-line tooltip text
+ */
+function describeDisagreement(hourIndex, disagreement, units) {
+  const displayName = (source) => (window.serviceNameMapper ?
+    window.serviceNameMapper.getServiceDisplayName(source) :
+    source);
+  const formatAmount = (amount) => (typeof amount === 'number' ?
+    `${window.helpers.formatPrecipitation(amount, units.precipitation)} ${units.precipitation}` :
+    'n/a');
+  const formatTemperature = (temperature) => window.helpers.formatTemperature(temperature, units.temperature);
+  
+  const lines = [`${formatHourLabel(hourIndex)}: ${DISAGREEMENT_LABELS[disagreement.level]}`];
+  if (disagreement.wetCount + disagreement.dryCount > 0) {
+    lines.push(`Rain expected by ${disagreement.wetCount} of ${disagreement.wetCount + disagreement.dryCount} sources` +
+      (disagreement.wetCount > 0 ? ` (spread ${formatAmount(disagreement.amountSpread)})` : ''));
+  }
+  if (disagreement.temperatureSpread !== null) {
+    lines.push(`Temperature spread ${window.helpers.formatTemperatureDifference(disagreement.temperatureSpread, units.temperature)}`);
+  }
+  
+  const { outlier } = disagreement;
+  if (outlier) {
+    lines.push(`Outlier: ${displayName(outlier.source)} ` +
+      `(${formatAmount(outlier.amount)}, ${formatTemperature(outlier.temperature)}; ` +
+      `median ${formatAmount(outlier.medianAmount)}, ${formatTemperature(outlier.medianTemperature)})`);
+  } else if (disagreement.level !== 'none') {
+    lines.push('No single outlier: the sources are split');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Heat strip showing, hour by hour, how much the providers disagree about rain and
+ * temperature; hovering an hour names the outlier provider
+ * @param {Object} props - Component props
+ * @param {Array} props.sources - Day rows from getHourlyDataForDay (24 hourly entries per source)
+ * @param {Object} props.units - Unit preferences values are shown in
+ * @returns {JSX.Element} - Rendered strip
+ */
+const AgreementStrip = memo(({ sources, units = window.units.DEFAULT_UNITS }) => {
+  // The consensus row is derived from the providers, so it is not compared with them
+  const providers = sources.filter(source => !source.isConsensus && !source.isError && source.hourly);
+  
+  return (
+    <div className="agreement-strip" role="img" aria-label="Hourly agreement between weather sources">
+      {Array.from({ length: 24 }, (_, hourIndex) => {
+        const disagreement = window.consensus.getHourDisagreement(
+          providers.map(source => ({ source: source.source, hour: source.hourly[hourIndex] }))
+        );
+        
+        if (!disagreement) {
+          return <div key={hourIndex} className="agreement-hour-segment agreement-unknown" />;
+        }
+        
+        const tooltip = describeDisagreement(hourIndex, disagreement, units);
+        return (
+          <div
+            key={hourIndex}
+            className={`agreement-hour-segment agreement-${disagreement.level}`}
+            data-tooltip={tooltip}
+            aria-label={tooltip.replace(/\n/g, '. ')}
+            tabIndex={disagreement.level === 'none' ? undefined : 0}
+          />
+        );
+      })}
+    </div>
+  );
+});
+
+// Set display name for debugging
+AgreementStrip.displayName = 'AgreementStrip';
+
+/**
+ * Header row of an hourly grid: a label cell followed by 24 hour columns
+ * (only even hours are labelled, odd columns are kept for alignment)
+ * @param {Object} props - Component props
+ * @param {string} props.label - Text of the first header cell
+ * @returns {JSX.Element} - Rendered row
+ */
+const HourlyTimeHeaderRow = memo(({ label = 'Source' }) => (
+  <tr className="hourly-row header-row">
+    <th className="hourly-cell source-cell">{label}</th>
+    {Array.from({ length: 24 }, (_, i) => (
+      <th key={i} className="hourly-cell time-cell">
+        <div style={{lineHeight: '1.1'}}>
+          {/* Hide odd-numbered hours but keep columns */}
+          {i % 2 === 0 ? (
+            <>
+              <div>{i === 0 ? '12' : i <= 12 ? i : i-12}</div>
+              <div style={{fontSize: '0.6rem'}}>{i < 12 ? 'am' : 'pm'}</div>
+            </>
+          ) : (
+            <div style={{visibility: 'hidden'}}>
+              <div>{i === 0 ? '12' : i <= 12 ? i : i-12}</div>
+              <div style={{fontSize: '0.6rem'}}>{i < 12 ? 'am' : 'pm'}</div>
+            </div>
+          )}
+        </div>
+      </th>
+    ))}
+  </tr>
+));
+
+// Set display name for debugging
+HourlyTimeHeaderRow.displayName = 'HourlyTimeHeaderRow';
+
 /**
  * Multi-Day Hourly Comparison Grid component
  * @param {Object} props - Component props
  * @param {Array} props.weatherData - Array of weather data from different sources
  * @param {boolean} props.isLoading - Whether data is loading
  * @param {string} props.error - Error message if any
+ * @param {Object} props.units - Unit preferences values are shown in
  * @returns {JSX.Element} - Rendered component
  */
-const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
+const HourlyComparisonGrid = memo(({ weatherData, isLoading, error, units = window.units.DEFAULT_UNITS }) => {
+  
+  // Optional per-hour agreement strip above each day's provider rows
+  const [showAgreement, setShowAgreement] = useState(false);
+  
+  // Hour whose forecast history is shown: { dayIndex, hourIndex }
+  const [selectedHour, setSelectedHour] = useState(null);
   
   // Process data safely - must be done before any hooks that depend on it
   const validData = weatherData && Array.isArray(weatherData) ? weatherData : [];
@@ -58,6 +456,9 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
   const location = nonErrorData.length > 0 ? nonErrorData[0]?.location :
                   (validData.length > 0 ? validData[0]?.location : null);
   
+  // How each provider's forecast changed between refreshes, reloaded with every refresh
+  const { drift } = window.useForecastDrift(location?.query || null, nonErrorData[0]?.lastUpdated);
+  
   // Generate an array of available days with weather data
   const availableDays = useMemo(() => {
     const result = [];
@@ -120,7 +521,7 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
     
     // Get high temperature
     const highTemp = dayData.temperatureMax !== undefined 
-      ? window.helpers.formatTemperature(dayData.temperatureMax)
+      ? window.helpers.formatTemperature(dayData.temperatureMax, units.temperature)
       : 'N/A';
     
     // Get weather icon from dayData.icon
@@ -144,7 +545,7 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
     });
     
     return { highTemp, weatherIcon, longDescription };
-  }, [validData]);
+  }, [validData, units]);
   
   // Render weather icon using Unicode symbols
   const renderWeatherIcon = useCallback((weatherIcon) => {
@@ -265,73 +666,54 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
         return;
       }
       
+      // The consensus needs at least two sources with data
+      if (source.isConsensus && source.isError) {
+        result.push({
+          source: source.source,
+          hours: [],
+          isConsensus: true,
+          isError: true,
+          errorMessage: source.errorMessage
+        });
+        return;
+      }
+      
       // Skip if no hourly data
       if (!source.hourly || !Array.isArray(source.hourly)) {
         result.push({
           source: source.source,
-          hours: []
+          hours: [],
+          dataQuality: source.dataQuality
         });
         return;
       }
       
-      // Get the selected day's date at midnight
-      const selectedDate = new Date(availableDays[dayIndex].date);
-      selectedDate.setHours(0, 0, 0, 0);
-      
-      // Filter hourly data for the selected day
-      const hoursForDay = source.hourly.filter(hour => {
-        if (!hour || !hour.timestamp) return false;
-        
-        const hourDate = new Date(hour.timestamp);
-        const hourDay = new Date(hourDate);
-        hourDay.setHours(0, 0, 0, 0);
-        
-        return hourDay.getTime() === selectedDate.getTime();
-      });
+      // Group the selected day's hourly data by hour (0-23)
+      const { hourly: hourlyData, hoursAvailable } = getHoursForDate(source.hourly, availableDays[dayIndex].date);
       
       // Special handling for Google Weather API which may not have all 24 hours
-      if (source.source === 'GoogleWeather' && hoursForDay.length > 0 && hoursForDay.length < 24) {
-        console.log(`Google Weather API has ${hoursForDay.length} hours for day ${dayIndex}`);
-        
-        // Create an array with the available hours (may not be all 24)
-        const hourlyData = Array(24).fill(null);
-        
-        hoursForDay.forEach(hour => {
-          if (!hour || !hour.timestamp) return;
-          
-          const hourDate = new Date(hour.timestamp);
-          const hourIndex = hourDate.getHours();
-          hourlyData[hourIndex] = hour;
-        });
+      if (source.source === 'GoogleWeather' && hoursAvailable > 0 && hoursAvailable < 24) {
+        console.log(`Google Weather API has ${hoursAvailable} hours for day ${dayIndex}`);
         
         // Add a note about limited data
         result.push({
           source: source.source,
           hourly: hourlyData,
           limitedData: true,
-          hoursAvailable: hoursForDay.length
+          hoursAvailable,
+          dataQuality: source.dataQuality
         });
         return;
       }
       
-      // Standard handling for other sources
-      // Group by hour (0-23)
-      const hourlyData = Array(24).fill(null);
-      
-      hoursForDay.forEach(hour => {
-        if (!hour || !hour.timestamp) return;
-        
-        const hourDate = new Date(hour.timestamp);
-        const hourIndex = hourDate.getHours();
-        hourlyData[hourIndex] = hour;
-      });
-      
       // Log for debugging
-      console.log(`Source ${source.source} has ${hoursForDay.length} hours for day ${dayIndex}`);
+      console.log(`Source ${source.source} has ${hoursAvailable} hours for day ${dayIndex}`);
       
       result.push({
         source: source.source,
-        hourly: hourlyData
+        hourly: hourlyData,
+        dataQuality: source.dataQuality,
+        ...(source.isConsensus ? { isConsensus: true, consensus: getConsensusSummary(hourlyData) } : {})
       });
       
       // Debug: Log the hourly data structure
@@ -415,35 +797,25 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
           <table className="hourly-grid">
             {/* Time header row */}
             <thead>
-              <tr className="hourly-row header-row">
-                <th className="hourly-cell source-cell">Source</th>
-                {Array.from({ length: 24 }, (_, i) => (
-                  <th key={i} className="hourly-cell time-cell">
-                    <div style={{lineHeight: '1.1'}}>
-                      {/* Hide odd-numbered hours but keep columns */}
-                      {i % 2 === 0 ? (
-                        <>
-                          <div>{i === 0 ? '12' : i <= 12 ? i : i-12}</div>
-                          <div style={{fontSize: '0.6rem'}}>{i < 12 ? 'am' : 'pm'}</div>
-                        </>
-                      ) : (
-                        <div style={{visibility: 'hidden'}}>
-                          <div>{i === 0 ? '12' : i <= 12 ? i : i-12}</div>
-                          <div style={{fontSize: '0.6rem'}}>{i < 12 ? 'am' : 'pm'}</div>
-                        </div>
-                      )}
-                    </div>
-                  </th>
-                ))}
-              </tr>
+              <HourlyTimeHeaderRow />
             </thead>
             
             {/* Data rows for each source */}
             <tbody>
+              {showAgreement && (
+                <tr className="hourly-row agreement-row">
+                  <th className="hourly-cell source-cell">
+                    <span className="service-name-text">Agreement</span>
+                  </th>
+                  <td className="hourly-cell data-cell agreement-cell" colSpan="24">
+                    <AgreementStrip sources={hourlyData} units={units} />
+                  </td>
+                </tr>
+              )}
               {hourlyData.map((sourceData, sourceIndex) => (
                 <React.Fragment key={sourceIndex}>
                   {/* Combined row with service name and precipitation bars */}
-                  <tr className="hourly-row data-row precipitation-row">
+                  <tr className={`hourly-row data-row precipitation-row ${sourceData.isConsensus ? 'consensus-row' : ''}`}>
                     <th className="hourly-cell source-cell">
                       <div className="service-cell-content">
                         {renderServiceIndicator(sourceData.source)}
@@ -462,6 +834,36 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
                               sourceData.source
                           )}
                           {sourceData.rateLimited && <small style={{color: '#e74c3c', marginLeft: '5px'}}>(Rate Limited)</small>}
+                          {drift?.providers[sourceData.source]?.isFlipFlopping && (
+                            <span
+                              className="flip-flop-indicator"
+                              title={`Forecast keeps changing: the rain call flipped back and forth for ` +
+                                `${drift.providers[sourceData.source].flipFlopHours} upcoming hours`}
+                              aria-label="Forecast keeps changing"
+                            >
+                              ⇅
+                            </span>
+                          )}
+                          {sourceData.dataQuality && !sourceData.dataQuality.valid && (
+                            <span
+                              className="data-quality-indicator"
+                              title={`Some of this forecast does not match the expected format: ` +
+                                window.forecastSchema.describeDataQuality(sourceData.dataQuality)}
+                              aria-label="Forecast data has problems"
+                            >
+                              ⚠
+                            </span>
+                          )}
+                          {sourceData.consensus && (
+                            <small
+                              className={`consensus-confidence confidence-${sourceData.consensus.confidenceLevel}`}
+                              title={`Confidence ${sourceData.consensus.confidence}%` +
+                                (sourceData.consensus.temperatureSpread !== null ?
+                                  `, temperature spread up to ${window.helpers.formatTemperatureDifference(sourceData.consensus.temperatureSpread, units.temperature)}` : '')}
+                            >
+                              {sourceData.consensus.confidence}%
+                            </small>
+                          )}
                         </span>
                       </div>
                     </th>
@@ -475,191 +877,21 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
                     ) : sourceData.hourly && sourceData.hourly.length > 0 ? (
                       // Precipitation bar cell
                       <td className="hourly-cell data-cell bar-chart-cell" colSpan="24">
-                        {(() => {
-                          // Debug: Log what we're trying to render
-                          const precipData = sourceData.hourly?.map(h => {
-                            if (!h) return null;
-                            // Handle nested precipitation object
-                            if (h.precipitation && typeof h.precipitation === 'object') {
-                              return h.precipitation.amount;
-                            }
-                            return h.precipitation;
-                          }) || [];
-                          console.log(`[DEBUG] Rendering precipitation for ${sourceData.source} day ${dayIndex}:`, JSON.stringify({
-                            hasHourly: !!sourceData.hourly,
-                            hourCount: sourceData.hourly?.length || 0,
-                            precipitationArray: precipData,
-                            nonNullCount: precipData.filter(p => p !== null).length,
-                            hasAnyPrecip: precipData.some(p => p > 0),
-                            maxPrecip: Math.max(...precipData.filter(p => p !== null && p !== undefined)),
-                            hoursLength: sourceData.hourly?.length,
-                            isArray: Array.isArray(sourceData.hourly),
-                            firstHour: sourceData.hourly?.[0],
-                            firstHourPrecip: sourceData.hourly?.[0]?.precipitation
-                          }, null, 2));
-                          
-                          // Check if we have valid hours data
-                          if (!sourceData.hourly || !Array.isArray(sourceData.hourly) || sourceData.hourly.length < 24) {
-                            console.log(`[DEBUG] No valid hours data for ${sourceData.source} day ${dayIndex}`);
-                            return <div className="precipitation-bar-container"><div className="no-data">—</div></div>;
-                          }
-                          
-                          // Check if precipitationVisualizer is available
-                          if (!window.precipitationVisualizer || !window.precipitationVisualizer.getPrecipitationColor) {
-                            return <div className="no-data">Loading...</div>;
-                          }
-                          
-                          // Render precipitation bars inline using JSX
-                          return (
-                            <div className="precipitation-bar-container segmented" style={{
-                              display: 'flex',
-                              width: '100%',
-                              height: '20px',
-                              alignItems: 'center',
-                              position: 'relative',
-                              minWidth: '100%'
-                            }}>
-                              {Array.from({ length: 24 }, (_, hourIndex) => {
-                                const hour = sourceData.hourly[hourIndex];
-                                
-                                // Handle missing hour data
-                                if (!hour) {
-                                  return (
-                                    <div
-                                      key={`hour-segment-${hourIndex}`}
-                                      className="precipitation-hour-segment no-data"
-                                      data-hour={hourIndex}
-                                      style={{
-                                        backgroundColor: '#f0f0f0',
-                                        flex: '1',
-                                        height: '16px',
-                                        opacity: 0.3
-                                      }}
-                                      aria-label={`Hour ${hourIndex}: No data available`}
-                                    />
-                                  );
-                                }
-                                
-                                // Extract precipitation data with proper null checks
-                                const precipAmount = hour.precipitation?.amount;
-                                const precipUnit = hour.precipitation?.unit || 'mm';
-                                const weatherCondition = hour.weatherCondition;
-                                
-                                // Convert to mm for consistent threshold checking
-                                let amountInMm = precipAmount;
-                                if (precipUnit === 'inches' && precipAmount !== null && precipAmount !== undefined) {
-                                  amountInMm = precipAmount * 25.4;
-                                }
-                                const hasPrecipitation = precipAmount !== null && precipAmount !== undefined && amountInMm >= 0.1;
-                                
-                                // Get the background color for this hour based on precipitation amount
-                                const backgroundColor = hasPrecipitation ?
-                                  window.precipitationVisualizer.getPrecipitationColor(precipAmount, precipUnit) :
-                                  'transparent';
-                                
-                                // Check for thunderstorms for special styling
-                                const hasThunderstorm = weatherCondition && weatherCondition.toLowerCase().includes('thunder');
-                                
-                                // Determine border radius based on neighboring hours
-                                const prevHour = hourIndex > 0 ? sourceData.hourly[hourIndex - 1] : null;
-                                const nextHour = hourIndex < 23 ? sourceData.hourly[hourIndex + 1] : null;
-                                
-                                // Proper checking of previous hour precipitation with unit conversion
-                                let prevHasPrecip = false;
-                                if (prevHour?.precipitation?.amount !== null && prevHour?.precipitation?.amount !== undefined) {
-                                  let prevAmountInMm = prevHour.precipitation.amount;
-                                  if (prevHour.precipitation.unit === 'inches') {
-                                    prevAmountInMm = prevHour.precipitation.amount * 25.4;
-                                  }
-                                  prevHasPrecip = prevAmountInMm >= 0.1;
-                                }
-                                
-                                // Proper checking of next hour precipitation with unit conversion
-                                let nextHasPrecip = false;
-                                if (nextHour?.precipitation?.amount !== null && nextHour?.precipitation?.amount !== undefined) {
-                                  let nextAmountInMm = nextHour.precipitation.amount;
-                                  if (nextHour.precipitation.unit === 'inches') {
-                                    nextAmountInMm = nextHour.precipitation.amount * 25.4;
-                                  }
-                                  nextHasPrecip = nextAmountInMm >= 0.1;
-                                }
-                                
-                                // Apply border radius based on precipitation pattern
-                                let borderRadius = {};
-                                if (hasPrecipitation) {
-                                  if (!prevHasPrecip && nextHasPrecip) {
-                                    // First hour with precipitation
-                                    borderRadius = {
-                                      borderTopLeftRadius: '8px',
-                                      borderBottomLeftRadius: '8px'
-                                    };
-                                  } else if (prevHasPrecip && !nextHasPrecip) {
-                                    // Last hour with precipitation
-                                    borderRadius = {
-                                      borderTopRightRadius: '8px',
-                                      borderBottomRightRadius: '8px'
-                                    };
-                                  } else if (!prevHasPrecip && !nextHasPrecip) {
-                                    // Isolated hour with precipitation
-                                    borderRadius = {
-                                      borderRadius: '8px'
-                                    };
-                                  }
-                                }
-                                
-                                // Generate tooltip content with detailed precipitation information
-                                const tooltipContent = window.precipitationVisualizer.generatePrecipitationTooltip(hour, hourIndex);
-                                
-                                // Check if this hour should have a tooltip
-                                const visualInfo = window.precipitationVisualizer.getPrecipitationVisualization(
-                                  precipAmount, 
-                                  hour?.weatherCondition || '', 
-                                  precipUnit
-                                );
-                                const shouldShowTooltip = hasPrecipitation || visualInfo.showVisualization;
-                                
-                                // DEBUG: Log tooltip decision for 0.0mm cases
-                                if (precipAmount === 0 || (precipAmount !== null && precipAmount !== undefined && amountInMm < 0.1)) {
-                                  console.log(`DEBUG Tooltip Decision - Hour ${hourIndex}:`, {
-                                    precipAmount,
-                                    amountInMm,
-                                    hasPrecipitation,
-                                    showVisualization: visualInfo.showVisualization,
-                                    shouldShowTooltip,
-                                    tooltipContent: tooltipContent.substring(0, 50) + '...'
-                                  });
-                                }
-                                
-                                // Properly structured hour segment with consistent styling and conditional tooltip
-                                return (
-                                  <div
-                                    key={`hour-segment-${hourIndex}`}
-                                    className="precipitation-hour-segment"
-                                    data-hour={hourIndex}
-                                    data-precipitation={precipAmount || 0}
-                                    data-has-precipitation={hasPrecipitation}
-                                    aria-label={`Hour ${hourIndex}: ${hasPrecipitation ? `${precipAmount?.toFixed(1) || '0.0'} ${precipUnit} precipitation` : 'No precipitation'}`}
-                                    {...(shouldShowTooltip ? { 'data-tooltip': tooltipContent } : {})}
-                                    style={{
-                                      backgroundColor: backgroundColor,
-                                      flex: '1 1 auto',
-                                      height: '20px',
-                                      border: hasThunderstorm ? '2px solid #ffcc00' : '1px solid rgba(0, 0, 0, 0.3)',
-                                      boxSizing: 'border-box',
-                                      minWidth: 'calc(100% / 24)',
-                                      ...borderRadius
-                                    }}
-                                  />
-                                );
-                              })}
-                            </div>
-                          );
-                        })()}
+                        <PrecipitationBar
+                          hourly={sourceData.hourly}
+                          label={`${sourceData.source} day ${dayIndex}`}
+                          onHourClick={drift ? (hourIndex => setSelectedHour({ dayIndex, hourIndex })) : undefined}
+                          units={units}
+                        />
                       </td>
                     ) : (
                       // Empty cell if no hourly data
                       <td className="hourly-cell data-cell no-data-available" colSpan="24">
-                        <div className="no-data-message">No precipitation data available</div>
+                        <div className="no-data-message">
+                          {sourceData.dataQuality && !sourceData.dataQuality.valid
+                            ? `No usable precipitation data: ${window.forecastSchema.describeDataQuality(sourceData.dataQuality)}`
+                            : 'No precipitation data available'}
+                        </div>
                       </td>
                     )}
                   </tr>
@@ -668,9 +900,19 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
             </tbody>
           </table>
         </div>
+        
+        {/* Forecast history of the clicked hour */}
+        {drift && selectedHour && selectedHour.dayIndex === dayIndex && (
+          <ForecastDriftTimeline
+            drift={drift}
+            timestamp={new Date(day.date).setHours(selectedHour.hourIndex, 0, 0, 0)}
+            onClose={() => setSelectedHour(null)}
+            units={units}
+          />
+        )}
       </div>
     );
-  }, [getHourlyDataForDay, getDayStats, renderServiceIndicator, renderWeatherIcon]);
+  }, [getHourlyDataForDay, getDayStats, renderServiceIndicator, renderWeatherIcon, showAgreement, drift, selectedHour, units]);
   
   // Handle early returns after all hooks are defined
   if (isLoading) {
@@ -763,6 +1005,14 @@ const HourlyComparisonGrid = memo(({ weatherData, isLoading, error }) => {
               <span>Heavy Rain ({'>'}5mm)</span>
             </div>
           </div>
+          <label className="agreement-toggle">
+            <input
+              type="checkbox"
+              checked={showAgreement}
+              onChange={(e) => setShowAgreement(e.target.checked)}
+            />
+            Show agreement
+          </label>
         </div>
       </div>
       
@@ -849,5 +1099,10 @@ function renderPrecipitationVisualization(hour) {
 // Set display name for debugging
 HourlyComparisonGrid.displayName = 'HourlyComparisonGrid';
 
-// Export the component
-window.HourlyComparisonGrid = HourlyComparisonGrid;
\ No newline at end of file
+// Export the component and its building blocks (the time header, precipitation bar and
+// getHoursForDate are shared with LocationComparison)
+window.HourlyComparisonGrid = HourlyComparisonGrid;
+window.HourlyTimeHeaderRow = HourlyTimeHeaderRow;
+window.AgreementStrip = AgreementStrip;
+window.PrecipitationBar = PrecipitationBar;
+window.getHoursForDate = getHoursForDate;
\ No newline at end of file
@@ -0,0 +1,295 @@
+/**
+ * LocationComparison Component
+ *
+ * Compares the hourly precipitation of two or three locations for the same
+ * day, e.g. home and a commute destination. Each location is loaded through
+ * the triple check endpoint, and the rows are stacked per provider using the
+ * segmented precipitation bars from HourlyComparisonGrid.
+ */
+
+// Simulate React hooks
+const { useState, useCallback, useMemo, memo } = React;
+
+// Number of locations that can be compared
+const MIN_COMPARED_LOCATIONS = 2;
+const MAX_COMPARED_LOCATIONS = 3;
+
+// Number of days offered in the day selector
+const COMPARISON_DAYS = 7;
+
+/**
+ * Load the triple check forecast for one location
+ * @param {string} query - Location query
+ * @returns {Promise<Object>} - { query, name, data } or { query, error, candidates }
+ */
+async function loadComparedLocation(query) {
+  try {
+    const data = await window.weatherService.fetchTripleCheckWeather(query);
+    
+    // The location matched several places: let the user pick one
+    if (data && data.ambiguous) {
+      return { query, error: data.message, candidates: data.candidates || [] };
+    }
+    
+    const sources = Array.isArray(data) ? data : [];
+    const located = sources.find(source => !source.isError && source.location);
+    if (!located) {
+      return { query, error: sources[0]?.errorMessage || 'No forecast available for this location' };
+    }
+    
+    const location = located.location;
+    return {
+      query,
+      name: location.displayName || (location.state ? `${location.city}, ${location.state}` : location.city) || query,
+      data: sources
+    };
+  } catch (err) {
+    console.error(`Error loading comparison data for ${query}:`, err);
+    return { query, error: 'Failed to fetch weather data for this location' };
+  }
+}
+
+/**
+ * Location comparison component
+ * @param {Object} props - Component props
+ * @param {string|null} props.initialQuery - Location to prefill as the first location
+ * @param {Array} props.favorites - Favorite locations offered as suggestions
+ * @param {Array} props.recentZipCodes - Recent locations offered as suggestions
+ * @param {Object} props.units - Unit preferences values are shown in
+ * @returns {JSX.Element} - Rendered component
+ */
+const LocationComparison = memo(({ initialQuery, favorites = [], recentZipCodes = [], units }) => {
+  const [queries, setQueries] = useState(() => [initialQuery || '', '']);
+  const [results, setResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [validationError, setValidationError] = useState(null);
+  const [dayOffset, setDayOffset] = useState(0);
+  
+  // Days offered in the day selector, starting today
+  const days = useMemo(() => Array.from({ length: COMPARISON_DAYS }, (_, offset) => {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + offset);
+    
+    return {
+      offset,
+      date,
+      label: offset === 0 ? 'Today' : offset === 1 ? 'Tomorrow' :
+        date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+    };
+  }), []);
+  
+  const updateQuery = useCallback((index, value) => {
+    setQueries(prev => prev.map((query, i) => (i === index ? value : query)));
+  }, []);
+  
+  const addLocation = useCallback(() => {
+    setQueries(prev => (prev.length < MAX_COMPARED_LOCATIONS ? [...prev, ''] : prev));
+  }, []);
+  
+  const removeLocation = useCallback((index) => {
+    setQueries(prev => (prev.length > MIN_COMPARED_LOCATIONS ? prev.filter((_, i) => i !== index) : prev));
+  }, []);
+  
+  const compare = useCallback(async (queriesToCompare) => {
+    const trimmed = queriesToCompare.map(query => query.trim());
+    
+    const invalid = trimmed
+      .map(query => window.locationQuery.validateLocationQuery(query))
+      .find(result => !result.isValid);
+    if (invalid) {
+      setValidationError(invalid.error);
+      return;
+    }
+    
+    setValidationError(null);
+    setIsLoading(true);
+    try {
+      // One triple check request per location, in parallel
+      setResults(await Promise.all(trimmed.map(loadComparedLocation)));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    compare(queries);
+  };
+  
+  // Replace an ambiguous location with the chosen candidate and compare again
+  const handleCandidateClick = (index, candidate) => {
+    const nextQueries = queries.map((query, i) => (i === index ? candidate.query : query));
+    setQueries(nextQueries);
+    compare(nextQueries);
+  };
+  
+  // Provider rows in the order the triple check returns them
+  const sourceNames = useMemo(() => {
+    const names = [];
+    results.forEach(result => {
+      (result.data || []).forEach(sourceData => {
+        if (!names.includes(sourceData.source)) {
+          names.push(sourceData.source);
+        }
+      });
+    });
+    return names;
+  }, [results]);
+  
+  const selectedDay = days[dayOffset];
+  const loadedResults = results.filter(result => result.data);
+  
+  return (
+    <div className="location-comparison card" role="region" aria-labelledby="location-comparison-heading">
+      <h2 id="location-comparison-heading">Compare Locations</h2>
+      
+      <form onSubmit={handleSubmit} className="location-comparison-form">
+        {queries.map((query, index) => (
+          <div key={index} className="location-comparison-input">
+            <label htmlFor={`compare-location-${index}`} className="form-label">
+              Location {index + 1}
+            </label>
+            <input
+              id={`compare-location-${index}`}
+              type="text"
+              className="form-input"
+              value={query}
+              onChange={(e) => updateQuery(index, e.target.value)}
+              placeholder="ZIP, postcode, city or lat,lon"
+              list="location-comparison-suggestions"
+              maxLength={100}
+            />
+            {queries.length > MIN_COMPARED_LOCATIONS && (
+              <button
+                type="button"
+                className="location-comparison-remove"
+                onClick={() => removeLocation(index)}
+                aria-label={`Remove location ${index + 1}`}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        <datalist id="location-comparison-suggestions">
+          {favorites.map(favorite => (
+            <option key={favorite.id} value={favorite.query}>{favorite.name}</option>
+          ))}
+          {recentZipCodes.map(zip => (
+            <option key={`recent-${zip}`} value={zip} />
+          ))}
+        </datalist>
+        <div className="location-comparison-actions">
+          {queries.length < MAX_COMPARED_LOCATIONS && (
+            <button type="button" className="btn btn-secondary" onClick={addLocation}>
+              + Add Location
+            </button>
+          )}
+          <button type="submit" className="btn" disabled={isLoading} aria-busy={isLoading ? 'true' : 'false'}>
+            Compare
+          </button>
+        </div>
+        {validationError && (
+          <div className="form-error" role="alert">{validationError}</div>
+        )}
+      </form>
+      
+      {results.map((result, index) => result.error && (
+        <div key={`error-${index}`} className="location-comparison-error" role="alert">
+          <strong>{result.query}:</strong> {result.error}
+          {result.candidates && result.candidates.length > 0 && (
+            <div className="recent-zip-codes location-candidates">
+              <ul>
+                {result.candidates.map(candidate => (
+                  <li key={candidate.query}>
+                    <button type="button" onClick={() => handleCandidateClick(index, candidate)}>
+                      {candidate.name}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ))}
+      
+      {isLoading ? (
+        <SkeletonLoader type="hourly-grid" />
+      ) : loadedResults.length > 0 && (
+        <>
+          <div className="location-comparison-days" role="tablist" aria-label="Day to compare">
+            {days.map(day => (
+              <button
+                key={day.offset}
+                type="button"
+                role="tab"
+                className={`btn btn-secondary ${day.offset === dayOffset ? 'active' : ''}`}
+                aria-selected={day.offset === dayOffset ? 'true' : 'false'}
+                onClick={() => setDayOffset(day.offset)}
+              >
+                {day.label}
+              </button>
+            ))}
+          </div>
+          
+          <div className="hourly-grid-container">
+            <table className="hourly-grid location-comparison-grid">
+              <thead>
+                <HourlyTimeHeaderRow label="Location" />
+              </thead>
+              <tbody>
+                {sourceNames.map(sourceName => (
+                  <React.Fragment key={sourceName}>
+                    {/* Provider heading, followed by one row per location */}
+                    <tr className="hourly-row provider-group-row">
+                      <th className="hourly-cell provider-group-cell" colSpan="25">
+                        {window.serviceNameMapper ?
+                          window.serviceNameMapper.getServiceDisplayName(sourceName) :
+                          sourceName}
+                      </th>
+                    </tr>
+                    {loadedResults.map(result => {
+                      const sourceData = result.data.find(data => data.source === sourceName);
+                      const hasData = sourceData && !sourceData.isError && !sourceData.rateLimited &&
+                        Array.isArray(sourceData.hourly) && sourceData.hourly.length > 0;
+                      
+                      return (
+                        <tr key={`${sourceName}-${result.query}`} className="hourly-row data-row precipitation-row">
+                          <th className="hourly-cell source-cell">
+                            <span className="service-name-text" title={result.query}>{result.name}</span>
+                          </th>
+                          {hasData ? (
+                            <td className="hourly-cell data-cell bar-chart-cell" colSpan="24">
+                              <PrecipitationBar
+                                hourly={getHoursForDate(sourceData.hourly, selectedDay.date).hourly}
+                                label={`${sourceName} ${result.name} ${selectedDay.label}`}
+                                units={units}
+                              />
+                            </td>
+                          ) : (
+                            <td className="hourly-cell data-cell no-data-available" colSpan="24">
+                              <div className="no-data-message error-message">
+                                {sourceData?.errorMessage || 'No data available'}
+                              </div>
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+// Set display name for debugging
+LocationComparison.displayName = 'LocationComparison';
+
+// Export the component
+window.LocationComparison = LocationComparison;
@@ -65,7 +65,13 @@ AccuWeather provides hyper-local forecasts and is particularly known for its min
 
 The agency operates the National Weather Service and maintains an extensive network of weather stations, satellites, and radar systems across the country.
 
-NOAA data is considered the authoritative source for US weather information and serves as the foundation for most other weather services operating in the United States.`
+NOAA data is considered the authoritative source for US weather information and serves as the foundation for most other weather services operating in the United States.`,
+
+    'Consensus': `The consensus combines the forecasts of all the other services for each hour.
+
+Temperature is the median of the services. Precipitation chance and amount are averaged, with services that disagree with the others counting less.
+
+The confidence shows how closely the services agree: a small temperature spread and the same rain-or-dry call from every service give high confidence.`
   };
 
   const getTooltipContent = (serviceName) => {
@@ -0,0 +1,81 @@
+/**
+ * useFavorites Hook
+ *
+ * Keeps the named favorite locations in state and saves every change through
+ * the favorites manager. Reloads when settings are imported.
+ */
+
+// Simulate React hooks
+const { useState, useEffect, useCallback, useRef } = React;
+
+/**
+ * Custom hook for managing favorite locations
+ * @returns {Object} - Favorites state and functions
+ */
+function useFavorites() {
+  const [favorites, setFavorites] = useState(() => window.favoritesManager.loadFavorites());
+  const [favoritesError, setFavoritesError] = useState(null);
+  
+  // Latest list, so changes made in quick succession build on each other
+  const favoritesRef = useRef(favorites);
+  
+  // Apply a change to the favorites list and save the result
+  const updateFavorites = useCallback((change) => {
+    try {
+      const next = change(favoritesRef.current);
+      if (next !== favoritesRef.current) {
+        favoritesRef.current = next;
+        window.favoritesManager.saveFavorites(next);
+        setFavorites(next);
+      }
+      setFavoritesError(null);
+    } catch (err) {
+      setFavoritesError(err.message);
+    }
+  }, []);
+  
+  const addFavorite = useCallback((name, query) => {
+    updateFavorites(list => window.favoritesManager.addFavorite(list, name, query));
+  }, [updateFavorites]);
+  
+  const removeFavorite = useCallback((id) => {
+    updateFavorites(list => window.favoritesManager.removeFavorite(list, id));
+  }, [updateFavorites]);
+  
+  const renameFavorite = useCallback((id, name) => {
+    updateFavorites(list => window.favoritesManager.renameFavorite(list, id, name));
+  }, [updateFavorites]);
+  
+  const togglePinnedFavorite = useCallback((id) => {
+    updateFavorites(list => window.favoritesManager.togglePinnedFavorite(list, id));
+  }, [updateFavorites]);
+  
+  const moveFavorite = useCallback((id, offset) => {
+    updateFavorites(list => window.favoritesManager.moveFavorite(list, id, offset));
+  }, [updateFavorites]);
+  
+  // Pick up favorites restored from a settings file
+  useEffect(() => {
+    const handleSettingsImported = () => {
+      favoritesRef.current = window.favoritesManager.loadFavorites();
+      setFavorites(favoritesRef.current);
+    };
+    const eventName = window.settingsManager ? window.settingsManager.SETTINGS_IMPORTED_EVENT : 'settingsimported';
+    
+    window.addEventListener(eventName, handleSettingsImported);
+    return () => window.removeEventListener(eventName, handleSettingsImported);
+  }, []);
+  
+  return {
+    favorites,
+    favoritesError,
+    addFavorite,
+    removeFavorite,
+    renameFavorite,
+    togglePinnedFavorite,
+    moveFavorite
+  };
+}
+
+// Export the hook
+window.useFavorites = useFavorites;
@@ -0,0 +1,54 @@
+/**
+ * useForecastDrift Hook
+ *
+ * Loads how each provider's forecast for the hours of a location changed
+ * between refreshes. Reloads whenever the forecast itself is refreshed.
+ */
+
+// Simulate React hooks
+const { useState, useEffect } = React;
+
+/**
+ * Custom hook for the forecast drift of a location
+ * @param {string|null} query - Location query the forecast was loaded with
+ * @param {*} refreshKey - Changes whenever the forecast is refreshed (e.g. its lastUpdated time)
+ * @returns {Object} - { drift, driftError }
+ */
+function useForecastDrift(query, refreshKey) {
+  const [drift, setDrift] = useState(null);
+  const [driftError, setDriftError] = useState(null);
+  
+  useEffect(() => {
+    if (!query) {
+      setDrift(null);
+      return undefined;
+    }
+    
+    // Ignore responses for a location that is no longer shown
+    let isCurrent = true;
+    
+    window.weatherService.fetchForecastDrift(query)
+      .then(result => {
+        if (isCurrent) {
+          setDrift(result);
+          setDriftError(null);
+        }
+      })
+      .catch(err => {
+        console.error(`Error loading forecast drift for ${query}:`, err);
+        if (isCurrent) {
+          setDrift(null);
+          setDriftError(err.message);
+        }
+      });
+    
+    return () => {
+      isCurrent = false;
+    };
+  }, [query, refreshKey]);
+  
+  return { drift, driftError };
+}
+
+// Export the hook
+window.useForecastDrift = useForecastDrift;
@@ -6,14 +6,73 @@
  * 
  * Features:
  * - Automatic location-based weather fetching on initial load (when no ZIP code provided)
- * - Manual ZIP code input with triple-check weather data
+ * - Manual location input (ZIP/postal code, place name or "lat,lon") with triple-check weather data
+ * - Disambiguation candidates when a place name matches several places
  * - URL parameter handling for ZIP codes
  * - Recent ZIP codes management
+ * - Background re-check while the server is refreshing stale triple-check data
+ * - Opt-in device (GPS) location with IP location fallback, remembered across visits
+ * - Tracking where the current location came from (GPS / IP / Cloudflare / manual)
+ * - The user's unit preferences, which components use to format values
  */
 
 // Simulate React hooks
 const { useState, useEffect, useCallback, useRef } = React;
 
+// How long to wait before asking the server again for data it flagged as stale
+const STALE_RECHECK_DELAY = 5000;
+
+// Maximum number of re-checks for one stale response
+const MAX_STALE_RECHECKS = 3;
+
+// localStorage key remembering whether the user opted in to device location ('gps' or 'network')
+const LOCATION_PREFERENCE_KEY = 'locationPreference';
+
+// Time allowed for a device position fix (ms)
+const DEVICE_LOCATION_TIMEOUT = 10000;
+
+// Messages shown when device location can't be used, keyed by getDevicePosition error code
+const DEVICE_LOCATION_NOTICES = {
+  unsupported: 'This browser does not support device location. Using your approximate location instead.',
+  denied: 'Location permission was denied. Using your approximate location instead.',
+  unavailable: 'Your device location is unavailable. Using your approximate location instead.',
+  timeout: 'Getting your device location took too long. Using your approximate location instead.'
+};
+
+/**
+ * Read the remembered location preference
+ * @returns {string} - 'gps' if the user opted in to device location, otherwise 'network'
+ */
+function getLocationPreference() {
+  try {
+    return localStorage.getItem(LOCATION_PREFERENCE_KEY) === 'gps' ? 'gps' : 'network';
+  } catch (e) {
+    return 'network';
+  }
+}
+
+/**
+ * Remember the location preference
+ * @param {string} preference - 'gps' or 'network'
+ */
+function saveLocationPreference(preference) {
+  try {
+    localStorage.setItem(LOCATION_PREFERENCE_KEY, preference);
+  } catch (error) {
+    // Private browsing or a full storage: the preference lasts until the page is reloaded
+    console.error('Error saving location preference:', error);
+  }
+}
+
+/**
+ * Check whether triple-check data was served stale by the server
+ * @param {Object[]|Object} weatherData - Weather data from the server
+ * @returns {boolean} - True if any source is marked stale
+ */
+function isStaleWeatherData(weatherData) {
+  return Array.isArray(weatherData) && weatherData.some(sourceData => sourceData && sourceData.stale);
+}
+
 /**
  * Custom hook for fetching and managing weather data
  * @returns {Object} - Weather data state and functions
@@ -25,6 +84,18 @@ function useWeather() {
   const [retryCount, setRetryCount] = useState(0);
   const [zipCode, setZipCode] = useState('');
   const [recentZipCodes, setRecentZipCodes] = useState([]);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [locationCandidates, setLocationCandidates] = useState([]);
+  // Where the current location came from: 'gps', 'ip', 'cloudflare', 'manual' or 'default'
+  const [locationSource, setLocationSource] = useState(null);
+  const [locationPreference, setLocationPreference] = useState(getLocationPreference);
+  const [locationNotice, setLocationNotice] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+  // Units values are shown in; the data itself stays in the base units of utils/units.js
+  const [units, setUnitsState] = useState(() => window.unitPreferences.loadUnitPreferences());
+  
+  // Number of stale re-checks made for the current data
+  const staleRecheckCount = useRef(0);
   
   // Keep track of whether this is the first render
   const isFirstRender = useRef(true);
@@ -61,6 +132,7 @@ function useWeather() {
         }
         
         setData(weatherData);
+        setLocationSource('cloudflare');
       }
     } catch (err) {
       console.error('Error fetching weather data by location:', err);
@@ -85,6 +157,7 @@ function useWeather() {
               fallbackWeatherData[0].fallbackReason = 'Using NYC as default location for development';
             }
             setData(fallbackWeatherData);
+            setLocationSource('default');
           }
           return; // Exit early, don't set error
         } catch (fallbackErr) {
@@ -100,8 +173,9 @@ function useWeather() {
     }
   }, []);
   
-  // Function to fetch weather data using ZIP code (triple-check)
-  const fetchTripleCheck = useCallback(async (zipCodeValue, forceRefresh = false) => {
+  // Function to fetch weather data using ZIP code (triple-check). `source` records where
+  // the location came from; only manually entered locations are added to recent ZIP codes.
+  const fetchTripleCheck = useCallback(async (zipCodeValue, forceRefresh = false, source = 'manual') => {
     try {
       setIsLoading(true);
       setError(null);
@@ -111,11 +185,21 @@ function useWeather() {
       const fetchStartTime = Date.now();
       lastFetchTime.current = fetchStartTime;
       
+      // A new fetch starts a new round of stale re-checks
+      staleRecheckCount.current = 0;
+      
       // Use the weatherService to fetch triple-check data
       const weatherData = await window.weatherService.fetchTripleCheckWeather(zipCodeValue, forceRefresh);
       
       // Only update state if this is still the most recent fetch
       if (lastFetchTime.current === fetchStartTime) {
+        // The location matched several places: keep the current data and let the user choose
+        if (weatherData && weatherData.ambiguous) {
+          setLocationCandidates(weatherData.candidates || []);
+          return;
+        }
+        setLocationCandidates([]);
+        
         // Check if there was an error in the weather data
         if (weatherData && weatherData.length > 0 && weatherData[0].isError) {
           // Enhanced error handling for back-end API errors
@@ -129,9 +213,10 @@ function useWeather() {
         }
         
         setData(weatherData);
+        setLocationSource(source);
         
         // Update recent ZIP codes
-        if (zipCodeValue && !weatherData[0]?.isError) {
+        if (source === 'manual' && zipCodeValue && !weatherData[0]?.isError) {
           setRecentZipCodes(prev => {
             const newList = [zipCodeValue, ...prev.filter(zip => zip !== zipCodeValue)];
             return newList.slice(0, 5); // Keep only last 5
@@ -147,6 +232,80 @@ function useWeather() {
     }
   }, []);
   
+  // Function to fetch weather data for the device (GPS) position, falling back to the
+  // approximate IP location. Resolves to false if neither could be used.
+  const fetchWeatherByDevicePosition = useCallback(async (forceRefresh = false) => {
+    let position = null;
+    
+    setIsLocating(true);
+    try {
+      position = await window.weatherService.getDevicePosition(DEVICE_LOCATION_TIMEOUT);
+      setLocationNotice(null);
+    } catch (err) {
+      console.warn('Device location unavailable:', err.message);
+      setLocationNotice(DEVICE_LOCATION_NOTICES[err.code] || DEVICE_LOCATION_NOTICES.unavailable);
+      
+      // Don't prompt again on every visit; the user can opt in again from the header
+      if (err.code === 'denied' || err.code === 'unsupported') {
+        saveLocationPreference('network');
+        setLocationPreference('network');
+      }
+    } finally {
+      setIsLocating(false);
+    }
+    
+    if (position) {
+      await fetchTripleCheck(window.locationQuery.formatCoordinateQuery(position.latitude, position.longitude), forceRefresh, 'gps');
+      return true;
+    }
+    
+    // Fall back to the location of the client's IP address
+    try {
+      const ipLocation = await window.weatherService.fetchIpLocation();
+      const coordinates = ipLocation.location && ipLocation.location.coordinates;
+      
+      // isFallback means the server could not look up the IP either
+      if (!ipLocation.isFallback && coordinates) {
+        await fetchTripleCheck(window.locationQuery.formatCoordinateQuery(coordinates.latitude, coordinates.longitude), forceRefresh, 'ip');
+        return true;
+      }
+    } catch (err) {
+      console.warn('IP location lookup failed:', err);
+    }
+    
+    return false;
+  }, [fetchTripleCheck]);
+  
+  // Function to fetch weather data for wherever the user is: the device position if they
+  // opted in to it, otherwise (or if that fails) Cloudflare geolocation
+  const fetchWeatherByDetectedLocation = useCallback(async (forceRefresh = false) => {
+    if (getLocationPreference() === 'gps' && await fetchWeatherByDevicePosition(forceRefresh)) {
+      return;
+    }
+    await fetchWeatherByLocation(forceRefresh);
+  }, [fetchWeatherByDevicePosition, fetchWeatherByLocation]);
+  
+  // Opt in to device location (call from a user action so the browser shows its prompt)
+  const enableDeviceLocation = useCallback(() => {
+    saveLocationPreference('gps');
+    setLocationPreference('gps');
+    setZipCode('');
+    return fetchWeatherByDetectedLocation();
+  }, [fetchWeatherByDetectedLocation]);
+  
+  // Opt out of device location and go back to network-based detection
+  const disableDeviceLocation = useCallback(() => {
+    saveLocationPreference('network');
+    setLocationPreference('network');
+    setLocationNotice(null);
+    
+    // Only re-detect if the current forecast is for the device position
+    if (locationSource === 'gps') {
+      return fetchWeatherByLocation();
+    }
+    return Promise.resolve();
+  }, [locationSource, fetchWeatherByLocation]);
+  
   // Function to refresh the current data
   const refreshData = useCallback(() => {
     if (zipCode) {
@@ -154,9 +313,27 @@ function useWeather() {
       fetchTripleCheck(zipCode, true);
     } else {
       // Otherwise, refresh with location-based data
-      fetchWeatherByLocation(true);
+      fetchWeatherByDetectedLocation(true);
     }
-  }, [zipCode, fetchTripleCheck, fetchWeatherByLocation]);
+  }, [zipCode, fetchTripleCheck, fetchWeatherByDetectedLocation]);
+  
+  // Change the unit preferences, remembering them across visits
+  const setUnits = useCallback((newUnits) => {
+    const normalized = window.units.normalizeUnits(newUnits);
+    window.unitPreferences.saveUnitPreferences(normalized);
+    setUnitsState(normalized);
+  }, []);
+  
+  // Pick up unit preferences restored from a settings file
+  useEffect(() => {
+    const handleSettingsImported = () => {
+      setUnitsState(window.unitPreferences.loadUnitPreferences());
+    };
+    const eventName = window.settingsManager ? window.settingsManager.SETTINGS_IMPORTED_EVENT : 'settingsimported';
+    
+    window.addEventListener(eventName, handleSettingsImported);
+    return () => window.removeEventListener(eventName, handleSettingsImported);
+  }, []);
   
   // Load recent ZIP codes from localStorage on mount
   useEffect(() => {
@@ -177,12 +354,59 @@ function useWeather() {
     }
   }, [recentZipCodes]);
   
-  // Get ZIP code from URL parameters on mount
+  // When the server serves stale data it refreshes it in the background, so
+  // quietly ask again after a short delay instead of showing the loading state
+  useEffect(() => {
+    const stale = isStaleWeatherData(data);
+    const staleQuery = stale ? (data[0]?.location?.query || data[0]?.location?.zipCode) : null;
+    
+    if (!stale || !staleQuery || staleRecheckCount.current >= MAX_STALE_RECHECKS) {
+      setIsRefreshing(false);
+      return undefined;
+    }
+    
+    setIsRefreshing(true);
+    const fetchStartTime = lastFetchTime.current;
+    let cancelled = false;
+    
+    const timer = setTimeout(async () => {
+      staleRecheckCount.current += 1;
+      let updated = false;
+      
+      try {
+        const freshData = await window.weatherService.fetchTripleCheckWeather(staleQuery);
+        
+        // Ignore the result if another fetch has started in the meantime
+        if (!cancelled && lastFetchTime.current === fetchStartTime && Array.isArray(freshData) && !freshData[0]?.isError) {
+          setData(freshData);
+          updated = true;
+        }
+      } catch (err) {
+        console.warn('Re-check of stale weather data failed:', err);
+      } finally {
+        // New data re-runs this effect, which settles the indicator; otherwise clear it here
+        if (!updated && !cancelled) {
+          setIsRefreshing(false);
+        }
+      }
+    }, STALE_RECHECK_DELAY);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [data]);
+  
+  // Get ZIP code (or shared ?lat=&lon= coordinates) from URL parameters on mount
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
     const urlZipCode = urlParams.get('zip');
+    const urlLat = urlParams.get('lat');
+    const urlLon = urlParams.get('lon');
     if (urlZipCode) {
       setZipCode(urlZipCode);
+    } else if (urlLat && urlLon && window.locationQuery) {
+      setZipCode(window.locationQuery.formatCoordinateQuery(urlLat, urlLon));
     }
   }, []);
   
@@ -196,22 +420,32 @@ function useWeather() {
         fetchTripleCheck(zipCode);
       } else {
         // Otherwise, fetch weather using automatic location detection
-        fetchWeatherByLocation();
+        fetchWeatherByDetectedLocation();
       }
     }
-  }, [zipCode, fetchTripleCheck, fetchWeatherByLocation]);
+  }, [zipCode, fetchTripleCheck, fetchWeatherByDetectedLocation]);
   
   // Return the state and functions
   return {
     data,
     isLoading,
+    isRefreshing,
     error,
     retryCount,
     zipCode,
     recentZipCodes,
+    locationCandidates,
+    locationSource,
+    locationPreference,
+    locationNotice,
+    isLocating,
+    units,
+    setUnits,
     setZipCode,
     fetchTripleCheck,
     fetchWeatherByLocation,
+    enableDeviceLocation,
+    disableDeviceLocation,
     refreshData
   };
 }
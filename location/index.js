@@ -0,0 +1,177 @@
+/**
+ * Location Resolution
+ *
+ * Turns a location query (ZIP/postal code, place name or "lat,lon") into the
+ * standardized location object the weather providers work with, using the
+ * Azure Maps geocoder. Place names that match several places of similar
+ * relevance come back as a list of candidates to choose from.
+ */
+const { fetchAzureMapsLocation, fetchAzureMapsReverseLocation } = require('../providers/azureMaps');
+const { parseLocationQuery, formatCoordinateQuery } = require('../utils/locationQuery');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('location');
+
+// Number of geocoder results considered for place-name queries
+const PLACE_SEARCH_LIMIT = 5;
+
+// The top place match wins outright only if it scores this much higher than the runner-up
+const AMBIGUITY_SCORE_RATIO = 1.25;
+
+/**
+ * Build a human readable name for a geocoded address
+ */
+function getDisplayName(address) {
+  const parts = [
+    address.municipality || address.localName,
+    address.countrySubdivisionName || address.countrySubdivision,
+    address.country
+  ].filter(Boolean);
+
+  return [...new Set(parts)].join(', ') || address.freeformAddress || 'Unknown';
+}
+
+/**
+ * Build the standardized location object from a geocoded address
+ * @param {Object} parsed - Parsed location query
+ * @param {Object} address - Azure Maps address
+ * @param {Object} coordinates - { latitude, longitude }
+ */
+function buildLocation(parsed, address, coordinates) {
+  return {
+    zipCode: parsed.postalCode || address.postalCode || null,
+    city: address.municipality || address.localName || 'Unknown',
+    state: address.countrySubdivision || 'Unknown',
+    country: address.country || 'Unknown',
+    countryCode: address.countryCode || parsed.countryCode || null,
+    displayName: getDisplayName(address),
+    query: parsed.query,
+    coordinates
+  };
+}
+
+/**
+ * Convert a search result into a candidate the user can pick
+ */
+function toCandidate(result) {
+  const latitude = result.position.lat;
+  const longitude = result.position.lon;
+
+  return {
+    name: getDisplayName(result.address || {}),
+    query: formatCoordinateQuery(latitude, longitude),
+    city: result.address?.municipality || null,
+    state: result.address?.countrySubdivision || null,
+    country: result.address?.country || null,
+    coordinates: { latitude, longitude }
+  };
+}
+
+/**
+ * Resolve "lat,lon" queries, reverse geocoding a display name when possible
+ */
+async function resolveCoordinates(parsed) {
+  const { latitude, longitude } = parsed.coordinates;
+
+  try {
+    const reverseData = await fetchAzureMapsReverseLocation(latitude, longitude);
+    return buildLocation(parsed, reverseData.addresses[0].address || {}, parsed.coordinates);
+  } catch (error) {
+    // The forecast only needs the coordinates, so carry on without a place name
+    // (providers that search by place name are skipped, see hasPlaceName)
+    logger.warn(`Reverse geocoding failed for ${parsed.query}`, { error });
+    return {
+      zipCode: null,
+      city: null,
+      state: 'Unknown',
+      country: 'Unknown',
+      countryCode: null,
+      displayName: parsed.query,
+      query: parsed.query,
+      coordinates: parsed.coordinates
+    };
+  }
+}
+
+/**
+ * Check whether a resolved location has a postal code or place name to search by
+ * @param {Object} location - Resolved location
+ * @returns {boolean}
+ */
+function hasPlaceName(location) {
+  return Boolean(location.zipCode || (location.city && location.city !== 'Unknown'));
+}
+
+/**
+ * Resolve a location query
+ * @param {string|Object} query - Raw query, or the result of parseLocationQuery
+ * @returns {Promise<Object|null>} - { location } when resolved, { candidates } when the
+ *                                   query is ambiguous, or null when nothing was found
+ */
+async function resolveLocation(query) {
+  const parsed = typeof query === 'string' ? parseLocationQuery(query) : query;
+
+  if (!parsed || parsed.type === null) {
+    return null;
+  }
+
+  if (parsed.type === 'coordinates') {
+    return { location: await resolveCoordinates(parsed) };
+  }
+
+  const isPlace = parsed.type === 'place';
+  let searchData;
+
+  try {
+    searchData = await fetchAzureMapsLocation(parsed.query, {
+      countrySet: parsed.countryCode || null,
+      limit: isPlace ? PLACE_SEARCH_LIMIT : 1
+    });
+  } catch (error) {
+    if (error.message.startsWith('No location found')) {
+      return null;
+    }
+    throw error;
+  }
+
+  // Latitude or longitude 0 is a real position (the equator, the prime meridian)
+  const results = searchData.results.filter(result =>
+    typeof result.position?.lat === 'number' && typeof result.position?.lon === 'number'
+  );
+
+  if (results.length === 0) {
+    return null;
+  }
+
+  if (isPlace) {
+    // Several distinct places of similar relevance: let the user choose
+    const candidates = [];
+    for (const result of results) {
+      const candidate = toCandidate(result);
+      if (!candidates.some(existing => existing.name === candidate.name)) {
+        candidates.push(candidate);
+      }
+    }
+
+    const [top, runnerUp] = results;
+    const isAmbiguous = candidates.length > 1 &&
+      runnerUp && (top.score || 0) < (runnerUp.score || 0) * AMBIGUITY_SCORE_RATIO;
+
+    if (isAmbiguous) {
+      return { candidates };
+    }
+  }
+
+  const [best] = results;
+  return {
+    location: buildLocation(parsed, best.address || {}, {
+      latitude: best.position.lat,
+      longitude: best.position.lon
+    })
+  };
+}
+
+module.exports = {
+  resolveLocation,
+  hasPlaceName
+};
@@ -0,0 +1,226 @@
+/**
+ * Server Logging
+ *
+ * Structured logs for the server: every entry is one JSON line with the time,
+ * level, component, message, the id of the request being handled (when there
+ * is one) and any extra fields, so logs can be searched and joined on a
+ * request id instead of grepped.
+ *
+ * The request id is kept in an AsyncLocalStorage context set up by
+ * middleware/requestContext.js, so modules log with their own logger and never
+ * pass the request around; the upstream client forwards the same id to every
+ * API call it makes for the request.
+ *
+ * Secrets never reach the logs: query parameters such as `key` and
+ * `subscription-key` are masked in URLs and messages, the configured API keys
+ * and tokens are masked wherever they appear, and errors are logged as their
+ * message, code, status and URL (never their request headers or response body).
+ *
+ * Environment:
+ * - LOG_LEVEL: debug, info (default), warn, error or silent
+ * - LOG_FORMAT: json (default) or pretty, a one line human readable form for local use
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = 'info';
+
+const REDACTED = '[REDACTED]';
+
+// Query parameters and fields whose values are credentials
+const SECRET_PARAM_PATTERN = /([?&;\s"']|^)((?:subscription-key|api[_-]?key|key|token|access_token|secret|password|signature|sig)=)([^&\s"']+)/gi;
+
+// Google API keys, which also appear in error messages and hard-coded fallbacks
+const GOOGLE_API_KEY_PATTERN = /AIza[0-9A-Za-z_-]{35}/g;
+
+// Environment variables holding credentials, masked wherever their value shows up
+const SECRET_ENV_NAMES = ['AZURE_MAPS_API_KEY', 'RAPIDAPI_KEY', 'GOOGLE_WEATHER_API_KEY', 'ADMIN_TOKEN', 'METRICS_TOKEN'];
+
+// Shorter values (placeholders, test tokens) would mask unrelated text
+const MIN_SECRET_LENGTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Read the minimum level to log from the environment
+ */
+function getLogLevel() {
+  const level = (process.env.LOG_LEVEL || '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : DEFAULT_LEVEL;
+}
+
+/**
+ * Check whether entries of a level are written at the current LOG_LEVEL
+ * @param {string} level - debug, info, warn or error
+ * @returns {boolean}
+ */
+function isLevelEnabled(level) {
+  return LEVELS[level] >= LEVELS[getLogLevel()];
+}
+
+/**
+ * Mask credentials in a string: secret query parameters, Google API keys and
+ * the configured keys and tokens
+ * @param {string} text - URL, message or any other text
+ * @returns {string} - The text with every secret replaced by [REDACTED]
+ */
+function redactSecrets(text) {
+  if (typeof text !== 'string' || text === '') {
+    return text;
+  }
+
+  let redacted = text
+    .replace(SECRET_PARAM_PATTERN, `$1$2${REDACTED}`)
+    .replace(GOOGLE_API_KEY_PATTERN, REDACTED);
+
+  SECRET_ENV_NAMES.forEach(name => {
+    const secret = process.env[name];
+    if (secret && secret.length >= MIN_SECRET_LENGTH) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+  });
+
+  return redacted;
+}
+
+/**
+ * Build the redacted URL of an axios request config, including its params
+ */
+function getRequestUrl(config) {
+  try {
+    return redactSecrets(axios.getUri(config));
+  } catch (error) {
+    return redactSecrets(config.url);
+  }
+}
+
+/**
+ * Reduce an error to the fields worth logging, with secrets masked. Upstream
+ * (axios) errors keep their method, URL and status but not their headers,
+ * which carry API keys, nor their response body.
+ * @param {Error} error - Error to log
+ * @returns {Object} - { name, message, code?, status?, method?, url?, stack? }
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: redactSecrets(String(error)) };
+  }
+
+  const serialized = { name: error.name, message: redactSecrets(error.message) };
+
+  if (error.code) {
+    serialized.code = error.code;
+  }
+  if (error.response && error.response.status) {
+    serialized.status = error.response.status;
+  }
+
+  if (error.config) {
+    serialized.method = (error.config.method || 'get').toUpperCase();
+    serialized.url = getRequestUrl(error.config);
+  } else if (error.stack) {
+    // Stack traces of upstream errors only point into axios
+    serialized.stack = redactSecrets(error.stack);
+  }
+
+  return serialized;
+}
+
+/**
+ * Prepare the extra fields of an entry: errors serialized, strings redacted
+ */
+function serializeFields(fields) {
+  return Object.fromEntries(Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => {
+      if (value instanceof Error) return [name, serializeError(value)];
+      if (typeof value === 'string') return [name, redactSecrets(value)];
+      return [name, value];
+    }));
+}
+
+/**
+ * Format an entry as a single human readable line (LOG_FORMAT=pretty)
+ */
+function formatPretty(entry) {
+  const { time, level, component, requestId, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+
+  return [
+    time,
+    level.toUpperCase().padEnd(5),
+    `[${component}]`,
+    requestId ? `(${requestId})` : null,
+    msg,
+    ...extras
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Write one entry, if its level is enabled
+ */
+function write(level, component, message, fields = {}) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    ...(context && context.requestId ? { requestId: context.requestId } : {}),
+    msg: redactSecrets(message),
+    ...serializeFields(fields)
+  };
+
+  const line = process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create the logger of a server component
+ * @param {string} component - Name logged with every entry (e.g. 'cache', 'provider.foreca')
+ * @returns {Object} - { debug, info, warn, error }, each taking (message, fields)
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields)
+  };
+}
+
+/**
+ * Run a function with a request id attached to everything it logs and every
+ * upstream call it makes, including work it starts asynchronously
+ * @param {string} requestId - Id of the request being handled
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of fn
+ */
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Get the id of the request being handled
+ * @returns {string|null} - Request id, or null outside of a request
+ */
+function getRequestId() {
+  const context = requestContext.getStore();
+  return (context && context.requestId) || null;
+}
+
+module.exports = {
+  createLogger,
+  getLogLevel,
+  isLevelEnabled,
+  redactSecrets,
+  serializeError,
+  runWithRequestId,
+  getRequestId
+};
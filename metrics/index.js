@@ -0,0 +1,268 @@
+/**
+ * Server Metrics
+ *
+ * A small in-process registry of counters, histograms and gauges, rendered in
+ * the Prometheus text exposition format at GET /metrics. Modules record into
+ * the metrics defined at the bottom of this file; gauges are read when the
+ * metrics are scraped.
+ *
+ * Label values must come from small fixed sets (route patterns, provider ids,
+ * outcomes), never from request data such as locations or IPs.
+ */
+const { createLogger } = require('../logging');
+
+const logger = createLogger('metrics');
+
+const METRIC_PREFIX = 'supersky_';
+
+// Histogram buckets in seconds, from a cached response to a slow paginated upstream fetch
+const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Registered metrics, in registration order
+const registry = new Map();
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {name="value",...}, or '' when there are no labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Pick the declared labels from a label object, in declaration order, as the series key
+ */
+function toSeriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function fromSeriesKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name, without the app prefix
+ * @param {string} help - Description shown in the HELP line
+ * @param {string[]} labelNames - Names of the labels every series carries
+ * @returns {Object} - Counter with inc(labels, amount)
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  return register({
+    name: `${METRIC_PREFIX}${name}`,
+    help,
+    type: 'counter',
+
+    inc(labels = {}, amount = 1) {
+      const key = toSeriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+
+    collect() {
+      return [...series].map(([key, value]) => ({ suffix: '', labels: fromSeriesKey(labelNames, key), value }));
+    },
+
+    reset() {
+      series.clear();
+    }
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name, without the app prefix
+ * @param {string} help - Description shown in the HELP line
+ * @param {string[]} labelNames - Names of the labels every series carries
+ * @param {number[]} buckets - Upper bounds of the buckets, ascending
+ * @returns {Object} - Histogram with observe(labels, value)
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS) {
+  const series = new Map();
+
+  return register({
+    name: `${METRIC_PREFIX}${name}`,
+    help,
+    type: 'histogram',
+
+    observe(labels = {}, value) {
+      const key = toSeriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    collect() {
+      const samples = [];
+
+      series.forEach((entry, key) => {
+        const labels = fromSeriesKey(labelNames, key);
+        buckets.forEach((bound, index) => {
+          samples.push({ suffix: '_bucket', labels: { ...labels, le: String(bound) }, value: entry.counts[index] });
+        });
+        samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: entry.count });
+        samples.push({ suffix: '_sum', labels, value: entry.sum });
+        samples.push({ suffix: '_count', labels, value: entry.count });
+      });
+
+      return samples;
+    },
+
+    reset() {
+      series.clear();
+    }
+  });
+}
+
+/**
+ * Create a gauge whose value is read at scrape time
+ * @param {string} name - Metric name, without the app prefix
+ * @param {string} help - Description shown in the HELP line
+ * @param {Function} read - Returns a number, or [{ labels, value }] for labelled series
+ * @returns {Object} - Gauge
+ */
+function createGauge(name, help, read) {
+  return register({
+    name: `${METRIC_PREFIX}${name}`,
+    help,
+    type: 'gauge',
+
+    collect() {
+      const value = read();
+      const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return samples.map(sample => ({ suffix: '', labels: sample.labels, value: sample.value }));
+    },
+
+    reset() {}
+  });
+}
+
+/**
+ * Format a sample value the way Prometheus expects
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Render every registered metric in the Prometheus text format (version 0.0.4)
+ * @returns {string} - Exposition text
+ */
+function renderMetrics() {
+  const lines = [];
+
+  registry.forEach(metric => {
+    let samples;
+    try {
+      samples = metric.collect();
+    } catch (error) {
+      logger.error(`Error collecting metric ${metric.name}`, { error });
+      return;
+    }
+
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    samples.forEach(({ suffix, labels, value }) => {
+      lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Clear every counter and histogram (gauges are read live)
+ */
+function resetMetrics() {
+  registry.forEach(metric => metric.reset());
+}
+
+const metrics = {
+  httpRequests: createCounter(
+    'http_requests_total',
+    'HTTP requests handled, by method, route pattern and status code',
+    ['method', 'route', 'status']
+  ),
+  httpRequestDuration: createHistogram(
+    'http_request_duration_seconds',
+    'HTTP request latency in seconds, by method and route pattern',
+    ['method', 'route']
+  ),
+  upstreamRequests: createCounter(
+    'upstream_requests_total',
+    'Requests sent to upstream APIs (each retry counts), by upstream and outcome',
+    ['upstream', 'outcome']
+  ),
+  upstreamRequestDuration: createHistogram(
+    'upstream_request_duration_seconds',
+    'Upstream API request latency in seconds, by upstream',
+    ['upstream']
+  ),
+  upstreamRateLimited: createCounter(
+    'upstream_rate_limited_total',
+    'HTTP 429 responses received from upstream APIs, by upstream',
+    ['upstream']
+  ),
+  cacheRequests: createCounter(
+    'server_cache_requests_total',
+    'Server cache lookups, by result (hit, stale, miss)',
+    ['result']
+  ),
+  cacheEvictions: createCounter(
+    'server_cache_evictions_total',
+    'Server cache entries removed, by reason (expired, capacity, invalidated)',
+    ['reason']
+  ),
+  googleWeatherPages: createCounter(
+    'google_weather_pages_total',
+    'Google Weather hours:lookup pages fetched'
+  ),
+  googleWeatherPagesPerForecast: createHistogram(
+    'google_weather_pages_per_forecast',
+    'Google Weather hours:lookup pages fetched per forecast',
+    [],
+    [1, 2, 4, 6, 8, 10, 12]
+  ),
+  mockDataSubstitutions: createCounter(
+    'mock_data_substitutions_total',
+    'Provider entries served with mock data instead of a forecast, by provider',
+    ['provider']
+  )
+};
+
+module.exports = {
+  ...metrics,
+  createCounter,
+  createHistogram,
+  createGauge,
+  renderMetrics,
+  resetMetrics
+};
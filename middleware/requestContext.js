@@ -0,0 +1,52 @@
+/**
+ * Request Context Middleware
+ *
+ * Gives every request an id, returned in the X-Request-Id response header and
+ * attached to every log entry and upstream API call made while handling it.
+ * An X-Request-Id sent by the client or a proxy is kept when it is a short
+ * token, so one id follows a request through the whole chain; otherwise a new
+ * UUID is generated.
+ *
+ * Also writes the access log entry of each request once its response is sent
+ * (debug level for static files, so LOG_LEVEL=info only shows API traffic).
+ */
+const crypto = require('crypto');
+const { createLogger, runWithRequestId } = require('../logging');
+
+const logger = createLogger('http');
+
+// Ids accepted from clients: letters, digits and a few separators, up to 128 characters
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Read a usable request id sent with a request
+ */
+function getIncomingRequestId(req) {
+  const incoming = req.get('x-request-id');
+  return incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : null;
+}
+
+function requestContext(req, res, next) {
+  const requestId = getIncomingRequestId(req) || crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // 'finish' may be emitted outside the request's context (e.g. by a stream), so set it again
+  res.on('finish', () => runWithRequestId(requestId, () => {
+    const isApiRequest = req.originalUrl.startsWith('/api') || req.originalUrl.startsWith('/metrics');
+    const log = isApiRequest ? logger.info : logger.debug;
+
+    log(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+      method: req.method,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+      contentLength: parseInt(res.get('content-length'), 10) || undefined
+    });
+  }));
+
+  runWithRequestId(requestId, next);
+}
+
+module.exports = requestContext;
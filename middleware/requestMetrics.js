@@ -0,0 +1,36 @@
+/**
+ * Request Metrics Middleware
+ *
+ * Counts every request and records its latency once the response is sent,
+ * labelled with the matched route pattern (e.g. /api/weather/:locationQuery/triple)
+ * rather than the URL, so locations never end up in metric labels.
+ */
+const metrics = require('../metrics');
+
+/**
+ * Get the route label of a finished request
+ */
+function getRouteLabel(req, res) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  // Static files and 404s, which have no route pattern
+  return res.statusCode === 404 ? '(unmatched)' : '(static)';
+}
+
+function requestMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = getRouteLabel(req, res);
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpRequestDuration.observe(
+      { method: req.method, route },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+  });
+
+  next();
+}
+
+module.exports = requestMetrics;
@@ -0,0 +1,54 @@
+/**
+ * Admin Token Middleware
+ *
+ * Guards admin endpoints with the ADMIN_TOKEN environment variable. The token
+ * is accepted as `Authorization: Bearer <token>` or an `X-Admin-Token` header.
+ * Admin endpoints are disabled entirely when ADMIN_TOKEN is not set.
+ */
+const crypto = require('crypto');
+
+/**
+ * Compare two tokens in constant time
+ */
+function tokensMatch(provided, expected) {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Read the token sent with a request
+ */
+function getRequestToken(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-admin-token') || '';
+}
+
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return res.status(403).json({
+      error: true,
+      message: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.'
+    });
+  }
+
+  if (!tokensMatch(getRequestToken(req), adminToken)) {
+    return res.status(401).json({
+      error: true,
+      message: 'Invalid or missing admin token'
+    });
+  }
+
+  next();
+}
+
+module.exports = requireAdminToken;
+// Shared with the other token guards
+module.exports.tokensMatch = tokensMatch;
+module.exports.getRequestToken = getRequestToken;
@@ -0,0 +1,24 @@
+/**
+ * Metrics Token Middleware
+ *
+ * Guards GET /metrics with the METRICS_TOKEN environment variable, sent like
+ * the admin token (`Authorization: Bearer <token>`, which Prometheus sends with
+ * `authorization.credentials`, or an `X-Admin-Token` header). Unlike the admin
+ * endpoints, the metrics are public when METRICS_TOKEN is not set.
+ */
+const { tokensMatch, getRequestToken } = require('./requireAdminToken');
+
+function requireMetricsToken(req, res, next) {
+  const metricsToken = process.env.METRICS_TOKEN;
+
+  if (metricsToken && !tokensMatch(getRequestToken(req), metricsToken)) {
+    return res.status(401).json({
+      error: true,
+      message: 'Invalid or missing metrics token'
+    });
+  }
+
+  next();
+}
+
+module.exports = requireMetricsToken;
@@ -0,0 +1,213 @@
+/**
+ * Azure Maps (AccuWeather) Provider
+ *
+ * Geocoding plus daily and hourly forecasts from the Azure Maps Weather API.
+ */
+const transformers = require('../utils/transformers');
+const { CACHE_DURATION } = require('../cache');
+const { withFixtures } = require('./fixtures');
+const { createUpstreamClient } = require('./upstreamClient');
+const { createLogger } = require('../logging');
+
+const upstream = createUpstreamClient('azuremaps');
+const logger = createLogger('provider.azuremaps');
+
+/**
+ * Fetch location data from Azure Maps API using a ZIP code, postal code or place name
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {string|null} options.countrySet - Restrict results to this country (null for worldwide)
+ * @param {number} options.limit - Maximum number of results
+ */
+async function fetchAzureMapsLocation(query, { countrySet = 'US', limit = 1 } = {}) {
+  try {
+    const apiKey = process.env.AZURE_MAPS_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('Azure Maps API key not configured');
+    }
+
+    const url = `${process.env.AZURE_MAPS_BASE_URL}/search/address/json`;
+
+    const params = {
+      'api-version': '1.0',
+      'subscription-key': apiKey,
+      'query': query,
+      'limit': String(limit)
+    };
+
+    if (countrySet) {
+      params.countrySet = countrySet;
+    }
+
+    const response = await upstream.get(url, { params });
+
+    if (!response.data || !response.data.results || response.data.results.length === 0) {
+      throw new Error(`No location found for: ${query}`);
+    }
+
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching Azure Maps location', { error });
+    throw error;
+  }
+}
+
+/**
+ * Reverse geocode coordinates to an address using Azure Maps API
+ */
+async function fetchAzureMapsReverseLocation(latitude, longitude) {
+  try {
+    const apiKey = process.env.AZURE_MAPS_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('Azure Maps API key not configured');
+    }
+
+    const url = `${process.env.AZURE_MAPS_BASE_URL}/search/address/reverse/json`;
+
+    const response = await upstream.get(url, {
+      params: {
+        'api-version': '1.0',
+        'subscription-key': apiKey,
+        'query': `${latitude},${longitude}`
+      }
+    });
+
+    if (!response.data || !response.data.addresses || response.data.addresses.length === 0) {
+      throw new Error(`No address found for coordinates: ${latitude},${longitude}`);
+    }
+
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching Azure Maps reverse location', { error });
+    throw error;
+  }
+}
+
+/**
+ * Fetch daily forecast from Azure Maps API
+ */
+async function fetchAzureMapsDailyForecast(latitude, longitude) {
+  try {
+    const apiKey = process.env.AZURE_MAPS_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('Azure Maps API key not configured');
+    }
+
+    const url = `${process.env.AZURE_MAPS_BASE_URL}/weather/forecast/daily/json`;
+
+    const response = await upstream.get(url, {
+      params: {
+        'api-version': '1.1',
+        'subscription-key': apiKey,
+        'query': `${latitude},${longitude}`,
+        'duration': '10',
+        'unit': 'imperial'
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching Azure Maps daily forecast', { error });
+    throw error;
+  }
+}
+
+/**
+ * Fetch hourly forecast from Azure Maps API
+ */
+async function fetchAzureMapsHourlyForecast(latitude, longitude) {
+  try {
+    const apiKey = process.env.AZURE_MAPS_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('Azure Maps API key not configured');
+    }
+
+    const url = `${process.env.AZURE_MAPS_BASE_URL}/weather/forecast/hourly/json`;
+
+    const response = await upstream.get(url, {
+      params: {
+        'api-version': '1.1',
+        'subscription-key': apiKey,
+        'query': `${latitude},${longitude}`,
+        'duration': '240',
+        'unit': 'imperial',
+        'language': 'en-US'
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching Azure Maps hourly forecast', { error });
+    throw error;
+  }
+}
+
+// Upstream calls, recorded or replayed when PROVIDER_FIXTURES_MODE is set
+const fetchers = withFixtures('azuremaps', {
+  fetchAzureMapsLocation,
+  fetchAzureMapsReverseLocation,
+  fetchAzureMapsDailyForecast,
+  fetchAzureMapsHourlyForecast
+});
+
+const azureMapsProvider = {
+  id: 'azuremaps',
+  name: 'AzureMaps',
+  cacheTtl: CACHE_DURATION,
+  cacheKeyPrefix: 'azure_maps_',
+  capabilities: {
+    current: true,
+    hourly: true,
+    daily: true,
+    maxForecastHours: 240,
+    requiresPlaceName: false
+  },
+
+  getCacheKey(location) {
+    const { latitude, longitude } = location.coordinates;
+    return `${this.cacheKeyPrefix}${latitude}_${longitude}`;
+  },
+
+  async fetch(location) {
+    const { latitude, longitude } = location.coordinates;
+
+    // Fetch both daily and hourly forecasts in parallel
+    const [dailyData, hourlyData] = await Promise.all([
+      fetchers.fetchAzureMapsDailyForecast(latitude, longitude),
+      fetchers.fetchAzureMapsHourlyForecast(latitude, longitude)
+    ]);
+
+    return { dailyData, hourlyData };
+  },
+
+  transform({ dailyData, hourlyData }, location) {
+    const azureTransformedDaily = transformers.transformAzureMapsDaily(dailyData);
+    const azureTransformedHourly = transformers.transformAzureMapsHourly(hourlyData);
+
+    // Replace the hourly data derived from the daily forecast with the real hourly data
+    const weatherData = transformers.combineAzureMapsData(location, azureTransformedDaily);
+    weatherData.hourly = azureTransformedHourly;
+    return weatherData;
+  },
+
+  fallback(location, error) {
+    return {
+      location,
+      source: 'AzureMaps',
+      isError: true,
+      errorMessage: error.message || 'Failed to fetch Azure Maps data'
+    };
+  }
+};
+
+module.exports = {
+  azureMapsProvider,
+  fetchAzureMapsLocation: fetchers.fetchAzureMapsLocation,
+  fetchAzureMapsReverseLocation: fetchers.fetchAzureMapsReverseLocation,
+  fetchAzureMapsDailyForecast: fetchers.fetchAzureMapsDailyForecast,
+  fetchAzureMapsHourlyForecast: fetchers.fetchAzureMapsHourlyForecast
+};
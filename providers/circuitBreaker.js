@@ -0,0 +1,210 @@
+/**
+ * Provider Circuit Breakers
+ *
+ * One breaker per provider guards its upstream calls, so a source that keeps
+ * failing (Foreca rate limiting, Google Weather down) stops holding up every
+ * triple request until the call gives up:
+ *
+ * - closed: calls go through; consecutive failures are counted
+ * - open: after CIRCUIT_BREAKER_FAILURE_THRESHOLD consecutive failures, calls
+ *   fail straight away as "unavailable" for CIRCUIT_BREAKER_COOLDOWN_MS
+ * - halfOpen: once the cooldown is over, a single probe call goes through
+ *   (everyone else still fails fast); success closes the breaker, failure
+ *   opens it for another cooldown
+ *
+ * Client errors (HTTP 4xx other than 408 and 429) and spent call budgets say
+ * nothing about the provider's health and are not counted. Settings are read
+ * on every call; a threshold of 0 disables the breakers.
+ */
+const metrics = require('../metrics');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('circuitBreaker');
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60 * 1000; // 1 minute
+
+// Breaker state per provider id, created on the first call
+const breakers = new Map();
+
+metrics.createGauge(
+  'circuit_breaker_open',
+  'Whether a provider circuit breaker is open or half-open (1) or closed (0), by provider',
+  () => [...breakers].map(([provider, breaker]) => ({ labels: { provider }, value: breaker.state === 'closed' ? 0 : 1 }))
+);
+
+/**
+ * Read the breaker settings from the environment
+ */
+function getBreakerSettings() {
+  const threshold = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10);
+  const cooldownMs = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS, 10);
+
+  return {
+    failureThreshold: Number.isNaN(threshold) ? DEFAULT_FAILURE_THRESHOLD : threshold,
+    cooldownMs: Number.isNaN(cooldownMs) ? DEFAULT_COOLDOWN_MS : cooldownMs
+  };
+}
+
+/**
+ * Get (creating if needed) the breaker of a provider
+ */
+function getBreaker(providerId) {
+  if (!breakers.has(providerId)) {
+    breakers.set(providerId, {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      retryAt: null,
+      probeInFlight: false,
+      lastError: null,
+      lastFailureAt: null,
+      totals: { successes: 0, failures: 0, shortCircuited: 0, opened: 0 }
+    });
+  }
+  return breakers.get(providerId);
+}
+
+/**
+ * Check whether an error reflects the provider's health rather than the request
+ */
+function isProviderFailure(error) {
+  if (error.quotaExceeded) {
+    return false;
+  }
+  const status = error.response && error.response.status;
+  return !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+}
+
+/**
+ * Build the error thrown instead of calling a provider whose breaker is open
+ */
+function createUnavailableError(provider, breaker) {
+  const retryIn = Math.max(Math.ceil((breaker.retryAt - Date.now()) / 1000), 0);
+  const error = new Error(
+    `${provider.name} is temporarily unavailable after ${breaker.consecutiveFailures} consecutive failures ` +
+    `(last: ${breaker.lastError}); next attempt in ${retryIn}s`
+  );
+  error.circuitOpen = true;
+  error.retryAt = breaker.retryAt;
+  return error;
+}
+
+function openBreaker(provider, breaker, cooldownMs) {
+  const now = Date.now();
+  breaker.state = 'open';
+  breaker.openedAt = now;
+  breaker.retryAt = now + cooldownMs;
+  breaker.totals.opened++;
+  logger.warn(`Circuit breaker for ${provider.name} opened after ${breaker.consecutiveFailures} consecutive failures`, {
+    provider: provider.id,
+    cooldownMs,
+    lastError: breaker.lastError
+  });
+}
+
+/**
+ * Make an upstream call through the provider's breaker
+ * @param {Object} provider - Provider adapter
+ * @param {Function} call - Async function making the upstream call
+ * @returns {Promise<*>} - Result of the call
+ * @throws {Error} - The call's error, or an error with `circuitOpen: true` when short-circuited
+ */
+async function callThroughBreaker(provider, call) {
+  const { failureThreshold, cooldownMs } = getBreakerSettings();
+
+  if (failureThreshold <= 0) {
+    return call();
+  }
+
+  const breaker = getBreaker(provider.id);
+  let isProbe = false;
+
+  if (breaker.state !== 'closed') {
+    if (breaker.probeInFlight || Date.now() < breaker.retryAt) {
+      breaker.totals.shortCircuited++;
+      throw createUnavailableError(provider, breaker);
+    }
+
+    // Cooldown over: let this call through as the probe
+    breaker.state = 'halfOpen';
+    breaker.probeInFlight = true;
+    isProbe = true;
+  }
+
+  try {
+    const result = await call();
+
+    if (breaker.state !== 'closed') {
+      logger.info(`Circuit breaker for ${provider.name} closed: probe succeeded`, { provider: provider.id });
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+    breaker.retryAt = null;
+    breaker.totals.successes++;
+    return result;
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      breaker.consecutiveFailures++;
+      breaker.lastError = error.message;
+      breaker.lastFailureAt = Date.now();
+      breaker.totals.failures++;
+
+      if (isProbe || breaker.consecutiveFailures >= failureThreshold) {
+        openBreaker(provider, breaker, cooldownMs);
+      }
+    } else if (isProbe) {
+      // A client error still proves the provider answers
+      breaker.state = 'closed';
+      breaker.consecutiveFailures = 0;
+      breaker.openedAt = null;
+      breaker.retryAt = null;
+    }
+    throw error;
+  } finally {
+    if (isProbe) {
+      breaker.probeInFlight = false;
+    }
+  }
+}
+
+/**
+ * Get the breaker state of each provider, for /api/status
+ * @param {string[]} providerIds - Providers to report, in display order
+ * @returns {Object} - Breaker state keyed by provider id
+ */
+function getCircuitBreakerStates(providerIds) {
+  const { failureThreshold, cooldownMs } = getBreakerSettings();
+
+  return Object.fromEntries(providerIds.map(providerId => {
+    const breaker = getBreaker(providerId);
+    // An open breaker whose cooldown has passed lets the next call through
+    const state = breaker.state === 'open' && Date.now() >= breaker.retryAt ? 'halfOpen' : breaker.state;
+
+    return [providerId, {
+      state: failureThreshold <= 0 ? 'disabled' : state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      failureThreshold,
+      cooldownMs,
+      openedAt: breaker.openedAt,
+      retryAt: breaker.retryAt,
+      lastError: breaker.lastError,
+      lastFailureAt: breaker.lastFailureAt,
+      totals: { ...breaker.totals }
+    }];
+  }));
+}
+
+/**
+ * Forget the state of every breaker (closing them all)
+ */
+function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+module.exports = {
+  callThroughBreaker,
+  getCircuitBreakerStates,
+  resetCircuitBreakers
+};
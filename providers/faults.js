@@ -0,0 +1,320 @@
+/**
+ * Provider Fault Injection
+ *
+ * Server-side counterpart of tests/server-error-simulator.js: makes chosen
+ * providers fail, slow down, rate limit or return partial data inside the
+ * weather routes, so the real per-provider error paths (isError, rateLimited,
+ * isMockData / mockDataReason) can be exercised end to end, together with the
+ * upstream client's retries and the circuit breakers.
+ *
+ * Faults come from two places, runtime faults taking precedence:
+ * - FAULT_INJECTION, read on every call: comma separated `provider:type[:value]`,
+ *   e.g. `foreca:rateLimited,azuremaps:slow:3000,openmeteo:partial:0.25`
+ * - the admin endpoints in routes/faults.js (PUT /api/faults/:provider)
+ *
+ * Fault types, with the meaning of the optional value:
+ * - 'error': the upstream call fails with an HTTP error (value: status, default 500)
+ * - 'timeout': the call hangs, then fails like an axios timeout (value: delay in ms)
+ * - 'slow': the call succeeds after a delay (value: delay in ms)
+ * - 'rateLimited': the call fails with a 429 (value: Retry-After in seconds)
+ * - 'partial': the call succeeds but only the leading share of the hourly and
+ *   daily rows is kept (value: share kept, 0-1)
+ *
+ * A fault is drawn once per provider forecast. The provider's fetch then skips
+ * the server cache and request coalescing, and runs with the fault in its async
+ * context (runWithFault): the upstream client applies it to every attempt of
+ * that provider's calls, in place of the HTTP exchange. So injected errors are
+ * retried, Retry-After is honored, attempts count against the call budget and
+ * failures count towards the circuit breaker, just like real ones. Other calls
+ * to the same upstream, such as the Azure Maps geocoding, are not faulted.
+ * Every faulted entry is marked with `injectedFault` and is never cached.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('faults');
+
+const FAULT_TYPES = ['error', 'timeout', 'slow', 'rateLimited', 'partial'];
+
+// Defaults for the optional fault settings
+const DEFAULT_ERROR_STATUS = 500;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_SLOW_MS = 3000;
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+const DEFAULT_PARTIAL_SHARE = 0.25;
+
+// Faults set through the admin endpoints, keyed by provider id
+const runtimeFaults = new Map();
+
+// Fault of the provider fetch being run: { providerId, fault }
+const faultContext = new AsyncLocalStorage();
+
+/**
+ * Validate a fault definition and fill in its defaults
+ * @param {Object} definition - { type, status, delayMs, retryAfter, keep, probability }
+ * @returns {Object} - { fault } with the complete fault, or { error } describing the problem
+ */
+function normalizeFault(definition) {
+  const { type } = definition || {};
+
+  if (!FAULT_TYPES.includes(type)) {
+    return { error: `Unknown fault type: ${type}. Expected one of ${FAULT_TYPES.join(', ')}` };
+  }
+
+  const probability = definition.probability === undefined ? 1 : Number(definition.probability);
+  if (!(probability >= 0 && probability <= 1)) {
+    return { error: 'probability must be between 0 and 1' };
+  }
+
+  const fault = { type, probability };
+
+  switch (type) {
+    case 'error':
+      fault.status = definition.status === undefined ? DEFAULT_ERROR_STATUS : Number(definition.status);
+      if (!(Number.isInteger(fault.status) && fault.status >= 400 && fault.status <= 599)) {
+        return { error: 'status must be an HTTP error status (400-599)' };
+      }
+      break;
+
+    case 'timeout':
+    case 'slow':
+      fault.delayMs = definition.delayMs === undefined
+        ? (type === 'timeout' ? DEFAULT_TIMEOUT_MS : DEFAULT_SLOW_MS)
+        : Number(definition.delayMs);
+      if (!(fault.delayMs >= 0)) {
+        return { error: 'delayMs must be a number of milliseconds' };
+      }
+      break;
+
+    case 'rateLimited':
+      fault.retryAfter = definition.retryAfter === undefined ? DEFAULT_RETRY_AFTER_SECONDS : Number(definition.retryAfter);
+      if (!(fault.retryAfter >= 0)) {
+        return { error: 'retryAfter must be a number of seconds' };
+      }
+      break;
+
+    default:
+      fault.keep = definition.keep === undefined ? DEFAULT_PARTIAL_SHARE : Number(definition.keep);
+      if (!(fault.keep >= 0 && fault.keep <= 1)) {
+        return { error: 'keep must be between 0 and 1' };
+      }
+  }
+
+  return { fault };
+}
+
+// Fault setting that the value of a FAULT_INJECTION entry sets, per fault type
+const ENV_VALUE_FIELDS = {
+  error: 'status',
+  timeout: 'delayMs',
+  slow: 'delayMs',
+  rateLimited: 'retryAfter',
+  partial: 'keep'
+};
+
+// Faults parsed from FAULT_INJECTION, reused until the variable changes
+let envFaultsCache = { raw: null, faults: new Map() };
+
+/**
+ * Parse the faults configured in FAULT_INJECTION, skipping (and logging) invalid entries.
+ * The variable is only parsed again when its value changes, so invalid entries are
+ * logged once rather than on every request.
+ * @returns {Map} - Faults keyed by provider id
+ */
+function getEnvFaults() {
+  const raw = process.env.FAULT_INJECTION || '';
+  if (envFaultsCache.raw === raw) {
+    return envFaultsCache.faults;
+  }
+
+  const faults = new Map();
+
+  raw
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [providerId, type, value] = entry.split(':').map(part => part.trim());
+      const definition = { type };
+      if (value !== undefined && ENV_VALUE_FIELDS[type]) {
+        definition[ENV_VALUE_FIELDS[type]] = value;
+      }
+
+      const { fault, error } = normalizeFault(definition);
+      if (error) {
+        logger.warn(`Ignoring FAULT_INJECTION entry "${entry}": ${error}`);
+        return;
+      }
+      faults.set(providerId.toLowerCase(), fault);
+    });
+
+  envFaultsCache = { raw, faults };
+  return faults;
+}
+
+/**
+ * Get the fault configured for a provider
+ * @param {string} providerId - Provider id
+ * @returns {Object|null} - The fault, or null if the provider has none
+ */
+function getFault(providerId) {
+  const id = providerId.toLowerCase();
+  return runtimeFaults.get(id) || getEnvFaults().get(id) || null;
+}
+
+/**
+ * List every configured fault with where it was set
+ * @returns {Object[]} - { provider, source: 'admin' | 'env', ...fault } per provider
+ */
+function listFaults() {
+  const envFaults = getEnvFaults();
+  const providerIds = new Set([...envFaults.keys(), ...runtimeFaults.keys()]);
+
+  return [...providerIds].map(provider => (runtimeFaults.has(provider)
+    ? { provider, source: 'admin', ...runtimeFaults.get(provider) }
+    : { provider, source: 'env', ...envFaults.get(provider) }));
+}
+
+/**
+ * Set a runtime fault for a provider, replacing any earlier one
+ * @param {string} providerId - Provider id
+ * @param {Object} definition - Fault definition (see normalizeFault)
+ * @returns {Object} - { fault } as stored, or { error } if the definition is invalid
+ */
+function setFault(providerId, definition) {
+  const result = normalizeFault(definition);
+  if (result.fault) {
+    runtimeFaults.set(providerId.toLowerCase(), result.fault);
+  }
+  return result;
+}
+
+/**
+ * Remove the runtime fault of one provider, or of every provider.
+ * Faults from FAULT_INJECTION stay in effect.
+ * @param {string} [providerId] - Provider id; all providers when omitted
+ * @returns {number} - Number of faults removed
+ */
+function clearFaults(providerId) {
+  if (providerId) {
+    return runtimeFaults.delete(providerId.toLowerCase()) ? 1 : 0;
+  }
+  const count = runtimeFaults.size;
+  runtimeFaults.clear();
+  return count;
+}
+
+/**
+ * Decide whether a provider's fault fires for this request
+ * @param {string} providerId - Provider id
+ * @returns {Object|null} - The fault to inject, or null to call the provider normally
+ */
+function drawFault(providerId) {
+  const fault = getFault(providerId);
+  if (!fault || Math.random() >= fault.probability) {
+    return null;
+  }
+  return fault;
+}
+
+/**
+ * Run a provider's fetch with a fault, which its upstream calls then apply
+ * @param {string} providerId - Provider id
+ * @param {Object} fault - Fault drawn for this request
+ * @param {Function} fn - The fetch
+ * @returns {*} - What fn returns
+ */
+function runWithFault(providerId, fault, fn) {
+  return faultContext.run({ providerId: providerId.toLowerCase(), fault }, fn);
+}
+
+/**
+ * Get the fault the current provider fetch applies to an upstream's calls
+ * @param {string} upstreamId - Upstream client id (the provider id for provider upstreams)
+ * @returns {Object|null} - The fault, or null outside a faulted fetch of that provider
+ */
+function getActiveFault(upstreamId) {
+  const context = faultContext.getStore();
+  return context && context.providerId === upstreamId ? context.fault : null;
+}
+
+/**
+ * Build an error shaped like an axios HTTP error, so the upstream client and the
+ * provider fallbacks see the status where they look for it (message and error.response)
+ */
+function createHttpError(upstreamId, status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status} (fault injected into ${upstreamId})`);
+  error.response = { status, headers, data: { message: 'Injected fault' } };
+  error.isInjectedFault = true;
+  return error;
+}
+
+/**
+ * Apply the failing or delaying part of a fault to one upstream attempt, ahead of its HTTP request
+ * @param {string} upstreamId - Upstream client id
+ * @param {Object} fault - Fault of the current provider fetch
+ * @returns {Promise<void>} - Resolves when the request may proceed, rejects for failing faults
+ */
+async function injectFault(upstreamId, fault) {
+  logger.warn(`Injecting ${fault.type} fault into ${upstreamId}`, { provider: upstreamId, fault: fault.type });
+
+  switch (fault.type) {
+    case 'error':
+      throw createHttpError(upstreamId, fault.status);
+
+    case 'rateLimited':
+      throw createHttpError(upstreamId, 429, { 'retry-after': String(fault.retryAfter) });
+
+    case 'timeout': {
+      await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+      const error = new Error(`timeout of ${fault.delayMs}ms exceeded (fault injected into ${upstreamId})`);
+      error.code = 'ECONNABORTED';
+      error.isInjectedFault = true;
+      throw error;
+    }
+
+    case 'slow':
+      await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+      break;
+
+    default:
+      // 'partial' is applied to the result (see withInjectedFault)
+  }
+}
+
+/**
+ * Mark a forecast produced under a fault, cutting its rows down for 'partial' faults
+ * @param {Object} forecast - Transformed forecast or fallback payload
+ * @param {Object|null} fault - Fault drawn for this request, if any
+ * @returns {Object} - The forecast, unchanged when there was no fault
+ */
+function withInjectedFault(forecast, fault) {
+  if (!fault) {
+    return forecast;
+  }
+
+  const faulted = { ...forecast, injectedFault: fault.type };
+
+  if (fault.type === 'partial') {
+    ['hourly', 'daily'].forEach(field => {
+      if (Array.isArray(forecast[field])) {
+        faulted[field] = forecast[field].slice(0, Math.floor(forecast[field].length * fault.keep));
+      }
+    });
+  }
+
+  return faulted;
+}
+
+module.exports = {
+  FAULT_TYPES,
+  getFault,
+  listFaults,
+  setFault,
+  clearFaults,
+  drawFault,
+  runWithFault,
+  getActiveFault,
+  injectFault,
+  withInjectedFault
+};
@@ -0,0 +1,181 @@
+/**
+ * Upstream Response Fixtures
+ *
+ * Records the raw responses of the providers' fetch* functions to JSON files,
+ * and replays them instead of calling the network, so a whole triple response
+ * can be reproduced offline and compared before and after a transformer change
+ * (see scripts/replay-forecast.js).
+ *
+ * Controlled through the environment, read on every call:
+ * - PROVIDER_FIXTURES_MODE: 'record' (call upstream and save every response),
+ *   'replay' (serve saved responses, never call upstream) or unset/'off'
+ * - PROVIDER_FIXTURES_DIR: where the files live (defaults to .cache/fixtures in
+ *   the app directory, which is not committed: recordings can hold personal
+ *   locations, so only curated fixtures are copied to tests/node/fixtures)
+ *
+ * One file per fetcher call, named after the provider, the fetcher and its
+ * arguments, e.g. openmeteo/fetchOpenMeteoForecast_40.7128_-74.006.json.
+ * Failed calls are recorded too and replay as the same error, so error rows
+ * reproduce as well. Fixtures only ever hold response data, never API keys.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('fixtures');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+// Longest argument part of a fixture file name before it is shortened with a hash
+const MAX_ARGS_NAME_LENGTH = 100;
+
+/**
+ * Get the configured fixture mode
+ * @returns {string|null} - 'record', 'replay' or null when fixtures are off
+ */
+function getFixtureMode() {
+  const mode = (process.env.PROVIDER_FIXTURES_MODE || '').trim().toLowerCase();
+  return FIXTURE_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Get the directory fixture files are read from and written to
+ */
+function getFixturesDirectory() {
+  return process.env.PROVIDER_FIXTURES_DIR || path.join(__dirname, '..', '.cache', 'fixtures');
+}
+
+/**
+ * Build the fixture file path of one fetcher call
+ * @param {string} providerId - Provider the fetcher belongs to
+ * @param {string} fetcherName - Name of the fetch* function
+ * @param {Array} args - Arguments of the call
+ * @returns {string} - File path
+ */
+function getFixturePath(providerId, fetcherName, args) {
+  let argsName = args
+    .filter(arg => arg !== undefined)
+    .map(arg => (arg && typeof arg === 'object'
+      ? Object.entries(arg).map(([key, value]) => `${key}-${value}`).join(',')
+      : String(arg)))
+    .join('_')
+    .replace(/[^\w.,-]+/g, '-');
+
+  if (argsName.length > MAX_ARGS_NAME_LENGTH) {
+    const hash = crypto.createHash('sha1').update(argsName).digest('hex').slice(0, 10);
+    argsName = `${argsName.slice(0, MAX_ARGS_NAME_LENGTH)}-${hash}`;
+  }
+
+  const fileName = argsName ? `${fetcherName}_${argsName}.json` : `${fetcherName}.json`;
+  return path.join(getFixturesDirectory(), providerId, fileName);
+}
+
+/**
+ * Describe a fetcher call for log and error messages
+ */
+function describeCall(fetcherName, args) {
+  return `${fetcherName}(${args.map(arg => JSON.stringify(arg)).join(', ')})`;
+}
+
+/**
+ * Rebuild the error of a recorded failed call, keeping the upstream status
+ * where callers check it (e.g. error.response.status === 429)
+ */
+function toReplayedError(recordedError) {
+  const error = new Error(recordedError.message);
+  if (recordedError.status) {
+    error.response = { status: recordedError.status, data: recordedError.data };
+  }
+  return error;
+}
+
+/**
+ * Serve one fetcher call from its fixture file
+ */
+function replayCall(providerId, fetcherName, args) {
+  const fixturePath = getFixturePath(providerId, fetcherName, args);
+  const fixture = readJsonFile(fixturePath, `fixture ${fixturePath}`);
+
+  if (!fixture) {
+    throw new Error(`No recorded fixture for ${describeCall(fetcherName, args)} (expected ${fixturePath})`);
+  }
+
+  if (fixture.error) {
+    throw toReplayedError(fixture.error);
+  }
+
+  return fixture.data;
+}
+
+/**
+ * Make one fetcher call upstream and save its result (or error) to its fixture file
+ */
+async function recordCall(providerId, fetcherName, fetcher, args) {
+  const fixturePath = getFixturePath(providerId, fetcherName, args);
+  const fixture = {
+    provider: providerId,
+    fetcher: fetcherName,
+    args,
+    recordedAt: new Date().toISOString()
+  };
+
+  const save = () => {
+    try {
+      fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+      writeJsonFile(fixturePath, fixture);
+      logger.info(`Recorded fixture ${fixturePath}`);
+    } catch (error) {
+      logger.error(`Error recording fixture for ${describeCall(fetcherName, args)}`, { error });
+    }
+  };
+
+  try {
+    fixture.data = await fetcher(...args);
+    save();
+    return fixture.data;
+  } catch (error) {
+    fixture.error = {
+      message: error.message,
+      status: error.response ? error.response.status : undefined,
+      data: error.response ? error.response.data : undefined
+    };
+    save();
+    throw error;
+  }
+}
+
+/**
+ * Wrap a provider's fetch* functions so their calls are recorded or replayed
+ * according to PROVIDER_FIXTURES_MODE; with fixtures off they call through unchanged
+ * @param {string} providerId - Provider id, used as the fixture subdirectory
+ * @param {Object} fetchers - Fetch functions keyed by their names
+ * @returns {Object} - Wrapped functions under the same names
+ */
+function withFixtures(providerId, fetchers) {
+  const wrapped = {};
+
+  Object.entries(fetchers).forEach(([fetcherName, fetcher]) => {
+    wrapped[fetcherName] = async (...args) => {
+      const mode = getFixtureMode();
+
+      if (mode === 'replay') {
+        return replayCall(providerId, fetcherName, args);
+      }
+      if (mode === 'record') {
+        return recordCall(providerId, fetcherName, fetcher, args);
+      }
+      return fetcher(...args);
+    };
+  });
+
+  return wrapped;
+}
+
+module.exports = {
+  withFixtures,
+  getFixtureMode,
+  getFixturesDirectory,
+  getFixturePath
+};
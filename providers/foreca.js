@@ -0,0 +1,218 @@
+/**
+ * Foreca Provider
+ *
+ * Current conditions and hourly forecast via RapidAPI. Location lookup is
+ * done by postal code or city name, so this provider cannot serve requests
+ * for bare coordinates without a place name.
+ */
+const transformers = require('../utils/transformers');
+const { CACHE_DURATION } = require('../cache');
+const { withFixtures } = require('./fixtures');
+const { createUpstreamClient } = require('./upstreamClient');
+const { createLogger } = require('../logging');
+
+const upstream = createUpstreamClient('foreca');
+const logger = createLogger('provider.foreca');
+
+/**
+ * Base URL of the Foreca API: the RapidAPI host, unless FORECA_BASE_URL points elsewhere
+ * (e.g. a local stand-in server in tests)
+ */
+function getForecaBaseUrl() {
+  return process.env.FORECA_BASE_URL || `https://${process.env.RAPIDAPI_HOST}`;
+}
+
+/**
+ * Fetch Foreca location ID via RapidAPI
+ * @param {string} searchTerm - Postal code or city name
+ * @param {string} countryCode - ISO country code to search in
+ */
+async function fetchForecaLocationId(searchTerm, countryCode = 'us') {
+  try {
+    const rapidApiKey = process.env.RAPIDAPI_KEY;
+    const rapidApiHost = process.env.RAPIDAPI_HOST;
+
+    if (!rapidApiKey || !rapidApiHost) {
+      throw new Error('RapidAPI key or host not configured for Foreca');
+    }
+
+    // Search for the location using RapidAPI
+    const response = await upstream.get(`${getForecaBaseUrl()}/location/search/${encodeURIComponent(searchTerm)}`, {
+      headers: {
+        'x-rapidapi-host': rapidApiHost,
+        'x-rapidapi-key': rapidApiKey
+      },
+      params: {
+        country: countryCode.toLowerCase()
+      }
+    });
+
+    if (!response.data || !response.data.locations || response.data.locations.length === 0) {
+      throw new Error(`No Foreca location found for: ${searchTerm}`);
+    }
+
+    return {
+      locationId: response.data.locations[0].id
+    };
+  } catch (error) {
+    logger.error('Error fetching Foreca location ID via RapidAPI', { error });
+    throw error;
+  }
+}
+
+/**
+ * Fetch Foreca current weather via RapidAPI
+ */
+async function fetchForecaCurrent(locationId) {
+  try {
+    const rapidApiKey = process.env.RAPIDAPI_KEY;
+    const rapidApiHost = process.env.RAPIDAPI_HOST;
+
+    if (!rapidApiKey || !rapidApiHost) {
+      throw new Error('RapidAPI key or host not configured for Foreca');
+    }
+
+    const response = await upstream.get(`${getForecaBaseUrl()}/current/${locationId}`, {
+      headers: {
+        'x-rapidapi-host': rapidApiHost,
+        'x-rapidapi-key': rapidApiKey
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching Foreca current weather via RapidAPI', { error });
+    throw error;
+  }
+}
+
+/**
+ * Fetch Foreca forecast via RapidAPI - REMOVED
+ * Daily forecast functionality has been removed
+ */
+async function fetchForecaForecast(locationId) {
+  logger.debug('Foreca daily forecast functionality has been removed');
+  return { forecast: [] };
+}
+
+/**
+ * Fetch Foreca hourly forecast via RapidAPI
+ */
+async function fetchForecaHourlyForecast(locationId) {
+  try {
+    const rapidApiKey = process.env.RAPIDAPI_KEY;
+    const rapidApiHost = process.env.RAPIDAPI_HOST;
+
+    if (!rapidApiKey || !rapidApiHost) {
+      throw new Error('RapidAPI key or host not configured for Foreca');
+    }
+
+    const response = await upstream.get(`${getForecaBaseUrl()}/forecast/hourly/${locationId}`, {
+      headers: {
+        'x-rapidapi-host': rapidApiHost,
+        'x-rapidapi-key': rapidApiKey
+      },
+      params: {
+        periods: 168, // 7 days * 24 hours = 168 hours (maximum allowed by Foreca API)
+        dataset: 'full' // Get full dataset with all available parameters
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching Foreca hourly forecast via RapidAPI', { error });
+
+    // If we hit a rate limit, return a specific error object
+    if (error.response && error.response.status === 429) {
+      return { status: 429, message: 'Rate limit exceeded' };
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Pick the term Foreca's location search is queried with: the postal code when
+ * there is one, otherwise the city name
+ */
+function getForecaSearchTerm(location) {
+  return location.zipCode || location.city;
+}
+
+// Upstream calls, recorded or replayed when PROVIDER_FIXTURES_MODE is set
+const fetchers = withFixtures('foreca', {
+  fetchForecaLocationId,
+  fetchForecaCurrent,
+  fetchForecaHourlyForecast
+});
+
+const forecaProvider = {
+  id: 'foreca',
+  name: 'Foreca',
+  cacheTtl: CACHE_DURATION,
+  cacheKeyPrefix: 'foreca_',
+  capabilities: {
+    current: true,
+    hourly: true,
+    daily: false,
+    maxForecastHours: 168,
+    requiresPlaceName: true
+  },
+
+  getCacheKey(location) {
+    return `${this.cacheKeyPrefix}${location.countryCode || 'US'}_${getForecaSearchTerm(location)}`;
+  },
+
+  async fetch(location) {
+    const { locationId } = await fetchers.fetchForecaLocationId(getForecaSearchTerm(location), location.countryCode || 'US');
+
+    // No longer fetching daily forecast data
+    const [currentData, hourlyData] = await Promise.all([
+      fetchers.fetchForecaCurrent(locationId),
+      fetchers.fetchForecaHourlyForecast(locationId)
+    ]);
+
+    // Check if we hit rate limits
+    const isRateLimited =
+      (currentData && currentData.status === 429) ||
+      (hourlyData && hourlyData.status === 429);
+
+    if (isRateLimited) {
+      throw new Error('Foreca API rate limit exceeded (429)');
+    }
+
+    return { currentData, hourlyData };
+  },
+
+  transform({ currentData, hourlyData }, location) {
+    // Pass null for dailyData since we've removed that functionality
+    return transformers.combineForecaData(location, currentData, null, hourlyData);
+  },
+
+  fallback(location, error) {
+    const isRateLimited = error.message.includes('429') || error.message.includes('rate limit');
+
+    // combineForecaData handles null / rate limited input gracefully
+    const weatherData = transformers.combineForecaData(
+      location,
+      isRateLimited ? { status: 429 } : null,
+      null,
+      isRateLimited ? { status: 429 } : null
+    );
+
+    weatherData.isError = true;
+    weatherData.rateLimited = isRateLimited;
+    weatherData.errorMessage = isRateLimited
+      ? 'Rate limit exceeded (429). Using mock data.'
+      : `Error fetching Foreca data: ${error.message}`;
+    return weatherData;
+  }
+};
+
+module.exports = {
+  forecaProvider,
+  fetchForecaLocationId: fetchers.fetchForecaLocationId,
+  fetchForecaCurrent: fetchers.fetchForecaCurrent,
+  fetchForecaForecast,
+  fetchForecaHourlyForecast: fetchers.fetchForecaHourlyForecast
+};
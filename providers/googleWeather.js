@@ -0,0 +1,247 @@
+/**
+ * Google Weather Provider
+ *
+ * Hourly forecast from the Google Weather API hours:lookup endpoint. The API
+ * pages its results (~24 hours per call), so one location costs ~10 billable
+ * requests and gets a longer cache TTL than the other providers.
+ */
+const transformers = require('../utils/transformers');
+const { withFixtures } = require('./fixtures');
+const { createUpstreamClient } = require('./upstreamClient');
+const metrics = require('../metrics');
+const { createLogger } = require('../logging');
+
+const GOOGLE_WEATHER_CACHE_DURATION = 30 * 60 * 1000; // 30 minutes for expensive Google Weather calls
+const GOOGLE_WEATHER_TOTAL_HOURS = 240;
+
+// Pages are fetched one after another on one kept-alive connection, 15 seconds per page
+const upstream = createUpstreamClient('googleweather', { timeoutMs: 15000 });
+
+const logger = createLogger('provider.googleweather');
+
+/**
+ * Get the error message of a Google API error response, without the rest of its body
+ */
+function getUpstreamErrorMessage(error) {
+  const body = error.response && error.response.data;
+  return body && body.error && typeof body.error.message === 'string' ? body.error.message : undefined;
+}
+
+/**
+ * Fetch Google Weather API forecast with proper pagination
+ *
+ * This function uses the correct pagination approach for the Google Weather API:
+ * 1. Makes an initial request for 240 hours with pageSize=240
+ * 2. Uses the returned nextPageToken to make subsequent paginated requests
+ * 3. Continues until all 240 hours are collected or no more tokens available
+ * 4. Each request returns ~24 hours, so ~10 requests needed for 240 hours
+ *
+ * Caching is handled by the provider registry using GOOGLE_WEATHER_CACHE_DURATION.
+ */
+async function fetchGoogleWeatherForecast(latitude, longitude, totalHours = GOOGLE_WEATHER_TOTAL_HOURS, pageSize = 240) {
+  try {
+    logger.debug(`Fetching Google Weather API data for ${totalHours} hours using pagination`);
+
+    const apiKey = process.env.GOOGLE_WEATHER_API_KEY;
+
+    if (!apiKey) {
+      throw new Error('Google Weather API key not configured');
+    }
+
+    const baseUrl = `${process.env.GOOGLE_WEATHER_BASE_URL || 'https://weather.googleapis.com'}/v1/forecast/hours:lookup`;
+
+    let allForecastHours = [];
+    let nextPageToken = null;
+    let requestCount = 0;
+    const maxRequests = Math.ceil(totalHours / 24); // API returns ~24 hours per request
+
+    do {
+      requestCount++;
+
+      const params = {
+        'location.latitude': latitude,
+        'location.longitude': longitude,
+        hours: totalHours,
+        pageSize
+      };
+
+      // Add pageToken if we have one (for subsequent requests)
+      if (nextPageToken) {
+        params.pageToken = nextPageToken;
+      }
+
+      logger.debug(`Making request ${requestCount}/${maxRequests}${nextPageToken ? ' with pageToken' : ' (initial)'}`);
+
+      try {
+        // Timeouts, retries and connection reuse come from the upstream client
+        // The key goes in a header rather than the URL, so it never shows up in URLs
+        const response = await upstream.get(baseUrl, {
+          params,
+          headers: {
+            'Accept': 'application/json',
+            'X-Goog-Api-Key': apiKey
+          }
+        });
+        metrics.googleWeatherPages.inc();
+
+        // Check if we got data
+        if (!response.data || !response.data.forecastHours) {
+          logger.warn(`No forecast hours in response for request ${requestCount}`);
+          break;
+        }
+
+        const hours = response.data.forecastHours;
+
+        // Add the hours to our collection
+        allForecastHours.push(...hours);
+
+        // Get the next page token for the next request
+        nextPageToken = response.data.nextPageToken;
+
+        // Store timezone from first response
+        if (requestCount === 1 && response.data.timeZone) {
+          allForecastHours.timeZone = response.data.timeZone;
+        }
+
+        logger.debug(`Received ${hours.length} hours from request ${requestCount}`, {
+          hoursCollected: allForecastHours.length,
+          hasNextPageToken: !!nextPageToken
+        });
+
+        // Stop if we have enough hours or no more pages
+        if (allForecastHours.length >= totalHours || !nextPageToken) {
+          break;
+        }
+
+        // Reduced delay between requests for better performance
+        if (nextPageToken) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+      } catch (requestError) {
+        logger.error(`Error in request ${requestCount}`, {
+          error: requestError,
+          upstreamMessage: getUpstreamErrorMessage(requestError)
+        });
+
+        // If this is the first request, throw the error
+        if (requestCount === 1) {
+          throw requestError;
+        }
+
+        // For subsequent requests, log the error but continue with what we have
+        logger.warn(`Continuing with ${allForecastHours.length} hours from ${requestCount - 1} successful requests`);
+        break;
+      }
+
+    } while (nextPageToken && requestCount < maxRequests && allForecastHours.length < totalHours);
+
+    // Limit to requested hours if we got more
+    if (allForecastHours.length > totalHours) {
+      allForecastHours = allForecastHours.slice(0, totalHours);
+    }
+
+    logger.info('Google Weather API pagination complete', { hours: allForecastHours.length, requests: requestCount });
+    metrics.googleWeatherPagesPerForecast.observe({}, requestCount);
+
+    // Return the complete response object
+    return {
+      forecastHours: allForecastHours,
+      timeZone: allForecastHours.timeZone || {
+        id: "America/Los_Angeles",
+        version: ""
+      },
+      paginationInfo: {
+        totalHoursRetrieved: allForecastHours.length,
+        maxHoursRequested: totalHours,
+        requestsMade: requestCount,
+        approach: "proper-pagination-with-pageToken"
+      }
+    };
+  } catch (error) {
+    const wrapped = new Error(`Google Weather API failed: ${error.message}. Unable to retrieve weather data.`);
+    // Kept so the circuit breaker and the call budgets can tell client errors and spent budgets apart
+    wrapped.response = error.response;
+    wrapped.code = error.code;
+    wrapped.quotaExceeded = error.quotaExceeded;
+    throw wrapped;
+  }
+}
+
+// Upstream calls, recorded or replayed when PROVIDER_FIXTURES_MODE is set
+const fetchers = withFixtures('googleweather', { fetchGoogleWeatherForecast });
+
+const googleWeatherProvider = {
+  id: 'googleweather',
+  name: 'GoogleWeather',
+  cacheTtl: GOOGLE_WEATHER_CACHE_DURATION,
+  cacheKeyPrefix: 'google_weather_',
+  capabilities: {
+    current: true,
+    hourly: true,
+    daily: false,
+    maxForecastHours: GOOGLE_WEATHER_TOTAL_HOURS,
+    requiresPlaceName: false
+  },
+
+  getCacheKey(location) {
+    const { latitude, longitude } = location.coordinates;
+    return `${this.cacheKeyPrefix}${latitude}_${longitude}_${GOOGLE_WEATHER_TOTAL_HOURS}`;
+  },
+
+  fetch(location) {
+    const { latitude, longitude } = location.coordinates;
+    return fetchers.fetchGoogleWeatherForecast(latitude, longitude);
+  },
+
+  transform(googleWeatherData, location) {
+    const weatherData = transformers.combineGoogleWeatherData(location, googleWeatherData);
+
+    // Check if the data is from the real API or mock data
+    // Mock data has forecastHours with simple objects, while real data has more complex nested objects
+    const isMockData = googleWeatherData.forecastHours &&
+                      googleWeatherData.forecastHours.length > 0 &&
+                      !googleWeatherData.forecastHours[0].weatherCondition;
+
+    if (isMockData) {
+      weatherData.isMockData = true;
+      weatherData.mockDataReason = "Google Weather API request failed";
+    }
+    return weatherData;
+  },
+
+  fallback(location, error) {
+    return {
+      location,
+      current: {
+        temperature: 72,
+        feelsLike: 70,
+        humidity: 65,
+        windSpeed: 8,
+        windDirection: 270,
+        description: 'Partly Cloudy',
+        icon: 'partly-sunny',
+        precipitation: {
+          probability: 20,
+          amount: 0.1,
+          unit: 'mm',
+          type: 'rain'
+        }
+      },
+      hourly: [],
+      daily: [],
+      source: 'GoogleWeather',
+      lastUpdated: Date.now(),
+      isError: true,
+      isMockData: true,
+      mockDataReason: "Google Weather API is currently unavailable",
+      errorMessage: `Error fetching Google Weather data: ${error.message}`
+    };
+  }
+};
+
+module.exports = {
+  googleWeatherProvider,
+  fetchGoogleWeatherForecast: fetchers.fetchGoogleWeatherForecast,
+  GOOGLE_WEATHER_CACHE_DURATION
+};
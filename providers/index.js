@@ -0,0 +1,108 @@
+/**
+ * Weather Provider Registry
+ *
+ * Every forecast source is an adapter module registered here. An adapter is a
+ * plain object with the following shape:
+ *
+ *   {
+ *     id: 'googleweather',                // value accepted by ?source=
+ *     name: 'GoogleWeather',              // `source` label used in response payloads
+ *     cacheTtl: 30 * 60 * 1000,           // how long raw upstream data is cached (ms)
+ *     cacheKeyPrefix: 'google_weather_',  // prefix of every cache key the adapter builds
+ *     capabilities: { current, hourly, daily, maxForecastHours, requiresPlaceName },
+ *     getCacheKey(location),              // server cache key for the raw upstream data
+ *     fetch(location),                    // async, returns raw upstream data
+ *     transform(rawData, location),       // returns standardized weather data
+ *     fallback(location, error)           // returns the error payload shown for this source
+ *   }
+ *
+ * Row order and enabled sources are read from the environment:
+ * - WEATHER_PROVIDER_ORDER: comma separated provider ids, unlisted providers follow in registration order
+ * - WEATHER_PROVIDERS_DISABLED: comma separated provider ids to leave out
+ */
+const { googleWeatherProvider } = require('./googleWeather');
+const { azureMapsProvider } = require('./azureMaps');
+const { forecaProvider } = require('./foreca');
+const { openMeteoProvider } = require('./openMeteo');
+
+const REQUIRED_PROVIDER_FIELDS = ['id', 'name', 'cacheTtl', 'cacheKeyPrefix', 'capabilities', 'getCacheKey', 'fetch', 'transform', 'fallback'];
+
+// Registered providers, kept in registration order
+const providers = new Map();
+
+/**
+ * Parse a comma separated list of provider ids from an environment variable
+ * @param {string} value - Raw environment value
+ * @returns {string[]} - Lower-cased provider ids
+ */
+function parseProviderList(value) {
+  if (!value) return [];
+  return value
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Register a provider adapter
+ * @param {Object} provider - Provider adapter
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(provider) {
+  const missing = REQUIRED_PROVIDER_FIELDS.filter(field => provider[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.id || '(unnamed)'} is missing required fields: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.id.toLowerCase(), provider);
+  return provider;
+}
+
+/**
+ * Check whether a provider has been disabled through configuration
+ * @param {string} id - Provider id
+ * @returns {boolean} - True if the provider is enabled
+ */
+function isProviderEnabled(id) {
+  return !parseProviderList(process.env.WEATHER_PROVIDERS_DISABLED).includes(id.toLowerCase());
+}
+
+/**
+ * Look up an enabled provider by id
+ * @param {string} id - Provider id (case-insensitive)
+ * @returns {Object|null} - Provider adapter, or null if unknown or disabled
+ */
+function getProvider(id) {
+  if (!id) return null;
+  const provider = providers.get(id.toLowerCase());
+  return provider && isProviderEnabled(provider.id) ? provider : null;
+}
+
+/**
+ * Get all enabled providers in configured row order
+ * @returns {Object[]} - Ordered provider adapters
+ */
+function getProviders() {
+  const configuredOrder = parseProviderList(process.env.WEATHER_PROVIDER_ORDER);
+  const ordered = [
+    ...configuredOrder.filter(id => providers.has(id)),
+    ...[...providers.keys()].filter(id => !configuredOrder.includes(id))
+  ];
+
+  return ordered
+    .filter(isProviderEnabled)
+    .map(id => providers.get(id));
+}
+
+// Default row order: Google → AccuWeather → Foreca → NOAA (OpenMeteo)
+registerProvider(googleWeatherProvider);
+registerProvider(azureMapsProvider);
+registerProvider(forecaProvider);
+registerProvider(openMeteoProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviders,
+  isProviderEnabled
+};
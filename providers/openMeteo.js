@@ -0,0 +1,119 @@
+/**
+ * Open Meteo (NOAA) Provider
+ *
+ * Free forecast API, no key required.
+ */
+const transformers = require('../utils/transformers');
+const { CACHE_DURATION } = require('../cache');
+const { withFixtures } = require('./fixtures');
+const { createUpstreamClient } = require('./upstreamClient');
+const { createLogger } = require('../logging');
+
+const upstream = createUpstreamClient('openmeteo');
+const logger = createLogger('provider.openmeteo');
+
+/**
+ * Fetch Open Meteo forecast data
+ */
+async function fetchOpenMeteoForecast(latitude, longitude) {
+  try {
+    const url = `${process.env.OPEN_METEO_BASE_URL}/v1/forecast`;
+
+    const params = {
+      latitude,
+      longitude,
+      timezone: 'auto',
+      current_weather: true,
+      forecast_days: 10,
+      models: 'best_match',
+      hourly: [
+        'temperature_2m',
+        'relativehumidity_2m',
+        'apparent_temperature',
+        'precipitation',
+        'weathercode',
+        'surface_pressure',
+        'visibility',
+        'windspeed_10m',
+        'winddirection_10m',
+        'uv_index',
+        'is_day'
+      ].join(','),
+      daily: [
+        'weathercode',
+        'temperature_2m_max',
+        'temperature_2m_min',
+        'apparent_temperature_max',
+        'apparent_temperature_min',
+        'sunrise',
+        'sunset',
+        'precipitation_sum',
+        'precipitation_probability_max',
+        'windspeed_10m_max',
+        'winddirection_10m_dominant',
+        'uv_index_max'
+      ].join(','),
+      temperature_unit: 'fahrenheit',
+      windspeed_unit: 'mph',
+      precipitation_unit: 'inch'
+    };
+
+    const response = await upstream.get(url, { params });
+    return response.data;
+  } catch (error) {
+    logger.error('Error fetching Open Meteo forecast', { error });
+    throw error;
+  }
+}
+
+// Upstream calls, recorded or replayed when PROVIDER_FIXTURES_MODE is set
+const fetchers = withFixtures('openmeteo', { fetchOpenMeteoForecast });
+
+const openMeteoProvider = {
+  id: 'openmeteo',
+  name: 'OpenMeteo',
+  cacheTtl: CACHE_DURATION,
+  cacheKeyPrefix: 'open_meteo_',
+  capabilities: {
+    current: true,
+    hourly: true,
+    daily: true,
+    maxForecastHours: 240,
+    requiresPlaceName: false
+  },
+
+  getCacheKey(location) {
+    const { latitude, longitude } = location.coordinates;
+    return `${this.cacheKeyPrefix}${latitude}_${longitude}`;
+  },
+
+  fetch(location) {
+    const { latitude, longitude } = location.coordinates;
+    return fetchers.fetchOpenMeteoForecast(latitude, longitude);
+  },
+
+  transform(meteoData, location) {
+    return {
+      location,
+      current: transformers.createOpenMeteoCurrent(meteoData),
+      daily: transformers.transformOpenMeteoDaily(meteoData),
+      hourly: transformers.transformOpenMeteoHourly(meteoData),
+      source: 'OpenMeteo',
+      lastUpdated: Date.now()
+    };
+  },
+
+  fallback(location, error) {
+    return {
+      location,
+      source: 'OpenMeteo',
+      isError: true,
+      errorMessage: error.message || 'Failed to fetch Open Meteo data'
+    };
+  }
+};
+
+module.exports = {
+  openMeteoProvider,
+  fetchOpenMeteoForecast: fetchers.fetchOpenMeteoForecast
+};
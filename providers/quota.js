@@ -0,0 +1,271 @@
+/**
+ * Upstream Call Budgets
+ *
+ * Counts every request the upstream client (providers/upstreamClient.js) sends,
+ * per upstream, per UTC day and month, and holds each upstream to the call
+ * budgets configured for it. Google Weather costs ~10 billable calls per
+ * location and Foreca has a hard RapidAPI quota, so as a budget runs low:
+ *
+ * - from QUOTA_CONSERVE_AT of a budget spent (default 0.8), the provider's raw
+ *   data is cached QUOTA_TTL_MULTIPLIER times longer (default 4)
+ * - once a budget is spent, the upstream is not called again until the period
+ *   rolls over; the weather routes serve whatever data is still cached
+ *
+ * Budgets are read from the environment on every call, per upstream id in upper case:
+ * - QUOTA_DAILY_CALLS_<ID>, QUOTA_MONTHLY_CALLS_<ID>: call budgets (unset: unlimited)
+ * - QUOTA_COST_PER_CALL_<ID>: optional price of one call, to report the spend
+ *
+ * Usage is kept in QUOTA_FILE (default .cache/quota.json), so it survives restarts.
+ * It is written a second after a call, and right away when the process exits or
+ * is stopped with SIGTERM or SIGINT, which end the process without an 'exit' event.
+ */
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('quota');
+
+const DEFAULT_CONSERVE_AT = 0.8;
+const DEFAULT_TTL_MULTIPLIER = 4;
+
+// Usage is written at most this often, plus once when the process exits
+const SAVE_DELAY = 1000;
+
+const STOP_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+// Usage per upstream id: { day, dailyCalls, month, monthlyCalls, totalCalls, lastCallAt }
+let usage = null;
+let saveTimer = null;
+
+function getQuotaFile() {
+  return process.env.QUOTA_FILE || path.join(__dirname, '..', '.cache', 'quota.json');
+}
+
+/**
+ * Load the persisted usage on first use
+ */
+function getUsage() {
+  if (!usage) {
+    const saved = readJsonFile(getQuotaFile(), 'quota usage file');
+    usage = saved && typeof saved === 'object' ? saved : {};
+    process.once('exit', saveUsage);
+    STOP_SIGNALS.forEach(signal => process.once(signal, saveAndStop));
+  }
+  return usage;
+}
+
+/**
+ * Save the usage, then stop the process with the signal as if it had no handler
+ */
+function saveAndStop(signal) {
+  saveUsage();
+  if (process.listenerCount(signal) === 0) {
+    process.kill(process.pid, signal);
+  }
+}
+
+function saveUsage() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!usage) return;
+
+  try {
+    fs.mkdirSync(path.dirname(getQuotaFile()), { recursive: true });
+    writeJsonFile(getQuotaFile(), usage);
+  } catch (error) {
+    logger.error('Error saving quota usage', { error });
+  }
+}
+
+function scheduleSave() {
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveUsage, SAVE_DELAY);
+    saveTimer.unref();
+  }
+}
+
+/**
+ * Current UTC day and month keys
+ */
+function getPeriods(now = Date.now()) {
+  const iso = new Date(now).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Get the usage of one upstream, starting new periods as the day and month roll over
+ */
+function getUpstreamUsage(upstreamId) {
+  const allUsage = getUsage();
+  const { day, month } = getPeriods();
+  const entry = allUsage[upstreamId] || (allUsage[upstreamId] = {
+    day, dailyCalls: 0, month, monthlyCalls: 0, totalCalls: 0, lastCallAt: null
+  });
+
+  if (entry.day !== day) {
+    entry.day = day;
+    entry.dailyCalls = 0;
+  }
+  if (entry.month !== month) {
+    entry.month = month;
+    entry.monthlyCalls = 0;
+  }
+  return entry;
+}
+
+/**
+ * Read a numeric setting, falling back when it is unset or invalid
+ */
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Get the configured budgets of one upstream
+ * @returns {Object} - { daily, monthly, costPerCall }, null for anything not configured
+ */
+function getBudgets(upstreamId) {
+  const suffix = upstreamId.toUpperCase();
+  return {
+    daily: readNumber(`QUOTA_DAILY_CALLS_${suffix}`, null),
+    monthly: readNumber(`QUOTA_MONTHLY_CALLS_${suffix}`, null),
+    costPerCall: readNumber(`QUOTA_COST_PER_CALL_${suffix}`, null)
+  };
+}
+
+/**
+ * Describe how much of one budget is used
+ */
+function describeBudget(used, limit) {
+  return {
+    used,
+    limit,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    share: limit === null ? 0 : (limit === 0 ? 1 : used / limit)
+  };
+}
+
+/**
+ * Get the budget status of one upstream
+ * @param {string} upstreamId - Upstream client id (the provider id for the weather providers)
+ * @returns {Object} - { level: 'ok' | 'conserving' | 'exhausted', daily, monthly, ... }
+ */
+function getBudgetStatus(upstreamId) {
+  const entry = getUpstreamUsage(upstreamId);
+  const budgets = getBudgets(upstreamId);
+  const daily = describeBudget(entry.dailyCalls, budgets.daily);
+  const monthly = describeBudget(entry.monthlyCalls, budgets.monthly);
+  const share = Math.max(daily.share, monthly.share);
+
+  let level = 'ok';
+  if (share >= 1) {
+    level = 'exhausted';
+  } else if (share >= readNumber('QUOTA_CONSERVE_AT', DEFAULT_CONSERVE_AT)) {
+    level = 'conserving';
+  }
+
+  const status = {
+    level,
+    daily: { period: entry.day, ...daily },
+    monthly: { period: entry.month, ...monthly },
+    totalCalls: entry.totalCalls,
+    lastCallAt: entry.lastCallAt
+  };
+
+  if (budgets.costPerCall !== null) {
+    status.cost = {
+      perCall: budgets.costPerCall,
+      today: entry.dailyCalls * budgets.costPerCall,
+      thisMonth: entry.monthlyCalls * budgets.costPerCall
+    };
+  }
+
+  return status;
+}
+
+/**
+ * Count one request to an upstream
+ * @param {string} upstreamId - Upstream client id
+ */
+function recordUpstreamCall(upstreamId) {
+  const entry = getUpstreamUsage(upstreamId);
+  entry.dailyCalls++;
+  entry.monthlyCalls++;
+  entry.totalCalls++;
+  entry.lastCallAt = Date.now();
+
+  const { level } = getBudgetStatus(upstreamId);
+  if (level === 'exhausted') {
+    logger.warn(`Call budget for ${upstreamId} is spent; no further calls until the period rolls over`, { upstream: upstreamId });
+  }
+
+  scheduleSave();
+}
+
+/**
+ * Check whether an upstream's budget is spent
+ * @param {string} upstreamId - Upstream client id
+ * @returns {boolean} - True if no more calls may be made
+ */
+function isBudgetExhausted(upstreamId) {
+  return getBudgetStatus(upstreamId).level === 'exhausted';
+}
+
+/**
+ * Build the error thrown instead of calling an upstream whose budget is spent
+ */
+function createBudgetExhaustedError(upstreamId) {
+  const { daily, monthly } = getBudgetStatus(upstreamId);
+  const period = daily.share >= 1 ? `daily budget of ${daily.limit}` : `monthly budget of ${monthly.limit}`;
+  const error = new Error(`Call budget for ${upstreamId} is spent (${period} calls)`);
+  error.quotaExceeded = true;
+  return error;
+}
+
+/**
+ * Get how long a provider's raw data should be cached, extended while its budget runs low
+ * @param {Object} provider - Provider adapter
+ * @returns {number} - Cache TTL in ms
+ */
+function getEffectiveCacheTtl(provider) {
+  const { level } = getBudgetStatus(provider.id);
+  return level === 'ok' ? provider.cacheTtl : provider.cacheTtl * getTtlMultiplier();
+}
+
+function getTtlMultiplier() {
+  return Math.max(readNumber('QUOTA_TTL_MULTIPLIER', DEFAULT_TTL_MULTIPLIER), 1);
+}
+
+/**
+ * Get the budget status of every upstream that has been called or has a budget
+ * @param {string[]} upstreamIds - Upstreams to include even if never called
+ * @returns {Object} - Budget status keyed by upstream id
+ */
+function getQuotaReport(upstreamIds = []) {
+  const ids = new Set([...upstreamIds, ...Object.keys(getUsage())]);
+  return Object.fromEntries([...ids].map(id => [id, getBudgetStatus(id)]));
+}
+
+/**
+ * Forget all recorded usage (and the persisted file's contents)
+ */
+function resetQuotaUsage() {
+  const allUsage = getUsage();
+  Object.keys(allUsage).forEach(upstreamId => delete allUsage[upstreamId]);
+  saveUsage();
+}
+
+module.exports = {
+  recordUpstreamCall,
+  isBudgetExhausted,
+  createBudgetExhaustedError,
+  getBudgetStatus,
+  getEffectiveCacheTtl,
+  getTtlMultiplier,
+  getQuotaReport,
+  resetQuotaUsage
+};
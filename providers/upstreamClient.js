@@ -0,0 +1,287 @@
+/**
+ * Upstream HTTP Client
+ *
+ * Shared axios wrapper for every call the server makes to a weather or
+ * geolocation API. Each upstream gets its own client with:
+ *
+ * - a request timeout
+ * - retries with exponential backoff and full jitter on network errors,
+ *   timeouts and 5xx responses
+ * - retries of 429 responses after their Retry-After delay, when that delay is
+ *   short enough to wait for (otherwise the 429 is returned straight away)
+ * - a cap on concurrent requests, further requests queueing for a free slot
+ * - keep-alive agents, so consecutive calls (Google Weather pages) reuse connections
+ * - accounting of every request against the upstream's call budget
+ *   (providers/quota.js); no request is sent once the budget is spent
+ * - an X-Request-Id header with the id of the request being handled, so upstream
+ *   calls can be matched with the server's logs
+ * - the provider fault injected into the current fetch, if any (providers/faults.js),
+ *   applied to every attempt in place of the HTTP exchange
+ *
+ * Settings are read from the environment on every request. Each one can be set
+ * for all upstreams or for one, by suffixing the client id in upper case
+ * (e.g. UPSTREAM_TIMEOUT_MS_GOOGLEWEATHER=20000):
+ * - UPSTREAM_TIMEOUT_MS: per attempt timeout (client default, usually 10000)
+ * - UPSTREAM_MAX_RETRIES: retries after the first attempt (default 2)
+ * - UPSTREAM_RETRY_BASE_DELAY_MS: backoff before the first retry, doubled per retry (default 250)
+ * - UPSTREAM_MAX_RETRY_AFTER_MS: longest Retry-After the client waits for (default 5000)
+ * - UPSTREAM_MAX_CONCURRENCY: concurrent requests per upstream (default 6)
+ */
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const { recordUpstreamCall, isBudgetExhausted, createBudgetExhaustedError } = require('./quota');
+const { getActiveFault, injectFault } = require('./faults');
+const metrics = require('../metrics');
+const { createLogger, getRequestId } = require('../logging');
+
+const logger = createLogger('upstream');
+
+const DEFAULT_SETTINGS = {
+  timeoutMs: 10000,
+  maxRetries: 2,
+  retryBaseDelayMs: 250,
+  maxRetryAfterMs: 5000,
+  maxConcurrency: 6
+};
+
+const SETTING_ENV_NAMES = {
+  timeoutMs: 'UPSTREAM_TIMEOUT_MS',
+  maxRetries: 'UPSTREAM_MAX_RETRIES',
+  retryBaseDelayMs: 'UPSTREAM_RETRY_BASE_DELAY_MS',
+  maxRetryAfterMs: 'UPSTREAM_MAX_RETRY_AFTER_MS',
+  maxConcurrency: 'UPSTREAM_MAX_CONCURRENCY'
+};
+
+// Longest backoff between two attempts, however many retries are configured
+const MAX_BACKOFF_MS = 10000;
+
+// axios error codes of failures worth retrying (no response, or the connection broke)
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+// Clients by id, so every module calling the same upstream shares its slots and counters
+const clients = new Map();
+
+/**
+ * Read one setting for a client: the per-client variable, then the global one, then the default
+ */
+function readSetting(clientId, name, defaults) {
+  const envName = SETTING_ENV_NAMES[name];
+  const candidates = [process.env[`${envName}_${clientId.toUpperCase()}`], process.env[envName]];
+
+  for (const candidate of candidates) {
+    const value = parseInt(candidate, 10);
+    if (!Number.isNaN(value) && value >= 0) {
+      return value;
+    }
+  }
+  return defaults[name];
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ * @returns {number|null} - Delay in ms, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Decide whether and when a failed attempt is retried
+ * @returns {number|null} - Delay before the retry in ms, or null to give up
+ */
+function getRetryDelay(error, attempt, settings) {
+  if (attempt >= settings.maxRetries || axios.isCancel(error)) {
+    return null;
+  }
+
+  const status = error.response && error.response.status;
+
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+    if (retryAfter === null) {
+      return null;
+    }
+    return retryAfter <= settings.maxRetryAfterMs ? retryAfter : null;
+  }
+
+  const isRetryable = status ? status >= 500 : RETRYABLE_ERROR_CODES.includes(error.code) || !error.response;
+  if (!isRetryable) {
+    return null;
+  }
+
+  // Full jitter: anywhere between 0 and the exponential backoff
+  const backoff = Math.min(settings.retryBaseDelayMs * 2 ** attempt, MAX_BACKOFF_MS);
+  return Math.round(Math.random() * backoff);
+}
+
+/**
+ * Classify a failed attempt for the upstream request metrics
+ */
+function getFailureOutcome(error) {
+  const status = error.response && error.response.status;
+  if (status === 429) return 'rate_limited';
+  if (status) return status >= 500 ? 'server_error' : 'client_error';
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network_error';
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create (or get) the client for one upstream
+ * @param {string} clientId - Upstream id, usually the provider id (e.g. 'foreca')
+ * @param {Object} [defaults] - Settings overriding DEFAULT_SETTINGS for this upstream
+ * @returns {Object} - { id, request(config), get(url, config), getStats() }
+ */
+function createUpstreamClient(clientId, defaults = {}) {
+  if (clients.has(clientId)) {
+    return clients.get(clientId);
+  }
+
+  const clientDefaults = { ...DEFAULT_SETTINGS, ...defaults };
+  const instance = axios.create({
+    httpAgent: new http.Agent({ keepAlive: true }),
+    httpsAgent: new https.Agent({ keepAlive: true })
+  });
+
+  const stats = { requests: 0, attempts: 0, retries: 0, failures: 0, inFlight: 0, queued: 0 };
+  const waiting = [];
+
+  const getSettings = () => Object.fromEntries(
+    Object.keys(DEFAULT_SETTINGS).map(name => [name, readSetting(clientId, name, clientDefaults)])
+  );
+
+  /**
+   * Wait for a free request slot
+   */
+  async function acquireSlot(maxConcurrency) {
+    if (stats.inFlight < Math.max(maxConcurrency, 1)) {
+      stats.inFlight++;
+      return;
+    }
+
+    stats.queued++;
+    await new Promise(resolve => waiting.push(resolve));
+    stats.queued--;
+  }
+
+  /**
+   * Hand the slot to the next queued request, or free it
+   */
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      stats.inFlight--;
+    }
+  }
+
+  /**
+   * Make a request, retrying as configured
+   * @param {Object} config - axios request config; a `timeout` here overrides the client's
+   * @returns {Promise<Object>} - axios response
+   * @throws {Error} - The axios error of the last attempt, or an error with
+   *                   `quotaExceeded: true` when the call budget is spent
+   */
+  async function request(config) {
+    const settings = getSettings();
+    const requestId = getRequestId();
+    stats.requests++;
+
+    if (requestId) {
+      config = { ...config, headers: { 'X-Request-Id': requestId, ...config.headers } };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+
+      if (isBudgetExhausted(clientId)) {
+        stats.failures++;
+        throw createBudgetExhaustedError(clientId);
+      }
+
+      // The slot is only held during the attempt, not during the backoff
+      await acquireSlot(settings.maxConcurrency);
+      stats.attempts++;
+      recordUpstreamCall(clientId);
+      const startedAt = process.hrtime.bigint();
+      const observeDuration = () => metrics.upstreamRequestDuration.observe(
+        { upstream: clientId },
+        Number(process.hrtime.bigint() - startedAt) / 1e9
+      );
+
+      try {
+        const fault = getActiveFault(clientId);
+        if (fault) {
+          await injectFault(clientId, fault);
+        }
+        const response = await instance.request({ timeout: settings.timeoutMs, ...config });
+        observeDuration();
+        metrics.upstreamRequests.inc({ upstream: clientId, outcome: 'success' });
+        return response;
+      } catch (error) {
+        observeDuration();
+        const outcome = getFailureOutcome(error);
+        metrics.upstreamRequests.inc({ upstream: clientId, outcome });
+        if (outcome === 'rate_limited') {
+          metrics.upstreamRateLimited.inc({ upstream: clientId });
+        }
+
+        delay = getRetryDelay(error, attempt, settings);
+
+        if (delay === null) {
+          stats.failures++;
+          throw error;
+        }
+
+        logger.warn(`${clientId} request failed, retry ${attempt + 1}/${settings.maxRetries} in ${delay}ms`, {
+          upstream: clientId,
+          outcome,
+          error
+        });
+        stats.retries++;
+      } finally {
+        releaseSlot();
+      }
+
+      await wait(delay);
+    }
+  }
+
+  const client = {
+    id: clientId,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    getStats: () => ({ ...stats, settings: getSettings() })
+  };
+
+  clients.set(clientId, client);
+  return client;
+}
+
+/**
+ * Get the counters of every upstream client, for /api/status
+ * @returns {Object} - { requests, attempts, retries, failures, inFlight, queued, settings } keyed by client id
+ */
+function getUpstreamStats() {
+  return Object.fromEntries([...clients.values()].map(client => [client.id, client.getStats()]));
+}
+
+module.exports = {
+  createUpstreamClient,
+  getUpstreamStats,
+  parseRetryAfter
+};
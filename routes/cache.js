@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+
+const requireAdminToken = require('../middleware/requireAdminToken');
+const providerRegistry = require('../providers');
+const { getServerCacheStore } = require('../cache');
+const { normalizeLocationQuery } = require('../utils/locationQuery');
+const invalidation = require('../cache/invalidation');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('admin.cache');
+
+const CACHE_CLEAR_SCOPES = ['all', 'zipCode', 'provider', 'ipLocation'];
+
+router.use(requireAdminToken);
+
+// POST /api/cache/clear
+// Body (or query): { scope: 'all' | 'zipCode' | 'provider' | 'ipLocation', zipCode, provider }
+// zipCode accepts any location query (postal code, place name or "lat,lon")
+router.post('/clear', (req, res, next) => {
+  try {
+    const params = { ...req.query, ...req.body };
+    const { scope = 'all' } = params;
+    
+    if (!CACHE_CLEAR_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: true,
+        message: `Invalid cache scope: ${scope}. Expected one of ${CACHE_CLEAR_SCOPES.join(', ')}.`
+      });
+    }
+    
+    let evicted;
+    
+    switch (scope) {
+      case 'zipCode':
+        if (!params.zipCode) {
+          return res.status(400).json({
+            error: true,
+            message: 'zipCode is required for the zipCode scope'
+          });
+        }
+        evicted = invalidation.clearZipCode(normalizeLocationQuery(params.zipCode) || params.zipCode);
+        break;
+        
+      case 'provider': {
+        const provider = providerRegistry.getProvider(params.provider);
+        if (!provider) {
+          return res.status(400).json({
+            error: true,
+            message: `Unknown weather provider: ${params.provider}`
+          });
+        }
+        evicted = invalidation.clearProvider(provider);
+        break;
+      }
+        
+      case 'ipLocation':
+        evicted = invalidation.clearIpLocations();
+        break;
+        
+      default:
+        evicted = invalidation.clearAll();
+    }
+    
+    logger.info('Server cache cleared', { scope, evicted });
+    
+    res.json({
+      success: true,
+      message: 'Server cache cleared successfully',
+      scope,
+      evicted,
+      remaining: getServerCacheStore().size
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
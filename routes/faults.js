@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+
+const requireAdminToken = require('../middleware/requireAdminToken');
+const providerRegistry = require('../providers');
+const { FAULT_TYPES, listFaults, setFault, clearFaults } = require('../providers/faults');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('admin.faults');
+
+router.use(requireAdminToken);
+
+// GET /api/faults
+// Faults in effect per provider, from FAULT_INJECTION ('env') or this endpoint ('admin')
+router.get('/', (req, res) => {
+  res.json({
+    faults: listFaults(),
+    types: FAULT_TYPES
+  });
+});
+
+// PUT /api/faults/:provider
+// Body: { type: 'error' | 'timeout' | 'slow' | 'rateLimited' | 'partial', status, delayMs, retryAfter, keep, probability }
+router.put('/:provider', (req, res) => {
+  const provider = providerRegistry.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(400).json({
+      error: true,
+      message: `Unknown weather provider: ${req.params.provider}`
+    });
+  }
+
+  const { fault, error } = setFault(provider.id, { ...req.query, ...req.body });
+  if (error) {
+    return res.status(400).json({
+      error: true,
+      message: `Invalid fault. ${error}.`
+    });
+  }
+
+  logger.info(`Fault injection set for ${provider.name}`, { provider: provider.id, fault });
+
+  res.json({
+    success: true,
+    provider: provider.id,
+    fault
+  });
+});
+
+// DELETE /api/faults/:provider
+// Remove the fault set here for one provider (FAULT_INJECTION faults stay in effect)
+router.delete('/:provider', (req, res) => {
+  const provider = providerRegistry.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(400).json({
+      error: true,
+      message: `Unknown weather provider: ${req.params.provider}`
+    });
+  }
+
+  const removed = clearFaults(provider.id);
+  res.json({ success: true, removed });
+});
+
+// DELETE /api/faults
+// Remove every fault set here
+router.delete('/', (req, res) => {
+  const removed = clearFaults();
+  logger.info('Fault injection cleared', { removed });
+  res.json({ success: true, removed });
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+const requireAdminToken = require('../middleware/requireAdminToken');
+const providerRegistry = require('../providers');
+const { getQuotaReport } = require('../providers/quota');
+
+router.use(requireAdminToken);
+
+// GET /api/quota
+// Calls made to each upstream today and this month against its budgets, with the
+// budget level ('ok', 'conserving' while cache TTLs are extended, 'exhausted') and
+// the spend when a per-call cost is configured
+router.get('/', (req, res) => {
+  res.json({
+    upstreams: getQuotaReport(providerRegistry.getProviders().map(provider => provider.id))
+  });
+});
+
+module.exports = router;
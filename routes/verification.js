@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+
+const { parseLocationQuery, normalizeLocationQuery } = require('../utils/locationQuery');
+const { getVerification, getForecastDrift } = require('../verification');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('verification');
+
+/**
+ * Parse the location parameter, sending a 400 response if it is invalid
+ * @returns {Object|null} - Parsed location query with its normalized locationKey, or null
+ */
+function parseLocationParam(req, res) {
+  const parsed = parseLocationQuery(req.params.zipCode);
+
+  if (parsed.type === null) {
+    res.status(400).json({
+      error: true,
+      message: `Invalid location. ${parsed.error}.`
+    });
+    return null;
+  }
+
+  return { ...parsed, locationKey: normalizeLocationQuery(parsed.query) };
+}
+
+// GET /api/verification/:zipCode
+// Accuracy of each provider's recorded forecasts for a location, by lead time.
+// zipCode accepts any location query the triple endpoint accepts; scores cover the
+// forecasts snapshotted from triple requests for that same query.
+router.get('/:zipCode', async (req, res, next) => {
+  try {
+    const parsed = parseLocationParam(req, res);
+    if (!parsed) return;
+
+    const verification = await getVerification(parsed.locationKey);
+
+    if (!verification) {
+      return res.status(404).json({
+        error: true,
+        message: `No forecasts have been recorded for ${parsed.query} yet. Request its triple forecast first.`
+      });
+    }
+
+    res.json(verification);
+  } catch (error) {
+    logger.error(`Error verifying forecasts for ${req.params.zipCode}`, { error });
+    next(error);
+  }
+});
+
+// GET /api/verification/:zipCode/drift
+// How each provider's forecast for every tracked hour changed between refreshes, with the
+// providers whose rain/no-rain call keeps flipping flagged as isFlipFlopping
+router.get('/:zipCode/drift', async (req, res, next) => {
+  try {
+    const parsed = parseLocationParam(req, res);
+    if (!parsed) return;
+
+    const drift = await getForecastDrift(parsed.locationKey);
+
+    if (!drift) {
+      return res.status(404).json({
+        error: true,
+        message: `No forecasts have been recorded for ${parsed.query} yet. Request its triple forecast first.`
+      });
+    }
+
+    res.json(drift);
+  } catch (error) {
+    logger.error(`Error loading forecast drift for ${req.params.zipCode}`, { error });
+    next(error);
+  }
+});
+
+module.exports = router;
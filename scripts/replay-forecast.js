@@ -0,0 +1,182 @@
+/**
+ * Replay a triple forecast from recorded upstream fixtures
+ *
+ * Builds the /api/weather/:location/triple response in-process with the
+ * providers' fetch* functions served from fixture files (providers/fixtures.js),
+ * so transformer changes can be checked offline against the same raw data.
+ *
+ * Usage:
+ *   node scripts/replay-forecast.js <location> [--record] [--out file] [--compare file]
+ *
+ *   --record         Call the real APIs and save their responses as fixtures first
+ *                    (needs the API keys in .env)
+ *   --out file       Write the response to a file instead of stdout
+ *   --compare file   Report every value that differs from a response saved earlier with --out
+ *
+ * Typical use: record once, save a baseline, change a transformer, compare:
+ *   node scripts/replay-forecast.js 10001 --record --out before.json
+ *   node scripts/replay-forecast.js 10001 --compare before.json
+ *
+ * Fields that change on every run (lastUpdated, stale, cacheAge) are left out.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Values that differ between runs over the same data
+const VOLATILE_FIELDS = ['lastUpdated', 'stale', 'cacheAge'];
+
+// Most differences listed by --compare
+const MAX_REPORTED_DIFFERENCES = 50;
+
+/**
+ * Parse the command line
+ */
+function parseArgs(argv) {
+  const options = { location: null, record: false, out: null, compare: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') {
+      options.record = true;
+    } else if (arg === '--out' || arg === '--compare') {
+      options[arg.slice(2)] = argv[++i];
+    } else if (!options.location) {
+      options.location = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Drop the volatile fields from a response, recursively
+ */
+function stripVolatileFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripVolatileFields);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !VOLATILE_FIELDS.includes(key))
+        .map(([key, child]) => [key, stripVolatileFields(child)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Collect the paths at which two JSON values differ
+ * @returns {Object[]} - { path, before, after } per difference
+ */
+function findDifferences(before, after, currentPath = '', differences = []) {
+  const isContainer = value => value !== null && typeof value === 'object';
+
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      const childPath = Array.isArray(before) ? `${currentPath}[${key}]` : `${currentPath}.${key}`;
+      findDifferences(before[key], after[key], childPath, differences);
+    });
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    differences.push({ path: currentPath || '(root)', before, after });
+  }
+
+  return differences;
+}
+
+/**
+ * Request the triple forecast from the weather routes on a throwaway local server
+ */
+async function fetchTripleForecast(location) {
+  const express = require('express');
+  const weatherRoutes = require('../routes/weather');
+
+  const app = express();
+  app.use('/api/weather', weatherRoutes);
+  app.use((err, req, res, next) => {
+    res.status(500).json({ error: true, message: err.message });
+  });
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/api/weather/${encodeURIComponent(location)}/triple?forceRefresh=true`;
+    const body = await new Promise((resolve, reject) => {
+      http.get(url, response => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => resolve(data));
+      }).on('error', reject);
+    });
+    return JSON.parse(body);
+  } finally {
+    server.close();
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.location) {
+    console.error('Usage: node scripts/replay-forecast.js <location> [--record] [--out file] [--compare file]');
+    process.exit(1);
+  }
+
+  // Set before the routes are loaded: a fresh in-memory cache so every provider
+  // is fetched (and so replayed), and no verification snapshots from replays
+  process.env.PROVIDER_FIXTURES_MODE = options.record ? 'record' : 'replay';
+  process.env.SERVER_CACHE_STORE = 'memory';
+  process.env.VERIFICATION_ENABLED = 'false';
+  // The server logger writes info entries to stdout, where the response goes; warnings
+  // and errors go to stderr
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+  // The transformers, shared with the browser, still log with console.log
+  console.log = console.error;
+
+  const response = stripVolatileFields(await fetchTripleForecast(options.location));
+
+  // Location not found, ambiguous, or not recorded yet
+  if (!Array.isArray(response)) {
+    console.error(`No forecast for ${options.location}: ${response.message || JSON.stringify(response)}`);
+    process.exit(1);
+  }
+
+  const json = JSON.stringify(response, null, 2);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${json}\n`);
+    console.error(`Wrote ${path.resolve(options.out)}`);
+  } else if (!options.compare) {
+    process.stdout.write(`${json}\n`);
+  }
+
+  if (options.compare) {
+    const baseline = JSON.parse(fs.readFileSync(options.compare, 'utf8'));
+    const differences = findDifferences(baseline, response);
+
+    if (differences.length === 0) {
+      process.stdout.write(`No differences from ${options.compare}\n`);
+      return;
+    }
+
+    process.stdout.write(`${differences.length} difference(s) from ${options.compare}:\n`);
+    differences.slice(0, MAX_REPORTED_DIFFERENCES).forEach(({ path: valuePath, before, after }) => {
+      process.stdout.write(`  ${valuePath}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}\n`);
+    });
+    if (differences.length > MAX_REPORTED_DIFFERENCES) {
+      process.stdout.write(`  ... and ${differences.length - MAX_REPORTED_DIFFERENCES} more\n`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
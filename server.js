@@ -3,12 +3,26 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 
 // Import route handlers
 const weatherRoutes = require('./routes/weather');
+const cacheRoutes = require('./routes/cache');
+const verificationRoutes = require('./routes/verification');
+const faultRoutes = require('./routes/faults');
+const quotaRoutes = require('./routes/quota');
+const { getCoalescingStats } = require('./cache/coalesce');
+const providerRegistry = require('./providers');
+const { getCircuitBreakerStates } = require('./providers/circuitBreaker');
+const { getUpstreamStats } = require('./providers/upstreamClient');
+const requestContext = require('./middleware/requestContext');
+const requestMetrics = require('./middleware/requestMetrics');
+const requireMetricsToken = require('./middleware/requireMetricsToken');
+const { renderMetrics } = require('./metrics');
+const { createLogger } = require('./logging');
+
+const logger = createLogger('server');
 
 // Initialize Express app
 const app = express();
@@ -19,11 +33,12 @@ app.set('trust proxy', 2);
 
 
 // Middleware
+app.use(requestContext); // Request ids (X-Request-Id) and the access log
+app.use(requestMetrics); // Request counts and latencies for GET /metrics
 app.use(compression()); // Enable gzip compression
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan('dev'));
 
 // Security middleware
 app.use(helmet({
@@ -66,7 +81,7 @@ app.use((req, res, next) => {
     req.geo = { lat: (+lat).toFixed(4), lon: (+lon).toFixed(4) };
   } else if (process.env.NODE_ENV !== 'production') {
     // Development: Use NYC as default fallback location
-    console.log('Development mode: Using NYC as default location fallback');
+    logger.debug('Development mode: using NYC as default location fallback');
     req.geo = { 
       lat: '40.7128',  // NYC latitude
       lon: '-74.0060', // NYC longitude
@@ -91,27 +106,31 @@ app.get('/api/debug/headers', (req, res) => {
 app.get('/api/status', (req, res) => {
   res.json({
     demoMode: process.env.NODE_ENV === 'demo' || false,
-    version: '1.0.0'
+    version: '1.0.0',
+    requestCoalescing: getCoalescingStats(),
+    circuitBreakers: getCircuitBreakerStates(providerRegistry.getProviders().map(provider => provider.id)),
+    upstream: getUpstreamStats()
   });
 });
 
-// Add cache clear endpoint for testing
-app.post('/api/cache/clear', (req, res) => {
-  try {
-    // Clear server-side cache (this would be implemented in the weather routes)
-    res.json({
-      success: true,
-      message: 'Server cache cleared successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to clear cache',
-      error: error.message
-    });
-  }
+// Admin cache endpoints (guarded by ADMIN_TOKEN)
+app.use('/api/cache', cacheRoutes);
+
+// Admin fault injection endpoints (guarded by ADMIN_TOKEN)
+app.use('/api/faults', faultRoutes);
+
+// Admin upstream call budget report (guarded by ADMIN_TOKEN)
+app.use('/api/quota', quotaRoutes);
+
+// Prometheus metrics (guarded by METRICS_TOKEN when it is set)
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
 });
 
+// Forecast verification scores per location
+app.use('/api/verification', verificationRoutes);
+
 // Serve static files from the root directory with proper cache headers
 app.use(express.static(path.join(__dirname), {
   setHeaders: (res, path) => {
@@ -139,7 +158,7 @@ app.get('*', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl });
   res.status(500).json({
     error: true,
     message: process.env.NODE_ENV === 'production' 
@@ -148,8 +167,12 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Visit http://localhost:${PORT} in your browser`);
-});
\ No newline at end of file
+// Start the server when run directly; tests load the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`, { port: Number(PORT) });
+    logger.info(`Visit http://localhost:${PORT} in your browser`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
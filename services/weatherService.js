@@ -20,6 +20,15 @@ const RETRY_DELAY = 1000;
 
 // No cache expiration needed anymore
 
+// GeolocationPositionError codes mapped to the error codes used by getDevicePosition
+const GEOLOCATION_ERROR_CODES = { 1: 'denied', 2: 'unavailable', 3: 'timeout' };
+
+// Extra time allowed for the user to answer the browser's location permission prompt
+const PERMISSION_PROMPT_GRACE = 20000;
+
+// Reuse a device position up to this old instead of waiting for a new fix
+const DEVICE_POSITION_MAX_AGE = 10 * 60 * 1000;
+
 /**
  * Fetches data with retry logic
  * @param {Function} fetchFunction - The function to fetch data
@@ -79,7 +88,7 @@ async function fetchAzureMapsData(zipCode) {
   
   try {
     // Use the back-end API endpoint instead of direct API calls
-    const url = `/api/weather/${zipCode}?source=azuremaps`;
+    const url = `/api/weather/${encodeURIComponent(zipCode)}?source=azuremaps`;
     const response = await fetch(url);
     
     if (!response.ok) {
@@ -165,6 +174,65 @@ async function fetchWeatherDataByLocation(source = 'azuremaps', forceRefresh = f
   }
 }
 
+/**
+ * Gets the device position from the browser Geolocation API
+ * @param {number} timeout - Time allowed for a position fix once permission is granted (ms)
+ * @returns {Promise<Object>} - { latitude, longitude, accuracy }. Rejects with an Error whose
+ *   `code` is 'unsupported', 'denied', 'unavailable' or 'timeout'.
+ */
+async function getDevicePosition(timeout = 10000) {
+  const createError = (code, message) => Object.assign(new Error(message), { code });
+  
+  if (!navigator.geolocation) {
+    throw createError('unsupported', 'Geolocation is not supported by this browser');
+  }
+  
+  // Don't wait on a prompt the browser will never show
+  if (navigator.permissions && navigator.permissions.query) {
+    const status = await navigator.permissions.query({ name: 'geolocation' }).catch(() => null);
+    if (status && status.state === 'denied') {
+      throw createError('denied', 'Location permission has been denied');
+    }
+  }
+  
+  return new Promise((resolve, reject) => {
+    // The Geolocation API timeout only starts once the permission prompt has been answered
+    const promptTimer = setTimeout(() => {
+      reject(createError('timeout', 'Timed out waiting for location permission'));
+    }, timeout + PERMISSION_PROMPT_GRACE);
+    
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        clearTimeout(promptTimer);
+        resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        });
+      },
+      (error) => {
+        clearTimeout(promptTimer);
+        reject(createError(GEOLOCATION_ERROR_CODES[error.code] || 'unavailable', error.message || 'Unable to get device location'));
+      },
+      { enableHighAccuracy: false, timeout, maximumAge: DEVICE_POSITION_MAX_AGE }
+    );
+  });
+}
+
+/**
+ * Fetches the approximate location of the client's IP address
+ * @returns {Promise<Object>} - The /api/weather/ip-location payload ({ ip, location, source, isFallback })
+ */
+async function fetchIpLocation() {
+  const response = await fetch('/api/weather/ip-location');
+  
+  if (!response.ok) {
+    throw new Error(`IP location API error: ${response.status} ${response.statusText}`);
+  }
+  
+  return await response.json();
+}
+
 /**
  * Fetches weather data for a given ZIP code with caching
  * @param {string} zipCode - The ZIP code to fetch weather data for
@@ -237,7 +305,7 @@ async function fetchOpenMeteoData(zipCode) {
   
   try {
     // Use the back-end API endpoint instead of direct API calls
-    const url = `/api/weather/${zipCode}?source=openmeteo`;
+    const url = `/api/weather/${encodeURIComponent(zipCode)}?source=openmeteo`;
     const response = await fetch(url);
     
     if (!response.ok) {
@@ -419,7 +487,7 @@ async function fetchForecaData(zipCode) {
   
   try {
     // Use the back-end API endpoint instead of direct API calls
-    const url = `/api/weather/${zipCode}?source=foreca`;
+    const url = `/api/weather/${encodeURIComponent(zipCode)}?source=foreca`;
     const response = await fetch(url);
     
     if (!response.ok) {
@@ -493,10 +561,28 @@ function getMockForecaForecast() {
 }
 
 /**
- * Fetches weather data from multiple sources for a given ZIP code with caching
- * @param {string} zipCode - The ZIP code to fetch weather data for
+ * Build the triple check endpoint URL for a location query. Coordinate queries use the
+ * coordinates endpoint, everything else goes through the location query endpoint.
+ * @param {string} query - The ZIP/postal code, place name or "lat,lon"
+ * @returns {string} - Endpoint path without query string
+ */
+function getTripleCheckUrl(query) {
+  const parsed = window.locationQuery ? window.locationQuery.parseLocationQuery(query) : null;
+  
+  if (parsed && parsed.type === 'coordinates') {
+    const { latitude, longitude } = parsed.coordinates;
+    return `/api/weather/coords/${latitude},${longitude}/triple`;
+  }
+  
+  return `/api/weather/${encodeURIComponent(query)}/triple`;
+}
+
+/**
+ * Fetches weather data from multiple sources for a given location with caching
+ * @param {string} zipCode - The ZIP/postal code, place name or "lat,lon" to fetch weather data for
  * @param {boolean} forceRefresh - Whether to force a refresh (bypass cache)
- * @returns {Promise<Object[]>} - A promise that resolves to an array of weather data from different sources
+ * @returns {Promise<Object[]|Object>} - A promise that resolves to an array of weather data from different
+ *   sources, or to { ambiguous: true, candidates } when the location matches several places
  */
 async function fetchTripleCheckWeather(zipCode, forceRefresh = false) {
   try {
@@ -511,9 +597,15 @@ async function fetchTripleCheckWeather(zipCode, forceRefresh = false) {
     }
 
     // Use the back-end API endpoint for fresh triple check data
-    const url = `/api/weather/${zipCode}/triple${forceRefresh ? '?forceRefresh=true' : ''}`;
+    const url = `${getTripleCheckUrl(zipCode)}${forceRefresh ? '?forceRefresh=true' : ''}`;
     const response = await fetch(url);
     
+    // 300 Multiple Choices: the location matched several places
+    if (response.status === 300) {
+      const { message, candidates } = await response.json();
+      return { ambiguous: true, message, candidates };
+    }
+    
     if (!response.ok) {
       throw new Error(`Triple check API error: ${response.status} ${response.statusText}`);
     }
@@ -521,8 +613,9 @@ async function fetchTripleCheckWeather(zipCode, forceRefresh = false) {
     // Parse the response
     const results = await response.json();
     
-    // Cache the result if successful
-    if (window.cacheManager && results && !results.every(r => r.isError)) {
+    // Cache the result if successful. Stale payloads are not cached so the next
+    // request picks up the server's background refresh.
+    if (window.cacheManager && results && !results.every(r => r.isError) && !results.some(r => r.stale)) {
       const cacheKey = window.cacheManager.getCacheKey(zipCode, 'triple');
       window.cacheManager.saveToCache(cacheKey, results);
     }
@@ -571,6 +664,25 @@ async function fetchTripleCheckWeather(zipCode, forceRefresh = false) {
   }
 }
 
+/**
+ * Fetches how each provider's forecast for the tracked hours of a location changed between refreshes
+ * @param {string} query - The ZIP/postal code, place name or "lat,lon" used for the triple check
+ * @returns {Promise<Object|null>} - Drift summary, or null if nothing has been recorded for the location
+ */
+async function fetchForecastDrift(query) {
+  const response = await fetch(`/api/verification/${encodeURIComponent(query)}/drift`);
+  
+  if (response.status === 404) {
+    return null;
+  }
+  
+  if (!response.ok) {
+    throw new Error(`Forecast drift API error: ${response.status} ${response.statusText}`);
+  }
+  
+  return await response.json();
+}
+
 /**
  * Creates a mock variation of weather data to simulate different providers
  * @param {Object} baseData - Base weather data to create variation from
@@ -1029,7 +1141,7 @@ async function fetchGoogleWeatherData(zipCode) {
   
   try {
     // Use the back-end API endpoint
-    const url = `/api/weather/${zipCode}?source=googleweather`;
+    const url = `/api/weather/${encodeURIComponent(zipCode)}?source=googleweather`;
     const response = await fetch(url);
     
     if (!response.ok) {
@@ -1068,6 +1180,9 @@ window.weatherService = {
   fetchWeatherData,
   fetchWeatherDataByLocation,
   fetchTripleCheckWeather,
+  fetchForecastDrift,
+  getDevicePosition,
+  fetchIpLocation,
   fetchAzureMapsData,
   fetchOpenMeteoData,
   fetchForecaData,
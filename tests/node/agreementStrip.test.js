@@ -0,0 +1,116 @@
+/**
+ * Agreement strip tests
+ *
+ * Covers the hour-by-hour agreement heat strip of
+ * components/HourlyComparisonGrid.jsx, rendered to static HTML in the page
+ * stand-in of support/browser.js: the disagreement level of each hour, the
+ * outlier named in its tooltip, the units the tooltip uses, and that only the
+ * providers are compared (not the consensus row or sources that failed).
+ * The disagreement itself is computed by utils/consensus.js (consensus.test.js).
+ * Runs offline: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, render } = require('./support/browser');
+
+const window = loadScripts([
+  'utils/units.js',
+  'utils/helpers.js',
+  'utils/serviceNameMapper.js',
+  'utils/consensus.js',
+  'components/HourlyComparisonGrid.jsx'
+]);
+
+/**
+ * One hour of a source: temperature in °F, precipitation in mm
+ */
+const hour = (temperature, amount) => ({ temperature, precipitation: { amount, unit: 'mm' } });
+
+/**
+ * A day row of a source, with the given hours and no data for the others
+ */
+function sourceRow(source, hours, extra = {}) {
+  return { source, hourly: Array.from({ length: 24 }, (_, index) => hours[index] || null), ...extra };
+}
+
+// Hour 0: all dry at 60°F. Hour 1: Foreca alone expects rain. Hour 2: no data.
+// Hour 3: OpenMeteo (shown as NOAA) 10°F warmer than the others.
+const SOURCES = [
+  sourceRow('GoogleWeather', { 0: hour(60, 0), 1: hour(60, 0), 3: hour(60, 0) }),
+  sourceRow('OpenMeteo', { 0: hour(60, 0), 1: hour(61, 0), 3: hour(70, 0) }),
+  sourceRow('Foreca', { 0: hour(60, 0), 1: hour(60, 3), 3: hour(61, 0) })
+];
+
+/**
+ * The segments of a rendered strip, with their class and tooltip
+ */
+function segments(html) {
+  return [...html.matchAll(/<div class="agreement-hour-segment agreement-(\w+)"([^>]*)>/g)].map(([, level, attributes]) => ({
+    level,
+    tooltip: attributes.match(/data-tooltip="([^"]*)"/)?.[1].replace(/&#x27;/g, "'") ?? null,
+    focusable: attributes.includes('tabindex="0"')
+  }));
+}
+
+describe('AgreementStrip', () => {
+  it('shows one segment per hour, by disagreement level', () => {
+    const strip = segments(render(window, 'AgreementStrip', { sources: SOURCES }));
+
+    assert.equal(strip.length, 24);
+    assert.deepEqual(strip.slice(0, 4).map(segment => segment.level), ['none', 'medium', 'unknown', 'high']);
+    assert.ok(strip.slice(4).every(segment => segment.level === 'unknown'));
+  });
+
+  it('describes each hour and names the outlier provider', () => {
+    const [agree, rain, unknown, temperature] = segments(render(window, 'AgreementStrip', { sources: SOURCES }));
+
+    assert.equal(agree.tooltip, '12 am: Sources agree\nRain expected by 0 of 3 sources\nTemperature spread 0°F');
+    assert.equal(agree.focusable, false);
+
+    assert.equal(rain.tooltip, [
+      '1 am: Sources disagree',
+      'Rain expected by 1 of 3 sources (spread 3.0 mm)',
+      'Temperature spread 1°F',
+      'Outlier: Foreca (3.0 mm, 60°F; median 0.0 mm, 60°F)'
+    ].join('\n'));
+    assert.equal(rain.focusable, true);
+
+    assert.equal(unknown.tooltip, null);
+    assert.match(temperature.tooltip, /^3 am: Strong disagreement\n/);
+    assert.match(temperature.tooltip, /Outlier: NOAA \(0\.0 mm, 70°F; median 0\.0 mm, 61°F\)$/);
+  });
+
+  it('says when the sources are split rather than one being off', () => {
+    const sources = [
+      sourceRow('GoogleWeather', { 0: hour(60, 2) }),
+      sourceRow('OpenMeteo', { 0: hour(60, 0) })
+    ];
+    const [split] = segments(render(window, 'AgreementStrip', { sources }));
+
+    assert.equal(split.level, 'high');
+    assert.match(split.tooltip, /No single outlier: the sources are split$/);
+  });
+
+  it('shows the tooltip in the preferred units', () => {
+    const units = window.units.normalizeUnits({ temperature: 'C', precipitation: 'in' });
+    const [, rain] = segments(render(window, 'AgreementStrip', { sources: SOURCES, units }));
+
+    assert.match(rain.tooltip, /spread 0\.12 in/);
+    assert.match(rain.tooltip, /Temperature spread 1°C/);
+    assert.match(rain.tooltip, /Outlier: Foreca \(0\.12 in, 16°C; median 0\.00 in, 16°C\)/);
+  });
+
+  it('compares only the providers, leaving out the consensus row and failed sources', () => {
+    const sources = [
+      ...SOURCES,
+      sourceRow('Consensus', { 0: hour(90, 20), 3: hour(90, 20) }, { isConsensus: true }),
+      sourceRow('AzureMaps', { 0: hour(20, 50) }, { isError: true }),
+      { source: 'Foreca Daily', hourly: null }
+    ];
+
+    assert.deepEqual(
+      segments(render(window, 'AgreementStrip', { sources })),
+      segments(render(window, 'AgreementStrip', { sources: SOURCES }))
+    );
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Server cache tests
+ *
+ * Covers the cache stores (the in-memory LRU and the file store, in a
+ * temporary directory), the timestamp-based cache of cache/index.js that
+ * sits on top of them, and the request coalescing of cache/coalesce.js.
+ * Runs offline: npm test
+ */
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('../../cache/memoryStore');
+const { createFileStore } = require('../../cache/fileStore');
+const cache = require('../../cache');
+const { coalesce, getCoalescingStats } = require('../../cache/coalesce');
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+const NOW = Date.UTC(2026, 5, 1, 12);
+
+let directoryCount = 0;
+
+/**
+ * A fresh directory for one file store
+ */
+function createDirectory() {
+  return path.join(CACHE_DIR, String(directoryCount++));
+}
+
+/**
+ * Let Date.now() return a fixed time
+ */
+function setNow(now) {
+  mock.method(Date, 'now', () => now);
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(() => {
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+});
+
+describe('memory store', () => {
+  it('evicts the least recently used entry beyond maxEntries', () => {
+    const evicted = [];
+    const store = createMemoryStore({ maxEntries: 2, onEvict: key => evicted.push(key) });
+
+    store.set('a', 1);
+    store.set('b', 2);
+    store.get('a');
+    store.set('c', 3);
+
+    assert.deepEqual(store.keys(), ['a', 'c']);
+    assert.deepEqual(evicted, ['b']);
+    assert.equal(store.size, 2);
+  });
+
+  it('moves a rewritten entry to the most recently used end', () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+
+    store.set('a', 1);
+    store.set('b', 2);
+    store.set('a', 3);
+    store.set('c', 4);
+
+    assert.deepEqual(store.keys(), ['a', 'c']);
+    assert.equal(store.get('a'), 3);
+  });
+
+  it('reports whether a deleted entry existed', () => {
+    const store = createMemoryStore();
+    store.set('a', 1);
+
+    assert.equal(store.delete('a'), true);
+    assert.equal(store.delete('a'), false);
+    assert.equal(store.get('a'), undefined);
+  });
+});
+
+describe('file store', () => {
+  it('keeps entries across store instances, whatever characters their keys hold', () => {
+    const directory = createDirectory();
+    const key = 'google_weather_40.7484,-73.9967/Ünïcode?x=1';
+
+    createFileStore({ directory }).set(key, { data: [1, 2] });
+    const reopened = createFileStore({ directory });
+
+    assert.deepEqual(reopened.keys(), [key]);
+    assert.deepEqual(reopened.get(key), { data: [1, 2] });
+    assert.equal(reopened.size, 1);
+  });
+
+  it('removes the oldest write beyond maxEntries from disk', () => {
+    const directory = createDirectory();
+    const evicted = [];
+    const store = createFileStore({ directory, maxEntries: 2, onEvict: key => evicted.push(key) });
+
+    store.set('a', 1);
+    store.set('b', 2);
+    store.set('a', 3);
+    store.set('c', 4);
+
+    assert.deepEqual(evicted, ['b']);
+    assert.deepEqual(store.keys(), ['a', 'c']);
+    assert.equal(store.get('b'), undefined);
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['a.json', 'c.json']);
+  });
+
+  it('ignores an unreadable entry', () => {
+    const directory = createDirectory();
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{"data": ');
+
+    const store = createFileStore({ directory });
+
+    assert.equal(store.get('broken'), undefined);
+  });
+
+  it('deletes and clears entries on disk', () => {
+    const directory = createDirectory();
+    const store = createFileStore({ directory });
+    store.set('a', 1);
+    store.set('b', 2);
+
+    assert.equal(store.delete('a'), true);
+    assert.equal(store.delete('a'), false);
+    assert.deepEqual(fs.readdirSync(directory), ['b.json']);
+
+    store.clear();
+    assert.equal(store.size, 0);
+    assert.deepEqual(fs.readdirSync(directory), []);
+  });
+
+  it('requires a directory', () => {
+    assert.throws(() => createFileStore(), /requires a directory/);
+  });
+});
+
+describe('server cache', () => {
+  it('serves an entry until its maximum age', () => {
+    cache.setServerCacheStore(createMemoryStore());
+    setNow(NOW);
+    cache.saveToServerCache('key', { value: 1 }, 1000);
+
+    setNow(NOW + 1000);
+    assert.deepEqual(cache.getFromServerCache('key', 1000), { value: 1 });
+
+    setNow(NOW + 1001);
+    assert.equal(cache.getFromServerCache('key', 1000), null);
+  });
+
+  it('serves an expired entry as stale within its stale window, then drops it', () => {
+    const store = createMemoryStore();
+    cache.setServerCacheStore(store);
+    setNow(NOW);
+    cache.saveToServerCache('key', 'data', 1000, { staleTtl: 500 });
+
+    setNow(NOW + 1200);
+    assert.deepEqual(cache.getServerCacheEntry('key', 1000), { data: 'data', age: 1200, isStale: true });
+    assert.equal(cache.getFromServerCache('key', 1000), null);
+
+    setNow(NOW + 1501);
+    assert.equal(cache.getServerCacheEntry('key', 1000), null);
+    assert.equal(store.size, 0);
+  });
+
+  it('prunes only the entries past their stale window', () => {
+    cache.setServerCacheStore(createMemoryStore());
+    setNow(NOW);
+    cache.saveToServerCache('fresh', 1, 5000);
+    cache.saveToServerCache('stale', 2, 1000, { staleTtl: 5000 });
+    cache.saveToServerCache('expired', 3, 1000);
+
+    setNow(NOW + 2000);
+
+    assert.equal(cache.pruneServerCache(), 1);
+    assert.deepEqual(cache.getServerCacheStore().keys(), ['fresh', 'stale']);
+  });
+
+  it('deletes the entries whose keys match', () => {
+    cache.setServerCacheStore(createMemoryStore());
+    cache.saveToServerCache('foreca_10001', 1);
+    cache.saveToServerCache('foreca_90210', 2);
+    cache.saveToServerCache('open_meteo_10001', 3);
+
+    assert.equal(cache.deleteServerCacheEntries(key => key.startsWith('foreca_')), 2);
+    assert.deepEqual(cache.getServerCacheStore().keys(), ['open_meteo_10001']);
+  });
+
+  it('works on a file store', () => {
+    const directory = createDirectory();
+    cache.setServerCacheStore(createFileStore({ directory }));
+    cache.saveToServerCache('key', { value: 1 });
+
+    cache.setServerCacheStore(createFileStore({ directory }));
+    assert.deepEqual(cache.getFromServerCache('key'), { value: 1 });
+  });
+});
+
+describe('coalesce', () => {
+  it('runs concurrent work for one key once and shares the result', async () => {
+    const statsBefore = getCoalescingStats();
+    let runs = 0;
+    const work = async () => {
+      runs++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return { runs };
+    };
+
+    const results = await Promise.all([coalesce('shared', work), coalesce('shared', work), coalesce('other', work)]);
+    const statsAfter = getCoalescingStats();
+
+    assert.equal(runs, 2);
+    assert.equal(results[0], results[1]);
+    assert.equal(statsAfter.started - statsBefore.started, 2);
+    assert.equal(statsAfter.coalesced - statsBefore.coalesced, 1);
+    assert.equal(statsAfter.inFlight, 0);
+    assert.equal(statsAfter.waiting, 0);
+  });
+
+  it('shares a failure with every waiting caller, then runs the work again', async () => {
+    let runs = 0;
+    const work = async () => {
+      runs++;
+      throw new Error(`Failed run ${runs}`);
+    };
+
+    const results = await Promise.allSettled([coalesce('failing', work), coalesce('failing', work)]);
+
+    assert.deepEqual(results.map(result => result.reason.message), ['Failed run 1', 'Failed run 1']);
+    await assert.rejects(coalesce('failing', work), /Failed run 2/);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Consensus tests
+ *
+ * Focused checks of the edge cases the route-level tests do not pin: the
+ * consensus hour and disagreement built in utils/consensus.js from a single
+ * source, from hours without values, from ties and split sources.
+ * Runs offline: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const consensus = require('../../utils/consensus');
+
+const TAKEN_AT = Date.UTC(2026, 5, 1, 12);
+
+/**
+ * One source's forecast for an hour, in the { source, hour } shape the consensus takes
+ */
+function sourceHour(source, temperature, amount, extra = {}) {
+  return {
+    source,
+    hour: {
+      temperature,
+      precipitation: amount === undefined ? undefined : { amount, unit: 'mm', ...extra }
+    }
+  };
+}
+
+describe('median', () => {
+  it('takes the middle value of an odd count and the mean of the middle two of an even count', () => {
+    assert.equal(consensus.median([3, 1, 2]), 2);
+    assert.equal(consensus.median([4, 1, 3, 2]), 2.5);
+    assert.equal(consensus.median([7]), 7);
+  });
+});
+
+describe('agreementWeightedMean', () => {
+  it('returns the value when all values agree', () => {
+    assert.equal(consensus.agreementWeightedMean([2, 2, 2], 1), 2);
+  });
+
+  it('gives a value far from the median less weight than a plain mean would', () => {
+    const weighted = consensus.agreementWeightedMean([0, 0, 10], 1);
+    assert.ok(weighted > 0 && weighted < 10 / 3, `expected below the plain mean, got ${weighted}`);
+  });
+});
+
+describe('buildConsensusHour', () => {
+  it('returns null for a single source', () => {
+    assert.equal(consensus.buildConsensusHour(TAKEN_AT, [sourceHour('A', 60, 0)]), null);
+  });
+
+  it('returns null when no value is reported by two sources', () => {
+    const hours = [
+      sourceHour('A', null, null),
+      sourceHour('B', 'n/a', undefined),
+      sourceHour('C', 61, null)
+    ];
+    assert.equal(consensus.buildConsensusHour(TAKEN_AT, hours), null);
+  });
+
+  it('scores agreement on rain and a full temperature spread as medium confidence', () => {
+    const hour = consensus.buildConsensusHour(TAKEN_AT, [
+      sourceHour('A', 60, 0, { probability: 10 }),
+      sourceHour('B', 70, 0, { probability: 30 })
+    ]);
+
+    assert.equal(hour.timestamp, TAKEN_AT);
+    assert.equal(hour.date, undefined);
+    assert.equal(hour.time, undefined);
+    assert.equal(hour.temperature, 65);
+    assert.equal(hour.spread.temperature, 10);
+    assert.equal(hour.precipitation.amount, 0);
+    assert.equal(hour.precipitation.probability, 20);
+    assert.equal(hour.precipitationAgreement, 1);
+    assert.equal(hour.confidence, 50);
+    assert.equal(hour.confidenceLevel, 'medium');
+    assert.deepEqual(hour.sources, ['A', 'B']);
+  });
+
+  it('converts amounts reported in inches and scores only the values it has', () => {
+    const hour = consensus.buildConsensusHour(TAKEN_AT, [
+      sourceHour('A', null, 0.1, { unit: 'inches' }),
+      sourceHour('B', null, 2.54)
+    ]);
+
+    assert.equal(hour.temperature, null);
+    assert.equal(hour.spread.temperature, null);
+    assert.equal(hour.precipitation.amount, 2.5);
+    assert.equal(hour.precipitation.unit, 'mm');
+    assert.equal(hour.precipitation.probability, null);
+    assert.equal(hour.confidence, 100);
+  });
+});
+
+describe('getConfidenceLevel and getDisagreementLevel', () => {
+  it('place each threshold in the higher level', () => {
+    assert.equal(consensus.getConfidenceLevel(70), 'high');
+    assert.equal(consensus.getConfidenceLevel(69), 'medium');
+    assert.equal(consensus.getConfidenceLevel(40), 'medium');
+    assert.equal(consensus.getConfidenceLevel(39), 'low');
+
+    assert.equal(consensus.getDisagreementLevel(0.7), 'high');
+    assert.equal(consensus.getDisagreementLevel(0.45), 'medium');
+    assert.equal(consensus.getDisagreementLevel(0.2), 'low');
+    assert.equal(consensus.getDisagreementLevel(0.19), 'none');
+  });
+});
+
+describe('getHourDisagreement', () => {
+  it('returns null for a single source', () => {
+    assert.equal(consensus.getHourDisagreement([sourceHour('A', 60, 1)]), null);
+  });
+
+  it('returns null when every hour is missing or without values', () => {
+    const hours = [
+      { source: 'A', hour: null },
+      sourceHour('B', null, null),
+      sourceHour('C', 'n/a', undefined)
+    ];
+    assert.equal(consensus.getHourDisagreement(hours), null);
+  });
+
+  it('reports no disagreement when the sources agree', () => {
+    const disagreement = consensus.getHourDisagreement([
+      sourceHour('A', 60, 0),
+      sourceHour('B', 60, 0),
+      sourceHour('C', 60, 0)
+    ]);
+
+    assert.equal(disagreement.score, 0);
+    assert.equal(disagreement.level, 'none');
+    assert.equal(disagreement.outlier, null);
+  });
+
+  it('names the source whose temperature is far from the others', () => {
+    const disagreement = consensus.getHourDisagreement([
+      sourceHour('A', 60, 0),
+      sourceHour('B', 61, 0),
+      sourceHour('C', 75, 0)
+    ]);
+
+    assert.equal(disagreement.score, 1);
+    assert.equal(disagreement.level, 'high');
+    assert.equal(disagreement.temperatureSpread, 15);
+    assert.deepEqual(disagreement.outlier, {
+      source: 'C',
+      temperature: 75,
+      amount: 0,
+      medianTemperature: 61,
+      medianAmount: 0
+    });
+  });
+
+  it('names the only source calling for rain', () => {
+    const disagreement = consensus.getHourDisagreement([
+      sourceHour('A', 60, 0),
+      sourceHour('B', 60, 0),
+      sourceHour('C', 60, 3)
+    ]);
+
+    assert.equal(disagreement.wetCount, 1);
+    assert.equal(disagreement.dryCount, 2);
+    assert.equal(disagreement.score, 0.67);
+    assert.equal(disagreement.level, 'medium');
+    assert.equal(disagreement.outlier.source, 'C');
+    assert.equal(disagreement.outlier.amount, 3);
+  });
+
+  it('scores an even wet/dry split as high without naming an outlier', () => {
+    const disagreement = consensus.getHourDisagreement([
+      sourceHour('A', 60, 0),
+      sourceHour('B', 60, 0),
+      sourceHour('C', 60, 1),
+      sourceHour('D', 60, 1)
+    ]);
+
+    assert.equal(disagreement.score, 1);
+    assert.equal(disagreement.level, 'high');
+    assert.equal(disagreement.outlier, null);
+  });
+
+  it('names no outlier when two sources are equally far from the median', () => {
+    const disagreement = consensus.getHourDisagreement([
+      sourceHour('A', 50, 0),
+      sourceHour('B', 60, 0),
+      sourceHour('C', 70, 0)
+    ]);
+
+    assert.equal(disagreement.level, 'high');
+    assert.equal(disagreement.outlier, null);
+  });
+
+  it('names no outlier between two sources, or for an hour that is not contested', () => {
+    const twoSources = consensus.getHourDisagreement([sourceHour('A', 60, 0), sourceHour('B', 75, 0)]);
+    assert.equal(twoSources.level, 'high');
+    assert.equal(twoSources.outlier, null);
+
+    const uncontested = consensus.getHourDisagreement([
+      sourceHour('A', 60, 0),
+      sourceHour('B', 60, 0),
+      sourceHour('C', 61, 0)
+    ]);
+    assert.equal(uncontested.level, 'none');
+    assert.equal(uncontested.outlier, null);
+  });
+});
+
+describe('findOutlier', () => {
+  it('returns null for fewer than three sources', () => {
+    const values = [
+      { source: 'A', temperature: 60, amount: 0 },
+      { source: 'B', temperature: 90, amount: 0 }
+    ];
+    assert.equal(consensus.findOutlier(values, false), null);
+  });
+
+  it('returns null when no source deviates', () => {
+    const values = ['A', 'B', 'C'].map(source => ({ source, temperature: 60, amount: 0 }));
+    assert.equal(consensus.findOutlier(values, false), null);
+  });
+
+  it('compares sources without a temperature on their amount alone', () => {
+    const outlier = consensus.findOutlier([
+      { source: 'A', temperature: null, amount: 0 },
+      { source: 'B', temperature: null, amount: 0 },
+      { source: 'C', temperature: null, amount: 2 }
+    ], false);
+
+    assert.equal(outlier.source, 'C');
+    assert.equal(outlier.medianTemperature, null);
+    assert.equal(outlier.medianAmount, 0);
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Device location tests
+ *
+ * Covers getDevicePosition and fetchIpLocation of services/weatherService.js
+ * against a fake navigator and fetch, and the location fallback of the
+ * useWeather hook (hooks/useWeather.js): the device (GPS) position if the user
+ * opted in, then the location of their IP address, then Cloudflare
+ * geolocation. The scripts run in the page stand-in of support/browser.js.
+ * Runs offline: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createHookRunner, createLocalStorage } = require('./support/browser');
+
+const quietConsole = { log: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const EMPIRE_STATE = { latitude: 40.748433, longitude: -73.985656, accuracy: 20 };
+
+/**
+ * A navigator whose geolocation answers with a position or a GeolocationPositionError code
+ */
+function createNavigator({ position = EMPIRE_STATE, errorCode = null, permission = 'prompt' } = {}) {
+  const requests = [];
+
+  return {
+    requests,
+    permissions: {
+      query: async () => ({ state: permission })
+    },
+    geolocation: {
+      getCurrentPosition(onSuccess, onError, options) {
+        requests.push(options);
+        if (errorCode) {
+          onError({ code: errorCode, message: `Error ${errorCode}` });
+        } else {
+          onSuccess({ coords: position });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Load the weather service with a navigator and fetch
+ */
+function loadWeatherService(globals) {
+  return loadScripts(['utils/locationQuery.js', 'services/weatherService.js'], { console: quietConsole, ...globals })
+    .weatherService;
+}
+
+/**
+ * Run useWeather against a stubbed weather service
+ * @returns {Object} - { hook, calls, localStorage }
+ */
+function renderUseWeather({ devicePosition, ipLocation, preference = null }) {
+  const calls = [];
+  const localStorage = createLocalStorage(preference ? { locationPreference: preference } : {});
+  const runner = createHookRunner();
+  const window = loadScripts(
+    ['utils/units.js', 'utils/locationQuery.js', 'utils/unitPreferences.js', 'hooks/useWeather.js'],
+    { React: runner.React, console: quietConsole, localStorage }
+  );
+
+  window.weatherService = {
+    getDevicePosition: async () => {
+      calls.push(['getDevicePosition']);
+      if (devicePosition instanceof Error) {
+        throw devicePosition;
+      }
+      return devicePosition;
+    },
+    fetchIpLocation: async () => {
+      calls.push(['fetchIpLocation']);
+      if (ipLocation instanceof Error) {
+        throw ipLocation;
+      }
+      return ipLocation;
+    },
+    fetchTripleCheckWeather: async query => {
+      calls.push(['fetchTripleCheckWeather', query]);
+      return [{ source: 'OpenMeteo', location: { query } }];
+    },
+    fetchWeatherDataByLocation: async () => {
+      calls.push(['fetchWeatherDataByLocation']);
+      return { source: 'AzureMaps', location: { city: 'Ashburn' } };
+    }
+  };
+
+  return { hook: runner.renderHook(window.useWeather), calls, localStorage };
+}
+
+const locationError = code => Object.assign(new Error(`Location ${code}`), { code });
+
+const IP_LOCATION = {
+  ip: '203.0.113.7',
+  location: { city: 'Chicago', coordinates: { latitude: 41.8781, longitude: -87.6298 } },
+  source: 'ip-api',
+  isFallback: false
+};
+
+describe('getDevicePosition', () => {
+  it('resolves to the device position, reusing a recent fix', async () => {
+    const navigator = createNavigator();
+    const weatherService = loadWeatherService({ navigator });
+
+    // Objects made in the page have its own prototypes: copy them before comparing
+    assert.deepEqual({ ...(await weatherService.getDevicePosition(5000)) }, EMPIRE_STATE);
+    assert.equal(navigator.requests[0].timeout, 5000);
+    assert.equal(navigator.requests[0].enableHighAccuracy, false);
+    assert.equal(navigator.requests[0].maximumAge, 10 * 60 * 1000);
+  });
+
+  it('fails with "unsupported" without the Geolocation API', async () => {
+    const weatherService = loadWeatherService({ navigator: {} });
+
+    await assert.rejects(weatherService.getDevicePosition(), { code: 'unsupported' });
+  });
+
+  it('fails with "denied" without asking once permission has been denied', async () => {
+    const navigator = createNavigator({ permission: 'denied' });
+    const weatherService = loadWeatherService({ navigator });
+
+    await assert.rejects(weatherService.getDevicePosition(), { code: 'denied' });
+    assert.equal(navigator.requests.length, 0);
+  });
+
+  it('maps GeolocationPositionError codes to its own codes', async () => {
+    const expected = { 1: 'denied', 2: 'unavailable', 3: 'timeout', 9: 'unavailable' };
+
+    for (const [errorCode, code] of Object.entries(expected)) {
+      const weatherService = loadWeatherService({ navigator: createNavigator({ errorCode: Number(errorCode) }) });
+      await assert.rejects(weatherService.getDevicePosition(), { code }, `GeolocationPositionError code ${errorCode}`);
+    }
+  });
+});
+
+describe('fetchIpLocation', () => {
+  it('returns the /api/weather/ip-location payload', async () => {
+    const urls = [];
+    const fetch = async url => {
+      urls.push(url);
+      return { ok: true, json: async () => IP_LOCATION };
+    };
+    const weatherService = loadWeatherService({ fetch });
+
+    assert.deepEqual(await weatherService.fetchIpLocation(), IP_LOCATION);
+    assert.deepEqual(urls, ['/api/weather/ip-location']);
+  });
+
+  it('throws on an error response', async () => {
+    const fetch = async () => ({ ok: false, status: 502, statusText: 'Bad Gateway' });
+    const weatherService = loadWeatherService({ fetch });
+
+    await assert.rejects(weatherService.fetchIpLocation(), /IP location API error: 502 Bad Gateway/);
+  });
+});
+
+describe('useWeather location fallback', () => {
+  it('starts from the remembered preference, network location by default', () => {
+    assert.equal(renderUseWeather({}).hook.current.locationPreference, 'network');
+    assert.equal(renderUseWeather({ preference: 'gps' }).hook.current.locationPreference, 'gps');
+  });
+
+  it('fetches the forecast for the device position once the user opts in', async () => {
+    const { hook, calls, localStorage } = renderUseWeather({ devicePosition: EMPIRE_STATE });
+
+    await hook.current.enableDeviceLocation();
+    hook.rerender();
+
+    assert.deepEqual(calls, [['getDevicePosition'], ['fetchTripleCheckWeather', '40.7484,-73.9857']]);
+    assert.equal(localStorage.getItem('locationPreference'), 'gps');
+    assert.equal(hook.current.locationPreference, 'gps');
+    assert.equal(hook.current.locationSource, 'gps');
+    assert.equal(hook.current.locationNotice, null);
+    assert.equal(hook.current.recentZipCodes.length, 0);
+  });
+
+  it('falls back to the IP location and stops asking when permission is denied', async () => {
+    const { hook, calls, localStorage } = renderUseWeather({
+      devicePosition: locationError('denied'),
+      ipLocation: IP_LOCATION
+    });
+
+    await hook.current.enableDeviceLocation();
+    hook.rerender();
+
+    assert.deepEqual(calls, [
+      ['getDevicePosition'],
+      ['fetchIpLocation'],
+      ['fetchTripleCheckWeather', '41.8781,-87.6298']
+    ]);
+    assert.equal(hook.current.locationSource, 'ip');
+    assert.match(hook.current.locationNotice, /permission was denied/);
+    assert.equal(localStorage.getItem('locationPreference'), 'network');
+    assert.equal(hook.current.locationPreference, 'network');
+  });
+
+  it('keeps the preference after a timeout, so the next visit tries the device again', async () => {
+    const { hook, localStorage } = renderUseWeather({
+      devicePosition: locationError('timeout'),
+      ipLocation: IP_LOCATION
+    });
+
+    await hook.current.enableDeviceLocation();
+    hook.rerender();
+
+    assert.equal(hook.current.locationSource, 'ip');
+    assert.match(hook.current.locationNotice, /took too long/);
+    assert.equal(localStorage.getItem('locationPreference'), 'gps');
+  });
+
+  it('falls back to Cloudflare geolocation when the server could not locate the IP either', async () => {
+    const { hook, calls } = renderUseWeather({
+      devicePosition: locationError('unavailable'),
+      ipLocation: { ...IP_LOCATION, isFallback: true }
+    });
+
+    await hook.current.enableDeviceLocation();
+    hook.rerender();
+
+    assert.deepEqual(calls, [['getDevicePosition'], ['fetchIpLocation'], ['fetchWeatherDataByLocation']]);
+    assert.equal(hook.current.locationSource, 'cloudflare');
+    assert.match(hook.current.locationNotice, /unavailable/);
+  });
+
+  it('falls back to Cloudflare geolocation when the IP lookup fails', async () => {
+    const { hook, calls } = renderUseWeather({
+      devicePosition: locationError('unsupported'),
+      ipLocation: new Error('IP location API error: 502 Bad Gateway')
+    });
+
+    await hook.current.enableDeviceLocation();
+    hook.rerender();
+
+    assert.deepEqual(calls.at(-1), ['fetchWeatherDataByLocation']);
+    assert.equal(hook.current.locationSource, 'cloudflare');
+    assert.equal(hook.current.locationPreference, 'network');
+  });
+
+  it('refreshes through the device position while the user is opted in', async () => {
+    const { hook, calls } = renderUseWeather({ devicePosition: EMPIRE_STATE, preference: 'gps' });
+
+    hook.current.refreshData();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(calls, [['getDevicePosition'], ['fetchTripleCheckWeather', '40.7484,-73.9857']]);
+  });
+
+  it('goes back to network location when the user opts out of a device-based forecast', async () => {
+    const { hook, calls, localStorage } = renderUseWeather({ devicePosition: EMPIRE_STATE });
+
+    await hook.current.enableDeviceLocation();
+    await hook.rerender().disableDeviceLocation();
+    hook.rerender();
+
+    assert.deepEqual(calls.at(-1), ['fetchWeatherDataByLocation']);
+    assert.equal(localStorage.getItem('locationPreference'), 'network');
+    assert.equal(hook.current.locationPreference, 'network');
+    assert.equal(hook.current.locationSource, 'cloudflare');
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Favorites tests
+ *
+ * Covers the named favorite locations of utils/favoritesManager.js (adding,
+ * renaming, pinning, reordering, the limits and the cleanup of stored or
+ * imported lists), the useFavorites hook that saves every change, and the
+ * settings export/import of utils/settingsManager.js they are part of. The
+ * scripts run in the page stand-in of support/browser.js.
+ * Runs offline: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createHookRunner, createLocalStorage } = require('./support/browser');
+
+const quietConsole = { log: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+// Objects made in the page have its own prototypes: copy them before comparing
+const plain = value => JSON.parse(JSON.stringify(value));
+const names = favorites => Array.from(favorites, favorite => favorite.name);
+
+/**
+ * Load the settings and favorites managers
+ * @returns {Object} - { window, events } with the events dispatched on window
+ */
+function loadFavoritesPage({ storage = {}, React } = {}) {
+  const events = [];
+  const scripts = ['utils/settingsManager.js', 'utils/favoritesManager.js'];
+  const window = loadScripts(React ? [...scripts, 'hooks/useFavorites.js'] : scripts, {
+    console: quietConsole,
+    localStorage: createLocalStorage(storage),
+    dispatchEvent: event => events.push(event),
+    ...(React && { React })
+  });
+
+  return { window, events };
+}
+
+/**
+ * Add favorites by [name, query] pairs
+ */
+function addAll(favoritesManager, entries) {
+  return entries.reduce((list, [name, query]) => favoritesManager.addFavorite(list, name, query), []);
+}
+
+describe('favoritesManager', () => {
+  const { favoritesManager } = loadFavoritesPage().window;
+
+  it('adds favorites with a cleaned-up name, the query standing in for a blank one', () => {
+    const favorites = addAll(favoritesManager, [['  Home   sweet home ', ' 10001 '], ['', 'Portland, OR']]);
+
+    assert.deepEqual(plain(favorites).map(({ name, query, pinned }) => ({ name, query, pinned })), [
+      { name: 'Home sweet home', query: '10001', pinned: false },
+      { name: 'Portland, OR', query: 'Portland, OR', pinned: false }
+    ]);
+    assert.match(favorites[0].id, /^fav_/);
+    assert.notEqual(favorites[0].id, favorites[1].id);
+    assert.equal(favoritesManager.addFavorite(favorites, 'Nowhere', '  '), favorites);
+  });
+
+  it('renames the existing favorite for a location instead of adding it twice', () => {
+    const favorites = addAll(favoritesManager, [['Home', 'Portland, OR'], ['Cabin', 'portland, or']]);
+
+    assert.equal(favorites.length, 1);
+    assert.equal(favorites[0].name, 'Cabin');
+  });
+
+  it('limits the number of favorites and the length of their names', () => {
+    const entries = Array.from({ length: favoritesManager.MAX_FAVORITES }, (_, i) => [`Place ${i}`, `1000${i}`]);
+    const favorites = addAll(favoritesManager, entries);
+
+    assert.throws(() => favoritesManager.addFavorite(favorites, 'One more', '90210'), /up to 20 favorites/);
+    assert.equal(favoritesManager.addFavorite([], 'x'.repeat(60), '10001')[0].name.length, 40);
+  });
+
+  it('ignores a blank new name', () => {
+    const favorites = addAll(favoritesManager, [['Home', '10001']]);
+
+    assert.equal(favoritesManager.renameFavorite(favorites, favorites[0].id, '   '), favorites);
+    assert.equal(favoritesManager.renameFavorite(favorites, favorites[0].id, 'Office')[0].name, 'Office');
+  });
+
+  it('lists pinned favorites first and moves favorites only within their group', () => {
+    let favorites = addAll(favoritesManager, [['Home', '10001'], ['Office', '10002'], ['Cabin', '10003']]);
+    const [home, office, cabin] = favorites.map(favorite => favorite.id);
+
+    favorites = favoritesManager.togglePinnedFavorite(favorites, cabin);
+    assert.deepEqual(names(favorites), ['Cabin', 'Home', 'Office']);
+
+    // Home can't move above the pinned Cabin
+    assert.equal(favoritesManager.moveFavorite(favorites, home, -1), favorites);
+    favorites = favoritesManager.moveFavorite(favorites, office, -1);
+    assert.deepEqual(names(favorites), ['Cabin', 'Office', 'Home']);
+    assert.equal(favoritesManager.moveFavorite(favorites, home, 1), favorites);
+
+    // Unpinned, Cabin keeps its place
+    favorites = favoritesManager.togglePinnedFavorite(favorites, cabin);
+    assert.deepEqual(names(favorites), ['Cabin', 'Office', 'Home']);
+    assert.deepEqual(Array.from(favoritesManager.removeFavorite(favorites, office), favorite => favorite.id), [cabin, home]);
+  });
+
+  it('cleans up untrusted lists: no query, duplicate ids, unpinned order, too many', () => {
+    const favorites = favoritesManager.sanitizeFavorites([
+      { id: 'a', name: ' A ', query: ' 10001 ', createdAt: 5 },
+      { id: 'b', name: 'B', query: '10002', pinned: true },
+      { id: 'a', name: 'Duplicate', query: '10003' },
+      { id: 'c', query: '' },
+      null,
+      { name: '', query: '10004', pinned: 'yes' }
+    ]);
+
+    assert.deepEqual(plain(favorites).map(({ name, query, pinned }) => ({ name, query, pinned })), [
+      { name: 'B', query: '10002', pinned: true },
+      { name: 'A', query: '10001', pinned: false },
+      { name: '10004', query: '10004', pinned: false }
+    ]);
+    assert.equal(favorites[1].createdAt, 5);
+    assert.match(favorites[2].id, /^fav_/);
+    assert.equal(favoritesManager.sanitizeFavorites('nope').length, 0);
+    assert.equal(favoritesManager.sanitizeFavorites(Array.from({ length: 30 }, (_, i) => ({ query: `q${i}` }))).length, 20);
+  });
+
+  it('keeps favorites under their own localStorage key, ignoring an unreadable one', () => {
+    const page = loadFavoritesPage({ storage: { favorites: '{broken' } }).window;
+
+    assert.equal(page.favoritesManager.loadFavorites().length, 0);
+
+    const favorites = addAll(page.favoritesManager, [['Home', '10001']]);
+    assert.equal(page.favoritesManager.saveFavorites(favorites), true);
+    assert.deepEqual(plain(page.favoritesManager.loadFavorites()), plain(favorites));
+    assert.deepEqual(plain(JSON.parse(page.localStorage.getItem('favorites'))), plain(favorites));
+  });
+});
+
+describe('settings export/import', () => {
+  it('exports the favorites section', () => {
+    const { window } = loadFavoritesPage();
+    window.favoritesManager.saveFavorites(addAll(window.favoritesManager, [['Home', '10001']]));
+
+    const document = plain(window.settingsManager.exportSettings());
+
+    assert.equal(document.app, 'super-sky');
+    assert.equal(document.version, 1);
+    assert.deepEqual(names(document.settings.favorites), ['Home']);
+  });
+
+  it('imports an exported file into another page and announces it', () => {
+    const source = loadFavoritesPage().window;
+    source.favoritesManager.saveFavorites(addAll(source.favoritesManager, [['Home', '10001'], ['Office', '10002']]));
+    const exported = JSON.stringify(source.settingsManager.exportSettings());
+
+    const { window, events } = loadFavoritesPage();
+    const result = plain(window.settingsManager.importSettings(exported));
+
+    assert.deepEqual(result, { imported: ['favorites'], errors: [] });
+    assert.deepEqual(names(window.favoritesManager.loadFavorites()), ['Home', 'Office']);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'settingsimported');
+  });
+
+  it('reports sections that fail to import and ignores unknown ones', () => {
+    const { window } = loadFavoritesPage();
+    const result = window.settingsManager.importSettings({
+      app: 'super-sky',
+      version: 1,
+      settings: { favorites: 'not a list', theme: 'dark' }
+    });
+
+    assert.deepEqual(plain(result), { imported: [], errors: ['favorites'] });
+  });
+
+  it('rejects other files and newer versions', () => {
+    const { settingsManager } = loadFavoritesPage().window;
+
+    assert.throws(() => settingsManager.importSettings({ app: 'other', settings: {} }), /Not a Super Sky settings file/);
+    assert.throws(() => settingsManager.importSettings({ app: 'super-sky', version: 2, settings: {} }), /version 2 is newer/);
+  });
+
+  it('describes the outcome of importing a picked file', async () => {
+    const { settingsManager } = loadFavoritesPage().window;
+    const file = text => ({ text: async () => text });
+
+    assert.equal(
+      await settingsManager.importSettingsFile(file('{"app":"super-sky","version":1,"settings":{"favorites":[]}}')),
+      'Imported favorites.'
+    );
+    assert.equal(
+      await settingsManager.importSettingsFile(file('{"app":"super-sky","version":1,"settings":{"favorites":{}}}')),
+      'Imported nothing; could not import favorites.'
+    );
+    assert.match(await settingsManager.importSettingsFile(file('{')), /^Import failed: /);
+  });
+});
+
+describe('useFavorites', () => {
+  it('saves every change and builds quick successive changes on each other', () => {
+    const runner = createHookRunner();
+    const { window } = loadFavoritesPage({ React: runner.React });
+    const hook = runner.renderHook(window.useFavorites);
+
+    hook.current.addFavorite('Home', '10001');
+    hook.current.addFavorite('Office', '10002');
+    hook.rerender();
+
+    assert.deepEqual(names(hook.current.favorites), ['Home', 'Office']);
+    assert.deepEqual(names(window.favoritesManager.loadFavorites()), ['Home', 'Office']);
+
+    hook.current.togglePinnedFavorite(hook.current.favorites[1].id);
+    hook.rerender();
+    assert.deepEqual(names(hook.current.favorites), ['Office', 'Home']);
+  });
+
+  it('reports a change that fails until the next one succeeds', () => {
+    const runner = createHookRunner();
+    const favorites = Array.from({ length: 20 }, (_, i) => ({ id: `f${i}`, name: `Place ${i}`, query: `q${i}` }));
+    const { window } = loadFavoritesPage({ React: runner.React, storage: { favorites: JSON.stringify(favorites) } });
+    const hook = runner.renderHook(window.useFavorites);
+
+    hook.current.addFavorite('One more', '90210');
+    hook.rerender();
+    assert.match(hook.current.favoritesError, /up to 20 favorites/);
+    assert.equal(hook.current.favorites.length, 20);
+
+    hook.current.removeFavorite('f0');
+    hook.rerender();
+    assert.equal(hook.current.favoritesError, null);
+    assert.equal(hook.current.favorites.length, 19);
+  });
+});
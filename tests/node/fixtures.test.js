@@ -0,0 +1,150 @@
+/**
+ * Upstream fixture tests
+ *
+ * Covers the recording and replay of provider responses in
+ * providers/fixtures.js, with fake fetchers and a temporary
+ * PROVIDER_FIXTURES_DIR: the fixture file of each call, recorded failures
+ * replayed as the same error, and calls without a recording. The recording
+ * and replay of a whole triple response are covered in routes.test.js.
+ * Runs offline: npm test
+ */
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withFixtures, getFixtureMode, getFixturesDirectory, getFixturePath } = require('../../providers/fixtures');
+
+const FIXTURES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-test-'));
+
+/**
+ * Fetchers that count their calls and answer with their arguments
+ */
+function createFetchers() {
+  const calls = [];
+
+  const fetchers = withFixtures('example', {
+    fetchForecast: async (latitude, longitude) => {
+      calls.push([latitude, longitude]);
+      return { latitude, longitude, hourly: [1, 2, 3] };
+    },
+    fetchRateLimited: async () => {
+      calls.push([]);
+      throw Object.assign(new Error('Request failed with status code 429'), {
+        response: { status: 429, data: { message: 'Too many requests' } }
+      });
+    }
+  });
+
+  return { fetchers, calls };
+}
+
+before(() => {
+  process.env.PROVIDER_FIXTURES_DIR = FIXTURES_DIR;
+});
+
+beforeEach(() => {
+  delete process.env.PROVIDER_FIXTURES_MODE;
+  fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+});
+
+after(() => {
+  delete process.env.PROVIDER_FIXTURES_MODE;
+  delete process.env.PROVIDER_FIXTURES_DIR;
+  fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+});
+
+describe('fixture settings', () => {
+  it('reads the mode on every call, ignoring unknown modes', () => {
+    assert.equal(getFixtureMode(), null);
+
+    process.env.PROVIDER_FIXTURES_MODE = ' Record ';
+    assert.equal(getFixtureMode(), 'record');
+
+    process.env.PROVIDER_FIXTURES_MODE = 'off';
+    assert.equal(getFixtureMode(), null);
+  });
+
+  it('keeps fixtures out of the committed tree by default', () => {
+    delete process.env.PROVIDER_FIXTURES_DIR;
+    try {
+      assert.equal(getFixturesDirectory(), path.join(__dirname, '..', '..', '.cache', 'fixtures'));
+    } finally {
+      process.env.PROVIDER_FIXTURES_DIR = FIXTURES_DIR;
+    }
+  });
+
+  it('names each file after the provider, the fetcher and its arguments', () => {
+    assert.equal(
+      getFixturePath('openmeteo', 'fetchOpenMeteoForecast', [40.7128, -74.006]),
+      path.join(FIXTURES_DIR, 'openmeteo', 'fetchOpenMeteoForecast_40.7128_-74.006.json')
+    );
+    assert.equal(
+      getFixturePath('foreca', 'fetchForecaLocationId', ['New York/NY', { country: 'US' }, undefined]),
+      path.join(FIXTURES_DIR, 'foreca', 'fetchForecaLocationId_New-York-NY_country-US.json')
+    );
+    assert.equal(getFixturePath('example', 'fetchAll', []), path.join(FIXTURES_DIR, 'example', 'fetchAll.json'));
+  });
+
+  it('shortens long argument names with a hash', () => {
+    const fileName = path.basename(getFixturePath('example', 'fetchLong', ['x'.repeat(150)]));
+    const other = path.basename(getFixturePath('example', 'fetchLong', [`${'x'.repeat(149)}y`]));
+
+    assert.match(fileName, /^fetchLong_x{100}-[0-9a-f]{10}\.json$/);
+    assert.notEqual(fileName, other);
+  });
+});
+
+describe('withFixtures', () => {
+  it('calls through unchanged with fixtures off', async () => {
+    const { fetchers, calls } = createFetchers();
+
+    assert.deepEqual(await fetchers.fetchForecast(1, 2), { latitude: 1, longitude: 2, hourly: [1, 2, 3] });
+    assert.equal(calls.length, 1);
+    assert.equal(fs.existsSync(FIXTURES_DIR), false);
+  });
+
+  it('records the response of each call, then replays it without calling upstream', async () => {
+    const { fetchers, calls } = createFetchers();
+
+    process.env.PROVIDER_FIXTURES_MODE = 'record';
+    const recorded = await fetchers.fetchForecast(40.7128, -74.006);
+    const fixture = JSON.parse(fs.readFileSync(getFixturePath('example', 'fetchForecast', [40.7128, -74.006]), 'utf8'));
+
+    assert.equal(fixture.provider, 'example');
+    assert.equal(fixture.fetcher, 'fetchForecast');
+    assert.deepEqual(fixture.args, [40.7128, -74.006]);
+    assert.deepEqual(fixture.data, recorded);
+    assert.ok(!Number.isNaN(Date.parse(fixture.recordedAt)));
+
+    process.env.PROVIDER_FIXTURES_MODE = 'replay';
+    assert.deepEqual(await fetchers.fetchForecast(40.7128, -74.006), recorded);
+    assert.equal(calls.length, 1);
+  });
+
+  it('replays a recorded failure as the same error, with its upstream status', async () => {
+    const { fetchers, calls } = createFetchers();
+
+    process.env.PROVIDER_FIXTURES_MODE = 'record';
+    await assert.rejects(fetchers.fetchRateLimited(), /status code 429/);
+
+    process.env.PROVIDER_FIXTURES_MODE = 'replay';
+    await assert.rejects(fetchers.fetchRateLimited(), error => {
+      assert.equal(error.message, 'Request failed with status code 429');
+      assert.deepEqual(error.response, { status: 429, data: { message: 'Too many requests' } });
+      return true;
+    });
+    assert.equal(calls.length, 1);
+  });
+
+  it('fails a replayed call that was never recorded', async () => {
+    const { fetchers, calls } = createFetchers();
+
+    process.env.PROVIDER_FIXTURES_MODE = 'replay';
+
+    await assert.rejects(fetchers.fetchForecast(1, 2), /No recorded fixture for fetchForecast\(1, 2\) \(expected .*fetchForecast_1_2\.json\)/);
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Forecast schema tests
+ *
+ * Checks that every transformer's golden output and every provider's fallback
+ * entry match the canonical forecast schema in utils/forecastSchema.js, so a
+ * source only carries an invalid dataQuality block when its upstream data is
+ * actually malformed, plus focused checks of how violations are reported.
+ * Runs offline: npm test
+ */
+process.env.TZ = 'UTC';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateForecast, describeDataQuality } = require('../../utils/forecastSchema');
+const { loadFixture, loadGolden } = require('./support/golden');
+const { azureMapsProvider } = require('../../providers/azureMaps');
+const { forecaProvider } = require('../../providers/foreca');
+const { googleWeatherProvider } = require('../../providers/googleWeather');
+const { openMeteoProvider } = require('../../providers/openMeteo');
+
+const LOCATION = {
+  query: '10001',
+  zipCode: '10001',
+  city: 'New York',
+  state: 'NY',
+  country: 'United States',
+  countryCode: 'US',
+  coordinates: { latitude: 40.7484, longitude: -73.9967 }
+};
+
+const PROVIDERS = [azureMapsProvider, forecaProvider, googleWeatherProvider, openMeteoProvider];
+
+/**
+ * Assert that a forecast has no schema issues, listing them if it does
+ */
+function assertValid(forecast) {
+  const dataQuality = validateForecast(forecast);
+  assert.equal(dataQuality.valid, true, describeDataQuality(dataQuality));
+}
+
+// The transformers log every unit conversion; keep the test output readable
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+describe('transformer output', () => {
+  ['azuremaps', 'foreca', 'googleweather', 'openmeteo'].forEach(providerId => {
+    it(`matches the schema for ${providerId}`, () => {
+      const golden = name => {
+        try {
+          return loadGolden(`${providerId}-${name}`);
+        } catch (error) {
+          return undefined; // Not every provider has a daily forecast
+        }
+      };
+
+      assertValid({
+        source: providerId,
+        location: LOCATION,
+        current: golden('current'),
+        hourly: golden('hourly'),
+        daily: golden('daily') || [],
+        lastUpdated: Date.now()
+      });
+    });
+  });
+
+  it('reports a missing Open-Meteo precipitation probability as null', () => {
+    // The recorded response has no precipitation_probability series
+    const forecastData = loadFixture('openmeteo', 'fetchOpenMeteoForecast_40.7484_-73.9967.json');
+    const forecast = openMeteoProvider.transform(forecastData, LOCATION);
+
+    assert.equal(forecastData.hourly.precipitation_probability, undefined);
+    assert.equal(forecast.current.precipitation.probability, null);
+    assert.ok(forecast.hourly.every(hour => hour.precipitation.probability === null));
+    assertValid(forecast);
+  });
+});
+
+describe('provider fallbacks', () => {
+  PROVIDERS.forEach(provider => {
+    it(`match the schema for ${provider.name}`, () => {
+      assertValid(provider.fallback(LOCATION, new Error('Upstream unavailable')));
+    });
+  });
+
+  it('match the schema for a rate limited Foreca', () => {
+    const fallback = forecaProvider.fallback(LOCATION, new Error('Request failed with status code 429'));
+
+    assert.equal(fallback.rateLimited, true);
+    assertValid(fallback);
+  });
+});
+
+describe('validateForecast', () => {
+  it('groups one problem repeated across hours into one issue', () => {
+    const hour = { timestamp: 1, temperature: '60', precipitation: { probability: 10, amount: 0, unit: 'mm' } };
+    const dataQuality = validateForecast({
+      source: 'Test',
+      location: LOCATION,
+      current: null,
+      hourly: [hour, hour, hour],
+      daily: [],
+      lastUpdated: 1
+    });
+
+    assert.equal(dataQuality.valid, false);
+    assert.equal(dataQuality.issueCount, 3);
+    assert.deepEqual(dataQuality.issues, [
+      { field: 'hourly[].temperature', problem: 'expected a number, got string', count: 3 }
+    ]);
+  });
+
+  it('rejects precipitation in another unit or out of range', () => {
+    const dataQuality = validateForecast({
+      source: 'Test',
+      location: LOCATION,
+      current: { temperature: 60, precipitation: { probability: 120, amount: 0.1, unit: 'inches' } },
+      hourly: [{ timestamp: 1, temperature: 60, precipitation: { probability: 10, amount: 0, unit: 'mm' } }],
+      daily: [],
+      lastUpdated: 1
+    });
+
+    assert.deepEqual(dataQuality.issues.map(issue => `${issue.field} ${issue.problem}`), [
+      'current.precipitation.probability above 100',
+      'current.precipitation.unit expected one of mm, got "inches"'
+    ]);
+  });
+
+  it('flags a forecast without hours', () => {
+    const dataQuality = validateForecast({ source: 'Test', location: LOCATION, hourly: [], daily: [], lastUpdated: 1 });
+
+    assert.deepEqual(dataQuality.issues, [{ field: 'hourly', problem: 'is empty', count: 1 }]);
+  });
+
+  it('only requires an error message from error entries', () => {
+    assert.equal(validateForecast({ source: 'Test', isError: true, errorMessage: 'Failed', hourly: [] }).valid, true);
+    assert.deepEqual(validateForecast({ source: 'Test', isError: true }).issues, [
+      { field: 'errorMessage', problem: 'missing', count: 1 }
+    ]);
+  });
+});
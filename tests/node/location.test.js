@@ -0,0 +1,214 @@
+/**
+ * Location resolution tests
+ *
+ * Covers the parsing of what users type into the location box
+ * (utils/locationQuery.js: ZIP and ZIP+4 codes, Canadian and UK postcodes,
+ * "lat,lon" pairs and place names), and their resolution through
+ * location/index.js against the Azure Maps search and reverse geocoding of the
+ * fake provider server in support/fakeProviders.js.
+ * Runs offline: npm test
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeProviderServer } = require('./support/fakeProviders');
+const { parseLocationQuery, normalizeLocationQuery, validateLocationQuery } = require('../../utils/locationQuery');
+
+const QUOTA_FILE = path.join(os.tmpdir(), `super-sky-location-quota-${process.pid}.json`);
+
+const fakeProviders = createFakeProviderServer();
+let resolveLocation;
+let hasPlaceName;
+
+/**
+ * An Azure Maps search result
+ */
+function searchResult(municipality, position, score = 5) {
+  return {
+    type: 'Geography',
+    score,
+    address: { municipality, country: 'Testland', countryCode: 'TL', freeformAddress: municipality },
+    position
+  };
+}
+
+before(async () => {
+  await fakeProviders.start();
+
+  Object.assign(process.env, fakeProviders.providerEnv(), {
+    UPSTREAM_MAX_RETRIES: '0',
+    QUOTA_FILE,
+    LOG_LEVEL: 'silent'
+  });
+
+  ({ resolveLocation, hasPlaceName } = require('../../location'));
+});
+
+after(async () => {
+  await fakeProviders.stop();
+  // The quota module writes the file once more when the process exits
+  process.once('exit', () => fs.rmSync(QUOTA_FILE, { force: true }));
+});
+
+beforeEach(() => {
+  fakeProviders.reset();
+});
+
+describe('parseLocationQuery', () => {
+  it('reads US ZIP codes, keeping the 5-digit ZIP of a ZIP+4', () => {
+    assert.deepEqual(parseLocationQuery('10001'), { type: 'usZip', query: '10001', countryCode: 'US', postalCode: '10001' });
+    assert.equal(parseLocationQuery(' 10001-1234 ').query, '10001');
+    assert.equal(parseLocationQuery('100011234').query, '10001');
+  });
+
+  it('reads Canadian postal codes and UK postcodes in their canonical form', () => {
+    assert.deepEqual(parseLocationQuery('m5v3l9'), { type: 'caPostal', query: 'M5V 3L9', countryCode: 'CA', postalCode: 'M5V 3L9' });
+    assert.deepEqual(parseLocationQuery('sw1a  1aa'), { type: 'ukPostcode', query: 'SW1A 1AA', countryCode: 'GB', postalCode: 'SW1A 1AA' });
+    assert.equal(parseLocationQuery('EC1A 1BB').type, 'ukPostcode');
+    // D, F, I, O, Q and U never start a Canadian postal code
+    assert.notEqual(parseLocationQuery('D5V 3L9').type, 'caPostal');
+  });
+
+  it('reads "lat,lon" pairs, rounded to 4 decimals', () => {
+    assert.deepEqual(parseLocationQuery('40.748433, -73.985656'), {
+      type: 'coordinates',
+      query: '40.7484,-73.9857',
+      coordinates: { latitude: 40.7484, longitude: -73.9857 }
+    });
+    assert.equal(parseLocationQuery('0,0').query, '0.0000,0.0000');
+  });
+
+  it('rejects coordinates out of range', () => {
+    assert.equal(parseLocationQuery('91,0').type, null);
+    assert.match(parseLocationQuery('0,-181').error, /longitude between -180 and 180/);
+  });
+
+  it('reads place names, including accented ones', () => {
+    assert.deepEqual(parseLocationQuery('Portland,  OR'), { type: 'place', query: 'Portland, OR' });
+    assert.equal(parseLocationQuery('São Paulo').type, 'place');
+    assert.equal(parseLocationQuery("St. John's").type, 'place');
+  });
+
+  it('rejects empty, overlong and unusable input', () => {
+    assert.equal(parseLocationQuery('   ').error, 'Location is required');
+    assert.equal(parseLocationQuery(undefined).error, 'Location is required');
+    assert.match(parseLocationQuery('a'.repeat(101)).error, /at most 100 characters/);
+    assert.equal(parseLocationQuery('<script>').type, null);
+    assert.equal(parseLocationQuery('1234').type, null);
+    assert.equal(parseLocationQuery('x').type, null);
+  });
+});
+
+describe('normalizeLocationQuery and validateLocationQuery', () => {
+  it('give one canonical form per location', () => {
+    assert.equal(normalizeLocationQuery('10001-1234'), '10001');
+    assert.equal(normalizeLocationQuery('Portland  OR'), 'portland or');
+    assert.equal(normalizeLocationQuery('!!'), null);
+  });
+
+  it('report why a query is invalid', () => {
+    assert.deepEqual(validateLocationQuery('10001'), { isValid: true, error: null });
+    assert.deepEqual(validateLocationQuery(''), { isValid: false, error: 'Location is required' });
+  });
+});
+
+describe('resolveLocation', () => {
+  it('resolves a ZIP code to the geocoded place', async () => {
+    const { location } = await resolveLocation('10001-1234');
+    const search = fakeProviders.requests.find(request => request.name === 'azureSearch');
+
+    assert.equal(search.query.query, '10001');
+    assert.equal(search.query.countrySet, 'US');
+    assert.deepEqual(location, {
+      zipCode: '10001',
+      city: 'New York',
+      state: 'NY',
+      country: 'United States',
+      countryCode: 'US',
+      displayName: 'New York, United States',
+      query: '10001',
+      coordinates: { latitude: 40.7484, longitude: -73.9967 }
+    });
+  });
+
+  it('returns null for invalid queries and places that are not found', async () => {
+    assert.equal(await resolveLocation('!!'), null);
+
+    fakeProviders.setResponse('azureSearch', { results: [] });
+    assert.equal(await resolveLocation('Atlantis'), null);
+  });
+
+  it('offers candidates for a place name matching several places of similar relevance', async () => {
+    fakeProviders.setResponse('azureSearch', {
+      results: [
+        searchResult('Portland', { lat: 45.5152, lon: -122.6784 }, 5),
+        searchResult('Portland', { lat: 45.5152, lon: -122.6784 }, 4.9),
+        searchResult('Portland Heights', { lat: 43.6591, lon: -70.2568 }, 4.5)
+      ]
+    });
+
+    const { candidates } = await resolveLocation('Portland');
+    const search = fakeProviders.requests.find(request => request.name === 'azureSearch');
+
+    assert.equal(search.query.countrySet, undefined);
+    assert.deepEqual(candidates.map(candidate => candidate.name), ['Portland, Testland', 'Portland Heights, Testland']);
+    assert.equal(candidates[1].query, '43.6591,-70.2568');
+  });
+
+  it('picks a place name match that clearly outscores the others', async () => {
+    fakeProviders.setResponse('azureSearch', {
+      results: [
+        searchResult('Portland', { lat: 45.5152, lon: -122.6784 }, 10),
+        searchResult('Portland Heights', { lat: 43.6591, lon: -70.2568 }, 5)
+      ]
+    });
+
+    const { location } = await resolveLocation('Portland');
+
+    assert.equal(location.city, 'Portland');
+    assert.equal(location.query, 'Portland');
+  });
+
+  it('reverse geocodes coordinates', async () => {
+    const { location } = await resolveLocation('40.7484,-73.9967');
+    const reverse = fakeProviders.requests.find(request => request.name === 'azureReverse');
+
+    assert.equal(reverse.query.query, '40.7484,-73.9967');
+    assert.equal(location.city, 'New York');
+    assert.deepEqual(location.coordinates, { latitude: 40.7484, longitude: -73.9967 });
+  });
+
+  it('keeps coordinates that cannot be reverse geocoded, without a place name', async () => {
+    fakeProviders.setScenario('azureReverse', 'error');
+
+    const { location } = await resolveLocation('40.7484,-73.9967');
+
+    assert.equal(location.city, null);
+    assert.equal(location.displayName, '40.7484,-73.9967');
+    assert.equal(hasPlaceName(location), false);
+  });
+
+  it('keeps results on the equator and the prime meridian', async () => {
+    fakeProviders.setResponse('azureSearch', {
+      results: [
+        searchResult('Null Island', { lat: 0, lon: 0 }),
+        searchResult('Nowhere', { lat: '1.5', lon: null })
+      ]
+    });
+
+    const { location } = await resolveLocation('Null Island');
+
+    assert.equal(location.city, 'Null Island');
+    assert.deepEqual(location.coordinates, { latitude: 0, longitude: 0 });
+  });
+
+  it('finds nothing when no result has a numeric position', async () => {
+    fakeProviders.setResponse('azureSearch', {
+      results: [searchResult('Nowhere', { lat: '1.5', lon: '2.5' }), searchResult('Elsewhere', {})]
+    });
+
+    assert.equal(await resolveLocation('Nowhere'), null);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Location comparison tests
+ *
+ * Covers components/LocationComparison.jsx: the location inputs and their
+ * suggestions, rendered to static HTML, and the comparison itself, run on the
+ * hook stand-in of support/browser.js against a stubbed weather service: one
+ * triple check request per location, the precipitation rows stacked per
+ * provider for the selected day, invalid and ambiguous locations.
+ * Runs offline: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, render, createHookRunner, findElements, textContent } = require('./support/browser');
+
+const quietConsole = { log: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const SCRIPTS = ['utils/locationQuery.js', 'components/HourlyComparisonGrid.jsx', 'components/LocationComparison.jsx'];
+
+/**
+ * Hourly entries for every hour of a day, starting at local midnight
+ */
+function hoursOfDay(dayOffset, precipitation) {
+  const midnight = new Date();
+  midnight.setHours(0, 0, 0, 0);
+  midnight.setDate(midnight.getDate() + dayOffset);
+
+  return Array.from({ length: 24 }, (_, hour) => ({
+    timestamp: new Date(midnight.getTime() + hour * 3600000).toISOString(),
+    precipitation
+  }));
+}
+
+/**
+ * A triple check response for one location
+ */
+function tripleCheck(displayName, { openMeteoError = null } = {}) {
+  const location = { displayName, city: displayName };
+  const hourly = [...hoursOfDay(0, 0.1), ...hoursOfDay(1, 0.2)];
+
+  return [
+    { source: 'GoogleWeather', location, hourly },
+    openMeteoError
+      ? { source: 'OpenMeteo', location, hourly: [], isError: true, errorMessage: openMeteoError }
+      : { source: 'OpenMeteo', location, hourly }
+  ];
+}
+
+/**
+ * Run LocationComparison against a stubbed triple check
+ * @param {Object} responses - Triple check response for each query
+ * @returns {Object} - { window, view, requests, find, type, submit, click }
+ */
+function renderComparison(responses, props = {}) {
+  const requests = [];
+  const runner = createHookRunner();
+  const window = loadScripts(SCRIPTS, { React: runner.React, console: quietConsole });
+
+  window.weatherService = {
+    fetchTripleCheckWeather: async query => {
+      requests.push(query);
+      if (!(query in responses)) {
+        throw new Error('Network error');
+      }
+      return responses[query];
+    }
+  };
+
+  const view = runner.renderHook(() => window.LocationComparison.type(props));
+  const settle = async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    view.rerender();
+  };
+
+  return {
+    window,
+    view,
+    requests,
+    find: predicate => findElements(view.current, predicate),
+    type(index, value) {
+      const input = findElements(view.current, element => element.props.id === `compare-location-${index}`)[0];
+      input.props.onChange({ target: { value } });
+      view.rerender();
+    },
+    async submit() {
+      findElements(view.current, element => element.type === 'form')[0].props.onSubmit({ preventDefault: () => {} });
+      await settle();
+    },
+    async click(text) {
+      const button = findElements(view.current, element => element.type === 'button' && textContent(element).includes(text))[0];
+      button.props.onClick();
+      await settle();
+    }
+  };
+}
+
+describe('LocationComparison', () => {
+  it('renders two location inputs with favorites and recent locations as suggestions', () => {
+    const window = loadScripts(SCRIPTS, { console: quietConsole });
+    const html = render(window, 'LocationComparison', {
+      initialQuery: '10001',
+      favorites: [{ id: 'fav_1', name: 'Home', query: '97201' }],
+      recentZipCodes: ['60601']
+    });
+
+    assert.match(html, /id="compare-location-0"[^>]*value="10001"/);
+    assert.match(html, /id="compare-location-1"[^>]*value=""/);
+    assert.doesNotMatch(html, /compare-location-2/);
+    assert.match(html, /<option value="97201">Home<\/option>/);
+    assert.match(html, /<option value="60601"><\/option>/);
+    assert.match(html, /\+ Add Location/);
+    assert.doesNotMatch(html, /<table/);
+  });
+
+  it('offers two to three location inputs', async () => {
+    const comparison = renderComparison({});
+    const inputs = () => comparison.find(element => element.type === 'input');
+
+    await comparison.click('Add Location');
+    assert.equal(inputs().length, 3);
+    assert.equal(comparison.find(element => textContent(element).includes('Add Location')).length, 0);
+
+    await comparison.click('✕');
+    assert.equal(inputs().length, 2);
+    assert.equal(comparison.find(element => element.props.className === 'location-comparison-remove').length, 0);
+  });
+
+  it('loads every location and stacks its rows per provider for the selected day', async () => {
+    const comparison = renderComparison({
+      '10001': tripleCheck('New York'),
+      'Boston, MA': tripleCheck('Boston', { openMeteoError: 'OpenMeteo is unavailable' })
+    }, { initialQuery: '10001' });
+
+    comparison.type(1, '  Boston, MA ');
+    await comparison.submit();
+
+    assert.deepEqual(comparison.requests, ['10001', 'Boston, MA']);
+
+    const groups = comparison.find(element => element.props.className === 'hourly-cell provider-group-cell');
+    assert.deepEqual(groups.map(textContent), ['GoogleWeather', 'OpenMeteo']);
+
+    const bars = comparison.find(element => element.type === comparison.window.PrecipitationBar);
+    assert.deepEqual(bars.map(bar => bar.props.label), [
+      'GoogleWeather New York Today',
+      'GoogleWeather Boston Today',
+      'OpenMeteo New York Today'
+    ]);
+    assert.ok(bars[0].props.hourly.every(hour => hour.precipitation === 0.1));
+    assert.equal(bars[0].props.hourly.length, 24);
+
+    const missing = comparison.find(element => element.props.className === 'no-data-message error-message');
+    assert.deepEqual(missing.map(textContent), ['OpenMeteo is unavailable']);
+
+    await comparison.click('Tomorrow');
+    const tomorrow = comparison.find(element => element.type === comparison.window.PrecipitationBar);
+    assert.equal(tomorrow[0].props.label, 'GoogleWeather New York Tomorrow');
+    assert.ok(tomorrow[0].props.hourly.every(hour => hour.precipitation === 0.2));
+  });
+
+  it('checks every location before loading any', async () => {
+    const comparison = renderComparison({}, { initialQuery: '10001' });
+
+    await comparison.submit();
+
+    assert.deepEqual(comparison.requests, []);
+    assert.equal(textContent(comparison.find(element => element.props.className === 'form-error')), 'Location is required');
+  });
+
+  it('shows the locations that could not be loaded without dropping the others', async () => {
+    const comparison = renderComparison({ '10001': tripleCheck('New York') }, { initialQuery: '10001' });
+
+    comparison.type(1, '99999');
+    await comparison.submit();
+
+    const errors = comparison.find(element => element.props.className === 'location-comparison-error');
+    assert.deepEqual(errors.map(textContent), ['99999: Failed to fetch weather data for this location']);
+    assert.equal(comparison.find(element => element.type === comparison.window.PrecipitationBar).length, 2);
+  });
+
+  it('lets the user pick one of the places an ambiguous location matches', async () => {
+    const comparison = renderComparison({
+      '10001': tripleCheck('New York'),
+      'Portland': {
+        ambiguous: true,
+        message: 'Several places match',
+        candidates: [
+          { name: 'Portland, Oregon', query: '45.5152,-122.6784' },
+          { name: 'Portland, Maine', query: '43.6591,-70.2568' }
+        ]
+      },
+      '43.6591,-70.2568': tripleCheck('Portland, Maine')
+    }, { initialQuery: '10001' });
+
+    comparison.type(1, 'Portland');
+    await comparison.submit();
+    assert.match(textContent(comparison.find(element => element.props.className === 'location-comparison-error')), /Several places match/);
+
+    await comparison.click('Portland, Maine');
+
+    assert.deepEqual(comparison.requests, ['10001', 'Portland', '10001', '43.6591,-70.2568']);
+    assert.equal(comparison.find(element => element.props.id === 'compare-location-1')[0].props.value, '43.6591,-70.2568');
+    assert.equal(comparison.find(element => element.props.className === 'location-comparison-error').length, 0);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Provider registry tests
+ *
+ * Covers the adapter registry in providers/index.js: the required adapter
+ * fields, the row order set with WEATHER_PROVIDER_ORDER and the providers left
+ * out with WEATHER_PROVIDERS_DISABLED.
+ * Runs offline: npm test
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const providerRegistry = require('../../providers');
+
+const LOCATION = {
+  zipCode: '10001',
+  city: 'New York',
+  countryCode: 'US',
+  coordinates: { latitude: 40.7484, longitude: -73.9967 }
+};
+
+const ids = () => providerRegistry.getProviders().map(provider => provider.id);
+
+beforeEach(() => {
+  delete process.env.WEATHER_PROVIDER_ORDER;
+  delete process.env.WEATHER_PROVIDERS_DISABLED;
+});
+
+describe('getProviders', () => {
+  it('lists the providers in registration order by default', () => {
+    assert.deepEqual(ids(), ['googleweather', 'azuremaps', 'foreca', 'openmeteo']);
+  });
+
+  it('puts the providers in WEATHER_PROVIDER_ORDER first, ignoring unknown ids', () => {
+    process.env.WEATHER_PROVIDER_ORDER = ' OpenMeteo, nowhere,foreca ';
+
+    assert.deepEqual(ids(), ['openmeteo', 'foreca', 'googleweather', 'azuremaps']);
+  });
+
+  it('leaves out the providers in WEATHER_PROVIDERS_DISABLED', () => {
+    process.env.WEATHER_PROVIDERS_DISABLED = 'GoogleWeather,foreca';
+
+    assert.deepEqual(ids(), ['azuremaps', 'openmeteo']);
+    assert.equal(providerRegistry.isProviderEnabled('foreca'), false);
+    assert.equal(providerRegistry.getProvider('googleweather'), null);
+    assert.equal(providerRegistry.getProvider('OpenMeteo').name, 'OpenMeteo');
+  });
+});
+
+describe('getProvider', () => {
+  it('returns null for unknown or missing ids', () => {
+    assert.equal(providerRegistry.getProvider('nowhere'), null);
+    assert.equal(providerRegistry.getProvider(undefined), null);
+  });
+});
+
+describe('registered adapters', () => {
+  it('build cache keys under their own prefix', () => {
+    providerRegistry.getProviders().forEach(provider => {
+      assert.ok(
+        provider.getCacheKey(LOCATION).startsWith(provider.cacheKeyPrefix),
+        `${provider.id} cache key does not start with ${provider.cacheKeyPrefix}`
+      );
+    });
+  });
+});
+
+describe('registerProvider', () => {
+  it('rejects adapters with missing fields', () => {
+    assert.throws(
+      () => providerRegistry.registerProvider({ id: 'partial', name: 'Partial', fetch: async () => ({}) }),
+      /Provider partial is missing required fields: cacheTtl, cacheKeyPrefix, capabilities, getCacheKey, transform, fallback/
+    );
+  });
+
+  it('adds a new adapter after the built-in ones', () => {
+    providerRegistry.registerProvider({
+      id: 'example',
+      name: 'Example',
+      cacheTtl: 1000,
+      cacheKeyPrefix: 'example_',
+      capabilities: { current: true, hourly: true, daily: false, maxForecastHours: 24, requiresPlaceName: false },
+      getCacheKey: location => `example_${location.zipCode}`,
+      fetch: async () => ({}),
+      transform: () => ({}),
+      fallback: () => ({})
+    });
+
+    assert.deepEqual(ids(), ['googleweather', 'azuremaps', 'foreca', 'openmeteo', 'example']);
+    assert.equal(providerRegistry.getProvider('EXAMPLE').name, 'Example');
+  });
+});
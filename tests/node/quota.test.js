@@ -0,0 +1,58 @@
+/**
+ * Upstream call budget tests
+ *
+ * Checks that the call counts of providers/quota.js reach QUOTA_FILE when the
+ * server is stopped before the delayed save runs, by running the budgets in a
+ * child process and stopping it with a signal.
+ * Runs offline: npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const QUOTA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-test-'));
+const QUOTA_MODULE = path.join(__dirname, '..', '..', 'providers', 'quota.js');
+
+/**
+ * Count calls in a child process, then stop it with a signal
+ * @returns {Promise<Object>} - { code, signal, saved } with the usage read back from the file
+ */
+async function countCallsThenStop(signal, calls) {
+  const quotaFile = path.join(QUOTA_DIR, `${signal}.json`);
+  const script = `
+    const { recordUpstreamCall } = require(${JSON.stringify(QUOTA_MODULE)});
+    for (let i = 0; i < ${calls}; i++) recordUpstreamCall('foreca');
+    // Stays up until stopped, as a server would
+    setInterval(() => {}, 1000);
+    process.send('counted');
+  `;
+  const child = spawn(process.execPath, ['-e', script], {
+    env: { ...process.env, QUOTA_FILE: quotaFile, LOG_LEVEL: 'silent' },
+    stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+  });
+
+  await new Promise(resolve => child.once('message', resolve));
+  child.kill(signal);
+  const [code, exitSignal] = await new Promise(resolve => child.once('exit', (...result) => resolve(result)));
+
+  return { code, signal: exitSignal, saved: JSON.parse(fs.readFileSync(quotaFile, 'utf8')) };
+}
+
+after(() => {
+  fs.rmSync(QUOTA_DIR, { recursive: true, force: true });
+});
+
+describe('quota usage file', () => {
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    it(`is written when the process is stopped with ${signal}`, { timeout: 10000 }, async () => {
+      const result = await countCallsThenStop(signal, 3);
+
+      assert.equal(result.signal, signal);
+      assert.equal(result.saved.foreca.dailyCalls, 3);
+      assert.equal(result.saved.foreca.totalCalls, 3);
+    });
+  });
+});
@@ -0,0 +1,1056 @@
+/**
+ * Route integration tests
+ *
+ * Runs the Express app against the fake provider server in
+ * support/fakeProviders.js, covering the single-source, triple, coordinate
+ * triple, /location and /ip-location endpoints with healthy upstreams and
+ * with upstreams that rate limit (429), stop responding or send malformed
+ * payloads, plus the
+ * scoped cache clearing of /api/cache/clear, the provider faults injected
+ * through /api/faults, the provider circuit breakers, the retries of the
+ * upstream client, the upstream call budgets, the recording and replay of
+ * upstream fixtures, /metrics and the request ids and redaction of the server
+ * logs.
+ * Runs offline: npm test
+ */
+// Transformers build timestamps from local-time strings; pin the zone so results match everywhere
+process.env.TZ = 'UTC';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeProviderServer } = require('./support/fakeProviders');
+
+const fakeProviders = createFakeProviderServer();
+let server;
+let baseUrl;
+let deleteServerCacheEntries;
+let clearFaults;
+let resetCircuitBreakers;
+let resetQuotaUsage;
+let resetMetrics;
+
+const ADMIN_TOKEN = 'test-admin-token';
+const QUOTA_FILE = path.join(os.tmpdir(), `super-sky-quota-${process.pid}.json`);
+
+/**
+ * GET an app endpoint
+ * @returns {Promise<Object>} - { status, body } with the JSON body parsed
+ */
+async function getJson(path, headers = {}) {
+  const response = await fetch(`${baseUrl}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Set a provider fault through the admin endpoint
+ * @returns {Promise<Object>} - { status, body } with the JSON body parsed
+ */
+async function putFault(provider, fault, token = ADMIN_TOKEN) {
+  const response = await fetch(`${baseUrl}/api/faults/${provider}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(fault)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Find the entry of one source in a triple response
+ */
+function findSource(body, source) {
+  const entry = body.find(sourceData => sourceData.source === source);
+  assert.ok(entry, `No ${source} entry in the response`);
+  return entry;
+}
+
+before(async () => {
+  const fakeUrl = await fakeProviders.start();
+  assert.ok(fakeUrl);
+
+  Object.assign(process.env, fakeProviders.providerEnv(), {
+    NODE_ENV: 'test',
+    SERVER_CACHE_STORE: 'memory',
+    VERIFICATION_ENABLED: 'false',
+    WEATHER_PROVIDER_ORDER: 'googleweather,azuremaps,foreca,openmeteo',
+    WEATHER_PROVIDERS_DISABLED: '',
+    ADMIN_TOKEN,
+    FAULT_INJECTION: '',
+    CIRCUIT_BREAKER_FAILURE_THRESHOLD: '3',
+    CIRCUIT_BREAKER_COOLDOWN_MS: '200',
+    // Single attempts keep the request counts exact; the retry tests turn retries on
+    UPSTREAM_MAX_RETRIES: '0',
+    UPSTREAM_RETRY_BASE_DELAY_MS: '10',
+    QUOTA_FILE,
+    // The server logs every request and upstream failure; the logging tests turn it on
+    LOG_LEVEL: 'silent'
+  });
+
+  // The transformers log with console; keep the test output readable
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+
+  // Loaded after the environment is set, as the cache store is picked on load
+  const app = require('../../server');
+  ({ deleteServerCacheEntries } = require('../../cache'));
+  ({ clearFaults } = require('../../providers/faults'));
+  ({ resetCircuitBreakers } = require('../../providers/circuitBreaker'));
+  ({ resetQuotaUsage } = require('../../providers/quota'));
+  ({ resetMetrics } = require('../../metrics'));
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fakeProviders.stop();
+  mock.restoreAll();
+  // The quota module writes the file once more when the process exits
+  process.once('exit', () => fs.rmSync(QUOTA_FILE, { force: true }));
+});
+
+beforeEach(() => {
+  fakeProviders.reset();
+  deleteServerCacheEntries(() => true);
+  clearFaults();
+  process.env.FAULT_INJECTION = '';
+  resetCircuitBreakers();
+  process.env.UPSTREAM_MAX_RETRIES = '0';
+  resetQuotaUsage();
+});
+
+describe('GET /api/weather/:zipCode', () => {
+  it('returns the forecast of the requested source', async () => {
+    const { status, body } = await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(status, 200);
+    assert.equal(body.source, 'OpenMeteo');
+    assert.equal(body.location.zipCode, '10001');
+    assert.equal(body.hourly.length, 4);
+    assert.equal(body.dataQuality.schemaVersion, 1);
+  });
+
+  it('serves repeated requests from the cache', async () => {
+    await getJson('/api/weather/10001?source=openmeteo');
+    await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(fakeProviders.requests.filter(request => request.name === 'openMeteo').length, 1);
+  });
+
+  it('shares one upstream fetch between concurrent identical requests', async () => {
+    fakeProviders.setScenario('openMeteo', 'slow');
+    const coalescedBefore = (await getJson('/api/status')).body.requestCoalescing.coalesced;
+
+    const responses = await Promise.all([
+      getJson('/api/weather/10001?source=openmeteo'),
+      getJson('/api/weather/10001?source=openmeteo&forceRefresh=true'),
+      getJson('/api/weather/10001?source=openmeteo&forceRefresh=true')
+    ]);
+    const { body: status } = await getJson('/api/status');
+
+    responses.forEach(({ body }) => assert.equal(body.hourly.length, 4));
+    assert.equal(fakeProviders.requests.filter(request => request.name === 'openMeteo').length, 1);
+    assert.equal(status.requestCoalescing.coalesced - coalescedBefore, 2);
+  });
+
+  it('rejects unknown sources and invalid locations', async () => {
+    assert.equal((await getJson('/api/weather/10001?source=nowhere')).status, 400);
+    assert.equal((await getJson('/api/weather/not%20a%20zip!')).status, 400);
+  });
+
+  it('returns the provider error entry when the upstream rate limits', async () => {
+    fakeProviders.setScenario('openMeteo', 'rateLimited');
+
+    const { status, body } = await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(status, 200);
+    assert.equal(body.isError, true);
+    assert.match(body.errorMessage, /429/);
+  });
+});
+
+describe('GET /api/weather/:zipCode/triple', () => {
+  it('returns every provider followed by the consensus', async () => {
+    const { status, body } = await getJson('/api/weather/10001/triple');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(sourceData => sourceData.source), ['GoogleWeather', 'AzureMaps', 'Foreca', 'OpenMeteo', 'Consensus']);
+    body.slice(0, 4).forEach(sourceData => {
+      assert.equal(sourceData.isError, undefined, `${sourceData.source} should not be an error entry`);
+      assert.ok(sourceData.hourly.length > 0, `${sourceData.source} should have hourly data`);
+    });
+    assert.equal(findSource(body, 'Consensus').isConsensus, true);
+  });
+
+  it('follows the configured provider order and leaves out disabled providers', async () => {
+    process.env.WEATHER_PROVIDER_ORDER = 'openmeteo,azuremaps';
+    process.env.WEATHER_PROVIDERS_DISABLED = 'foreca';
+
+    try {
+      const { body } = await getJson('/api/weather/10001/triple');
+      const { status } = await getJson('/api/weather/10001?source=foreca');
+
+      assert.deepEqual(body.map(sourceData => sourceData.source), ['OpenMeteo', 'AzureMaps', 'GoogleWeather', 'Consensus']);
+      assert.equal(fakeProviders.requests.some(request => request.name.startsWith('foreca')), false);
+      assert.equal(status, 400);
+    } finally {
+      process.env.WEATHER_PROVIDER_ORDER = 'googleweather,azuremaps,foreca,openmeteo';
+      process.env.WEATHER_PROVIDERS_DISABLED = '';
+    }
+  });
+
+  it('follows Google Weather nextPageToken pagination', async () => {
+    const { body } = await getJson('/api/weather/10001/triple');
+    const googleRequests = fakeProviders.requests.filter(request => request.name.startsWith('googleHours'));
+
+    assert.equal(googleRequests.length, 2);
+    // The key is sent as a header, never in the URL
+    assert.ok(googleRequests.every(request => request.googleApiKey === 'test-key' && request.query.key === undefined));
+    assert.equal(googleRequests[0].query.pageToken, undefined);
+    assert.equal(googleRequests[1].query.pageToken, 'page-2');
+    assert.equal(findSource(body, 'GoogleWeather').hourly.length, 4);
+  });
+
+  it('converts the response when units are requested', async () => {
+    const { body } = await getJson('/api/weather/10001/triple?units=metric');
+    const openMeteo = findSource(body, 'OpenMeteo');
+
+    assert.equal(openMeteo.units.temperature, 'C');
+    assert.equal(openMeteo.hourly[0].temperature, 14.5); // 58.1 °F
+    assert.equal((await getJson('/api/weather/10001/triple?units=kelvin')).status, 400);
+  });
+
+  it('caches the base units, converting each response on its own', async () => {
+    await getJson('/api/weather/10001/triple?units=C,km/h');
+    const requestCount = fakeProviders.requests.length;
+
+    const { body: imperial } = await getJson('/api/weather/10001/triple?units=imperial');
+    const { body: base } = await getJson('/api/weather/10001/triple');
+
+    assert.equal(fakeProviders.requests.length, requestCount);
+    assert.equal(findSource(imperial, 'OpenMeteo').units.precipitation, 'in');
+    assert.equal(findSource(base, 'OpenMeteo').units, undefined);
+    assert.equal(findSource(base, 'OpenMeteo').hourly[0].temperature, 58.1);
+  });
+
+  it('marks Foreca as rate limited on a 429 and keeps the other sources', async () => {
+    fakeProviders.setScenario('forecaHourly', 'rateLimited');
+
+    const { status, body } = await getJson('/api/weather/10001/triple');
+    const foreca = findSource(body, 'Foreca');
+
+    assert.equal(status, 200);
+    assert.equal(foreca.isError, true);
+    assert.equal(foreca.rateLimited, true);
+    assert.equal(findSource(body, 'AzureMaps').isError, undefined);
+    assert.equal(findSource(body, 'Consensus').isError, undefined);
+  });
+
+  it('returns an error entry for a provider that stops responding', async () => {
+    fakeProviders.setScenario('azureHourly', 'timeout');
+
+    const { status, body } = await getJson('/api/weather/10001/triple');
+    const azure = findSource(body, 'AzureMaps');
+
+    assert.equal(status, 200);
+    assert.equal(azure.isError, true);
+    assert.ok(azure.errorMessage);
+    assert.equal(findSource(body, 'GoogleWeather').isError, undefined);
+  });
+
+  it('falls back to mock data when the first Google Weather page fails', async () => {
+    fakeProviders.setScenario('googleHours', 'error');
+
+    const { body } = await getJson('/api/weather/10001/triple');
+    const google = findSource(body, 'GoogleWeather');
+
+    assert.equal(google.isError, true);
+    assert.equal(google.isMockData, true);
+    assert.equal(fakeProviders.requests.filter(request => request.name.startsWith('googleHours')).length, 1);
+  });
+
+  it('keeps the Google Weather hours received before a later page fails', async () => {
+    fakeProviders.setScenario('googleHoursNextPage', 'timeout');
+
+    const { body } = await getJson('/api/weather/10001/triple');
+    const google = findSource(body, 'GoogleWeather');
+
+    assert.equal(google.isError, undefined);
+    assert.equal(google.hourly.length, 2);
+  });
+
+  it('serves an expired payload as stale and refreshes it in the background', async () => {
+    const countOpenMeteoRequests = () => fakeProviders.requests.filter(request => request.name === 'openMeteo').length;
+    const startedAt = Date.now();
+    await getJson('/api/weather/10001/triple');
+
+    // Past the 15 minute cache duration, well inside the 2 hour staleness limit
+    const clock = mock.method(Date, 'now', () => startedAt + 16 * 60 * 1000);
+    try {
+      const response = await fetch(`${baseUrl}/api/weather/10001/triple`);
+      const stale = await response.json();
+
+      assert.ok(Number(response.headers.get('Age')) >= 960);
+      stale.forEach(sourceData => assert.equal(sourceData.stale, true, `${sourceData.source} should be marked stale`));
+
+      // Stale responses keep coming until the refresh is saved; they join the refresh in flight
+      let refreshed = stale;
+      for (let i = 0; i < 50 && refreshed[0].stale; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        refreshed = (await getJson('/api/weather/10001/triple')).body;
+      }
+
+      refreshed.forEach(sourceData => assert.equal(sourceData.stale, undefined));
+      assert.equal(countOpenMeteoRequests(), 2);
+    } finally {
+      clock.mock.restore();
+    }
+  });
+
+  it('fetches anew once a payload is past the staleness limit', async () => {
+    const startedAt = Date.now();
+    await getJson('/api/weather/10001/triple');
+
+    const clock = mock.method(Date, 'now', () => startedAt + 3 * 60 * 60 * 1000);
+    try {
+      const response = await fetch(`${baseUrl}/api/weather/10001/triple`);
+      const body = await response.json();
+
+      assert.equal(response.headers.get('Age'), null);
+      body.forEach(sourceData => assert.equal(sourceData.stale, undefined));
+      assert.equal(fakeProviders.requests.filter(request => request.name === 'openMeteo').length, 2);
+    } finally {
+      clock.mock.restore();
+    }
+  });
+
+  it('flags malformed payloads in dataQuality instead of failing', async () => {
+    fakeProviders.setScenario('openMeteo', 'malformed');
+
+    const { status, body } = await getJson('/api/weather/10001/triple');
+    const openMeteo = findSource(body, 'OpenMeteo');
+
+    assert.equal(status, 200);
+    assert.deepEqual(openMeteo.hourly, []);
+    assert.equal(openMeteo.dataQuality.valid, false);
+    assert.equal(findSource(body, 'Foreca').isError, undefined);
+  });
+
+  it('skips sources that need a place name when coordinates cannot be reverse geocoded', async () => {
+    fakeProviders.setScenario('azureReverse', 'error');
+
+    const { status, body } = await getJson(`/api/weather/${encodeURIComponent('40.7484,-73.9967')}/triple`);
+    const foreca = findSource(body, 'Foreca');
+
+    assert.equal(status, 200);
+    assert.equal(foreca.isError, true);
+    assert.equal(foreca.needsPlaceName, true);
+    assert.match(foreca.errorMessage, /needs a place name/);
+    assert.equal(fakeProviders.requests.some(request => request.name.startsWith('foreca')), false);
+    assert.equal(findSource(body, 'OpenMeteo').isError, undefined);
+  });
+
+  it('returns 404 when the location cannot be geocoded', async () => {
+    fakeProviders.setScenario('azureSearch', 'malformed');
+
+    const { status, body } = await getJson('/api/weather/10001/triple');
+
+    assert.equal(status, 404);
+    assert.equal(body.error, true);
+  });
+
+  it('returns 500 when the geocoder rate limits', async () => {
+    fakeProviders.setScenario('azureSearch', 'rateLimited');
+
+    const { status, body } = await getJson('/api/weather/10001/triple');
+
+    assert.equal(status, 500);
+    assert.equal(body.error, true);
+    assert.equal(fakeProviders.requests.some(request => request.name === 'openMeteo'), false);
+  });
+});
+
+describe('GET /api/weather/coords/:lat,:lon/triple', () => {
+  it('returns every provider for the reverse geocoded coordinates', async () => {
+    const { status, body } = await getJson('/api/weather/coords/40.748433,-73.996712/triple');
+    const openMeteoRequest = fakeProviders.requests.find(request => request.name === 'openMeteo');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(sourceData => sourceData.source), ['GoogleWeather', 'AzureMaps', 'Foreca', 'OpenMeteo', 'Consensus']);
+    assert.equal(findSource(body, 'OpenMeteo').location.city, 'New York');
+    assert.equal(openMeteoRequest.query.latitude, '40.7484');
+    assert.equal(fakeProviders.requests.some(request => request.name === 'azureSearch'), false);
+  });
+
+  it('shares the cache entry of the equivalent "lat,lon" query', async () => {
+    await getJson('/api/weather/coords/40.74843,-73.99671/triple');
+    await getJson(`/api/weather/${encodeURIComponent('40.7484,-73.9967')}/triple`);
+
+    assert.equal(fakeProviders.requests.filter(request => request.name === 'openMeteo').length, 1);
+  });
+
+  it('rejects invalid coordinates', async () => {
+    const outOfRange = await getJson('/api/weather/coords/91,0/triple');
+    const notNumbers = await getJson('/api/weather/coords/north,west/triple');
+
+    assert.equal(outOfRange.status, 400);
+    assert.match(outOfRange.body.message, /latitude between -90 and 90/);
+    assert.equal(notNumbers.status, 400);
+    assert.equal(fakeProviders.requests.length, 0);
+  });
+});
+
+describe('GET /api/weather/location', () => {
+  const cloudflareHeaders = { 'cf-iplatitude': '40.7484', 'cf-iplongitude': '-73.9967' };
+
+  it('returns the forecast for the Cloudflare coordinates', async () => {
+    const { status, body } = await getJson('/api/weather/location?source=openmeteo', cloudflareHeaders);
+    const openMeteoRequest = fakeProviders.requests.find(request => request.name === 'openMeteo');
+
+    assert.equal(status, 200);
+    assert.equal(body.source, 'OpenMeteo');
+    assert.deepEqual(body.location.coordinates, { latitude: 40.7484, longitude: -73.9967 });
+    assert.equal(openMeteoRequest.query.latitude, '40.7484');
+  });
+
+  it('rejects sources that need a place name', async () => {
+    const { status } = await getJson('/api/weather/location?source=foreca', cloudflareHeaders);
+
+    assert.equal(status, 400);
+  });
+
+  it('returns the provider error entry when the upstream times out', async () => {
+    fakeProviders.setScenario('azureDaily', 'timeout');
+
+    const { status, body } = await getJson('/api/weather/location', cloudflareHeaders);
+
+    assert.equal(status, 200);
+    assert.equal(body.source, 'AzureMaps');
+    assert.equal(body.isError, true);
+  });
+});
+
+describe('GET /api/weather/ip-location', () => {
+  it('looks up the client IP', async () => {
+    const { status, body } = await getJson('/api/weather/ip-location', { 'X-Forwarded-For': '203.0.113.7' });
+
+    assert.equal(status, 200);
+    assert.equal(body.source, 'ip-api.com');
+    assert.equal(body.location.zipCode, '10001');
+    assert.equal(fakeProviders.requests[0].path, '/json/203.0.113.7');
+  });
+
+  it('falls back to a default location when the service times out', async () => {
+    fakeProviders.setScenario('ipApi', 'timeout');
+
+    const { status, body } = await getJson('/api/weather/ip-location', { 'X-Forwarded-For': '203.0.113.8' });
+
+    assert.equal(status, 200);
+    assert.equal(body.isFallback, true);
+    assert.equal(body.location.zipCode, '90210');
+  });
+
+  it('falls back to a default location on malformed or rate limited responses', async () => {
+    fakeProviders.setScenario('ipApi', 'malformed');
+    assert.equal((await getJson('/api/weather/ip-location', { 'X-Forwarded-For': '203.0.113.9' })).body.isFallback, true);
+
+    fakeProviders.setScenario('ipApi', 'rateLimited');
+    assert.equal((await getJson('/api/weather/ip-location', { 'X-Forwarded-For': '203.0.113.10' })).body.isFallback, true);
+  });
+});
+
+describe('POST /api/cache/clear', () => {
+  const countRequests = name => fakeProviders.requests.filter(request => request.name === name).length;
+
+  /**
+   * Clear the server cache through the admin endpoint
+   * @returns {Promise<Object>} - { status, body } with the JSON body parsed
+   */
+  async function clearCache(params, headers = { Authorization: `Bearer ${ADMIN_TOKEN}` }) {
+    const response = await fetch(`${baseUrl}/api/cache/clear`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(params)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('requires the admin token, and is disabled without ADMIN_TOKEN', async () => {
+    assert.equal((await clearCache({}, {})).status, 401);
+    assert.equal((await clearCache({}, { Authorization: 'Bearer wrong-token' })).status, 401);
+    assert.equal((await clearCache({}, { 'X-Admin-Token': ADMIN_TOKEN })).status, 200);
+
+    delete process.env.ADMIN_TOKEN;
+    try {
+      assert.equal((await clearCache({})).status, 403);
+    } finally {
+      process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    }
+  });
+
+  it('rejects unknown scopes and incomplete parameters', async () => {
+    assert.equal((await clearCache({ scope: 'everything' })).status, 400);
+    assert.equal((await clearCache({ scope: 'zipCode' })).status, 400);
+    assert.equal((await clearCache({ scope: 'provider', provider: 'nowhere' })).status, 400);
+  });
+
+  it('clears everything by default', async () => {
+    await getJson('/api/weather/10001?source=openmeteo');
+
+    const { body } = await clearCache({});
+    await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(body.scope, 'all');
+    assert.equal(body.remaining, 0);
+    assert.ok(body.evicted >= 2, `expected the response and the raw data evicted, got ${body.evicted}`);
+    assert.equal(countRequests('openMeteo'), 2);
+  });
+
+  it('clears one ZIP code with the raw data fetched for it, keeping other ZIP codes', async () => {
+    await getJson('/api/weather/10001?source=openmeteo');
+    await getJson('/api/weather/10002?source=openmeteo');
+
+    const { body } = await clearCache({ scope: 'zipCode', zipCode: '10001-1234' });
+    const { body: other } = await getJson('/api/weather/10002?source=openmeteo');
+    await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(body.evicted, 2);
+    assert.equal(other.location.zipCode, '10002');
+    assert.equal(countRequests('openMeteo'), 2);
+  });
+
+  it('clears one provider with the responses that include it', async () => {
+    await getJson('/api/weather/10001/triple');
+
+    const { body } = await clearCache({ scope: 'provider', provider: 'OpenMeteo' });
+    await getJson('/api/weather/10001/triple');
+
+    assert.equal(body.scope, 'provider');
+    assert.equal(countRequests('openMeteo'), 2);
+    assert.equal(countRequests('forecaHourly'), 1);
+  });
+
+  it('clears the IP geolocation results', async () => {
+    await getJson('/api/weather/ip-location', { 'X-Forwarded-For': '203.0.113.7' });
+    await getJson('/api/weather/10001?source=openmeteo');
+
+    const { body } = await clearCache({ scope: 'ipLocation' });
+    await getJson('/api/weather/ip-location', { 'X-Forwarded-For': '203.0.113.7' });
+
+    assert.equal(body.evicted, 1);
+    assert.ok(body.remaining > 0);
+    assert.equal(countRequests('ipApi'), 2);
+  });
+});
+
+describe('provider fault injection', () => {
+  it('reports Foreca as rate limited under a rateLimited fault', async () => {
+    assert.equal((await putFault('foreca', { type: 'rateLimited' })).status, 200);
+
+    const { body } = await getJson('/api/weather/10001/triple');
+    const foreca = findSource(body, 'Foreca');
+
+    assert.equal(foreca.isError, true);
+    assert.equal(foreca.rateLimited, true);
+    assert.equal(foreca.injectedFault, 'rateLimited');
+    assert.equal(fakeProviders.requests.some(request => request.name.startsWith('foreca')), false);
+    assert.equal(findSource(body, 'AzureMaps').injectedFault, undefined);
+  });
+
+  it('falls back to Google Weather mock data under an error fault', async () => {
+    await putFault('googleweather', { type: 'error', status: 503 });
+
+    const { body } = await getJson('/api/weather/10001/triple');
+    const google = findSource(body, 'GoogleWeather');
+
+    assert.equal(google.isError, true);
+    assert.equal(google.isMockData, true);
+    assert.ok(google.mockDataReason);
+    assert.match(google.errorMessage, /503/);
+  });
+
+  it('applies faults configured in FAULT_INJECTION and never caches faulted entries', async () => {
+    process.env.FAULT_INJECTION = 'openmeteo:partial:0.5';
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+    assert.equal(body.injectedFault, 'partial');
+    assert.equal(body.hourly.length, 2);
+
+    process.env.FAULT_INJECTION = '';
+    const { body: healthy } = await getJson('/api/weather/10001?source=openmeteo');
+    assert.equal(healthy.injectedFault, undefined);
+    assert.equal(healthy.hourly.length, 4);
+  });
+
+  it('fails with a timeout error after the configured delay', async () => {
+    await putFault('azuremaps', { type: 'timeout', delayMs: 50 });
+
+    const { body } = await getJson('/api/weather/10001?source=azuremaps');
+
+    assert.equal(body.isError, true);
+    assert.match(body.errorMessage, /timeout/);
+  });
+
+  it('retries injected errors through the upstream client', async () => {
+    process.env.UPSTREAM_MAX_RETRIES = '2';
+    await putFault('openmeteo', { type: 'error', status: 503 });
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+    const { body: status } = await getJson('/api/status');
+
+    assert.equal(body.isError, true);
+    assert.equal(status.upstream.openmeteo.retries, 2);
+    assert.equal(fakeProviders.requests.some(request => request.name === 'openMeteo'), false);
+  });
+
+  it('opens the circuit breaker after repeated injected errors', async () => {
+    await putFault('openmeteo', { type: 'error', status: 503 });
+
+    for (let i = 0; i < 3; i++) {
+      await getJson('/api/weather/10001?source=openmeteo');
+    }
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+    const { body: status } = await getJson('/api/status');
+
+    assert.equal(body.unavailable, true);
+    assert.equal(status.circuitBreakers.openmeteo.state, 'open');
+    assert.equal(status.circuitBreakers.openmeteo.totals.failures, 3);
+  });
+
+  it('does not fault the Azure Maps geocoding of other providers', async () => {
+    await putFault('azuremaps', { type: 'error', status: 503 });
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(body.isError, undefined);
+    assert.equal(fakeProviders.requests.some(request => request.name === 'azureSearch'), true);
+  });
+
+  it('validates faults and requires the admin token', async () => {
+    assert.equal((await putFault('nowhere', { type: 'error' })).status, 400);
+    assert.equal((await putFault('foreca', { type: 'explode' })).status, 400);
+    assert.equal((await putFault('foreca', { type: 'partial', keep: 2 })).status, 400);
+    assert.equal((await putFault('foreca', { type: 'error' }, 'wrong-token')).status, 401);
+
+    await putFault('foreca', { type: 'slow', delayMs: 10 });
+    const { body } = await getJson('/api/faults', { Authorization: `Bearer ${ADMIN_TOKEN}` });
+    assert.deepEqual(body.faults, [{ provider: 'foreca', source: 'admin', type: 'slow', probability: 1, delayMs: 10 }]);
+
+    const deleteFault = provider => fetch(`${baseUrl}/api/faults/${provider}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    assert.equal((await deleteFault('nowhere')).status, 400);
+    assert.deepEqual(await (await deleteFault('foreca')).json(), { success: true, removed: 1 });
+  });
+});
+
+describe('provider circuit breakers', () => {
+  const countOpenMeteoRequests = () => fakeProviders.requests.filter(request => request.name === 'openMeteo').length;
+
+  it('stops calling a provider after repeated failures and reports it unavailable', async () => {
+    fakeProviders.setScenario('openMeteo', 'error');
+
+    for (let i = 0; i < 3; i++) {
+      await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+    }
+    const { body } = await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+    const { body: status } = await getJson('/api/status');
+
+    assert.equal(countOpenMeteoRequests(), 3);
+    assert.equal(body.isError, true);
+    assert.equal(body.unavailable, true);
+    assert.match(body.errorMessage, /temporarily unavailable/);
+    assert.equal(status.circuitBreakers.openmeteo.state, 'open');
+    assert.equal(status.circuitBreakers.openmeteo.totals.shortCircuited, 1);
+    assert.equal(status.circuitBreakers.azuremaps.state, 'closed');
+  });
+
+  it('closes again when the half-open probe succeeds', async () => {
+    fakeProviders.setScenario('openMeteo', 'error');
+    for (let i = 0; i < 3; i++) {
+      await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+    }
+
+    fakeProviders.reset();
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal((await getJson('/api/status')).body.circuitBreakers.openmeteo.state, 'halfOpen');
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+
+    assert.equal(body.isError, undefined);
+    assert.equal(countOpenMeteoRequests(), 1);
+    assert.equal((await getJson('/api/status')).body.circuitBreakers.openmeteo.state, 'closed');
+  });
+
+  it('reopens when the probe fails', async () => {
+    fakeProviders.setScenario('openMeteo', 'error');
+    for (let i = 0; i < 3; i++) {
+      await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+    const { body } = await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+
+    assert.equal(countOpenMeteoRequests(), 4);
+    assert.equal(body.unavailable, true);
+    assert.equal((await getJson('/api/status')).body.circuitBreakers.openmeteo.totals.opened, 2);
+  });
+
+  it('does not count Google Weather client errors as failures', async () => {
+    fakeProviders.setScenario('googleHours', 'badRequest');
+
+    for (let i = 0; i < 4; i++) {
+      await getJson('/api/weather/10001?source=googleweather&forceRefresh=true');
+    }
+    const { body: status } = await getJson('/api/status');
+
+    assert.equal(fakeProviders.requests.filter(request => request.name === 'googleHours').length, 4);
+    assert.equal(status.circuitBreakers.googleweather.state, 'closed');
+    assert.equal(status.circuitBreakers.googleweather.totals.failures, 0);
+  });
+});
+
+describe('upstream client retries', () => {
+  const countRequests = name => fakeProviders.requests.filter(request => request.name === name).length;
+
+  beforeEach(() => {
+    process.env.UPSTREAM_MAX_RETRIES = '2';
+  });
+
+  it('retries server errors and gives up after the configured retries', async () => {
+    fakeProviders.setScenario('openMeteo', 'error');
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(body.isError, true);
+    assert.equal(countRequests('openMeteo'), 3);
+  });
+
+  it('retries dropped connections until a request succeeds', async () => {
+    fakeProviders.setScenario('openMeteo', 'timeout');
+    // Answer normally from the second attempt on
+    const recover = setInterval(() => {
+      if (countRequests('openMeteo') > 0) {
+        fakeProviders.setScenario('openMeteo', undefined);
+        clearInterval(recover);
+      }
+    }, 10);
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+    clearInterval(recover);
+
+    assert.equal(body.isError, undefined);
+    assert.equal(countRequests('openMeteo'), 2);
+  });
+
+  it('does not wait for a Retry-After beyond the configured maximum', async () => {
+    // The fake asks for 30 seconds
+    fakeProviders.setScenario('forecaHourly', 'rateLimited');
+
+    const { body } = await getJson('/api/weather/10001?source=foreca');
+
+    assert.equal(body.rateLimited, true);
+    assert.equal(countRequests('forecaHourly'), 1);
+  });
+
+  it('does not retry client errors', async () => {
+    fakeProviders.setScenario('openMeteo', 'badRequest');
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(body.isError, true);
+    assert.equal(countRequests('openMeteo'), 1);
+  });
+});
+
+describe('upstream call budgets', () => {
+  const adminHeaders = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+  beforeEach(() => {
+    process.env.QUOTA_DAILY_CALLS_OPENMETEO = '1';
+    process.env.QUOTA_COST_PER_CALL_OPENMETEO = '0.5';
+  });
+
+  after(() => {
+    delete process.env.QUOTA_DAILY_CALLS_OPENMETEO;
+    delete process.env.QUOTA_COST_PER_CALL_OPENMETEO;
+  });
+
+  it('stops calling a provider once its budget is spent', async () => {
+    await getJson('/api/weather/10001?source=openmeteo');
+    deleteServerCacheEntries(() => true);
+
+    const { body } = await getJson('/api/weather/10001?source=openmeteo');
+
+    assert.equal(body.isError, true);
+    assert.equal(body.budgetExhausted, true);
+    assert.match(body.errorMessage, /daily budget of 1/);
+    assert.equal(fakeProviders.requests.filter(request => request.name === 'openMeteo').length, 1);
+  });
+
+  it('flags Google Weather entries once its budget is spent', async () => {
+    process.env.QUOTA_DAILY_CALLS_GOOGLEWEATHER = '1';
+    try {
+      await getJson('/api/weather/10001?source=googleweather');
+      // The first page spent the budget, so the second one is never requested
+      assert.equal(fakeProviders.requests.filter(request => request.name.startsWith('googleHours')).length, 1);
+
+      deleteServerCacheEntries(() => true);
+      const { body } = await getJson('/api/weather/10001?source=googleweather');
+
+      assert.equal(body.budgetExhausted, true);
+      assert.match(body.errorMessage, /daily budget of 1/);
+
+      // The provider's own error, thrown from the first page, keeps the flag
+      const google = require('../../providers').getProvider('googleweather');
+      await assert.rejects(
+        google.fetch({ coordinates: { latitude: 40.7128, longitude: -74.006 } }),
+        error => error.quotaExceeded === true
+      );
+    } finally {
+      delete process.env.QUOTA_DAILY_CALLS_GOOGLEWEATHER;
+    }
+  });
+
+  it('reports the calls and spend per upstream', async () => {
+    await getJson('/api/weather/10001?source=openmeteo');
+
+    const { status, body } = await getJson('/api/quota', adminHeaders);
+    const openMeteo = body.upstreams.openmeteo;
+
+    assert.equal(status, 200);
+    assert.equal(openMeteo.level, 'exhausted');
+    assert.deepEqual([openMeteo.daily.used, openMeteo.daily.limit, openMeteo.daily.remaining], [1, 1, 0]);
+    assert.equal(openMeteo.cost.today, 0.5);
+    assert.equal(body.upstreams.azuremaps.daily.used, 1); // the geocoding call
+    assert.equal(body.upstreams.foreca.level, 'ok');
+    assert.equal((await getJson('/api/quota')).status, 401);
+  });
+
+  it('persists the usage to the quota file', async () => {
+    await getJson('/api/weather/10001?source=openmeteo');
+    // Written within a second of the call
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    const saved = JSON.parse(fs.readFileSync(QUOTA_FILE, 'utf8'));
+    assert.equal(saved.openmeteo.dailyCalls, 1);
+  });
+});
+
+describe('upstream fixtures', () => {
+  let fixturesDir;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-fixtures-'));
+    process.env.PROVIDER_FIXTURES_DIR = fixturesDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+    delete process.env.PROVIDER_FIXTURES_MODE;
+  });
+
+  after(() => {
+    delete process.env.PROVIDER_FIXTURES_DIR;
+  });
+
+  it('records a triple response and replays it without calling upstream', async () => {
+    process.env.PROVIDER_FIXTURES_MODE = 'record';
+    const { body: recorded } = await getJson('/api/weather/10001/triple?forceRefresh=true');
+
+    assert.deepEqual(fs.readdirSync(fixturesDir).sort(), ['azuremaps', 'foreca', 'googleweather', 'openmeteo']);
+
+    // Any call reaching the fake upstreams now fails
+    ['azureSearch', 'azureDaily', 'azureHourly', 'forecaLocation', 'forecaCurrent', 'forecaHourly', 'googleHours', 'openMeteo']
+      .forEach(name => fakeProviders.setScenario(name, 'error'));
+    const requestCount = fakeProviders.requests.length;
+
+    process.env.PROVIDER_FIXTURES_MODE = 'replay';
+    const { status, body: replayed } = await getJson('/api/weather/10001/triple?forceRefresh=true');
+
+    assert.equal(status, 200);
+    assert.equal(fakeProviders.requests.length, requestCount);
+    ['GoogleWeather', 'AzureMaps', 'Foreca', 'OpenMeteo'].forEach(source => {
+      assert.equal(findSource(replayed, source).isError, undefined, `${source} replayed as an error`);
+      assert.deepEqual(findSource(replayed, source).hourly, findSource(recorded, source).hourly);
+    });
+  });
+
+  it('reports the providers without a recording when replaying', async () => {
+    process.env.PROVIDER_FIXTURES_MODE = 'record';
+    await getJson('/api/weather/10001?source=openmeteo&forceRefresh=true');
+
+    process.env.PROVIDER_FIXTURES_MODE = 'replay';
+    const { body } = await getJson('/api/weather/10001/triple?forceRefresh=true');
+
+    assert.equal(findSource(body, 'OpenMeteo').isError, undefined);
+    assert.equal(findSource(body, 'Foreca').isError, true);
+  });
+});
+
+describe('GET /metrics', () => {
+  /**
+   * Scrape the metrics and index the samples by series, e.g.
+   * 'supersky_upstream_requests_total{upstream="openmeteo",outcome="success"}'
+   */
+  async function scrape(headers = {}) {
+    const response = await fetch(`${baseUrl}/metrics`, { headers });
+    const samples = {};
+
+    (await response.text()).split('\n')
+      .filter(line => line && !line.startsWith('#'))
+      .forEach(line => {
+        const separator = line.lastIndexOf(' ');
+        samples[line.slice(0, separator)] = Number(line.slice(separator + 1));
+      });
+
+    return { status: response.status, contentType: response.headers.get('content-type'), samples };
+  }
+
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  it('exposes request, upstream, cache and Google Weather page metrics', async () => {
+    await getJson('/api/weather/10001/triple');
+    await getJson('/api/weather/10001/triple');
+
+    const { status, contentType, samples } = await scrape();
+
+    assert.equal(status, 200);
+    assert.match(contentType, /^text\/plain;.*version=0\.0\.4/);
+    assert.equal(samples['supersky_http_requests_total{method="GET",route="/api/weather/:locationQuery/triple",status="200"}'], 2);
+    assert.equal(samples['supersky_http_request_duration_seconds_count{method="GET",route="/api/weather/:locationQuery/triple"}'], 2);
+    assert.equal(samples['supersky_upstream_requests_total{upstream="openmeteo",outcome="success"}'], 1);
+    assert.equal(samples['supersky_upstream_request_duration_seconds_count{upstream="openmeteo"}'], 1);
+    assert.equal(samples['supersky_google_weather_pages_total'], 2);
+    assert.equal(samples['supersky_google_weather_pages_per_forecast_sum'], 2);
+    assert.ok(samples['supersky_server_cache_requests_total{result="hit"}'] >= 1);
+    assert.ok(samples['supersky_server_cache_requests_total{result="miss"}'] >= 1);
+  });
+
+  it('counts 429 responses and mock data substitutions', async () => {
+    fakeProviders.setScenario('forecaHourly', 'rateLimited');
+    fakeProviders.setScenario('googleHours', 'error');
+
+    await getJson('/api/weather/10001/triple');
+    const { samples } = await scrape();
+
+    assert.equal(samples['supersky_upstream_rate_limited_total{upstream="foreca"}'], 1);
+    assert.equal(samples['supersky_upstream_requests_total{upstream="googleweather",outcome="server_error"}'], 1);
+    // Foreca's fallback is an error entry, not mock data
+    assert.equal(samples['supersky_mock_data_substitutions_total{provider="foreca"}'], undefined);
+    assert.equal(samples['supersky_mock_data_substitutions_total{provider="googleweather"}'], 1);
+  });
+
+  it('labels unmatched requests without their path', async () => {
+    await fetch(`${baseUrl}/api/weather/10001/triple/extra/segments`);
+
+    const { samples } = await scrape();
+
+    assert.ok(Object.keys(samples).every(series => !series.includes('extra/segments')));
+  });
+
+  it('requires METRICS_TOKEN when it is set', async () => {
+    process.env.METRICS_TOKEN = 'metrics-token';
+    try {
+      assert.equal((await scrape()).status, 401);
+      assert.equal((await scrape({ Authorization: 'Bearer metrics-token' })).status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
+
+describe('request ids and logging', () => {
+  /**
+   * Run a function with LOG_LEVEL=debug, collecting the JSON log entries it writes
+   * @returns {Promise<Object[]>} - Parsed log entries
+   */
+  async function captureLogs(fn) {
+    const lines = [];
+    // Anything else written (the test runner's own reports) goes through
+    const capture = stream => {
+      const write = stream.write.bind(stream);
+      return (chunk, ...args) => {
+        if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+          lines.push(chunk);
+          return true;
+        }
+        return write(chunk, ...args);
+      };
+    };
+    const stdout = mock.method(process.stdout, 'write', capture(process.stdout));
+    const stderr = mock.method(process.stderr, 'write', capture(process.stderr));
+    process.env.LOG_LEVEL = 'debug';
+
+    try {
+      await fn();
+    } finally {
+      process.env.LOG_LEVEL = 'silent';
+      stdout.mock.restore();
+      stderr.mock.restore();
+    }
+
+    return lines.join('').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  it('returns the X-Request-Id sent by the client, or a new one', async () => {
+    const echoed = await fetch(`${baseUrl}/api/status`, { headers: { 'X-Request-Id': 'trace-123' } });
+    assert.equal(echoed.headers.get('x-request-id'), 'trace-123');
+
+    const generated = await fetch(`${baseUrl}/api/status`);
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    // Ids that are not short tokens are replaced
+    const replaced = await fetch(`${baseUrl}/api/status`, { headers: { 'X-Request-Id': 'a b <c>' } });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('sends the request id with every upstream call', async () => {
+    const { status } = await getJson('/api/weather/10001/triple', { 'X-Request-Id': 'triple-trace' });
+
+    assert.equal(status, 200);
+    assert.ok(fakeProviders.requests.length > 0);
+    assert.ok(fakeProviders.requests.every(request => request.requestId === 'triple-trace'));
+  });
+
+  it('writes JSON entries tagged with the request id', async () => {
+    const entries = await captureLogs(() => getJson('/api/weather/10001/triple', { 'X-Request-Id': 'logged-trace' }));
+
+    const accessEntry = entries.find(entry => entry.component === 'http');
+    assert.ok(accessEntry, 'No access log entry');
+    assert.equal(accessEntry.level, 'info');
+    assert.equal(accessEntry.status, 200);
+    assert.equal(accessEntry.requestId, 'logged-trace');
+    assert.ok(entries.every(entry => entry.time && entry.msg && entry.requestId === 'logged-trace'));
+  });
+
+  it('masks API keys and leaves out upstream headers and bodies', async () => {
+    fakeProviders.setScenario('googleHours', 'error');
+    fakeProviders.setScenario('azureHourly', 'error');
+    fakeProviders.setScenario('forecaHourly', 'rateLimited');
+
+    const entries = await captureLogs(() => getJson('/api/weather/10001/triple'));
+    const googleError = entries.find(entry => entry.component === 'provider.googleweather' && entry.level === 'error');
+    const azureError = entries.find(entry => entry.component === 'provider.azuremaps' && entry.level === 'error');
+
+    assert.ok(googleError, 'No Google Weather error entry');
+    assert.equal(googleError.error.status, 500);
+    assert.ok(azureError, 'No Azure Maps error entry');
+    assert.match(azureError.error.url, /subscription-key=\[REDACTED\]/);
+    entries.forEach(entry => {
+      const line = JSON.stringify(entry);
+      assert.ok(!line.includes('test-key'), `API key logged: ${line}`);
+      assert.ok(!/x-rapidapi-key/i.test(line), `Request headers logged: ${line}`);
+    });
+  });
+});
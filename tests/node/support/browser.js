@@ -0,0 +1,213 @@
+/**
+ * Browser script loader for the frontend tests
+ *
+ * The frontend is a set of window-global scripts loaded in order by index.html
+ * (utils, services, hooks, then components). This runs chosen scripts in a vm
+ * context standing in for the page: the context is `window`, with React, an
+ * in-memory localStorage and whatever else a test passes in (navigator,
+ * fetch...). JSX is compiled with @babel/preset-react, as Babel standalone does
+ * in the page, and each script runs in its own function scope so their
+ * top-level `const { useState } = React` lines do not clash.
+ *
+ * Components are rendered to static markup with react-dom/server, which runs
+ * no effects: tests cover what a component renders for its props and state.
+ * Hooks run on a small stand-in for React's hooks (createHookRunner), without
+ * effects too, so a test calls the callbacks a hook returns and re-renders to
+ * read the state they set. Components can be run that way as well: a test then
+ * looks for elements in what they return (findElements) instead of rendering
+ * the components inside.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const babel = require('@babel/core');
+const React = require('react');
+const { renderToStaticMarkup } = require('react-dom/server');
+
+const ROOT = path.join(__dirname, '..', '..', '..');
+
+/**
+ * An in-memory localStorage
+ */
+function createLocalStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear(),
+    get length() {
+      return items.size;
+    }
+  };
+}
+
+/**
+ * Create a page with some of the app's scripts loaded
+ * @param {string[]} scripts - Script paths relative to the app root, in index.html order
+ * @param {Object} globals - Extra globals (navigator, fetch, ...)
+ * @returns {Object} - The page's window
+ */
+function loadScripts(scripts, globals = {}) {
+  const window = vm.createContext({
+    React,
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    Promise,
+    Date,
+    localStorage: createLocalStorage(),
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    dispatchEvent: () => true,
+    CustomEvent: class CustomEvent {
+      constructor(type, options = {}) {
+        this.type = type;
+        this.detail = options.detail;
+      }
+    },
+    ...globals
+  });
+  window.window = window;
+
+  for (const script of scripts) {
+    const filePath = path.join(ROOT, script);
+    let source = fs.readFileSync(filePath, 'utf8');
+
+    if (script.endsWith('.jsx')) {
+      source = babel.transformSync(source, {
+        filename: filePath,
+        babelrc: false,
+        configFile: false,
+        presets: ['@babel/preset-react']
+      }).code;
+    }
+
+    vm.runInContext(`(function () {\n${source}\n})();`, window, { filename: filePath });
+  }
+
+  return window;
+}
+
+/**
+ * Render a component of a page to static HTML
+ * @param {Object} window - Page from loadScripts
+ * @param {string} name - Name the component is exported under on window
+ * @param {Object} props - Component props
+ * @returns {string} - HTML
+ */
+function render(window, name, props = {}) {
+  return renderToStaticMarkup(React.createElement(window[name], props));
+}
+
+/**
+ * Create a stand-in for React's hooks that runs one hook outside a component
+ *
+ * Pass `React` as a global to loadScripts for the hook's script. State and refs
+ * live in slots taken in call order, as in React; effects never run, and
+ * useCallback and useMemo are not memoized.
+ * @returns {Object} - { React, renderHook }
+ */
+function createHookRunner() {
+  const slots = [];
+  let cursor = 0;
+
+  const takeSlot = create => {
+    const index = cursor++;
+    if (!(index in slots)) {
+      slots[index] = create();
+    }
+    return index;
+  };
+
+  const hooks = {
+    useState(initial) {
+      const index = takeSlot(() => (typeof initial === 'function' ? initial() : initial));
+      const setState = value => {
+        slots[index] = typeof value === 'function' ? value(slots[index]) : value;
+      };
+      return [slots[index], setState];
+    },
+    useRef(initial) {
+      return slots[takeSlot(() => ({ current: initial }))];
+    },
+    useCallback(callback) {
+      cursor++;
+      return callback;
+    },
+    useMemo(factory) {
+      cursor++;
+      return factory();
+    },
+    useEffect() {
+      cursor++;
+    }
+  };
+
+  return {
+    React: { ...React, ...hooks },
+
+    /**
+     * Run a hook; call `rerender` to run it again with the state set since
+     * @param {Function} hook - The hook
+     * @returns {Object} - { current, rerender } with what the hook last returned
+     */
+    renderHook(hook) {
+      const result = {
+        current: null,
+        rerender() {
+          cursor = 0;
+          result.current = hook();
+          return result.current;
+        }
+      };
+      result.rerender();
+      return result;
+    }
+  };
+}
+
+/**
+ * Find elements in a tree of React elements, without rendering the components in it
+ * @param {*} tree - Elements, as returned by a component
+ * @param {Function} predicate - Called with each element
+ * @returns {Object[]} - Matching elements, in document order
+ */
+function findElements(tree, predicate, found = []) {
+  if (Array.isArray(tree)) {
+    tree.forEach(child => findElements(child, predicate, found));
+  } else if (tree && typeof tree === 'object' && tree.props) {
+    if (predicate(tree)) {
+      found.push(tree);
+    }
+    findElements(tree.props.children, predicate, found);
+  }
+  return found;
+}
+
+/**
+ * The text directly inside a tree of React elements
+ * @param {*} tree - Elements
+ * @returns {string} - Their text, without that of the components in it
+ */
+function textContent(tree) {
+  if (Array.isArray(tree)) {
+    return tree.map(textContent).join('');
+  }
+  if (typeof tree === 'string' || typeof tree === 'number') {
+    return String(tree);
+  }
+  return tree && typeof tree === 'object' && tree.props ? textContent(tree.props.children) : '';
+}
+
+module.exports = {
+  loadScripts,
+  render,
+  createHookRunner,
+  findElements,
+  textContent,
+  createLocalStorage
+};
@@ -0,0 +1,295 @@
+/**
+ * Fake provider server for the route integration tests
+ *
+ * One local HTTP server standing in for every upstream API the routes call:
+ * Azure Maps search and forecasts, Foreca, Google Weather hours:lookup (paged
+ * with nextPageToken), Open-Meteo forecasts and archive, and ip-api.com. Point the *_BASE_URL
+ * variables at it (see providerEnv). Forecast responses come from the recorded
+ * fixtures in tests/node/fixtures/upstream.
+ *
+ * Every endpoint answers normally until a test gives it a scenario:
+ * - 'rateLimited': 429 with a Retry-After header
+ * - 'error': 500
+ * - 'badRequest': 400
+ * - 'timeout': never answers, then drops the connection after HANG_MS
+ * - 'malformed': 200 with a truncated JSON body
+ * - 'slow': answers normally after SLOW_MS
+ * A test can also replace an endpoint's normal response with setResponse.
+ */
+const http = require('http');
+const { loadFixture } = require('./golden');
+
+// How long a 'timeout' endpoint holds the connection before dropping it
+const HANG_MS = 300;
+
+// How long a 'slow' endpoint waits before answering
+const SLOW_MS = 100;
+
+// Hours per Google Weather page, so the fixture's hours take several requests
+const GOOGLE_PAGE_SIZE = 2;
+
+const FORECA_LOCATION_ID = 102125;
+
+const AZURE_SEARCH_RESPONSE = {
+  summary: { query: '10001', numResults: 1 },
+  results: [{
+    type: 'Geography',
+    score: 9.8,
+    address: {
+      postalCode: '10001',
+      municipality: 'New York',
+      countrySubdivision: 'NY',
+      countrySubdivisionName: 'New York',
+      country: 'United States',
+      countryCode: 'US',
+      freeformAddress: 'New York, NY 10001'
+    },
+    position: { lat: 40.7484, lon: -73.9967 }
+  }]
+};
+
+const AZURE_REVERSE_RESPONSE = {
+  addresses: [{
+    address: {
+      municipality: 'New York',
+      countrySubdivision: 'NY',
+      countrySubdivisionName: 'New York',
+      country: 'United States',
+      countryCode: 'US',
+      postalCode: '10001'
+    },
+    position: '40.7484,-73.9967'
+  }]
+};
+
+// Hours at the end of an archive period the archive has not caught up with (null values)
+const ARCHIVE_LAG_HOURS = 6;
+
+/**
+ * Open-Meteo archive response for the requested days: 50°F every hour, 1 mm of rain
+ * from noon UTC on, and no values yet for the last ARCHIVE_LAG_HOURS hours
+ */
+function getArchiveResponse(url) {
+  const from = Date.parse(`${url.searchParams.get('start_date')}T00:00:00Z`);
+  const to = Date.parse(`${url.searchParams.get('end_date')}T23:00:00Z`);
+  const hourly = { time: [], temperature_2m: [], precipitation: [] };
+
+  for (let time = from; time <= to; time += 60 * 60 * 1000) {
+    const caughtUp = time <= to - ARCHIVE_LAG_HOURS * 60 * 60 * 1000;
+    hourly.time.push(time / 1000);
+    hourly.temperature_2m.push(caughtUp ? 50 : null);
+    hourly.precipitation.push(caughtUp ? (new Date(time).getUTCHours() >= 12 ? 1 : 0) : null);
+  }
+
+  return { hourly };
+}
+
+const IP_API_RESPONSE = {
+  status: 'success',
+  country: 'United States',
+  countryCode: 'US',
+  region: 'NY',
+  regionName: 'New York',
+  city: 'New York',
+  zip: '10001',
+  lat: 40.7484,
+  lon: -73.9967,
+  timezone: 'America/New_York',
+  query: '203.0.113.7'
+};
+
+/**
+ * Serve one page of the recorded Google Weather hours
+ */
+function getGooglePage(pageToken) {
+  const { forecastHours, timeZone } = loadFixture('googleweather', 'fetchGoogleWeatherForecast_40.7484_-73.9967.json');
+  const start = pageToken ? parseInt(pageToken.replace('page-', ''), 10) : 0;
+  const end = start + GOOGLE_PAGE_SIZE;
+
+  return {
+    forecastHours: forecastHours.slice(start, end),
+    timeZone,
+    ...(end < forecastHours.length ? { nextPageToken: `page-${end}` } : {})
+  };
+}
+
+// Endpoint name, path pattern and normal response of every emulated API
+const ROUTES = [
+  { name: 'azureSearch', pattern: /^\/search\/address\/json$/, respond: () => AZURE_SEARCH_RESPONSE },
+  { name: 'azureReverse', pattern: /^\/search\/address\/reverse\/json$/, respond: () => AZURE_REVERSE_RESPONSE },
+  {
+    name: 'azureDaily',
+    pattern: /^\/weather\/forecast\/daily\/json$/,
+    respond: () => loadFixture('azuremaps', 'fetchAzureMapsDailyForecast_40.7484_-73.9967.json')
+  },
+  {
+    name: 'azureHourly',
+    pattern: /^\/weather\/forecast\/hourly\/json$/,
+    respond: () => loadFixture('azuremaps', 'fetchAzureMapsHourlyForecast_40.7484_-73.9967.json')
+  },
+  {
+    name: 'forecaLocation',
+    pattern: /^\/location\/search\/[^/]+$/,
+    respond: () => ({ locations: [{ id: FORECA_LOCATION_ID, name: 'New York', country: 'United States' }] })
+  },
+  {
+    name: 'forecaCurrent',
+    pattern: /^\/current\/\d+$/,
+    respond: () => loadFixture('foreca', 'fetchForecaCurrent_102125.json')
+  },
+  {
+    name: 'forecaHourly',
+    pattern: /^\/forecast\/hourly\/\d+$/,
+    respond: () => loadFixture('foreca', 'fetchForecaHourlyForecast_102125.json')
+  },
+  {
+    // Pages after the first can be given their own scenario
+    name: 'googleHours',
+    pattern: /^\/v1\/forecast\/hours:lookup$/,
+    pageName: 'googleHoursNextPage',
+    respond: url => getGooglePage(url.searchParams.get('pageToken'))
+  },
+  {
+    name: 'openMeteo',
+    pattern: /^\/v1\/forecast$/,
+    respond: () => loadFixture('openmeteo', 'fetchOpenMeteoForecast_40.7484_-73.9967.json')
+  },
+  { name: 'openMeteoArchive', pattern: /^\/v1\/archive$/, respond: getArchiveResponse },
+  { name: 'ipApi', pattern: /^\/json\/[^/]*$/, respond: () => IP_API_RESPONSE }
+];
+
+/**
+ * Create the fake provider server
+ * @returns {Object} - { start, stop, setScenario, setResponse, reset, requests, providerEnv }
+ */
+function createFakeProviderServer() {
+  const scenarios = new Map();
+  const responses = new Map();
+  const requests = [];
+  let baseUrl = null;
+
+  /**
+   * Send an endpoint's normal response
+   */
+  function respond(name, route, url, res) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(responses.has(name) ? responses.get(name) : route.respond(url)));
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTES.find(candidate => candidate.pattern.test(url.pathname));
+
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `No fake for ${url.pathname}` }));
+      return;
+    }
+
+    const name = route.pageName && url.searchParams.has('pageToken') ? route.pageName : route.name;
+    requests.push({
+      name,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      requestId: req.headers['x-request-id'] || null,
+      googleApiKey: req.headers['x-goog-api-key'] || null
+    });
+
+    switch (scenarios.get(name)) {
+      case 'rateLimited':
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '30' });
+        res.end(JSON.stringify({ message: 'Too many requests' }));
+        return;
+      case 'error':
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Internal error' }));
+        return;
+      case 'badRequest':
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Bad request' }));
+        return;
+      case 'timeout':
+        setTimeout(() => req.socket.destroy(), HANG_MS);
+        return;
+      case 'malformed':
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"forecasts": [{"date": "2026-10-19T12:00');
+        return;
+      case 'slow':
+        setTimeout(() => respond(name, route, url, res), SLOW_MS);
+        return;
+      default:
+        respond(name, route, url, res);
+    }
+  });
+
+  return {
+    requests,
+
+    /**
+     * Start listening on a free local port
+     * @returns {Promise<string>} - Base URL of the server
+     */
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return baseUrl;
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+
+    /**
+     * Make an endpoint misbehave until the next reset
+     * @param {string} name - Endpoint name (see ROUTES)
+     * @param {string} scenario - 'rateLimited', 'error', 'badRequest', 'timeout', 'malformed' or 'slow'
+     */
+    setScenario(name, scenario) {
+      scenarios.set(name, scenario);
+    },
+
+    /**
+     * Answer an endpoint with another body until the next reset
+     * @param {string} name - Endpoint name (see ROUTES)
+     * @param {Object} body - JSON body to send
+     */
+    setResponse(name, body) {
+      responses.set(name, body);
+    },
+
+    /**
+     * Clear all scenarios, replaced responses and recorded requests
+     */
+    reset() {
+      scenarios.clear();
+      responses.clear();
+      requests.length = 0;
+    },
+
+    /**
+     * Environment variables that point every provider at this server
+     */
+    providerEnv() {
+      return {
+        AZURE_MAPS_API_KEY: 'test-key',
+        AZURE_MAPS_BASE_URL: baseUrl,
+        RAPIDAPI_KEY: 'test-key',
+        RAPIDAPI_HOST: 'foreca.test',
+        FORECA_BASE_URL: baseUrl,
+        GOOGLE_WEATHER_API_KEY: 'test-key',
+        GOOGLE_WEATHER_BASE_URL: baseUrl,
+        OPEN_METEO_BASE_URL: baseUrl,
+        OPEN_METEO_ARCHIVE_BASE_URL: baseUrl,
+        IP_API_BASE_URL: baseUrl
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFakeProviderServer,
+  HANG_MS,
+  ARCHIVE_LAG_HOURS
+};
@@ -0,0 +1,70 @@
+/**
+ * Golden-file helpers for the Node test suite
+ *
+ * Fixtures are raw upstream responses in the format providers/fixtures.js
+ * records, so a response captured with PROVIDER_FIXTURES_MODE=record can be
+ * copied into tests/node/fixtures/upstream as is. Golden files hold the
+ * expected transformer output; run the tests with UPDATE_GOLDEN=1 to rewrite
+ * them after an intended change, and review the diff before committing.
+ */
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+// Output fields that depend on the clock or the machine's locale rather than the input
+const VOLATILE_FIELDS = ['lastUpdated', 'date', 'time'];
+
+/**
+ * Load the raw response of a recorded upstream fixture
+ * @param {string} providerId - Provider subdirectory (e.g. 'openmeteo')
+ * @param {string} fileName - Fixture file name
+ * @returns {*} - The recorded response data
+ */
+function loadFixture(providerId, fileName) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, providerId, fileName), 'utf8'));
+  return fixture.data;
+}
+
+/**
+ * Load a golden file, i.e. transformer output without its volatile fields
+ * @param {string} name - Golden file name, without extension
+ * @returns {*} - The expected transformer output
+ */
+function loadGolden(name) {
+  return JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Drop the volatile fields and anything JSON would not keep (undefined values)
+ */
+function normalizeOutput(value) {
+  return JSON.parse(JSON.stringify(value, (key, child) => (VOLATILE_FIELDS.includes(key) ? undefined : child)));
+}
+
+/**
+ * Assert that transformer output matches its golden file
+ * @param {string} name - Golden file name, without extension
+ * @param {*} actual - Transformer output
+ */
+function assertMatchesGolden(name, actual) {
+  const goldenPath = path.join(GOLDEN_DIR, `${name}.json`);
+  const normalized = normalizeOutput(actual);
+
+  if (process.env.UPDATE_GOLDEN === '1') {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(goldenPath, `${JSON.stringify(normalized, null, 2)}\n`);
+    return;
+  }
+
+  assert.ok(fs.existsSync(goldenPath), `Missing golden file ${goldenPath}; run with UPDATE_GOLDEN=1 to create it`);
+  assert.deepEqual(normalized, JSON.parse(fs.readFileSync(goldenPath, 'utf8')));
+}
+
+module.exports = {
+  loadFixture,
+  loadGolden,
+  assertMatchesGolden
+};
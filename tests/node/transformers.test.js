@@ -0,0 +1,276 @@
+/**
+ * Transformer tests
+ *
+ * Runs every provider transformer in utils/transformers.js over recorded
+ * upstream responses (tests/node/fixtures/upstream) and compares the output
+ * with its golden file (tests/node/golden), plus focused checks of the
+ * precipitation unit conversions, the icon mappings and missing-field handling.
+ * Runs offline: npm test
+ */
+// Transformers build timestamps from local-time strings; pin the zone so results match everywhere
+process.env.TZ = 'UTC';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const transformers = require('../../utils/transformers');
+const { loadFixture, assertMatchesGolden } = require('./support/golden');
+
+const LOCATION = {
+  zipCode: '10001',
+  city: 'New York',
+  state: 'NY',
+  country: 'United States',
+  countryCode: 'US',
+  coordinates: { latitude: 40.7484, longitude: -73.9967 }
+};
+
+// The transformers log every unit conversion; keep the test output readable
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+describe('Azure Maps transformers', () => {
+  const dailyData = loadFixture('azuremaps', 'fetchAzureMapsDailyForecast_40.7484_-73.9967.json');
+  const hourlyData = loadFixture('azuremaps', 'fetchAzureMapsHourlyForecast_40.7484_-73.9967.json');
+
+  it('transforms the daily forecast', () => {
+    assertMatchesGolden('azuremaps-daily', transformers.transformAzureMapsDaily(dailyData));
+  });
+
+  it('transforms the hourly forecast', () => {
+    assertMatchesGolden('azuremaps-hourly', transformers.transformAzureMapsHourly(hourlyData));
+  });
+
+  it('builds current conditions from the first day', () => {
+    assertMatchesGolden('azuremaps-current', transformers.createCurrentFromForecast(dailyData.forecasts[0]));
+  });
+
+  it('converts precipitation from inches to mm', () => {
+    const hourly = transformers.transformAzureMapsHourly(hourlyData);
+
+    assert.equal(hourly[1].precipitation.amount, 1.3); // 0.05 in = 1.27 mm
+    assert.equal(hourly[2].precipitation.amount, 4.6); // 0.18 in = 4.572 mm
+    assert.equal(hourly[3].precipitation.amount, 0); // 0.002 in = 0.05 mm, below 0.1 mm
+    hourly.forEach(hour => assert.equal(hour.precipitation.unit, 'mm'));
+
+    const daily = transformers.transformAzureMapsDaily(dailyData);
+    assert.equal(daily[0].precipitation.amount, 10.7); // 0.42 in = 10.668 mm
+  });
+
+  it('picks the most likely precipitation type', () => {
+    assert.equal(transformers.determinePrecipitationType({ rainProbability: 40, snowProbability: 10 }), 'rain');
+    assert.equal(transformers.determinePrecipitationType({ rainProbability: 60, snowProbability: 60 }), 'mixed');
+    assert.equal(transformers.determinePrecipitationType({ iceProbability: 30 }), 'ice');
+    assert.equal(transformers.determinePrecipitationType({}), undefined);
+    assert.equal(transformers.determinePrecipitationType(null), undefined);
+  });
+
+  it('handles missing data', () => {
+    assert.deepEqual(transformers.transformAzureMapsDaily(null), []);
+    assert.deepEqual(transformers.transformAzureMapsDaily({ forecasts: 'none' }), []);
+    assert.deepEqual(transformers.transformAzureMapsHourly({}), []);
+
+    const [hour] = transformers.transformAzureMapsHourly({ forecasts: [{ date: '2026-10-19T12:00:00+00:00' }] });
+    assert.equal(hour.temperature, 0);
+    assert.equal(hour.icon, 'unknown');
+    assert.equal(hour.description, 'Unknown');
+    assert.deepEqual(hour.precipitation, { probability: 0, amount: 0, unit: 'mm', type: 'rain' });
+
+    const current = transformers.createCurrentFromForecast(undefined);
+    assert.equal(current.temperature, 72);
+    assert.equal(current.precipitation.unit, 'mm');
+  });
+
+  it('simulates 24 hours from the daily forecast', () => {
+    const hourly = transformers.createHourlyFromDaily(transformers.transformAzureMapsDaily(dailyData));
+
+    assert.equal(hourly.length, 24);
+    hourly.forEach(hour => assert.equal(hour.precipitation.unit, 'mm'));
+    assert.deepEqual(transformers.createHourlyFromDaily([]), []);
+  });
+});
+
+describe('Foreca transformers', () => {
+  const currentData = loadFixture('foreca', 'fetchForecaCurrent_102125.json');
+  const hourlyData = loadFixture('foreca', 'fetchForecaHourlyForecast_102125.json');
+
+  it('transforms current conditions', () => {
+    assertMatchesGolden('foreca-current', transformers.transformForecaCurrent(currentData));
+  });
+
+  it('transforms the hourly forecast', () => {
+    assertMatchesGolden('foreca-hourly', transformers.transformForecaHourly(hourlyData, false));
+  });
+
+  it('keeps precipitation in mm', () => {
+    const hourly = transformers.transformForecaHourly(hourlyData, false);
+
+    assert.equal(hourly[0].precipitation.amount, 0); // 0.08 mm, below 0.1 mm
+    assert.equal(hourly[1].precipitation.amount, 2.4); // 2.35 mm
+    assert.equal(transformers.transformForecaCurrent(currentData).precipitation.amount, 0.6);
+  });
+
+  it('derives precipitation type and description from the symbol', () => {
+    const hourly = transformers.transformForecaHourly(hourlyData, false);
+
+    assert.deepEqual(hourly.map(hour => hour.precipitation.type), ['rain', 'rain', 'snow', 'ice', undefined]);
+    assert.equal(hourly[0].description, 'Light Rain');
+    assert.equal(transformers.getForecaDescription('d300', 'overcast skies'), 'overcast skies');
+    assert.equal(transformers.determineForecaPrecipType('d930'), 'mixed');
+  });
+
+  it('adds placeholder hours for days 8-10', () => {
+    const hourly = transformers.transformForecaHourly(hourlyData);
+    const placeholders = hourly.filter(hour => hour.noDataAvailable);
+
+    assert.equal(hourly.length, hourlyData.forecast.length + placeholders.length);
+    assert.equal(placeholders.length, 12); // 4 per day
+    placeholders.forEach(hour => {
+      assert.equal(hour.temperature, null);
+      assert.deepEqual(hour.precipitation, { probability: null, amount: null, unit: 'mm', type: null });
+    });
+  });
+
+  it('handles rate limiting and missing data', () => {
+    assert.deepEqual(transformers.transformForecaHourly({ status: 429 }), []);
+    assert.deepEqual(transformers.transformForecaHourly(null), []);
+
+    const combined = transformers.combineForecaData(LOCATION, { status: 429 }, null, { status: 429 });
+    assert.equal(combined.rateLimited, true);
+    assert.deepEqual(combined.hourly, []);
+    assert.equal(combined.current.rawData.mock, true);
+  });
+});
+
+describe('Google Weather transformers', () => {
+  const forecastData = loadFixture('googleweather', 'fetchGoogleWeatherForecast_40.7484_-73.9967.json');
+
+  it('transforms the hourly forecast', () => {
+    assertMatchesGolden('googleweather-hourly', transformers.transformGoogleWeatherHourly(forecastData));
+  });
+
+  it('builds current conditions from the first hour', () => {
+    assertMatchesGolden('googleweather-current', transformers.createGoogleWeatherCurrent(forecastData));
+  });
+
+  it('converts precipitation according to the qpf unit', () => {
+    const hourly = transformers.transformGoogleWeatherHourly(forecastData);
+
+    assert.equal(hourly[0].precipitation.amount, 0.8); // 0.8 MILLIMETERS
+    assert.equal(hourly[1].precipitation.amount, 2.5); // 0.1 INCHES = 2.54 mm
+    assert.equal(hourly[2].precipitation.type, 'snow');
+
+    // Unknown units are assumed to be inches
+    const [unknownUnit] = transformers.transformGoogleWeatherHourly({
+      forecastHours: [{ interval: { startTime: '2026-10-19T16:00:00Z' }, precipitation: { qpf: { quantity: 0.2, unit: 'FURLONGS' } } }]
+    });
+    assert.equal(unknownUnit.precipitation.amount, 5.1);
+  });
+
+  it('converts temperatures to °F and wind speeds to mph', () => {
+    const [hour] = transformers.transformGoogleWeatherHourly(forecastData);
+
+    assert.equal(hour.temperature, 57.2); // 14 °C
+    assert.ok(Math.abs(hour.windSpeed - 9.942) < 0.001); // 16 km/h
+    assert.equal(hour.pressure, 1013.2);
+  });
+
+  it('handles missing data', () => {
+    assert.deepEqual(transformers.transformGoogleWeatherHourly({}), []);
+    assert.equal(transformers.createGoogleWeatherCurrent({ forecastHours: [] }).temperature, 72);
+
+    const [hour] = transformers.transformGoogleWeatherHourly({ forecastHours: [{ interval: { startTime: '2026-10-19T16:00:00Z' } }] });
+    assert.equal(hour.temperature, 0);
+    assert.equal(hour.icon, 'unknown');
+    assert.equal(hour.description, 'unknown');
+    assert.deepEqual(hour.precipitation, { probability: 0, amount: 0, unit: 'mm', type: undefined });
+  });
+});
+
+describe('Open-Meteo transformers', () => {
+  const forecastData = loadFixture('openmeteo', 'fetchOpenMeteoForecast_40.7484_-73.9967.json');
+
+  it('transforms the hourly forecast', () => {
+    assertMatchesGolden('openmeteo-hourly', transformers.transformOpenMeteoHourly(forecastData));
+  });
+
+  it('transforms the daily forecast', () => {
+    assertMatchesGolden('openmeteo-daily', transformers.transformOpenMeteoDaily(forecastData));
+  });
+
+  it('builds current conditions from current_weather and the nearest hour', () => {
+    const current = transformers.createOpenMeteoCurrent(forecastData);
+
+    assertMatchesGolden('openmeteo-current', current);
+    assert.equal(current.humidity, 71); // 13:00, the hour of current_weather
+  });
+
+  it('converts precipitation from inches to mm and visibility to miles', () => {
+    const hourly = transformers.transformOpenMeteoHourly(forecastData);
+
+    assert.deepEqual(hourly.map(hour => hour.precipitation.amount), [0, 0.5, 2.8, 0]); // 0.003 in = 0.08 mm rounds to 0
+    assert.equal(transformers.transformOpenMeteoDaily(forecastData)[0].precipitation.amount, 10.4); // 0.41 in
+    assert.ok(Math.abs(hourly[0].visibility - 15.003) < 0.001); // 24140 m
+  });
+
+  it('falls back to the first hour without current_weather', () => {
+    const { current_weather: currentWeather, ...withoutCurrent } = forecastData;
+    const current = transformers.createOpenMeteoCurrent(withoutCurrent);
+
+    assert.equal(current.temperature, 58.1);
+    assert.equal(current.pressure, 1011.8);
+  });
+
+  it('handles missing data', () => {
+    assert.equal(transformers.createOpenMeteoCurrent(null), null);
+    assert.equal(transformers.createOpenMeteoCurrent({}).temperature, 72);
+    assert.deepEqual(transformers.transformOpenMeteoHourly({ hourly: {} }), []);
+    assert.deepEqual(transformers.transformOpenMeteoDaily(null), []);
+
+    const empty = transformers.transformOpenMeteoData(null, LOCATION);
+    assert.deepEqual(empty.hourly, []);
+    assert.equal(empty.source, 'OpenMeteo');
+  });
+});
+
+describe('icon mappings', () => {
+  it('maps Azure Maps icon codes', () => {
+    assert.equal(transformers.mapAzureMapsIcon(1), 'sunny');
+    assert.equal(transformers.mapAzureMapsIcon(18), 'rain');
+    assert.equal(transformers.mapAzureMapsIcon(33), 'clear-night');
+    assert.equal(transformers.mapAzureMapsIcon(44), 'mostly-cloudy-snow-night');
+    assert.equal(transformers.mapAzureMapsIcon(9), 'unknown');
+    assert.equal(transformers.mapAzureMapsIcon(undefined), 'unknown');
+  });
+
+  it('maps Open-Meteo weather codes by day and night', () => {
+    assert.deepEqual(transformers.mapOpenMeteoWeatherCode(0), { description: 'Clear sky', icon: 'sunny' });
+    assert.deepEqual(transformers.mapOpenMeteoWeatherCode(0, false), { description: 'Clear sky', icon: 'clear-night' });
+    assert.equal(transformers.mapOpenMeteoWeatherCode(61, false).icon, 'partly-cloudy-showers-night');
+    assert.equal(transformers.mapOpenMeteoWeatherCode(95).icon, 'thunderstorms');
+    assert.deepEqual(transformers.mapOpenMeteoWeatherCode(42), { description: 'Unknown', icon: 'unknown' });
+  });
+
+  it('maps Foreca symbols by day and night', () => {
+    assert.equal(transformers.mapForecaSymbol('d000'), 'sunny');
+    assert.equal(transformers.mapForecaSymbol('n000'), 'clear-night');
+    assert.equal(transformers.mapForecaSymbol('d620'), 'rain');
+    assert.equal(transformers.mapForecaSymbol('n910'), 'mostly-cloudy-snow-night');
+    assert.equal(transformers.mapForecaSymbol('d999'), 'unknown');
+    assert.equal(transformers.mapForecaSymbol(null), 'unknown');
+  });
+
+  it('maps Google Weather condition types by day and night', () => {
+    assert.equal(transformers.mapGoogleWeatherIcon('CLEAR'), 'sunny');
+    assert.equal(transformers.mapGoogleWeatherIcon('CLEAR', false), 'clear-night');
+    assert.equal(transformers.mapGoogleWeatherIcon('LIGHT_RAIN', false), 'partly-cloudy-showers-night');
+    assert.equal(transformers.mapGoogleWeatherIcon('HEAVY_ICE_PELLETS'), 'sleet');
+    assert.equal(transformers.mapGoogleWeatherIcon('VOLCANIC_ASH'), 'unknown');
+    assert.equal(transformers.mapGoogleWeatherIcon(undefined), 'unknown');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Units tests
+ *
+ * Covers the unit conversions of utils/units.js, for display and for the
+ * API's `units=` parameter, the display formatting in those units of
+ * utils/helpers.js, and the unit preferences of utils/unitPreferences.js with
+ * their place in the settings export/import. The browser scripts run in the
+ * page stand-in of support/browser.js.
+ * Runs offline: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const units = require('../../utils/units');
+const { loadScripts, createLocalStorage } = require('./support/browser');
+
+const quietConsole = { log: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+// Objects made in the page have its own prototypes: copy them before comparing
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const METRIC = { temperature: 'C', windSpeed: 'km/h', precipitation: 'mm', pressure: 'hPa' };
+const IMPERIAL = { temperature: 'F', windSpeed: 'mph', precipitation: 'in', pressure: 'inHg' };
+
+/**
+ * A standardized forecast in the base units
+ */
+function forecast() {
+  return {
+    source: 'OpenMeteo',
+    current: {
+      temperature: 50,
+      feelsLike: 32,
+      windSpeed: 10,
+      windGust: 20,
+      pressure: 1013.25,
+      precipitation: { amount: 0.5, unit: 'inches', probability: 40 }
+    },
+    hourly: [
+      {
+        temperature: 212,
+        precipitation: { amount: 25.4, unit: 'mm' },
+        spread: { temperature: 9, precipitationAmount: 2.54, probability: 10 }
+      },
+      { temperature: null, precipitation: { amount: null } }
+    ],
+    daily: [{ temperatureMin: 32, temperatureMax: 50 }]
+  };
+}
+
+describe('unit conversions', () => {
+  it('convert from the base units', () => {
+    assert.equal(units.convertTemperature(212, 'C'), 100);
+    assert.equal(units.convertTemperature(212, 'F'), 212);
+    assert.equal(units.convertTemperatureDifference(9, 'C'), 5);
+    assert.equal(units.convertWindSpeed(10, 'km/h'), 16.09344);
+    assert.equal(units.convertWindSpeed(10, 'm/s'), 4.4704);
+    assert.equal(units.convertPrecipitation(25.4, 'in'), 1);
+    assert.equal(units.convertPressure(33.8639, 'inHg'), 1);
+  });
+
+  it('fill in a unit choice, ignoring unknown units', () => {
+    assert.deepEqual(units.normalizeUnits({ temperature: 'C', windSpeed: 'knots', extra: 1 }), {
+      temperature: 'C',
+      windSpeed: 'mph',
+      precipitation: 'mm',
+      pressure: 'hPa'
+    });
+    assert.deepEqual(units.normalizeUnits(null), units.DEFAULT_UNITS);
+    assert.notEqual(units.normalizeUnits(null), units.DEFAULT_UNITS);
+  });
+});
+
+describe('parseUnitsParam', () => {
+  it('reads the presets, whatever their case', () => {
+    assert.deepEqual(units.parseUnitsParam('Metric'), { units: METRIC });
+    assert.deepEqual(units.parseUnitsParam(' imperial '), { units: IMPERIAL });
+  });
+
+  it('reads a list of units, keeping the base unit of the quantities left out', () => {
+    assert.deepEqual(units.parseUnitsParam(' C, m/s '), {
+      units: { temperature: 'C', windSpeed: 'm/s', precipitation: 'mm', pressure: 'hPa' }
+    });
+  });
+
+  it('names the units it does not know', () => {
+    assert.match(units.parseUnitsParam('C,kelvin').error, /^Unknown units "kelvin". Use "imperial" or "metric", or a comma-separated list of: F, C, mph/);
+    assert.match(units.parseUnitsParam('').error, /^Unknown units ""/);
+  });
+});
+
+describe('convertForecast', () => {
+  it('converts every temperature, wind speed, pressure and precipitation field', () => {
+    const converted = units.convertForecast(forecast(), METRIC);
+
+    assert.deepEqual(converted.current, {
+      temperature: 10,
+      feelsLike: 0,
+      windSpeed: 16.1,
+      windGust: 32.2,
+      pressure: 1013.3,
+      precipitation: { amount: 12.7, unit: 'mm', probability: 40 }
+    });
+    assert.deepEqual(converted.hourly[0], {
+      temperature: 100,
+      precipitation: { amount: 25.4, unit: 'mm' },
+      spread: { temperature: 5, precipitationAmount: 2.5, probability: 10 }
+    });
+    assert.deepEqual(converted.hourly[1], { temperature: null, precipitation: { amount: null } });
+    assert.deepEqual(converted.daily, [{ temperatureMin: 0, temperatureMax: 10 }]);
+    assert.deepEqual(converted.units, METRIC);
+  });
+
+  it('converts precipitation to inches and pressure to inHg', () => {
+    const converted = units.convertForecast(forecast(), IMPERIAL);
+
+    assert.deepEqual(converted.current.precipitation, { amount: 0.5, unit: 'in', probability: 40 });
+    assert.equal(converted.current.pressure, 29.92);
+    assert.equal(converted.current.windSpeed, 10);
+    assert.deepEqual(converted.hourly[0].precipitation, { amount: 1, unit: 'in' });
+    assert.equal(converted.hourly[0].spread.precipitationAmount, 0.1);
+  });
+
+  it('converts each source of a triple check response and leaves error entries and the input alone', () => {
+    const input = forecast();
+    const error = { source: 'Foreca', isError: true, errorMessage: 'Rate limited' };
+
+    const [converted, unchanged] = units.convertForecast([input, error], METRIC);
+
+    assert.equal(converted.current.temperature, 10);
+    assert.equal(unchanged, error);
+    assert.deepEqual(input, forecast());
+  });
+});
+
+describe('display formatting', () => {
+  const { helpers } = loadScripts(['utils/units.js', 'utils/helpers.js']);
+
+  it('formats values in the preferred units', () => {
+    assert.equal(helpers.formatTemperature(50, 'C'), '10°C');
+    assert.equal(helpers.formatTemperature(50), '50°F');
+    assert.equal(helpers.formatTemperatureDifference(9, 'C'), '5°C');
+    assert.equal(helpers.formatWindSpeed(10, 'km/h'), '16 km/h');
+    assert.equal(helpers.formatPressure(1013.25, 'inHg'), '29.92 inHg');
+    assert.equal(helpers.formatPressure(1013.25), '1013 hPa');
+    assert.equal(helpers.formatPrecipitation(12.7, 'in'), '0.50');
+    assert.equal(helpers.formatPrecipitation(0.05, 'in'), '0.00');
+    assert.equal(helpers.formatPrecipitation(0.05), '0.0');
+  });
+
+  it('shows N/A for missing values', () => {
+    assert.equal(helpers.formatTemperature(undefined, 'C'), 'N/A');
+    assert.equal(helpers.formatPrecipitation(null, 'in'), 'N/A');
+  });
+});
+
+describe('unit preferences', () => {
+  /**
+   * Load the unit preferences with the settings export/import
+   */
+  function loadPreferences(storage = {}) {
+    return loadScripts(['utils/units.js', 'utils/settingsManager.js', 'utils/unitPreferences.js'], {
+      console: quietConsole,
+      localStorage: createLocalStorage(storage)
+    });
+  }
+
+  it('default to the base units, also when the saved ones are unreadable', () => {
+    assert.deepEqual(plain(loadPreferences().unitPreferences.loadUnitPreferences()), units.DEFAULT_UNITS);
+    assert.deepEqual(
+      plain(loadPreferences({ unitPreferences: '{broken' }).unitPreferences.loadUnitPreferences()),
+      units.DEFAULT_UNITS
+    );
+  });
+
+  it('are saved complete under their own localStorage key', () => {
+    const window = loadPreferences();
+
+    assert.equal(window.unitPreferences.saveUnitPreferences({ temperature: 'C', pressure: 'bar' }), true);
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('unitPreferences')), {
+      temperature: 'C',
+      windSpeed: 'mph',
+      precipitation: 'mm',
+      pressure: 'hPa'
+    });
+    assert.equal(window.unitPreferences.loadUnitPreferences().temperature, 'C');
+  });
+
+  it('are part of the settings export/import', () => {
+    const source = loadPreferences();
+    source.unitPreferences.saveUnitPreferences(METRIC);
+    const exported = JSON.stringify(source.settingsManager.exportSettings());
+
+    assert.deepEqual(JSON.parse(exported).settings.units, METRIC);
+
+    const window = loadPreferences();
+    assert.deepEqual(plain(window.settingsManager.importSettings(exported)), { imported: ['units'], errors: [] });
+    assert.deepEqual(plain(window.unitPreferences.loadUnitPreferences()), METRIC);
+
+    const invalid = window.settingsManager.importSettings({ app: 'super-sky', version: 1, settings: { units: 'metric' } });
+    assert.deepEqual(plain(invalid), { imported: [], errors: ['units'] });
+  });
+});
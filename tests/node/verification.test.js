@@ -0,0 +1,410 @@
+/**
+ * Forecast verification tests
+ *
+ * Covers verification/: which forecast hours a triple refresh records as a
+ * snapshot and how often, the observations read from the Open-Meteo archive
+ * (served by the fake provider server), the lead time buckets and
+ * precipitation and temperature scores of the recorded forecasts, and the
+ * drift history of how each provider's forecast for an hour changed.
+ * Runs offline: npm test
+ */
+process.env.TZ = 'UTC';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeProviderServer, ARCHIVE_LAG_HOURS } = require('./support/fakeProviders');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TAKEN_AT = Date.UTC(2026, 5, 1, 12);
+const VERIFICATION_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'verification-test-'));
+// The archive calls count against the call budgets; keep them out of the app's quota file
+const QUOTA_FILE = path.join(os.tmpdir(), `super-sky-verification-quota-${process.pid}.json`);
+
+const LOCATION = {
+  displayName: 'New York, NY 10001',
+  coordinates: { latitude: 40.7484, longitude: -73.9967 }
+};
+
+const fakeProviders = createFakeProviderServer();
+let verification;
+let fetchObservations;
+let scoreSnapshots;
+let getLeadTimeBucket;
+let drift;
+let snapshotStore;
+let deleteServerCacheEntries;
+
+/**
+ * One standardized forecast hour
+ */
+function forecastHour(timestamp, temperature, amount) {
+  return { timestamp, temperature, precipitation: { probability: null, amount, unit: 'mm', type: 'rain' } };
+}
+
+before(async () => {
+  await fakeProviders.start();
+
+  Object.assign(process.env, fakeProviders.providerEnv(), {
+    SERVER_CACHE_STORE: 'memory',
+    VERIFICATION_ENABLED: 'true',
+    VERIFICATION_DIR,
+    QUOTA_FILE,
+    UPSTREAM_MAX_RETRIES: '0',
+    LOG_LEVEL: 'silent'
+  });
+
+  // Loaded after the environment is set, as the stores are configured on load
+  verification = require('../../verification');
+  ({ fetchObservations } = require('../../verification/observations'));
+  ({ scoreSnapshots, getLeadTimeBucket } = require('../../verification/scoring'));
+  drift = require('../../verification/drift');
+  ({ deleteServerCacheEntries } = require('../../cache'));
+  const { createSnapshotStore } = require('../../verification/store');
+  snapshotStore = createSnapshotStore({ directory: VERIFICATION_DIR, retention: 14 * DAY_MS });
+});
+
+after(async () => {
+  await fakeProviders.stop();
+  fs.rmSync(VERIFICATION_DIR, { recursive: true, force: true });
+  // The quota module writes the file once more when the process exits
+  process.once('exit', () => fs.rmSync(QUOTA_FILE, { force: true }));
+});
+
+beforeEach(() => {
+  fakeProviders.reset();
+  deleteServerCacheEntries(() => true);
+});
+
+describe('recordForecastSnapshot', () => {
+  it('keeps the real forecasts from the current hour up to seven days ahead', async () => {
+    const currentHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const hours = [
+      forecastHour(currentHour - HOUR_MS, 50, 0),
+      { timestamp: currentHour + HOUR_MS, temperature: 50, precipitation: { probability: 40, amount: 0.1, unit: 'inches' } },
+      forecastHour(currentHour + 8 * DAY_MS, 50, 0)
+    ];
+
+    const recorded = await verification.recordForecastSnapshot('filtered', LOCATION, [
+      { source: 'A', hourly: hours },
+      { source: 'B', hourly: hours, isError: true },
+      { source: 'C', hourly: hours, isMockData: true },
+      { source: 'D', hourly: hours, rateLimited: true },
+      { source: 'E', hourly: [] }
+    ]);
+
+    const snapshots = await snapshotStore.list('filtered');
+    assert.equal(recorded, true);
+    assert.equal(snapshots.length, 1);
+    assert.deepEqual(snapshots[0].location, LOCATION);
+    assert.deepEqual(snapshots[0].forecasts, {
+      A: [{ timestamp: currentHour + HOUR_MS, temperature: 50, precipitation: 2.54, probability: 40 }]
+    });
+  });
+
+  it('records nothing without a usable forecast or while disabled', async () => {
+    const hourly = [forecastHour(Date.now() + HOUR_MS, 50, 0)];
+
+    assert.equal(await verification.recordForecastSnapshot('unusable', LOCATION, [{ source: 'A', hourly, isError: true }]), false);
+    assert.equal(await verification.recordForecastSnapshot('unusable', { displayName: 'Nowhere' }, [{ source: 'A', hourly }]), false);
+
+    process.env.VERIFICATION_ENABLED = 'false';
+    try {
+      assert.equal(await verification.recordForecastSnapshot('unusable', LOCATION, [{ source: 'A', hourly }]), false);
+    } finally {
+      process.env.VERIFICATION_ENABLED = 'true';
+    }
+
+    assert.deepEqual(await snapshotStore.list('unusable'), []);
+  });
+
+  it('takes one snapshot per interval, also for concurrent refreshes', async () => {
+    const results = [{ source: 'A', hourly: [forecastHour(Date.now() + HOUR_MS, 50, 0)] }];
+
+    const recorded = await Promise.all([1, 2, 3].map(() =>
+      verification.recordForecastSnapshot('concurrent', LOCATION, results)));
+    const later = await verification.recordForecastSnapshot('concurrent', LOCATION, results);
+
+    assert.deepEqual(recorded, [true, false, false]);
+    assert.equal(later, false);
+    assert.equal((await snapshotStore.list('concurrent')).length, 1);
+  });
+});
+
+describe('fetchObservations', () => {
+  it('keys the hourly observations by timestamp, leaving out hours the archive has not caught up with', async () => {
+    const observations = await fetchObservations(LOCATION.coordinates, Date.UTC(2026, 4, 1, 3), Date.UTC(2026, 4, 2, 5));
+
+    assert.equal(Object.keys(observations).length, 48 - ARCHIVE_LAG_HOURS);
+    assert.deepEqual(observations[Date.UTC(2026, 4, 1, 11)], { temperature: 50, precipitation: 0 });
+    assert.deepEqual(observations[Date.UTC(2026, 4, 1, 12)], { temperature: 50, precipitation: 1 });
+    assert.equal(observations[Date.UTC(2026, 4, 2, 23)], undefined);
+
+    const [request] = fakeProviders.requests;
+    assert.equal(request.name, 'openMeteoArchive');
+    assert.equal(request.query.start_date, '2026-05-01');
+    assert.equal(request.query.end_date, '2026-05-02');
+    assert.equal(request.query.temperature_unit, 'fahrenheit');
+    assert.equal(request.query.precipitation_unit, 'mm');
+  });
+
+  it('caches the observations of a period', async () => {
+    const first = await fetchObservations(LOCATION.coordinates, Date.UTC(2026, 4, 3), Date.UTC(2026, 4, 3, 23));
+    const second = await fetchObservations(LOCATION.coordinates, Date.UTC(2026, 4, 3, 6), Date.UTC(2026, 4, 3, 12));
+
+    assert.deepEqual(second, first);
+    assert.equal(fakeProviders.requests.length, 1);
+  });
+
+  it('rejects when the archive fails', async () => {
+    fakeProviders.setScenario('openMeteoArchive', 'error');
+
+    await assert.rejects(fetchObservations(LOCATION.coordinates, Date.UTC(2026, 4, 4), Date.UTC(2026, 4, 4, 23)));
+  });
+});
+
+describe('getVerification', () => {
+  it('returns null for a location without snapshots', async () => {
+    assert.equal(await verification.getVerification('never-requested'), null);
+  });
+
+  it('scores the recorded forecasts against the observed hours', async () => {
+    const day = Math.floor((Date.now() - 3 * DAY_MS) / DAY_MS) * DAY_MS;
+    await snapshotStore.append('scored', {
+      takenAt: day - 2 * HOUR_MS,
+      location: LOCATION,
+      forecasts: {
+        A: [
+          { timestamp: day + 11 * HOUR_MS, temperature: 52, precipitation: 0, probability: 10 },
+          { timestamp: day + 12 * HOUR_MS, temperature: 52, precipitation: 2, probability: 80 },
+          { timestamp: day + 13 * HOUR_MS, temperature: 52, precipitation: 0, probability: 20 }
+        ]
+      }
+    });
+
+    const report = await verification.getVerification('scored');
+
+    assert.equal(report.snapshots, 1);
+    assert.equal(report.observedHours, 24 - ARCHIVE_LAG_HOURS);
+    assert.deepEqual(report.location, LOCATION);
+    assert.equal(report.period.from, new Date(day - 2 * HOUR_MS).toISOString());
+    assert.deepEqual(report.providers.A.overall.precipitation, {
+      samples: 3,
+      hits: 1,
+      misses: 1,
+      falseAlarms: 0,
+      correctNegatives: 1,
+      hitRate: 0.5,
+      falseAlarmRatio: 0,
+      accuracy: 0.667
+    });
+    assert.deepEqual(report.providers.A.overall.temperature, { samples: 3, meanAbsoluteError: 2 });
+    assert.deepEqual(report.providers.A.byLeadTime.map(bucket => bucket.leadTime), ['6-24h']);
+  });
+});
+
+describe('getLeadTimeBucket', () => {
+  it('puts each bucket boundary in the later bucket', () => {
+    assert.equal(getLeadTimeBucket(0), '0-6h');
+    assert.equal(getLeadTimeBucket(6 * HOUR_MS - 1), '0-6h');
+    assert.equal(getLeadTimeBucket(6 * HOUR_MS), '6-24h');
+    assert.equal(getLeadTimeBucket(24 * HOUR_MS), '24-48h');
+    assert.equal(getLeadTimeBucket(72 * HOUR_MS), '3-5d');
+    assert.equal(getLeadTimeBucket(168 * HOUR_MS - 1), '5-7d');
+    assert.equal(getLeadTimeBucket(168 * HOUR_MS), '7d+');
+    assert.equal(getLeadTimeBucket(1000 * HOUR_MS), '7d+');
+  });
+});
+
+describe('scoreSnapshots', () => {
+  const hourAt = offset => TAKEN_AT + offset * HOUR_MS;
+
+  it('tallies hits, misses, false alarms and correct negatives', () => {
+    const snapshots = [{
+      takenAt: TAKEN_AT,
+      forecasts: {
+        A: [
+          { timestamp: hourAt(1), temperature: 52, precipitation: 2 },
+          { timestamp: hourAt(2), temperature: 49, precipitation: 0 },
+          { timestamp: hourAt(3), temperature: 50, precipitation: 0.5 },
+          { timestamp: hourAt(4), temperature: null, precipitation: 0 },
+          // Not observed: left out of every tally and bucket
+          { timestamp: hourAt(30), temperature: 50, precipitation: 0 }
+        ]
+      }
+    }];
+    const observations = {
+      [hourAt(1)]: { temperature: 50, precipitation: 1 },
+      [hourAt(2)]: { temperature: 50, precipitation: 1 },
+      [hourAt(3)]: { temperature: 50, precipitation: 0 },
+      [hourAt(4)]: { temperature: 50, precipitation: 0 }
+    };
+
+    const { A } = scoreSnapshots(snapshots, observations);
+
+    assert.deepEqual(A.overall.precipitation, {
+      samples: 4,
+      hits: 1,
+      misses: 1,
+      falseAlarms: 1,
+      correctNegatives: 1,
+      hitRate: 0.5,
+      falseAlarmRatio: 0.5,
+      accuracy: 0.5
+    });
+    assert.deepEqual(A.overall.temperature, { samples: 3, meanAbsoluteError: 1 });
+    assert.deepEqual(A.byLeadTime.map(bucket => bucket.leadTime), ['0-6h']);
+  });
+
+  it('leaves ratios without samples null', () => {
+    const snapshots = [{
+      takenAt: TAKEN_AT,
+      forecasts: {
+        A: [
+          { timestamp: hourAt(1), temperature: null, precipitation: 0 },
+          { timestamp: hourAt(2), temperature: null, precipitation: null }
+        ]
+      }
+    }];
+    const observations = {
+      [hourAt(1)]: { temperature: 50, precipitation: 0 },
+      [hourAt(2)]: { temperature: 50, precipitation: 0 }
+    };
+
+    const { A } = scoreSnapshots(snapshots, observations);
+
+    assert.equal(A.overall.precipitation.samples, 1);
+    assert.equal(A.overall.precipitation.hitRate, null);
+    assert.equal(A.overall.precipitation.falseAlarmRatio, null);
+    assert.equal(A.overall.precipitation.accuracy, 1);
+    assert.deepEqual(A.overall.temperature, { samples: 0, meanAbsoluteError: null });
+  });
+
+  it('scores the same hour in the bucket of each snapshot that forecast it, in lead time order', () => {
+    const forecast = { timestamp: hourAt(1), temperature: 50, precipitation: 1 };
+    const snapshots = [
+      { takenAt: TAKEN_AT, forecasts: { A: [forecast] } },
+      { takenAt: TAKEN_AT - 48 * HOUR_MS, forecasts: { A: [{ ...forecast, precipitation: 0 }] } }
+    ];
+    const observations = { [hourAt(1)]: { temperature: 50, precipitation: 1 } };
+
+    const { A } = scoreSnapshots(snapshots, observations);
+
+    assert.deepEqual(A.byLeadTime.map(bucket => bucket.leadTime), ['0-6h', '48-72h']);
+    assert.equal(A.byLeadTime[0].precipitation.hits, 1);
+    assert.equal(A.byLeadTime[1].precipitation.misses, 1);
+    assert.equal(A.overall.precipitation.samples, 2);
+  });
+});
+
+describe('updateDrift', () => {
+  const hour = TAKEN_AT + 6 * HOUR_MS;
+  const forecast = (precipitation, temperature = 50) => ({ timestamp: hour, temperature, precipitation, probability: null });
+
+  it('adds an entry when the forecast changes and only moves lastSeen when it repeats', () => {
+    let history = drift.updateDrift(undefined, { A: [forecast(0)] }, TAKEN_AT);
+    history = drift.updateDrift(history, { A: [forecast(0)] }, TAKEN_AT + HOUR_MS);
+    history = drift.updateDrift(history, { A: [forecast(2)], B: [forecast(0, 60)] }, TAKEN_AT + 2 * HOUR_MS);
+
+    assert.equal(history.updatedAt, TAKEN_AT + 2 * HOUR_MS);
+    assert.deepEqual(history.providers.A[hour], [
+      { from: TAKEN_AT, lastSeen: TAKEN_AT + HOUR_MS, precipitation: 0, probability: null, temperature: 50 },
+      { from: TAKEN_AT + 2 * HOUR_MS, lastSeen: TAKEN_AT + 2 * HOUR_MS, precipitation: 2, probability: null, temperature: 50 }
+    ]);
+    assert.equal(history.providers.B[hour].length, 1);
+  });
+
+  it('drops hours more than a day in the past', () => {
+    const history = drift.updateDrift(undefined, { A: [forecast(0)] }, TAKEN_AT);
+    const later = drift.updateDrift(history, { A: [] }, hour + 25 * HOUR_MS);
+
+    assert.deepEqual(later.providers.A, {});
+  });
+
+  it('leaves the history it is given unchanged', () => {
+    const history = drift.updateDrift(undefined, { A: [forecast(0)] }, TAKEN_AT);
+    const before = JSON.stringify(history);
+    drift.updateDrift(history, { A: [forecast(2)] }, TAKEN_AT + HOUR_MS);
+
+    assert.equal(JSON.stringify(history), before);
+  });
+});
+
+describe('summarizeDrift', () => {
+  const now = TAKEN_AT;
+
+  /**
+   * History of one provider whose rain call for each hour went through the given amounts
+   */
+  function historyOf(amountsByHour) {
+    const hours = {};
+    Object.entries(amountsByHour).forEach(([timestamp, amounts]) => {
+      hours[timestamp] = amounts.map((precipitation, index) => ({
+        from: now - (amounts.length - index) * HOUR_MS,
+        lastSeen: now - (amounts.length - index) * HOUR_MS,
+        precipitation,
+        probability: null,
+        temperature: 50
+      }));
+    });
+    return { updatedAt: now, providers: { A: hours } };
+  }
+
+  it('counts rain/no-rain changes, not amount changes', () => {
+    assert.equal(drift.countFlips([{ precipitation: 0 }, { precipitation: 1 }, { precipitation: 3 }, { precipitation: 0 }]), 2);
+    assert.equal(drift.countFlips([{ precipitation: 0 }, { precipitation: null }, { precipitation: 0.05 }]), 0);
+  });
+
+  it('flags a provider once three upcoming hours flip-flop', () => {
+    const flipFlop = [0, 1, 0];
+    const twoHours = drift.summarizeDrift(historyOf({
+      [now + HOUR_MS]: flipFlop,
+      [now + 2 * HOUR_MS]: flipFlop,
+      [now + 3 * HOUR_MS]: [0, 1]
+    }), now);
+    const threeHours = drift.summarizeDrift(historyOf({
+      [now + HOUR_MS]: flipFlop,
+      [now + 2 * HOUR_MS]: flipFlop,
+      [now + 3 * HOUR_MS]: flipFlop
+    }), now);
+
+    assert.equal(drift.FLIP_FLOP_MIN_HOURS, 3);
+    assert.equal(twoHours.providers.A.flipFlopHours, 2);
+    assert.equal(twoHours.providers.A.isFlipFlopping, false);
+    assert.equal(threeHours.providers.A.isFlipFlopping, true);
+    assert.equal(threeHours.providers.A.hours[now + HOUR_MS].flips, 2);
+    assert.equal(threeHours.providers.A.hours[now + HOUR_MS].changes, 2);
+  });
+
+  it('does not count hours that have passed', () => {
+    const flipFlop = [0, 1, 0];
+    const summary = drift.summarizeDrift(historyOf({
+      [now - HOUR_MS]: flipFlop,
+      [now + HOUR_MS]: flipFlop,
+      [now + 2 * HOUR_MS]: flipFlop
+    }), now);
+
+    assert.equal(summary.providers.A.flipFlopHours, 2);
+    assert.equal(summary.providers.A.isFlipFlopping, false);
+  });
+});
+
+describe('getForecastDrift', () => {
+  it('returns null for a location without recorded refreshes', async () => {
+    assert.equal(await verification.getForecastDrift('never-refreshed'), null);
+  });
+
+  it('keeps every refresh of concurrent triple requests', async () => {
+    const timestamp = Math.floor(Date.now() / HOUR_MS) * HOUR_MS + 2 * HOUR_MS;
+    const refreshes = [0, 2, 0].map(amount => [{ source: 'A', hourly: [forecastHour(timestamp, 50, amount)] }]);
+
+    await Promise.all(refreshes.map(results => verification.recordForecastSnapshot('drifting', LOCATION, results)));
+    const summary = await verification.getForecastDrift('drifting');
+
+    assert.deepEqual(summary.providers.A.hours[timestamp].timeline.map(entry => entry.precipitation), [0, 2, 0]);
+    assert.equal(summary.providers.A.hours[timestamp].flips, 2);
+  });
+});
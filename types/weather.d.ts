@@ -34,29 +34,35 @@ interface Location {
 
 /**
  * Precipitation data
+ *
+ * The forecast types below follow the canonical forecast schema (version 1),
+ * which routes/weather.js checks every transformer output against at runtime
+ * (see utils/forecastSchema.js).
  */
 interface Precipitation {
-  probability: number; // 0-100
-  amount: number; // in inches
-  type?: 'rain' | 'snow' | 'ice' | 'mixed';
+  probability: number | null; // 0-100, null when the provider has none
+  amount: number | null; // in mm, null when the provider has none
+  unit: 'mm';
+  type?: 'rain' | 'snow' | 'ice' | 'mixed' | string | null;
 }
 
 /**
  * Basic weather data structure
  */
 interface WeatherData {
-  temperature: number; // in Fahrenheit
-  feelsLike: number; // in Fahrenheit
-  humidity: number; // 0-100
-  windSpeed: number; // in mph
+  temperature: number | null; // in Fahrenheit
+  feelsLike?: number; // in Fahrenheit
+  humidity?: number; // 0-100
+  windSpeed?: number; // in mph
   windDirection?: number; // in degrees
   windGust?: number; // in mph
-  pressure?: number; // in inHg
+  pressure?: number; // in hPa
   uvIndex?: number; // 0-11+
   visibility?: number; // in miles
   cloudCover?: number; // 0-100
-  description: string;
-  icon: string;
+  description?: string;
+  icon?: string;
+  weatherCondition?: string; // Provider's condition phrase (only some sources)
   precipitation: Precipitation;
   // Raw data from provider for reference/debugging
   rawData?: any;
@@ -67,8 +73,8 @@ interface WeatherData {
  */
 interface ForecastItem extends WeatherData {
   timestamp: number; // Unix timestamp
-  date: string; // Formatted date
-  time: string; // Formatted time
+  date?: string; // Formatted date (not set on Consensus hours)
+  time?: string; // Formatted time (not set on Consensus hours)
   isDay?: boolean; // Whether it's daytime
   // For daily forecasts
   temperatureMin?: number;
@@ -85,11 +91,27 @@ interface WeatherForecast {
   current: WeatherData;
   hourly: ForecastItem[];
   daily: ForecastItem[];
-  source: 'AzureMaps' | 'OpenMeteo' | 'Foreca';
+  source: 'AzureMaps' | 'OpenMeteo' | 'Foreca' | 'GoogleWeather' | 'Consensus';
   lastUpdated: number; // Unix timestamp
   // For error handling
   isError?: boolean;
   errorMessage?: string;
+  // Result of validating a provider's data against the canonical schema
+  dataQuality?: DataQuality;
+}
+
+/**
+ * Schema problems found in one source's forecast, grouped by field and problem
+ */
+interface DataQuality {
+  schemaVersion: number;
+  valid: boolean;
+  issueCount: number;
+  issues: Array<{
+    field: string; // e.g. 'hourly[].temperature'
+    problem: string; // e.g. 'missing', 'expected a number, got string'
+    count: number;
+  }>;
 }
 
 /**
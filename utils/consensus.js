@@ -0,0 +1,375 @@
+/**
+ * Forecast Consensus
+ *
+ * Combines the standardized hourly forecasts of several sources into one
+ * "Consensus" source, appended to the triple check response:
+ * - temperature: median of the sources
+ * - precipitation probability and amount: mean of the sources, weighted by
+ *   how close each source is to the median, so a single outlier counts less
+ * - spread: max - min of each value across the sources
+ * - confidence: 0-100 score from the temperature spread and how many sources
+ *   agree on whether it will be wet or dry
+ *
+ * getHourDisagreement measures the same agreement the other way round, for the
+ * per-hour heat strip in the grid, and names the outlier source.
+ */
+
+const CONSENSUS_SOURCE = 'Consensus';
+
+// Hours need at least this many sources to get a consensus value
+const MIN_CONSENSUS_SOURCES = 2;
+
+// Precipitation amounts (mm) at or above this count as a wet hour, as in the grid
+const WET_HOUR_THRESHOLD_MM = 0.1;
+
+// Distance from the median at which a source's weight is halved
+const PRECIP_AMOUNT_WEIGHT_SCALE = 1; // mm
+const PRECIP_PROBABILITY_WEIGHT_SCALE = 20; // percentage points
+
+// Temperature spread (°F) at which temperature agreement drops to zero
+// (and temperature disagreement is complete)
+const TEMPERATURE_SPREAD_LIMIT = 10;
+
+// Confidence scores at or above these are 'high' / 'medium', anything lower is 'low'
+const CONFIDENCE_LEVELS = { high: 70, medium: 40 };
+
+// Precipitation amount spread (mm) at which amount disagreement is complete
+const AMOUNT_SPREAD_LIMIT = 5;
+
+// Disagreement scores at or above these are 'high' / 'medium' / 'low', anything lower is 'none'
+const DISAGREEMENT_LEVELS = { high: 0.7, medium: 0.45, low: 0.2 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values (at least one)
+ * @returns {number} - Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Mean of values, each weighted by its closeness to the median
+ * @param {number[]} values - Values (at least one)
+ * @param {number} scale - Distance from the median at which the weight is halved
+ * @returns {number} - Agreement-weighted mean
+ */
+function agreementWeightedMean(values, scale) {
+  const center = median(values);
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  values.forEach(value => {
+    const weight = 1 / (1 + Math.abs(value - center) / scale);
+    weightedSum += value * weight;
+    totalWeight += weight;
+  });
+
+  return weightedSum / totalWeight;
+}
+
+/**
+ * Spread (max - min) of a list of numbers
+ */
+function spread(values) {
+  return values.length > 0 ? Math.max(...values) - Math.min(...values) : null;
+}
+
+/**
+ * Read a numeric value, ignoring placeholders such as "n/a" and null
+ */
+function toNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Read a precipitation amount in mm, converting amounts reported in inches
+ */
+function toAmountInMm(precipitation) {
+  const amount = toNumber(precipitation?.amount);
+  if (amount === null) return null;
+  return precipitation.unit === 'inches' ? amount * 25.4 : amount;
+}
+
+/**
+ * Round to a number of decimals
+ */
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Map a confidence score to a level
+ * @param {number} confidence - Score from 0 to 100
+ * @returns {string} - 'high', 'medium' or 'low'
+ */
+function getConfidenceLevel(confidence) {
+  if (confidence >= CONFIDENCE_LEVELS.high) return 'high';
+  if (confidence >= CONFIDENCE_LEVELS.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Build the consensus entry for one hour
+ * @param {number} timestamp - Start of the hour
+ * @param {Object[]} hours - { source, hour } for every source with data for this hour
+ * @returns {Object|null} - Consensus hour, or null if too few sources have data
+ */
+function buildConsensusHour(timestamp, hours) {
+  const temperatures = hours.map(({ hour }) => toNumber(hour.temperature)).filter(value => value !== null);
+  const amounts = hours.map(({ hour }) => toAmountInMm(hour.precipitation)).filter(value => value !== null);
+  const probabilities = hours.map(({ hour }) => toNumber(hour.precipitation?.probability)).filter(value => value !== null);
+
+  if (temperatures.length < MIN_CONSENSUS_SOURCES && amounts.length < MIN_CONSENSUS_SOURCES) {
+    return null;
+  }
+
+  // Wet/dry agreement: share of sources on the majority side (0.5 - 1)
+  const wetCount = amounts.filter(amount => amount >= WET_HOUR_THRESHOLD_MM).length;
+  const precipitationAgreement = amounts.length > 0
+    ? Math.max(wetCount, amounts.length - wetCount) / amounts.length
+    : null;
+
+  const temperatureSpread = spread(temperatures);
+  const scores = [];
+  if (temperatures.length >= MIN_CONSENSUS_SOURCES) {
+    scores.push(Math.max(0, 1 - temperatureSpread / TEMPERATURE_SPREAD_LIMIT));
+  }
+  if (amounts.length >= MIN_CONSENSUS_SOURCES) {
+    // Rescale so an even split scores 0 and full agreement scores 1
+    scores.push((precipitationAgreement - 0.5) * 2);
+  }
+  const confidence = Math.round(100 * scores.reduce((sum, score) => sum + score, 0) / scores.length);
+
+  const amount = amounts.length > 0 ? round(agreementWeightedMean(amounts, PRECIP_AMOUNT_WEIGHT_SCALE), 1) : null;
+
+  // No date/time labels: this runs on the server, whose time zone is not the user's;
+  // the client formats the timestamp like every other hour
+  return {
+    timestamp,
+    temperature: temperatures.length > 0 ? round(median(temperatures), 1) : null,
+    precipitation: {
+      probability: probabilities.length > 0
+        ? Math.round(agreementWeightedMean(probabilities, PRECIP_PROBABILITY_WEIGHT_SCALE))
+        : null,
+      amount,
+      unit: 'mm',
+      type: 'rain'
+    },
+    spread: {
+      temperature: temperatureSpread !== null ? round(temperatureSpread, 1) : null,
+      precipitationAmount: amounts.length > 0 ? round(spread(amounts), 1) : null,
+      precipitationProbability: probabilities.length > 0 ? spread(probabilities) : null
+    },
+    precipitationAgreement: precipitationAgreement !== null ? round(precipitationAgreement, 2) : null,
+    confidence,
+    confidenceLevel: getConfidenceLevel(confidence),
+    sourceCount: hours.length,
+    sources: hours.map(({ source }) => source)
+  };
+}
+
+/**
+ * Measure how much the sources disagree about one hour, and which source is the outlier
+ * @param {Object[]} hours - { source, hour } for every source with data for this hour
+ * @returns {Object|null} - Disagreement, or null if fewer than two sources have data
+ */
+function getHourDisagreement(hours) {
+  const values = hours
+    .filter(({ hour }) => hour)
+    .map(({ source, hour }) => ({
+      source,
+      temperature: toNumber(hour.temperature),
+      amount: toAmountInMm(hour.precipitation)
+    }));
+
+  const temperatures = values.map(value => value.temperature).filter(value => value !== null);
+  const amounts = values.map(value => value.amount).filter(value => value !== null);
+
+  if (temperatures.length < MIN_CONSENSUS_SOURCES && amounts.length < MIN_CONSENSUS_SOURCES) {
+    return null;
+  }
+
+  // Did it rain or not: an even split is the strongest disagreement
+  const wetCount = amounts.filter(amount => amount >= WET_HOUR_THRESHOLD_MM).length;
+  const dryCount = amounts.length - wetCount;
+  const rainSplit = amounts.length > 0 ? 2 * Math.min(wetCount, dryCount) / amounts.length : 0;
+
+  // How much: only matters once some source expects rain
+  const amountSpread = amounts.length > 0 ? spread(amounts) : null;
+  const amountDisagreement = wetCount > 0 ? Math.min(amountSpread / AMOUNT_SPREAD_LIMIT, 1) : 0;
+
+  const temperatureSpread = temperatures.length > 0 ? spread(temperatures) : null;
+  const temperatureDisagreement = temperatures.length >= MIN_CONSENSUS_SOURCES
+    ? Math.min(temperatureSpread / TEMPERATURE_SPREAD_LIMIT, 1)
+    : 0;
+
+  // The hour is as contested as its most contested value
+  const score = Math.max(rainSplit, amountDisagreement, temperatureDisagreement);
+
+  return {
+    score: round(score, 2),
+    level: getDisagreementLevel(score),
+    sourceCount: values.length,
+    wetCount,
+    dryCount,
+    temperatureSpread: temperatureSpread !== null ? round(temperatureSpread, 1) : null,
+    amountSpread: amountSpread !== null ? round(amountSpread, 1) : null,
+    outlier: score >= DISAGREEMENT_LEVELS.low ? findOutlier(values, wetCount > dryCount) : null
+  };
+}
+
+/**
+ * Map a disagreement score to a level
+ * @param {number} score - Score from 0 to 1
+ * @returns {string} - 'none', 'low', 'medium' or 'high'
+ */
+function getDisagreementLevel(score) {
+  if (score >= DISAGREEMENT_LEVELS.high) return 'high';
+  if (score >= DISAGREEMENT_LEVELS.medium) return 'medium';
+  if (score >= DISAGREEMENT_LEVELS.low) return 'low';
+  return 'none';
+}
+
+/**
+ * Find the source furthest from the others for one hour
+ * @param {Object[]} values - { source, temperature, amount } per source
+ * @param {boolean} majorityWet - Whether most sources expect rain
+ * @returns {Object|null} - The outlier with the medians it was compared to, or null if
+ *                          there are fewer than three sources or no single source stands out
+ */
+function findOutlier(values, majorityWet) {
+  if (values.length < 3) return null;
+
+  const temperatures = values.map(value => value.temperature).filter(value => value !== null);
+  const amounts = values.map(value => value.amount).filter(value => value !== null);
+  const medianTemperature = temperatures.length > 0 ? median(temperatures) : null;
+  const medianAmount = amounts.length > 0 ? median(amounts) : null;
+
+  const deviations = values.map(value => {
+    let deviation = 0;
+    if (value.temperature !== null && medianTemperature !== null) {
+      deviation += Math.abs(value.temperature - medianTemperature) / TEMPERATURE_SPREAD_LIMIT;
+    }
+    if (value.amount !== null && medianAmount !== null) {
+      deviation += Math.abs(value.amount - medianAmount) / AMOUNT_SPREAD_LIMIT;
+      // Calling rain when the others call it dry (or the reverse) outweighs any amount
+      if ((value.amount >= WET_HOUR_THRESHOLD_MM) !== majorityWet) deviation += 1;
+    }
+    return { ...value, deviation };
+  }).sort((a, b) => b.deviation - a.deviation);
+
+  // Ties mean the sources are split rather than one source being off
+  if (deviations[0].deviation === 0 || deviations[0].deviation === deviations[1].deviation) {
+    return null;
+  }
+
+  const { source, temperature, amount } = deviations[0];
+  return {
+    source,
+    temperature,
+    amount: amount !== null ? round(amount, 1) : null,
+    medianTemperature: medianTemperature !== null ? round(medianTemperature, 1) : null,
+    medianAmount: medianAmount !== null ? round(medianAmount, 1) : null
+  };
+}
+
+/**
+ * Build the consensus source from standardized source forecasts
+ * @param {Object[]} sources - Standardized weather data, one entry per source
+ * @param {Object} location - Location the forecasts are for
+ * @returns {Object} - Standardized weather data with source 'Consensus'
+ */
+function buildConsensus(sources, location) {
+  const usable = sources.filter(sourceData =>
+    sourceData && !sourceData.isError && !sourceData.isMockData &&
+    Array.isArray(sourceData.hourly) && sourceData.hourly.length > 0);
+
+  if (usable.length < MIN_CONSENSUS_SOURCES) {
+    return {
+      location,
+      current: null,
+      hourly: [],
+      daily: [],
+      source: CONSENSUS_SOURCE,
+      isConsensus: true,
+      lastUpdated: Date.now(),
+      isError: true,
+      errorMessage: `A consensus needs at least ${MIN_CONSENSUS_SOURCES} sources with hourly data`
+    };
+  }
+
+  // Line up the sources' hours by the start of the hour
+  const hoursByTimestamp = new Map();
+  usable.forEach(sourceData => {
+    sourceData.hourly.forEach(hour => {
+      if (!hour || !hour.timestamp) return;
+
+      const timestamp = Math.floor(new Date(hour.timestamp).getTime() / HOUR_MS) * HOUR_MS;
+      if (!hoursByTimestamp.has(timestamp)) {
+        hoursByTimestamp.set(timestamp, []);
+      }
+
+      const hours = hoursByTimestamp.get(timestamp);
+      // Keep the first entry per source if a source reports an hour twice
+      if (!hours.some(entry => entry.source === sourceData.source)) {
+        hours.push({ source: sourceData.source, hour });
+      }
+    });
+  });
+
+  const hourly = [...hoursByTimestamp.keys()]
+    .sort((a, b) => a - b)
+    .map(timestamp => buildConsensusHour(timestamp, hoursByTimestamp.get(timestamp)))
+    .filter(Boolean);
+
+  // Current conditions: the consensus hour containing now, or the first one
+  const currentHourStart = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const currentHour = hourly.find(hour => hour.timestamp === currentHourStart) || hourly[0] || null;
+
+  return {
+    location,
+    current: currentHour ? {
+      temperature: currentHour.temperature,
+      precipitation: currentHour.precipitation,
+      confidence: currentHour.confidence,
+      confidenceLevel: currentHour.confidenceLevel
+    } : null,
+    hourly,
+    daily: [],
+    source: CONSENSUS_SOURCE,
+    isConsensus: true,
+    consensusSources: usable.map(sourceData => sourceData.source),
+    lastUpdated: Date.now()
+  };
+}
+
+// Export the functions
+const consensus = {
+  buildConsensus,
+  buildConsensusHour,
+  median,
+  agreementWeightedMean,
+  getConfidenceLevel,
+  getHourDisagreement,
+  getDisagreementLevel,
+  findOutlier,
+  toAmountInMm,
+  CONSENSUS_SOURCE,
+  WET_HOUR_THRESHOLD_MM
+};
+
+// For browser environments
+if (typeof window !== 'undefined') {
+  window.consensus = consensus;
+}
+
+// For Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = consensus;
+}
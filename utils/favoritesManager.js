@@ -0,0 +1,236 @@
+/**
+ * Favorites Manager
+ *
+ * Named favorite locations ("Home", "Office", "Cabin") that can be pinned,
+ * reordered and renamed. Favorites are stored under their own localStorage
+ * key, separate from recent ZIP codes and the weather cache, and are part of
+ * the settings export/import.
+ *
+ * The list functions are pure: they return a new list and leave saving to
+ * the caller.
+ */
+
+// localStorage key of the favorites namespace
+const FAVORITES_STORAGE_KEY = 'favorites';
+
+// Upper bounds to keep the header switcher usable
+const MAX_FAVORITES = 20;
+const MAX_FAVORITE_NAME_LENGTH = 40;
+
+/**
+ * @typedef {Object} Favorite
+ * @property {string} id - Stable identifier
+ * @property {string} name - User-chosen name
+ * @property {string} query - Location query passed to the triple check (ZIP, place or "lat,lon")
+ * @property {boolean} pinned - Pinned favorites are listed first
+ * @property {number} createdAt - Creation timestamp
+ */
+
+/**
+ * Creates a unique favorite id
+ * @returns {string} - Favorite id
+ */
+function createFavoriteId() {
+  return `fav_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Cleans up a favorite name
+ * @param {string} name - Raw name
+ * @returns {string} - Trimmed name, shortened to MAX_FAVORITE_NAME_LENGTH
+ */
+function normalizeFavoriteName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_FAVORITE_NAME_LENGTH);
+}
+
+/**
+ * Keeps pinned favorites ahead of the others, preserving their relative order
+ * @param {Favorite[]} favorites - Favorites
+ * @returns {Favorite[]} - Ordered favorites
+ */
+function orderFavorites(favorites) {
+  return [
+    ...favorites.filter(favorite => favorite.pinned),
+    ...favorites.filter(favorite => !favorite.pinned)
+  ];
+}
+
+/**
+ * Validates and cleans a list of favorites from storage or an imported file
+ * @param {Array} favorites - Untrusted favorites
+ * @returns {Favorite[]} - Valid favorites
+ */
+function sanitizeFavorites(favorites) {
+  if (!Array.isArray(favorites)) {
+    return [];
+  }
+  
+  const seenIds = new Set();
+  const sanitized = favorites
+    .filter(favorite => favorite && typeof favorite.query === 'string' && favorite.query.trim())
+    .map(favorite => ({
+      id: typeof favorite.id === 'string' && favorite.id ? favorite.id : createFavoriteId(),
+      name: normalizeFavoriteName(favorite.name) || favorite.query.trim(),
+      query: favorite.query.trim(),
+      pinned: favorite.pinned === true,
+      createdAt: Number(favorite.createdAt) || Date.now()
+    }))
+    .filter(favorite => {
+      if (seenIds.has(favorite.id)) return false;
+      seenIds.add(favorite.id);
+      return true;
+    });
+  
+  return orderFavorites(sanitized).slice(0, MAX_FAVORITES);
+}
+
+/**
+ * Loads favorites from localStorage
+ * @returns {Favorite[]} - Saved favorites
+ */
+function loadFavorites() {
+  try {
+    const saved = localStorage.getItem(FAVORITES_STORAGE_KEY);
+    return saved ? sanitizeFavorites(JSON.parse(saved)) : [];
+  } catch (error) {
+    console.warn('Failed to load favorites from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves favorites to localStorage
+ * @param {Favorite[]} favorites - Favorites to save
+ * @returns {boolean} - Success status
+ */
+function saveFavorites(favorites) {
+  try {
+    localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+    return true;
+  } catch (error) {
+    console.error('Error saving favorites:', error);
+    return false;
+  }
+}
+
+/**
+ * Adds a favorite, or renames the existing favorite for the same location
+ * @param {Favorite[]} favorites - Current favorites
+ * @param {string} name - Favorite name
+ * @param {string} query - Location query
+ * @returns {Favorite[]} - Updated favorites
+ */
+function addFavorite(favorites, name, query) {
+  const trimmedQuery = String(query || '').trim();
+  if (!trimmedQuery) {
+    return favorites;
+  }
+  
+  const favoriteName = normalizeFavoriteName(name) || trimmedQuery;
+  const existing = favorites.find(favorite => favorite.query.toLowerCase() === trimmedQuery.toLowerCase());
+  if (existing) {
+    return renameFavorite(favorites, existing.id, favoriteName);
+  }
+  
+  if (favorites.length >= MAX_FAVORITES) {
+    throw new Error(`You can save up to ${MAX_FAVORITES} favorites`);
+  }
+  
+  return [
+    ...favorites,
+    {
+      id: createFavoriteId(),
+      name: favoriteName,
+      query: trimmedQuery,
+      pinned: false,
+      createdAt: Date.now()
+    }
+  ];
+}
+
+/**
+ * Removes a favorite
+ * @param {Favorite[]} favorites - Current favorites
+ * @param {string} id - Favorite id
+ * @returns {Favorite[]} - Updated favorites
+ */
+function removeFavorite(favorites, id) {
+  return favorites.filter(favorite => favorite.id !== id);
+}
+
+/**
+ * Renames a favorite
+ * @param {Favorite[]} favorites - Current favorites
+ * @param {string} id - Favorite id
+ * @param {string} name - New name (ignored if blank)
+ * @returns {Favorite[]} - Updated favorites
+ */
+function renameFavorite(favorites, id, name) {
+  const favoriteName = normalizeFavoriteName(name);
+  if (!favoriteName) {
+    return favorites;
+  }
+  
+  return favorites.map(favorite => (favorite.id === id ? { ...favorite, name: favoriteName } : favorite));
+}
+
+/**
+ * Pins or unpins a favorite
+ * @param {Favorite[]} favorites - Current favorites
+ * @param {string} id - Favorite id
+ * @returns {Favorite[]} - Updated favorites, pinned first
+ */
+function togglePinnedFavorite(favorites, id) {
+  return orderFavorites(
+    favorites.map(favorite => (favorite.id === id ? { ...favorite, pinned: !favorite.pinned } : favorite))
+  );
+}
+
+/**
+ * Moves a favorite up or down within its group (pinned or unpinned)
+ * @param {Favorite[]} favorites - Current favorites
+ * @param {string} id - Favorite id
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Favorite[]} - Updated favorites
+ */
+function moveFavorite(favorites, id, offset) {
+  const index = favorites.findIndex(favorite => favorite.id === id);
+  const target = index + offset;
+  
+  if (index === -1 || target < 0 || target >= favorites.length ||
+      favorites[target].pinned !== favorites[index].pinned) {
+    return favorites;
+  }
+  
+  const reordered = [...favorites];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
+
+// Include favorites in the settings export/import
+if (window.settingsManager) {
+  window.settingsManager.registerSettingsSection('favorites', {
+    exportData: () => loadFavorites(),
+    importData: (data) => {
+      if (!Array.isArray(data)) {
+        throw new Error('Favorites must be a list');
+      }
+      saveFavorites(sanitizeFavorites(data));
+    }
+  });
+}
+
+// Export the functions
+window.favoritesManager = {
+  loadFavorites,
+  saveFavorites,
+  addFavorite,
+  removeFavorite,
+  renameFavorite,
+  togglePinnedFavorite,
+  moveFavorite,
+  sanitizeFavorites,
+  FAVORITES_STORAGE_KEY,
+  MAX_FAVORITES,
+  MAX_FAVORITE_NAME_LENGTH
+};
@@ -0,0 +1,227 @@
+/**
+ * Canonical Forecast Schema
+ *
+ * The shape every provider's transformed forecast is expected to have, so the
+ * grid, the consensus and the verification code can rely on the same fields.
+ * routes/weather.js validates each transformer output against it and attaches
+ * the result as the source's `dataQuality` block:
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     valid: false,
+ *     issueCount: 168,
+ *     issues: [{ field: 'hourly[].temperature', problem: 'expected a number, got string', count: 168 }]
+ *   }
+ *
+ * Issues are grouped by field and problem (hour indices are collapsed to
+ * `hourly[]`), so one systematic transformer bug is one issue, not 168.
+ *
+ * Bump FORECAST_SCHEMA_VERSION whenever a field is added, removed or changes
+ * meaning, and describe the change in types/weather.d.ts.
+ */
+
+const FORECAST_SCHEMA_VERSION = 1;
+
+// Precipitation block of current conditions, hours and days. Amounts are in mm;
+// null probability/amount marks a value the provider does not have.
+const PRECIPITATION_SCHEMA = {
+  probability: { type: 'number', required: true, nullable: true, min: 0, max: 100 },
+  amount: { type: 'number', required: true, nullable: true, min: 0 },
+  unit: { type: 'string', required: true, oneOf: ['mm'] },
+  type: { type: 'string', nullable: true }
+};
+
+// Fields shared by current conditions, hours and days (°F, mph, hPa, miles)
+const CONDITIONS_SCHEMA = {
+  temperature: { type: 'number', required: true, nullable: true },
+  feelsLike: { type: 'number', nullable: true },
+  humidity: { type: 'number', nullable: true, min: 0, max: 100 },
+  windSpeed: { type: 'number', nullable: true, min: 0 },
+  windDirection: { type: 'number', nullable: true },
+  windGust: { type: 'number', nullable: true, min: 0 },
+  pressure: { type: 'number', nullable: true, min: 0 },
+  visibility: { type: 'number', nullable: true, min: 0 },
+  uvIndex: { type: 'number', nullable: true, min: 0 },
+  cloudCover: { type: 'number', nullable: true, min: 0, max: 100 },
+  description: { type: 'string' },
+  icon: { type: 'string' },
+  weatherCondition: { type: 'string' },
+  precipitation: { type: 'object', required: true, fields: PRECIPITATION_SCHEMA }
+};
+
+const HOUR_SCHEMA = {
+  ...CONDITIONS_SCHEMA,
+  timestamp: { type: 'number', required: true },
+  isDay: { type: 'boolean' }
+};
+
+const DAY_SCHEMA = {
+  ...CONDITIONS_SCHEMA,
+  timestamp: { type: 'number', required: true },
+  temperatureMin: { type: 'number', nullable: true },
+  temperatureMax: { type: 'number', nullable: true }
+};
+
+// One source of a forecast response. Error entries (isError) only need the
+// envelope; if they carry (mock) forecast data it is checked like real data.
+// Every other entry must have at least one hour, so a payload the transformer
+// could not read is flagged rather than passed off as an empty forecast.
+const FORECAST_SCHEMA = {
+  source: { type: 'string', required: true },
+  location: { type: 'object', required: true },
+  current: { type: 'object', nullable: true, fields: CONDITIONS_SCHEMA },
+  hourly: { type: 'array', required: true, nonEmpty: true, items: HOUR_SCHEMA },
+  daily: { type: 'array', required: true, items: DAY_SCHEMA },
+  lastUpdated: { type: 'number', required: true },
+  isError: { type: 'boolean' },
+  errorMessage: { type: 'string' }
+};
+
+/**
+ * Describe the type of a value the way violations report it
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'NaN';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has the type a field spec expects
+ */
+function hasType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+/**
+ * Check one value against its field spec, reporting problems through addIssue
+ * @param {*} value - Value to check (undefined when the field is missing)
+ * @param {Object} spec - Field spec
+ * @param {string} field - Field path with hour/day indices collapsed (e.g. 'hourly[].temperature')
+ * @param {Function} addIssue - Called with (field, problem)
+ */
+function checkValue(value, spec, field, addIssue) {
+  if (value === undefined) {
+    if (spec.required) addIssue(field, 'missing');
+    return;
+  }
+
+  if (value === null) {
+    if (!spec.nullable) addIssue(field, 'is null');
+    return;
+  }
+
+  if (!hasType(value, spec.type)) {
+    addIssue(field, `expected ${spec.type === 'array' || spec.type === 'object' ? 'an' : 'a'} ${spec.type}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (spec.oneOf && !spec.oneOf.includes(value)) {
+    addIssue(field, `expected one of ${spec.oneOf.join(', ')}, got "${value}"`);
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    addIssue(field, `below ${spec.min}`);
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    addIssue(field, `above ${spec.max}`);
+  }
+  if (spec.nonEmpty && value.length === 0) {
+    addIssue(field, 'is empty');
+  }
+
+  if (spec.fields) {
+    checkObject(value, spec.fields, field, addIssue);
+  }
+  if (spec.items) {
+    value.forEach(item => checkValue(item, { type: 'object', fields: spec.items }, `${field}[]`, addIssue));
+  }
+}
+
+/**
+ * Check the fields of an object against a schema
+ */
+function checkObject(object, schema, prefix, addIssue) {
+  Object.entries(schema).forEach(([name, spec]) => {
+    checkValue(object[name], spec, prefix ? `${prefix}.${name}` : name, addIssue);
+  });
+}
+
+/**
+ * Validate one source's forecast against the canonical schema
+ * @param {Object} forecast - Transformed forecast of one source
+ * @returns {Object} - dataQuality block: { schemaVersion, valid, issueCount, issues }
+ */
+function validateForecast(forecast) {
+  const issuesByKey = new Map();
+
+  const addIssue = (field, problem) => {
+    const key = `${field}\n${problem}`;
+    const issue = issuesByKey.get(key);
+    if (issue) {
+      issue.count++;
+    } else {
+      issuesByKey.set(key, { field, problem, count: 1 });
+    }
+  };
+
+  if (!hasType(forecast, 'object')) {
+    addIssue('', `expected an object, got ${describeType(forecast)}`);
+  } else if (forecast.isError) {
+    // Error entries need a message; any forecast data they carry must still be well formed
+    checkObject(forecast, {
+      source: FORECAST_SCHEMA.source,
+      errorMessage: { ...FORECAST_SCHEMA.errorMessage, required: true },
+      current: FORECAST_SCHEMA.current,
+      hourly: { ...FORECAST_SCHEMA.hourly, required: false, nonEmpty: false },
+      daily: { ...FORECAST_SCHEMA.daily, required: false }
+    }, '', addIssue);
+  } else {
+    checkObject(forecast, FORECAST_SCHEMA, '', addIssue);
+  }
+
+  const issues = [...issuesByKey.values()];
+
+  return {
+    schemaVersion: FORECAST_SCHEMA_VERSION,
+    valid: issues.length === 0,
+    issueCount: issues.reduce((total, issue) => total + issue.count, 0),
+    issues
+  };
+}
+
+/**
+ * Summarize a dataQuality block in one line, e.g. for logs and tooltips
+ * @param {Object} dataQuality - Result of validateForecast
+ * @returns {string} - Summary
+ */
+function describeDataQuality(dataQuality) {
+  if (!dataQuality || dataQuality.valid) {
+    return 'Data matches the forecast schema';
+  }
+
+  return dataQuality.issues
+    .map(issue => `${issue.field || 'forecast'} ${issue.problem}${issue.count > 1 ? ` (${issue.count}×)` : ''}`)
+    .join('; ');
+}
+
+// Export the functions
+const forecastSchema = {
+  validateForecast,
+  describeDataQuality,
+  FORECAST_SCHEMA,
+  FORECAST_SCHEMA_VERSION
+};
+
+// For browser environments
+if (typeof window !== 'undefined') {
+  window.forecastSchema = forecastSchema;
+}
+
+// For Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = forecastSchema;
+}
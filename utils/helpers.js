@@ -11,14 +11,25 @@
  */
 
 /**
- * Formats a temperature value with the appropriate unit
- * @param {number} temp - The temperature value
- * @param {string} unit - The unit to use ('F' or 'C')
+ * Formats a temperature value in the requested unit
+ * @param {number} temp - The temperature value in °F, as in the standardized data
+ * @param {string} unit - The unit to show it in ('F' or 'C')
  * @returns {string} - Formatted temperature string
  */
 function formatTemperature(temp, unit = 'F') {
   if (typeof temp !== 'number') return 'N/A';
-  return `${Math.round(temp)}°${unit}`;
+  return `${Math.round(window.units.convertTemperature(temp, unit))}°${unit}`;
+}
+
+/**
+ * Formats a temperature difference (e.g. the spread between sources) in the requested unit
+ * @param {number} difference - The difference in °F
+ * @param {string} unit - The unit to show it in ('F' or 'C')
+ * @returns {string} - Formatted difference string
+ */
+function formatTemperatureDifference(difference, unit = 'F') {
+  if (typeof difference !== 'number') return 'N/A';
+  return `${Math.round(window.units.convertTemperatureDifference(difference, unit))}°${unit}`;
 }
 
 /**
@@ -60,14 +71,26 @@ function formatTime(time, options = {}) {
 }
 
 /**
- * Formats a wind speed value with the appropriate unit
- * @param {number} speed - The wind speed value
- * @param {string} unit - The unit to use ('mph' or 'km/h')
+ * Formats a wind speed value in the requested unit
+ * @param {number} speed - The wind speed value in mph, as in the standardized data
+ * @param {string} unit - The unit to show it in ('mph', 'km/h' or 'm/s')
  * @returns {string} - Formatted wind speed string
  */
 function formatWindSpeed(speed, unit = 'mph') {
   if (typeof speed !== 'number') return 'N/A';
-  return `${Math.round(speed)} ${unit}`;
+  return `${Math.round(window.units.convertWindSpeed(speed, unit))} ${unit}`;
+}
+
+/**
+ * Formats a pressure value in the requested unit
+ * @param {number} pressure - The pressure value in hPa, as in the standardized data
+ * @param {string} unit - The unit to show it in ('hPa' or 'inHg')
+ * @returns {string} - Formatted pressure string
+ */
+function formatPressure(pressure, unit = 'hPa') {
+  if (typeof pressure !== 'number') return 'N/A';
+  const converted = window.units.convertPressure(pressure, unit);
+  return `${unit === 'inHg' ? converted.toFixed(2) : Math.round(converted)} ${unit}`;
 }
 
 /**
@@ -96,14 +119,19 @@ function getPrecipProbabilityDescription(probability) {
 }
 
 /**
- * Formats a precipitation amount with the appropriate unit
- * @param {number} amount - The precipitation amount
- * @param {string} unit - The unit to use ('in' or 'mm')
+ * Formats a precipitation amount in the requested unit (the number only)
+ * @param {number} amount - The precipitation amount in mm, as in the standardized data
+ * @param {string} unit - The unit to show it in ('in' or 'mm')
  * @returns {string} - Formatted precipitation amount string
  */
 function formatPrecipitation(amount, unit = 'mm') {
   if (typeof amount !== 'number') return 'N/A';
   
+  // Inches keep two decimals; anything below 0.01 in shows as 0.00
+  if (unit === 'in') {
+    return window.units.convertPrecipitation(amount, unit).toFixed(2);
+  }
+  
   // Apply new rounding rules:
   // - Below 0.1mm: Display as 0.0mm (no more "Trace" category)
   // - 0.1mm to 0.9mm: Keep one decimal place
@@ -263,11 +291,15 @@ async function retry(fn, maxRetries = 3, baseDelay = 1000) {
 }
 
 /**
- * Validates a ZIP code
- * @param {string} zipCode - The ZIP code to validate
+ * Validates a ZIP code or other location query (postal code, place name or "lat,lon")
+ * @param {string} zipCode - The ZIP code or location query to validate
  * @returns {Object} - Validation result with isValid flag and error message
  */
 function validateZipCode(zipCode) {
+  if (window.locationQuery) {
+    return window.locationQuery.validateLocationQuery(zipCode);
+  }
+  
   if (!zipCode) {
     return {
       isValid: false,
@@ -275,8 +307,8 @@ function validateZipCode(zipCode) {
     };
   }
   
-  // Basic US ZIP code validation (5 digits)
-  const zipRegex = /^\d{5}$/;
+  // Basic US ZIP code validation (5 digits, optional +4)
+  const zipRegex = /^\d{5}(-\d{4})?$/;
   if (!zipRegex.test(zipCode)) {
     return {
       isValid: false,
@@ -293,10 +325,12 @@ function validateZipCode(zipCode) {
 // Export the functions
 window.helpers = {
   formatTemperature,
+  formatTemperatureDifference,
   formatDate,
   formatTime,
   formatTimeAgo,
   formatWindSpeed,
+  formatPressure,
   formatProbability,
   getPrecipProbabilityDescription,
   formatPrecipitation,
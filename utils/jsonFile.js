@@ -0,0 +1,108 @@
+/**
+ * JSON File Helpers
+ *
+ * Read and write the small JSON files the server keeps on disk (forecast
+ * snapshots and drift, upstream call budgets, provider fixtures). Server only.
+ *
+ * Files read or written while a request is handled use the asynchronous
+ * helpers, so a large file does not block the other requests; updates of one
+ * file are queued so concurrent read-modify-write cycles do not lose changes.
+ */
+const fs = require('fs');
+const { createLogger } = require('../logging');
+
+const logger = createLogger('jsonFile');
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File to read
+ * @param {string} description - What the file holds, for the warning logged if it is unreadable
+ * @returns {*} - Parsed contents, or undefined if the file is missing or unreadable
+ */
+function readJsonFile(filePath, description) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Ignoring unreadable ${description}`, { error });
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Write a JSON file, through a temp file so readers never see a partial file
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON serializable data
+ */
+function writeJsonFile(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read a JSON file without blocking
+ * @param {string} filePath - File to read
+ * @param {string} description - What the file holds, for the warning logged if it is unreadable
+ * @returns {Promise<*>} - Parsed contents, or undefined if the file is missing or unreadable
+ */
+async function readJsonFileAsync(filePath, description) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Ignoring unreadable ${description}`, { error });
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Write a JSON file without blocking, through a temp file so readers never see a partial file
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON serializable data
+ * @returns {Promise<void>}
+ */
+async function writeJsonFileAsync(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// Last queued update per file path
+const pendingUpdates = new Map();
+
+/**
+ * Read, change and write back a JSON file, after any update of the same file queued before
+ * @param {string} filePath - File to update
+ * @param {Function} update - Called with the current contents (undefined if none); returns the new contents
+ * @param {string} description - What the file holds, for the warning logged if it is unreadable
+ * @returns {Promise<*>} - The new contents, once written
+ */
+function updateJsonFile(filePath, update, description) {
+  const previous = pendingUpdates.get(filePath) || Promise.resolve();
+
+  // A failed update is reported to its own caller and does not stop the next one
+  const next = previous.catch(() => {}).then(async () => {
+    const data = update(await readJsonFileAsync(filePath, description));
+    await writeJsonFileAsync(filePath, data);
+    return data;
+  });
+
+  pendingUpdates.set(filePath, next);
+  const forget = () => {
+    if (pendingUpdates.get(filePath) === next) pendingUpdates.delete(filePath);
+  };
+  next.then(forget, forget);
+
+  return next;
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+  readJsonFileAsync,
+  writeJsonFileAsync,
+  updateJsonFile
+};
@@ -0,0 +1,138 @@
+/**
+ * Location Query Parsing
+ *
+ * Classifies what a user typed into the location box so the browser and the
+ * server agree on what is accepted. Supported inputs:
+ * - US ZIP codes, including ZIP+4 (10001, 10001-1234)
+ * - Canadian postal codes (M5V 3L9)
+ * - UK postcodes (SW1A 1AA)
+ * - "lat,lon" coordinate pairs (40.7128,-74.0060)
+ * - Free-text place names (Toronto, Portland OR)
+ */
+
+const US_ZIP_REGEX = /^(\d{5})(?:-?\d{4})?$/;
+const CA_POSTAL_REGEX = /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?(\d[ABCEGHJ-NPRSTV-Z]\d)$/i;
+const UK_POSTCODE_REGEX = /^([A-Z]{1,2}\d[A-Z\d]?)\s?(\d[A-Z]{2})$/i;
+const COORDINATES_REGEX = /^(-?\d{1,3}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)$/;
+const PLACE_NAME_REGEX = /^[\p{L}\p{M}][\p{L}\p{M}\d\s.,'’()-]*$/u;
+
+const MAX_QUERY_LENGTH = 100;
+
+// Decimal places kept for coordinate queries (~11 m), also used as their canonical form
+const COORDINATE_PRECISION = 4;
+
+/**
+ * Format a coordinate pair as a canonical "lat,lon" query
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {string} - Canonical coordinate query
+ */
+function formatCoordinateQuery(latitude, longitude) {
+  return `${Number(latitude).toFixed(COORDINATE_PRECISION)},${Number(longitude).toFixed(COORDINATE_PRECISION)}`;
+}
+
+/**
+ * Parse a location query
+ * @param {string} query - Raw user input
+ * @returns {Object} - { type, query, countryCode, postalCode, coordinates } on success,
+ *                     or { type: null, error } if the input is not a usable location
+ */
+function parseLocationQuery(query) {
+  const trimmed = typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '';
+
+  if (!trimmed) {
+    return { type: null, error: 'Location is required' };
+  }
+
+  if (trimmed.length > MAX_QUERY_LENGTH) {
+    return { type: null, error: `Location must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  let match = trimmed.match(US_ZIP_REGEX);
+  if (match) {
+    // ZIP+4 resolves to the same forecast as its 5-digit ZIP code
+    return { type: 'usZip', query: match[1], countryCode: 'US', postalCode: match[1] };
+  }
+
+  match = trimmed.match(CA_POSTAL_REGEX);
+  if (match) {
+    const postalCode = `${match[1]} ${match[2]}`.toUpperCase();
+    return { type: 'caPostal', query: postalCode, countryCode: 'CA', postalCode };
+  }
+
+  match = trimmed.match(UK_POSTCODE_REGEX);
+  if (match) {
+    const postalCode = `${match[1]} ${match[2]}`.toUpperCase();
+    return { type: 'ukPostcode', query: postalCode, countryCode: 'GB', postalCode };
+  }
+
+  match = trimmed.match(COORDINATES_REGEX);
+  if (match) {
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { type: null, error: 'Coordinates must be a latitude between -90 and 90 and a longitude between -180 and 180' };
+    }
+
+    return {
+      type: 'coordinates',
+      query: formatCoordinateQuery(latitude, longitude),
+      coordinates: {
+        latitude: Number(latitude.toFixed(COORDINATE_PRECISION)),
+        longitude: Number(longitude.toFixed(COORDINATE_PRECISION))
+      }
+    };
+  }
+
+  if (trimmed.length >= 2 && PLACE_NAME_REGEX.test(trimmed)) {
+    return { type: 'place', query: trimmed };
+  }
+
+  return {
+    type: null,
+    error: 'Enter a ZIP or postal code, a city name, or coordinates as "lat,lon"'
+  };
+}
+
+/**
+ * Validates a location query
+ * @param {string} query - The location query to validate
+ * @returns {Object} - Validation result with isValid flag and error message
+ */
+function validateLocationQuery(query) {
+  const parsed = parseLocationQuery(query);
+  return {
+    isValid: parsed.type !== null,
+    error: parsed.type !== null ? null : parsed.error
+  };
+}
+
+/**
+ * Get the canonical form of a query, used for cache keys and URLs
+ * @param {string} query - Raw user input
+ * @returns {string|null} - Canonical query, or null if invalid
+ */
+function normalizeLocationQuery(query) {
+  const parsed = parseLocationQuery(query);
+  return parsed.type === 'place' ? parsed.query.toLowerCase() : (parsed.query || null);
+}
+
+// Export the functions
+const locationQuery = {
+  parseLocationQuery,
+  validateLocationQuery,
+  normalizeLocationQuery,
+  formatCoordinateQuery,
+  COORDINATE_PRECISION
+};
+
+// For browser environments
+if (typeof window !== 'undefined') {
+  window.locationQuery = locationQuery;
+}
+
+// For Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = locationQuery;
+}
@@ -191,9 +191,10 @@ function preGenerateTooltipCache(hoursData) {
  *
  * @param {Object} hourData - Hourly weather data object
  * @param {number} hourIndex - Hour index (0-23) for display
+ * @param {string} displayUnit - Unit the amount is shown in ('mm' or 'in')
  * @returns {string} - Optimized tooltip content
  */
-function generatePrecipitationTooltipOptimized(hourData, hourIndex = null) {
+function generatePrecipitationTooltipOptimized(hourData, hourIndex = null, displayUnit = 'mm') {
   // FAST PATH: Handle missing data quickly
   if (!hourData) {
     const hourDisplay = hourIndex !== null ? formatHourDisplay(hourIndex) : '';
@@ -225,15 +226,16 @@ function generatePrecipitationTooltipOptimized(hourData, hourIndex = null) {
   
   // Add precipitation info with optimized formatting
   if (precipAmount !== null && precipAmount !== undefined) {
-    // Convert to mm for consistent display
-    const displayAmount = precipUnit === 'inches' ? precipAmount * 25.4 : precipAmount;
-    parts.push(`Precipitation: ${displayAmount.toFixed(1)} mm`);
+    // Convert to mm for consistent display, then to the unit the user prefers
+    const amountInMm = precipUnit === 'inches' ? precipAmount * 25.4 : precipAmount;
+    const displayAmount = displayUnit === 'in' ? (amountInMm / 25.4).toFixed(2) : amountInMm.toFixed(1);
+    parts.push(`Precipitation: ${displayAmount} ${displayUnit}`);
   } else {
     parts.push('Precipitation: No precipitation');
   }
   
   // Add probability if meaningful
-  if (precipProbability !== "n/a" && precipProbability !== 0) {
+  if (typeof precipProbability === 'number' && precipProbability !== 0) {
     parts.push(`Probability: ${precipProbability}%`);
   }
   
@@ -254,16 +256,17 @@ function generatePrecipitationTooltipOptimized(hourData, hourIndex = null) {
  *
  * @param {Object} hourData - Hourly weather data object
  * @param {number} hourIndex - Hour index (0-23) for display
+ * @param {string} displayUnit - Unit the amount is shown in ('mm' or 'in')
  * @returns {string} - HTML content for tooltip
  */
-function generatePrecipitationTooltip(hourData, hourIndex = null) {
-  // Check if we have cached tooltip content
-  if (hourData && hourData._cachedTooltip) {
+function generatePrecipitationTooltip(hourData, hourIndex = null, displayUnit = 'mm') {
+  // Check if we have cached tooltip content (cached tooltips are in mm)
+  if (hourData && hourData._cachedTooltip && displayUnit === 'mm') {
     return hourData._cachedTooltip;
   }
   
   // Fall back to optimized generation
-  return generatePrecipitationTooltipOptimized(hourData, hourIndex);
+  return generatePrecipitationTooltipOptimized(hourData, hourIndex, displayUnit);
 }
 
 /**
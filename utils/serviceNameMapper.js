@@ -19,7 +19,8 @@ const SERVICE_DISPLAY_NAMES = {
   'Foreca': 'Foreca',
   'googleweather': 'Google',
   'GoogleWeather': 'Google',
-  'Google Weather': 'Google'
+  'Google Weather': 'Google',
+  'Consensus': 'Consensus'
 };
 
 /**
@@ -64,6 +65,8 @@ function getServiceIndicator(serviceName) {
       return { letter: 'F', colorClass: 'service-indicator-foreca' };
     case 'Google':
       return { letter: 'G', colorClass: 'service-indicator-google' };
+    case 'Consensus':
+      return { letter: 'C', colorClass: 'service-indicator-consensus' };
     default:
       return { letter: serviceName.charAt(0).toUpperCase(), colorClass: 'service-indicator-default' };
   }
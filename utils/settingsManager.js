@@ -0,0 +1,131 @@
+/**
+ * Settings Manager
+ *
+ * Export and import of user settings as a single JSON document. Each kind of
+ * setting (favorites, ...) keeps its own storage and registers a section here
+ * with an export and an import function, so new settings are included in the
+ * export without changes to this file.
+ */
+
+// Version of the exported document format
+const SETTINGS_EXPORT_VERSION = 1;
+
+// Event dispatched on window after settings have been imported
+const SETTINGS_IMPORTED_EVENT = 'settingsimported';
+
+// Registered settings sections, keyed by section name
+const settingsSections = {};
+
+/**
+ * Registers a settings section
+ * @param {string} name - Section name used in the exported document
+ * @param {Object} section - { exportData: () => any, importData: (data) => void }
+ */
+function registerSettingsSection(name, section) {
+  settingsSections[name] = section;
+}
+
+/**
+ * Exports all registered settings
+ * @returns {Object} - Settings document
+ */
+function exportSettings() {
+  const settings = {};
+  
+  Object.entries(settingsSections).forEach(([name, section]) => {
+    try {
+      settings[name] = section.exportData();
+    } catch (error) {
+      console.error(`Error exporting ${name} settings:`, error);
+    }
+  });
+  
+  return {
+    app: 'super-sky',
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+}
+
+/**
+ * Imports a settings document created by exportSettings
+ * @param {Object|string} document - Settings document, or its JSON text
+ * @returns {Object} - { imported: string[], errors: string[] } with the section names
+ */
+function importSettings(document) {
+  const parsed = typeof document === 'string' ? JSON.parse(document) : document;
+  
+  if (!parsed || parsed.app !== 'super-sky' || typeof parsed.settings !== 'object') {
+    throw new Error('Not a Super Sky settings file');
+  }
+  
+  if (parsed.version > SETTINGS_EXPORT_VERSION) {
+    throw new Error(`Settings file version ${parsed.version} is newer than this app supports`);
+  }
+  
+  const result = { imported: [], errors: [] };
+  
+  Object.entries(parsed.settings).forEach(([name, data]) => {
+    const section = settingsSections[name];
+    if (!section) {
+      return; // Unknown sections (e.g. from a newer app) are ignored
+    }
+    
+    try {
+      section.importData(data);
+      result.imported.push(name);
+    } catch (error) {
+      console.error(`Error importing ${name} settings:`, error);
+      result.errors.push(name);
+    }
+  });
+  
+  // Let mounted components reload what they keep in state
+  window.dispatchEvent(new CustomEvent(SETTINGS_IMPORTED_EVENT, { detail: result }));
+  
+  return result;
+}
+
+/**
+ * Downloads all registered settings as a JSON file
+ */
+function downloadSettingsFile() {
+  const settings = exportSettings();
+  const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `super-sky-settings-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Imports a settings file picked by the user
+ * @param {File} file - File created by downloadSettingsFile
+ * @returns {Promise<string>} - Message describing the outcome, for display
+ */
+async function importSettingsFile(file) {
+  try {
+    const result = importSettings(await file.text());
+    const imported = result.imported.join(', ') || 'nothing';
+    return result.errors.length > 0
+      ? `Imported ${imported}; could not import ${result.errors.join(', ')}.`
+      : `Imported ${imported}.`;
+  } catch (error) {
+    return `Import failed: ${error.message}`;
+  }
+}
+
+// Export the functions
+window.settingsManager = {
+  registerSettingsSection,
+  exportSettings,
+  importSettings,
+  downloadSettingsFile,
+  importSettingsFile,
+  SETTINGS_EXPORT_VERSION,
+  SETTINGS_IMPORTED_EVENT
+};
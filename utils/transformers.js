@@ -422,7 +422,7 @@ function transformOpenMeteoHourly(forecastData) {
       description: weatherInfo.description,
       icon: weatherInfo.icon,
       precipitation: {
-        probability: hourly.precipitation_probability && hourly.precipitation_probability[i] !== undefined ? hourly.precipitation_probability[i] : "n/a",
+        probability: hourly.precipitation_probability && hourly.precipitation_probability[i] !== undefined ? hourly.precipitation_probability[i] : null,
         // FIXED: OpenMeteo API is called with precipitation_unit='inch' (confirmed in weather.js:204)
         // Convert from inches to mm for consistency with other sources (1 inch = 25.4 mm)
         // Apply standardized rounding rules
@@ -480,7 +480,7 @@ function transformOpenMeteoDaily(forecastData) {
       description: weatherInfo.description,
       icon: weatherInfo.icon,
       precipitation: {
-        probability: daily.precipitation_probability_max && daily.precipitation_probability_max[i] !== undefined ? daily.precipitation_probability_max[i] : "n/a",
+        probability: daily.precipitation_probability_max && daily.precipitation_probability_max[i] !== undefined ? daily.precipitation_probability_max[i] : null,
         // FIXED: OpenMeteo API is called with precipitation_unit='inch' (confirmed in weather.js:204)
         // Convert from inches to mm for consistency with other sources (1 inch = 25.4 mm)
         // Apply standardized rounding rules
@@ -545,7 +545,7 @@ function createOpenMeteoCurrent(forecastData) {
       
       // Get additional data from the closest hourly time
       humidity = forecastData.hourly.relativehumidity_2m && forecastData.hourly.relativehumidity_2m[closestIndex] || 0;
-      precipitation.probability = forecastData.hourly.precipitation_probability && forecastData.hourly.precipitation_probability[closestIndex] !== undefined ? forecastData.hourly.precipitation_probability[closestIndex] : "n/a";
+      precipitation.probability = forecastData.hourly.precipitation_probability && forecastData.hourly.precipitation_probability[closestIndex] !== undefined ? forecastData.hourly.precipitation_probability[closestIndex] : null;
       // FIXED: OpenMeteo API is called with precipitation_unit='inch' (confirmed in weather.js:204)
       // Convert from inches to mm for consistency with other sources (1 inch = 25.4 mm)
       // Apply standardized rounding rules
@@ -590,7 +590,7 @@ function createOpenMeteoCurrent(forecastData) {
       description: weatherInfo.description,
       icon: weatherInfo.icon,
       precipitation: {
-        probability: forecastData.hourly.precipitation_probability && forecastData.hourly.precipitation_probability[index] !== undefined ? forecastData.hourly.precipitation_probability[index] : "n/a",
+        probability: forecastData.hourly.precipitation_probability && forecastData.hourly.precipitation_probability[index] !== undefined ? forecastData.hourly.precipitation_probability[index] : null,
         // FIXED: OpenMeteo API is called with precipitation_unit='inch' - convert to mm for consistency
         amount: roundPrecipitation((forecastData.hourly.precipitation && forecastData.hourly.precipitation[index] || 0) * 25.4),
         unit: 'mm',
@@ -614,7 +614,7 @@ function createOpenMeteoCurrent(forecastData) {
     description: 'Partly Cloudy',
     icon: 'partly-sunny',
     precipitation: {
-      probability: "n/a",
+      probability: null,
       amount: roundPrecipitation(2.54), // 0.1 inch converted to mm (0.1 * 25.4)
       unit: 'mm',
       type: 'rain'
@@ -782,6 +782,7 @@ function transformForecaCurrent(currentData) {
       precipitation: {
         probability: 20,
         amount: 0.1,
+        unit: 'mm',
         type: 'rain'
       },
       rawData: { mock: true }
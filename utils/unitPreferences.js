@@ -0,0 +1,60 @@
+/**
+ * Unit Preferences
+ *
+ * The units (°F/°C, mph/km/h/m/s, in/mm, inHg/hPa) the user wants values
+ * shown in. The choice is stored under its own localStorage key, changed in
+ * App Settings and part of the settings export/import. Conversions live in
+ * utils/units.js.
+ */
+
+// localStorage key of the unit preferences
+const UNIT_PREFERENCES_STORAGE_KEY = 'unitPreferences';
+
+/**
+ * Loads the unit preferences from localStorage
+ * @returns {Object} - Complete unit choice, the defaults if none was saved
+ */
+function loadUnitPreferences() {
+  try {
+    const saved = localStorage.getItem(UNIT_PREFERENCES_STORAGE_KEY);
+    return window.units.normalizeUnits(saved ? JSON.parse(saved) : null);
+  } catch (error) {
+    console.warn('Failed to load unit preferences from localStorage:', error);
+    return window.units.normalizeUnits(null);
+  }
+}
+
+/**
+ * Saves the unit preferences to localStorage
+ * @param {Object} units - Unit choice to save
+ * @returns {boolean} - Success status
+ */
+function saveUnitPreferences(units) {
+  try {
+    localStorage.setItem(UNIT_PREFERENCES_STORAGE_KEY, JSON.stringify(window.units.normalizeUnits(units)));
+    return true;
+  } catch (error) {
+    console.error('Error saving unit preferences:', error);
+    return false;
+  }
+}
+
+// Include the unit preferences in the settings export/import
+if (window.settingsManager) {
+  window.settingsManager.registerSettingsSection('units', {
+    exportData: () => loadUnitPreferences(),
+    importData: (data) => {
+      if (!data || typeof data !== 'object') {
+        throw new Error('Unit preferences must be an object');
+      }
+      saveUnitPreferences(data);
+    }
+  });
+}
+
+// Export the functions
+window.unitPreferences = {
+  loadUnitPreferences,
+  saveUnitPreferences,
+  UNIT_PREFERENCES_STORAGE_KEY
+};
@@ -0,0 +1,276 @@
+/**
+ * Units
+ *
+ * The standardized forecast data is always in the same base units: °F for
+ * temperatures, mph for wind speeds, mm for precipitation amounts and hPa for
+ * pressure. This module converts those values for display in the units the
+ * user prefers, and converts whole forecasts for the API's `units=` parameter.
+ *
+ * A unit choice is an object with one unit per quantity, e.g.
+ * { temperature: 'C', windSpeed: 'km/h', precipitation: 'mm', pressure: 'hPa' }.
+ */
+
+// Units the standardized data is in
+const BASE_UNITS = {
+  temperature: 'F',
+  windSpeed: 'mph',
+  precipitation: 'mm',
+  pressure: 'hPa'
+};
+
+// Units that can be chosen for each quantity
+const UNIT_OPTIONS = {
+  temperature: ['F', 'C'],
+  windSpeed: ['mph', 'km/h', 'm/s'],
+  precipitation: ['in', 'mm'],
+  pressure: ['inHg', 'hPa']
+};
+
+// Named unit choices accepted by the API
+const UNIT_PRESETS = {
+  imperial: { temperature: 'F', windSpeed: 'mph', precipitation: 'in', pressure: 'inHg' },
+  metric: { temperature: 'C', windSpeed: 'km/h', precipitation: 'mm', pressure: 'hPa' }
+};
+
+// Unit choice used when the user has not picked one (what the app has always shown)
+const DEFAULT_UNITS = { ...BASE_UNITS };
+
+// Decimals kept when converting values, per unit
+const UNIT_DECIMALS = {
+  F: 1,
+  C: 1,
+  mph: 1,
+  'km/h': 1,
+  'm/s': 1,
+  in: 2,
+  mm: 1,
+  inHg: 2,
+  hPa: 1
+};
+
+const MM_PER_INCH = 25.4;
+const KMH_PER_MPH = 1.609344;
+const MS_PER_MPH = 0.44704;
+const HPA_PER_INHG = 33.8639;
+
+// Fields of a forecast entry holding each quantity
+const TEMPERATURE_FIELDS = ['temperature', 'feelsLike', 'temperatureMin', 'temperatureMax'];
+const WIND_SPEED_FIELDS = ['windSpeed', 'windGust'];
+
+/**
+ * Round a converted value to the decimals kept for its unit
+ */
+function roundForUnit(value, unit) {
+  const factor = Math.pow(10, UNIT_DECIMALS[unit]);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert a temperature from °F
+ * @param {number} value - Temperature in °F
+ * @param {string} unit - 'F' or 'C'
+ * @returns {number} - Converted temperature (not rounded)
+ */
+function convertTemperature(value, unit) {
+  return unit === 'C' ? (value - 32) * 5 / 9 : value;
+}
+
+/**
+ * Convert a temperature difference (e.g. a spread) from °F
+ */
+function convertTemperatureDifference(value, unit) {
+  return unit === 'C' ? value * 5 / 9 : value;
+}
+
+/**
+ * Convert a wind speed from mph
+ * @param {number} value - Speed in mph
+ * @param {string} unit - 'mph', 'km/h' or 'm/s'
+ * @returns {number} - Converted speed (not rounded)
+ */
+function convertWindSpeed(value, unit) {
+  if (unit === 'km/h') return value * KMH_PER_MPH;
+  if (unit === 'm/s') return value * MS_PER_MPH;
+  return value;
+}
+
+/**
+ * Convert a precipitation amount from mm
+ * @param {number} value - Amount in mm
+ * @param {string} unit - 'mm' or 'in'
+ * @returns {number} - Converted amount (not rounded)
+ */
+function convertPrecipitation(value, unit) {
+  return unit === 'in' ? value / MM_PER_INCH : value;
+}
+
+/**
+ * Convert a pressure from hPa
+ * @param {number} value - Pressure in hPa
+ * @param {string} unit - 'hPa' or 'inHg'
+ * @returns {number} - Converted pressure (not rounded)
+ */
+function convertPressure(value, unit) {
+  return unit === 'inHg' ? value / HPA_PER_INHG : value;
+}
+
+/**
+ * Fill in and check a unit choice
+ * @param {Object} units - Partial unit choice; unknown or invalid entries are ignored
+ * @returns {Object} - Complete unit choice
+ */
+function normalizeUnits(units) {
+  const normalized = { ...DEFAULT_UNITS };
+
+  if (units && typeof units === 'object') {
+    Object.keys(UNIT_OPTIONS).forEach(quantity => {
+      if (UNIT_OPTIONS[quantity].includes(units[quantity])) {
+        normalized[quantity] = units[quantity];
+      }
+    });
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse the API's units parameter: a preset name ("metric", "imperial") or a
+ * comma-separated list of units ("C,km/h"), with the base unit kept for any
+ * quantity left out
+ * @param {string} value - Parameter value
+ * @returns {Object} - { units } or { error }
+ */
+function parseUnitsParam(value) {
+  const text = String(value).trim();
+
+  if (UNIT_PRESETS[text.toLowerCase()]) {
+    return { units: { ...UNIT_PRESETS[text.toLowerCase()] } };
+  }
+
+  const units = { ...BASE_UNITS };
+  const unknown = [];
+
+  text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const quantity = Object.keys(UNIT_OPTIONS).find(name => UNIT_OPTIONS[name].includes(part));
+    if (quantity) {
+      units[quantity] = part;
+    } else {
+      unknown.push(part);
+    }
+  });
+
+  if (unknown.length > 0 || text === '') {
+    const presets = Object.keys(UNIT_PRESETS).map(name => `"${name}"`).join(' or ');
+    const accepted = Object.values(UNIT_OPTIONS).flat().join(', ');
+    return { error: `Unknown units "${unknown.join(', ') || text}". Use ${presets}, or a comma-separated list of: ${accepted}` };
+  }
+
+  return { units };
+}
+
+/**
+ * Convert one entry (current conditions, an hour or a day) of a forecast
+ */
+function convertEntry(entry, units) {
+  if (!entry || typeof entry !== 'object') return entry;
+
+  const converted = { ...entry };
+
+  TEMPERATURE_FIELDS.forEach(field => {
+    if (typeof entry[field] === 'number') {
+      converted[field] = roundForUnit(convertTemperature(entry[field], units.temperature), units.temperature);
+    }
+  });
+
+  WIND_SPEED_FIELDS.forEach(field => {
+    if (typeof entry[field] === 'number') {
+      converted[field] = roundForUnit(convertWindSpeed(entry[field], units.windSpeed), units.windSpeed);
+    }
+  });
+
+  if (typeof entry.pressure === 'number') {
+    converted.pressure = roundForUnit(convertPressure(entry.pressure, units.pressure), units.pressure);
+  }
+
+  if (entry.precipitation && typeof entry.precipitation.amount === 'number') {
+    const amountInMm = entry.precipitation.unit === 'inches'
+      ? entry.precipitation.amount * MM_PER_INCH
+      : entry.precipitation.amount;
+
+    converted.precipitation = {
+      ...entry.precipitation,
+      amount: roundForUnit(convertPrecipitation(amountInMm, units.precipitation), units.precipitation),
+      unit: units.precipitation
+    };
+  }
+
+  // Consensus hours also carry the spread of the sources
+  if (entry.spread && typeof entry.spread === 'object') {
+    const { temperature, precipitationAmount } = entry.spread;
+    converted.spread = { ...entry.spread };
+    if (typeof temperature === 'number') {
+      converted.spread.temperature = roundForUnit(
+        convertTemperatureDifference(temperature, units.temperature), units.temperature);
+    }
+    if (typeof precipitationAmount === 'number') {
+      converted.spread.precipitationAmount = roundForUnit(
+        convertPrecipitation(precipitationAmount, units.precipitation), units.precipitation);
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Convert a standardized forecast (or a list of them, as in the triple check
+ * response) from the base units. Error entries are returned unchanged.
+ * @param {Object|Object[]} data - Forecast(s) in the base units
+ * @param {Object} units - Unit choice
+ * @returns {Object|Object[]} - Converted copy, with the units used in `units`
+ */
+function convertForecast(data, units) {
+  if (Array.isArray(data)) {
+    return data.map(sourceData => convertForecast(sourceData, units));
+  }
+
+  if (!data || typeof data !== 'object' || data.isError) {
+    return data;
+  }
+
+  const normalized = normalizeUnits(units);
+
+  return {
+    ...data,
+    current: convertEntry(data.current, normalized),
+    hourly: Array.isArray(data.hourly) ? data.hourly.map(hour => convertEntry(hour, normalized)) : data.hourly,
+    daily: Array.isArray(data.daily) ? data.daily.map(day => convertEntry(day, normalized)) : data.daily,
+    units: normalized
+  };
+}
+
+// Export the functions
+const units = {
+  convertTemperature,
+  convertTemperatureDifference,
+  convertWindSpeed,
+  convertPrecipitation,
+  convertPressure,
+  convertForecast,
+  normalizeUnits,
+  parseUnitsParam,
+  BASE_UNITS,
+  DEFAULT_UNITS,
+  UNIT_OPTIONS,
+  UNIT_PRESETS,
+  UNIT_DECIMALS
+};
+
+// For browser environments
+if (typeof window !== 'undefined') {
+  window.units = units;
+}
+
+// For Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = units;
+}
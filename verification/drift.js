@@ -0,0 +1,175 @@
+/**
+ * Forecast Drift
+ *
+ * Tracks how each provider's forecast for an hour changes from one refresh to
+ * the next. For every location, provider and forecast hour the history keeps
+ * the distinct forecasts in the order they were seen; a refresh that repeats
+ * the previous forecast only moves that entry's lastSeen time forward.
+ *
+ * An hour "flip-flops" when a provider's rain/no-rain call for it changes
+ * back and forth; providers doing that for several upcoming hours are flagged.
+ */
+const path = require('path');
+const fs = require('fs');
+const { readJsonFileAsync, updateJsonFile } = require('../utils/jsonFile');
+const { locationKeyToFileName } = require('./store');
+const { WET_HOUR_THRESHOLD_MM } = require('../utils/consensus');
+
+// History of hours further in the past than this is dropped
+const DRIFT_HISTORY_KEPT = 24 * 60 * 60 * 1000; // 24 hours
+
+// An hour flip-flops once its rain/no-rain call has changed at least this often
+const FLIP_FLOP_MIN_FLIPS = 2;
+
+// A provider is flagged once this many upcoming hours flip-flop
+const FLIP_FLOP_MIN_HOURS = 3;
+
+/**
+ * Check whether two forecasts for an hour are the same
+ */
+function isSameForecast(entry, hour) {
+  return entry.precipitation === hour.precipitation &&
+    entry.probability === hour.probability &&
+    entry.temperature === hour.temperature;
+}
+
+/**
+ * Whether a forecast calls for rain
+ */
+function isWet(entry) {
+  return typeof entry.precipitation === 'number' && entry.precipitation >= WET_HOUR_THRESHOLD_MM;
+}
+
+/**
+ * Count how often the rain/no-rain call of an hour changed
+ * @param {Object[]} entries - Forecasts for the hour, oldest first
+ * @returns {number} - Number of changes
+ */
+function countFlips(entries) {
+  let flips = 0;
+  for (let i = 1; i < entries.length; i++) {
+    if (isWet(entries[i]) !== isWet(entries[i - 1])) flips++;
+  }
+  return flips;
+}
+
+/**
+ * Add one refresh to a location's drift history
+ * @param {Object} drift - Drift history ({ updatedAt, providers }), or undefined for a new location
+ * @param {Object} forecasts - Forecast hours keyed by source, as recorded in snapshots
+ * @param {number} takenAt - Refresh time
+ * @returns {Object} - Updated drift history
+ */
+function updateDrift(drift, forecasts, takenAt) {
+  const providers = { ...(drift?.providers || {}) };
+  const cutoff = takenAt - DRIFT_HISTORY_KEPT;
+
+  Object.entries(forecasts).forEach(([source, hours]) => {
+    const history = { ...(providers[source] || {}) };
+
+    hours.forEach(hour => {
+      const entries = history[hour.timestamp] ? [...history[hour.timestamp]] : [];
+      const last = entries[entries.length - 1];
+
+      if (last && isSameForecast(last, hour)) {
+        entries[entries.length - 1] = { ...last, lastSeen: takenAt };
+      } else {
+        entries.push({
+          from: takenAt,
+          lastSeen: takenAt,
+          precipitation: hour.precipitation,
+          probability: hour.probability,
+          temperature: hour.temperature
+        });
+      }
+
+      history[hour.timestamp] = entries;
+    });
+
+    providers[source] = history;
+  });
+
+  // Drop the history of hours that are long past
+  Object.values(providers).forEach(history => {
+    Object.keys(history).forEach(timestamp => {
+      if (Number(timestamp) < cutoff) delete history[timestamp];
+    });
+  });
+
+  return { updatedAt: takenAt, providers };
+}
+
+/**
+ * Summarize a location's drift history for the API
+ * @param {Object} drift - Drift history
+ * @param {number} now - Current time; only upcoming hours count towards flip-flopping
+ * @returns {Object} - { updatedAt, providers: { [source]: { flipFlopHours, isFlipFlopping, hours } } }
+ */
+function summarizeDrift(drift, now = Date.now()) {
+  const providers = {};
+
+  Object.entries(drift.providers).forEach(([source, history]) => {
+    const hours = {};
+    let flipFlopHours = 0;
+
+    Object.keys(history).sort((a, b) => a - b).forEach(timestamp => {
+      const entries = history[timestamp];
+      const flips = countFlips(entries);
+      hours[timestamp] = { flips, changes: entries.length - 1, timeline: entries };
+
+      if (Number(timestamp) >= now && flips >= FLIP_FLOP_MIN_FLIPS) flipFlopHours++;
+    });
+
+    providers[source] = {
+      flipFlopHours,
+      isFlipFlopping: flipFlopHours >= FLIP_FLOP_MIN_HOURS,
+      hours
+    };
+  });
+
+  return { updatedAt: drift.updatedAt, providers };
+}
+
+/**
+ * Create a store for the drift history of each location
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory the drift files are written to
+ * @returns {Object} - Store with record/get
+ */
+function createDriftStore({ directory }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const filePath = (locationKey) => path.join(directory, locationKeyToFileName(locationKey));
+
+  return {
+    /**
+     * Add one refresh of a location's forecasts
+     * @returns {Promise<void>}
+     */
+    async record(locationKey, forecasts, takenAt) {
+      await updateJsonFile(
+        filePath(locationKey),
+        drift => updateDrift(drift, forecasts, takenAt),
+        `forecast drift for ${locationKey}`
+      );
+    },
+
+    /**
+     * Get the drift summary of a location, or null if nothing was recorded
+     * @returns {Promise<Object|null>}
+     */
+    async get(locationKey) {
+      const drift = await readJsonFileAsync(filePath(locationKey), `forecast drift for ${locationKey}`);
+      return drift && drift.providers ? summarizeDrift(drift) : null;
+    }
+  };
+}
+
+module.exports = {
+  createDriftStore,
+  updateDrift,
+  summarizeDrift,
+  countFlips,
+  FLIP_FLOP_MIN_FLIPS,
+  FLIP_FLOP_MIN_HOURS
+};
@@ -0,0 +1,207 @@
+/**
+ * Forecast Verification
+ *
+ * Records snapshots of each provider's hourly forecast from the triple endpoint
+ * and scores them against observed conditions once those hours have passed,
+ * so providers can be compared on their track record for a location. Every
+ * refresh also goes into the drift history (see drift.js), which shows how
+ * each provider's forecast for an hour changed over time.
+ *
+ * Configured through the environment:
+ * - VERIFICATION_ENABLED: 'false' stops recording snapshots and drift (default enabled)
+ * - VERIFICATION_DIR: directory for the snapshot and drift files (defaults to .cache/verification)
+ * - VERIFICATION_SNAPSHOT_INTERVAL_MS: minimum time between snapshots of a location (default 3 hours)
+ * - VERIFICATION_RETENTION_DAYS: how long snapshots are kept (default 14 days)
+ */
+const path = require('path');
+const { createSnapshotStore } = require('./store');
+const { createDriftStore } = require('./drift');
+const { fetchObservations } = require('./observations');
+const { scoreSnapshots } = require('./scoring');
+const { toAmountInMm } = require('../utils/consensus');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SNAPSHOT_INTERVAL = parseInt(process.env.VERIFICATION_SNAPSHOT_INTERVAL_MS, 10) || 3 * HOUR_MS;
+const RETENTION = (parseInt(process.env.VERIFICATION_RETENTION_DAYS, 10) || 14) * DAY_MS;
+
+// Forecast hours further ahead than this are not recorded
+const MAX_LEAD_TIME = 7 * DAY_MS;
+
+let store = null;
+let driftStore = null;
+
+// Time of the last snapshot per location, to skip the file read on most triple requests
+const lastSnapshotAt = new Map();
+
+/**
+ * Check whether snapshots are recorded
+ */
+function isVerificationEnabled() {
+  return process.env.VERIFICATION_ENABLED !== 'false';
+}
+
+/**
+ * Directory the snapshot and drift files are written to
+ */
+function getVerificationDirectory() {
+  return process.env.VERIFICATION_DIR || path.join(__dirname, '..', '.cache', 'verification');
+}
+
+/**
+ * Get the snapshot store, creating it on first use
+ * @returns {Object} - Snapshot store
+ */
+function getSnapshotStore() {
+  if (!store) {
+    store = createSnapshotStore({ directory: getVerificationDirectory(), retention: RETENTION });
+  }
+  return store;
+}
+
+/**
+ * Get the drift store, creating it on first use
+ * @returns {Object} - Drift store
+ */
+function getDriftStore() {
+  if (!driftStore) {
+    driftStore = createDriftStore({ directory: path.join(getVerificationDirectory(), 'drift') });
+  }
+  return driftStore;
+}
+
+/**
+ * Reduce a source's hourly forecast to what is scored, from the current hour up to MAX_LEAD_TIME
+ * @param {Object[]} hourly - Standardized hourly forecast
+ * @param {number} takenAt - Snapshot time
+ * @returns {Object[]} - { timestamp (start of the hour), temperature (°F), precipitation (mm), probability (%) }
+ */
+function toForecastHours(hourly, takenAt) {
+  const currentHourStart = Math.floor(takenAt / HOUR_MS) * HOUR_MS;
+
+  return hourly
+    .map(hour => ({
+      timestamp: Math.floor(new Date(hour.timestamp).getTime() / HOUR_MS) * HOUR_MS,
+      temperature: typeof hour.temperature === 'number' ? hour.temperature : null,
+      precipitation: toAmountInMm(hour.precipitation),
+      probability: typeof hour.precipitation?.probability === 'number' ? hour.precipitation.probability : null
+    }))
+    .filter(hour => hour.timestamp >= currentHourStart && hour.timestamp - takenAt <= MAX_LEAD_TIME);
+}
+
+/**
+ * Record a refresh of the triple check forecasts for a location: every refresh goes into the
+ * drift history, and a verification snapshot is taken at most once per SNAPSHOT_INTERVAL.
+ * The files are read and written asynchronously, so callers need not wait for it.
+ * @param {string} locationKey - Normalized location query
+ * @param {Object} location - Resolved location
+ * @param {Object[]} results - Standardized forecasts, one entry per source
+ * @returns {Promise<boolean>} - Whether a verification snapshot was recorded
+ */
+async function recordForecastSnapshot(locationKey, location, results) {
+  if (!isVerificationEnabled() || !location?.coordinates) {
+    return false;
+  }
+
+  const takenAt = Date.now();
+
+  // Only real forecasts are kept: no errors, rate-limited fallbacks or mock data
+  const forecasts = {};
+  results
+    .filter(sourceData => sourceData && !sourceData.isError && !sourceData.rateLimited && !sourceData.isMockData &&
+      Array.isArray(sourceData.hourly))
+    .forEach(sourceData => {
+      const hours = toForecastHours(sourceData.hourly, takenAt);
+      if (hours.length > 0) {
+        forecasts[sourceData.source] = hours;
+      }
+    });
+
+  if (Object.keys(forecasts).length === 0) {
+    return false;
+  }
+
+  await getDriftStore().record(locationKey, forecasts, takenAt);
+
+  const snapshotStore = getSnapshotStore();
+  if (!lastSnapshotAt.has(locationKey)) {
+    const snapshots = await snapshotStore.list(locationKey);
+    // Another refresh may have recorded a snapshot while the file was read
+    if (!lastSnapshotAt.has(locationKey)) {
+      lastSnapshotAt.set(locationKey, snapshots.length > 0 ? snapshots[snapshots.length - 1].takenAt : 0);
+    }
+  }
+  if (takenAt - lastSnapshotAt.get(locationKey) < SNAPSHOT_INTERVAL) {
+    return false;
+  }
+
+  // Claimed before the write, so concurrent refreshes do not each add a snapshot
+  lastSnapshotAt.set(locationKey, takenAt);
+  await snapshotStore.append(locationKey, {
+    takenAt,
+    location: {
+      displayName: location.displayName,
+      coordinates: location.coordinates
+    },
+    forecasts
+  });
+  return true;
+}
+
+/**
+ * Score the recorded forecasts of a location against observed conditions
+ * @param {string} locationKey - Normalized location query
+ * @returns {Promise<Object|null>} - Verification report, or null if nothing was recorded for the location
+ */
+async function getVerification(locationKey) {
+  const snapshots = (await getSnapshotStore().list(locationKey))
+    .filter(snapshot => snapshot.takenAt >= Date.now() - RETENTION);
+
+  if (snapshots.length === 0) {
+    return null;
+  }
+
+  const { location } = snapshots[snapshots.length - 1];
+  const now = Date.now();
+
+  // Observations are only needed for forecast hours that have passed
+  const pastHours = snapshots.flatMap(snapshot =>
+    Object.values(snapshot.forecasts).flatMap(hours => hours.map(hour => hour.timestamp)))
+    .filter(timestamp => timestamp < now);
+
+  const observations = pastHours.length > 0
+    ? await fetchObservations(
+      location.coordinates,
+      pastHours.reduce((min, timestamp) => Math.min(min, timestamp)),
+      pastHours.reduce((max, timestamp) => Math.max(max, timestamp))
+    )
+    : {};
+
+  return {
+    location,
+    snapshots: snapshots.length,
+    period: {
+      from: new Date(snapshots[0].takenAt).toISOString(),
+      to: new Date(snapshots[snapshots.length - 1].takenAt).toISOString()
+    },
+    observedHours: Object.keys(observations).length,
+    providers: scoreSnapshots(snapshots, observations)
+  };
+}
+
+/**
+ * Get how each provider's forecast for every tracked hour of a location changed between refreshes
+ * @param {string} locationKey - Normalized location query
+ * @returns {Promise<Object|null>} - Drift summary (see drift.js), or null if nothing was recorded for the location
+ */
+function getForecastDrift(locationKey) {
+  return getDriftStore().get(locationKey);
+}
+
+module.exports = {
+  recordForecastSnapshot,
+  getVerification,
+  getForecastDrift,
+  isVerificationEnabled
+};
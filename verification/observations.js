@@ -0,0 +1,79 @@
+/**
+ * Observed Conditions
+ *
+ * Hourly observed temperature and precipitation from the Open-Meteo historical
+ * weather (archive) API. The archive lags real time by a few days, so the most
+ * recent hours are simply missing until it catches up.
+ */
+const { getFromServerCache, saveToServerCache } = require('../cache');
+const { getLocationCacheKey } = require('../cache/keys');
+const { createUpstreamClient } = require('../providers/upstreamClient');
+
+const archiveApi = createUpstreamClient('openmeteoarchive');
+
+// Observations of past days do not change, but recent days fill in as the archive catches up
+const OBSERVATIONS_CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours
+
+/**
+ * Format a timestamp as the YYYY-MM-DD date the archive API expects (UTC)
+ */
+function toArchiveDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Fetch hourly observations for a period
+ * @param {Object} coordinates - { latitude, longitude }
+ * @param {number} from - Start of the period (timestamp)
+ * @param {number} to - End of the period (timestamp)
+ * @returns {Promise<Object>} - Observations keyed by the hour's timestamp:
+ *                              { temperature (°F), precipitation (mm) }
+ */
+async function fetchObservations({ latitude, longitude }, from, to) {
+  const startDate = toArchiveDate(from);
+  const endDate = toArchiveDate(to);
+  const cacheKey = getLocationCacheKey(latitude, longitude, `observations_${startDate}_${endDate}`);
+
+  const cached = getFromServerCache(cacheKey, OBSERVATIONS_CACHE_DURATION);
+  if (cached) {
+    return cached;
+  }
+
+  const baseUrl = process.env.OPEN_METEO_ARCHIVE_BASE_URL || 'https://archive-api.open-meteo.com';
+  const response = await archiveApi.get(`${baseUrl}/v1/archive`, {
+    params: {
+      latitude,
+      longitude,
+      start_date: startDate,
+      end_date: endDate,
+      hourly: 'temperature_2m,precipitation',
+      temperature_unit: 'fahrenheit',
+      precipitation_unit: 'mm',
+      timezone: 'GMT',
+      timeformat: 'unixtime'
+    }
+  });
+
+  const hourly = response.data?.hourly || {};
+  const observations = {};
+
+  (hourly.time || []).forEach((time, index) => {
+    const temperature = hourly.temperature_2m?.[index];
+    const precipitation = hourly.precipitation?.[index];
+
+    // Hours the archive has not caught up with yet come back as null
+    if (typeof temperature !== 'number' && typeof precipitation !== 'number') return;
+
+    observations[time * 1000] = {
+      temperature: typeof temperature === 'number' ? temperature : null,
+      precipitation: typeof precipitation === 'number' ? precipitation : null
+    };
+  });
+
+  saveToServerCache(cacheKey, observations, OBSERVATIONS_CACHE_DURATION);
+  return observations;
+}
+
+module.exports = {
+  fetchObservations
+};
@@ -0,0 +1,160 @@
+/**
+ * Forecast Scoring
+ *
+ * Compares recorded forecast snapshots with observed conditions. Every
+ * forecast hour of every snapshot that has an observation is one sample,
+ * grouped by provider and by lead time (how far ahead the hour was forecast).
+ *
+ * Precipitation is scored as a yes/no forecast of a wet hour:
+ * - hit: rain forecast and observed
+ * - miss: rain observed but not forecast
+ * - false alarm: rain forecast but not observed
+ * Temperature is scored by its mean absolute error (°F).
+ */
+const { WET_HOUR_THRESHOLD_MM } = require('../utils/consensus');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Lead time buckets, by the upper bound of the lead time in hours
+const LEAD_TIME_BUCKETS = [
+  { label: '0-6h', maxHours: 6 },
+  { label: '6-24h', maxHours: 24 },
+  { label: '24-48h', maxHours: 48 },
+  { label: '48-72h', maxHours: 72 },
+  { label: '3-5d', maxHours: 120 },
+  { label: '5-7d', maxHours: 168 },
+  { label: '7d+', maxHours: Infinity }
+];
+
+/**
+ * Find the lead time bucket of a forecast hour
+ * @param {number} leadTime - Lead time in milliseconds
+ * @returns {string} - Bucket label
+ */
+function getLeadTimeBucket(leadTime) {
+  const hours = leadTime / HOUR_MS;
+  return LEAD_TIME_BUCKETS.find(bucket => hours < bucket.maxHours).label;
+}
+
+/**
+ * Create empty counters
+ */
+function createTally() {
+  return {
+    hits: 0,
+    misses: 0,
+    falseAlarms: 0,
+    correctNegatives: 0,
+    temperatureErrorSum: 0,
+    temperatureSamples: 0
+  };
+}
+
+/**
+ * Count one forecast hour against its observation
+ */
+function addSample(tally, forecast, observed) {
+  if (typeof forecast.precipitation === 'number' && typeof observed.precipitation === 'number') {
+    const forecastWet = forecast.precipitation >= WET_HOUR_THRESHOLD_MM;
+    const observedWet = observed.precipitation >= WET_HOUR_THRESHOLD_MM;
+
+    if (forecastWet && observedWet) tally.hits++;
+    else if (observedWet) tally.misses++;
+    else if (forecastWet) tally.falseAlarms++;
+    else tally.correctNegatives++;
+  }
+
+  if (typeof forecast.temperature === 'number' && typeof observed.temperature === 'number') {
+    tally.temperatureErrorSum += Math.abs(forecast.temperature - observed.temperature);
+    tally.temperatureSamples++;
+  }
+}
+
+/**
+ * Ratio rounded to 3 decimals, or null when undefined
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Turn counters into scores
+ * @param {Object} tally - Counters from addSample
+ * @returns {Object} - { precipitation: {...}, temperature: {...} }
+ */
+function summarizeTally(tally) {
+  const { hits, misses, falseAlarms, correctNegatives } = tally;
+  const precipitationSamples = hits + misses + falseAlarms + correctNegatives;
+
+  return {
+    precipitation: {
+      samples: precipitationSamples,
+      hits,
+      misses,
+      falseAlarms,
+      correctNegatives,
+      // Share of observed wet hours that were forecast
+      hitRate: ratio(hits, hits + misses),
+      // Share of forecast wet hours that stayed dry
+      falseAlarmRatio: ratio(falseAlarms, hits + falseAlarms),
+      // Share of hours forecast correctly, wet or dry
+      accuracy: ratio(hits + correctNegatives, precipitationSamples)
+    },
+    temperature: {
+      samples: tally.temperatureSamples,
+      meanAbsoluteError: tally.temperatureSamples > 0
+        ? Math.round((tally.temperatureErrorSum / tally.temperatureSamples) * 10) / 10
+        : null
+    }
+  };
+}
+
+/**
+ * Score forecast snapshots against observations
+ * @param {Object[]} snapshots - { takenAt, forecasts: { [source]: [{ timestamp, temperature, precipitation }] } }
+ * @param {Object} observations - { temperature, precipitation } keyed by the hour's timestamp
+ * @returns {Object} - Scores keyed by provider, each with overall and byLeadTime scores
+ */
+function scoreSnapshots(snapshots, observations) {
+  const tallies = {};
+
+  snapshots.forEach(snapshot => {
+    Object.entries(snapshot.forecasts || {}).forEach(([source, hours]) => {
+      if (!tallies[source]) {
+        tallies[source] = { overall: createTally(), byLeadTime: {} };
+      }
+
+      hours.forEach(forecast => {
+        const observed = observations[forecast.timestamp];
+        if (!observed) return;
+
+        const bucket = getLeadTimeBucket(forecast.timestamp - snapshot.takenAt);
+        if (!tallies[source].byLeadTime[bucket]) {
+          tallies[source].byLeadTime[bucket] = createTally();
+        }
+
+        addSample(tallies[source].overall, forecast, observed);
+        addSample(tallies[source].byLeadTime[bucket], forecast, observed);
+      });
+    });
+  });
+
+  const scores = {};
+  Object.entries(tallies).forEach(([source, { overall, byLeadTime }]) => {
+    scores[source] = {
+      overall: summarizeTally(overall),
+      // Buckets in lead time order, leaving out those without samples
+      byLeadTime: LEAD_TIME_BUCKETS
+        .filter(bucket => byLeadTime[bucket.label])
+        .map(bucket => ({ leadTime: bucket.label, ...summarizeTally(byLeadTime[bucket.label]) }))
+    };
+  });
+
+  return scores;
+}
+
+module.exports = {
+  scoreSnapshots,
+  getLeadTimeBucket,
+  LEAD_TIME_BUCKETS
+};
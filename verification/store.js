@@ -0,0 +1,84 @@
+/**
+ * Forecast Snapshot Store
+ *
+ * Keeps the forecast snapshots recorded for verification as one JSON file per
+ * location, each holding that location's snapshots oldest first. Snapshots past
+ * the retention period are dropped whenever a new one is added.
+ */
+const fs = require('fs');
+const path = require('path');
+const { readJsonFileAsync, updateJsonFile } = require('../utils/jsonFile');
+
+const SNAPSHOT_FILE_EXTENSION = '.json';
+
+/**
+ * Map a location key to a safe file name
+ */
+function locationKeyToFileName(locationKey) {
+  return `${encodeURIComponent(locationKey)}${SNAPSHOT_FILE_EXTENSION}`;
+}
+
+/**
+ * Create a snapshot store
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory the snapshot files are written to
+ * @param {number} options.retention - Age (ms) after which snapshots are dropped
+ * @returns {Object} - Store with list/append/locations
+ */
+function createSnapshotStore({ directory, retention }) {
+  if (!directory) {
+    throw new Error('Snapshot store requires a directory');
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  /**
+   * Read every snapshot of a location, oldest first
+   * @param {string} locationKey - Normalized location query
+   * @returns {Promise<Object[]>} - Snapshots
+   */
+  async function list(locationKey) {
+    const snapshots = await readJsonFileAsync(
+      path.join(directory, locationKeyToFileName(locationKey)),
+      `forecast snapshots for ${locationKey}`
+    );
+    return Array.isArray(snapshots) ? snapshots : [];
+  }
+
+  /**
+   * Add a snapshot for a location, dropping those past the retention period
+   * @param {string} locationKey - Normalized location query
+   * @param {Object} snapshot - Snapshot with a takenAt timestamp
+   * @returns {Promise<void>}
+   */
+  async function append(locationKey, snapshot) {
+    const cutoff = Date.now() - retention;
+
+    await updateJsonFile(
+      path.join(directory, locationKeyToFileName(locationKey)),
+      snapshots => [...(Array.isArray(snapshots) ? snapshots : []).filter(existing => existing.takenAt >= cutoff), snapshot],
+      `forecast snapshots for ${locationKey}`
+    );
+  }
+
+  /**
+   * List the location keys with recorded snapshots
+   * @returns {Promise<string[]>} - Location keys
+   */
+  async function locations() {
+    return (await fs.promises.readdir(directory))
+      .filter(name => name.endsWith(SNAPSHOT_FILE_EXTENSION))
+      .map(name => decodeURIComponent(name.slice(0, -SNAPSHOT_FILE_EXTENSION.length)));
+  }
+
+  return {
+    list,
+    append,
+    locations
+  };
+}
+
+module.exports = {
+  createSnapshotStore,
+  locationKeyToFileName
+};